@@ -0,0 +1,235 @@
+/**
+ * AccountClient.js - Player accounts on the game server (server/src/AccountManager.js)
+ *
+ * Usage:
+ *   import { accountClient } from '../network/AccountClient.js'
+ *
+ *   const profile = await accountClient.restore()   // At boot - null if nobody is logged in
+ *   const profile = await accountClient.login(nameOrEmail, password, remember)
+ *   const profile = await accountClient.refresh()   // Latest stats and match history
+ *   accountClient.onProfile(profile => ...)          // Logged in, refreshed or logged out (null)
+ *   const { friends, incoming, outgoing } = await accountClient.getFriends()
+ *
+ * The login token is kept in localStorage ("remember me") or sessionStorage
+ * and handed to networkManager, so games played while logged in are
+ * credited to the account by the server.
+ */
+
+import { networkManager } from './NetworkManager.js'
+
+const TOKEN_KEY = 'ocean.accountToken'
+
+class AccountClient {
+  constructor() {
+    this.token = null
+    this.profile = null   // Latest profile from the server
+    
+    this.onProfileCallbacks = []
+  }
+  
+  // ============================================================================
+  // AUTH
+  // ============================================================================
+  
+  /**
+   * @returns {Promise<Object>} The new account's profile
+   * @throws {Error} With the server's message (name taken, bad email...)
+   */
+  async signup(username, email, password) {
+    const { token, profile } = await this.request('POST', '/account/signup', { username, email, password })
+    this.setSession(token, profile, true)
+    return profile
+  }
+  
+  /**
+   * @param {string} login - Username or email
+   * @param {string} password
+   * @param {boolean} remember - Stay logged in after the browser closes
+   * @returns {Promise<Object>} Profile
+   */
+  async login(login, password, remember = false) {
+    const { token, profile } = await this.request('POST', '/account/login', { login, password })
+    this.setSession(token, profile, remember)
+    return profile
+  }
+  
+  async logout() {
+    const token = this.token
+    this.clearSession()
+    
+    if (!token) return
+    try {
+      await this.request('POST', '/account/logout', {}, token)
+    } catch (err) {
+      // Logged out here either way - the server token just lives until it expires
+      console.warn(`[Account] Logout request failed: ${err.message}`)
+    }
+  }
+  
+  /**
+   * Pick up a login saved by an earlier visit
+   * @returns {Promise<Object|null>} Profile, or null if there was none (or it expired)
+   */
+  async restore() {
+    const token = localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY)
+    if (!token) return null
+    
+    this.token = token
+    networkManager.setAccountToken(token)
+    
+    try {
+      return await this.refresh()
+    } catch (err) {
+      if (err.status === 401) {
+        this.clearSession()
+      } else {
+        // Server unreachable - keep the token and try again later
+        console.warn(`[Account] Couldn't load profile: ${err.message}`)
+      }
+      return null
+    }
+  }
+  
+  /**
+   * @returns {Promise<Object>} Latest profile
+   */
+  async refresh() {
+    this.setProfile(await this.request('GET', '/account/profile'))
+    return this.profile
+  }
+  
+  /**
+   * Store achievement progress on the account - the server keeps the best
+   * of this and what it already had
+   * @param {{stats: Object, unlocked: Object}} progress - See src/achievements.js
+   * @returns {Promise<Object>} The account's merged progress
+   */
+  async saveAchievements(progress) {
+    const { achievementProgress } = await this.request('POST', '/account/achievements', progress)
+    if (this.profile) {
+      this.profile.achievementProgress = achievementProgress
+    }
+    return achievementProgress
+  }
+  
+  // ============================================================================
+  // FRIENDS
+  // ============================================================================
+  
+  /**
+   * Friends with their presence (PRESENCE, roomId, roomName, locked) and
+   * friend requests both ways
+   * @returns {Promise<{friends: Array, incoming: Array, outgoing: Array}>}
+   */
+  getFriends() {
+    return this.request('GET', '/account/friends')
+  }
+  
+  /**
+   * Ask a player to be friends (accepts straight away if they asked us)
+   * @returns {Promise<Object>} Updated friends list, as getFriends()
+   */
+  requestFriend(username) {
+    return this.request('POST', '/account/friends/request', { username })
+  }
+  
+  acceptFriend(username) {
+    return this.request('POST', '/account/friends/accept', { username })
+  }
+  
+  /**
+   * Unfriend, decline their request or cancel ours
+   */
+  removeFriend(username) {
+    return this.request('POST', '/account/friends/remove', { username })
+  }
+  
+  // ============================================================================
+  // STATE
+  // ============================================================================
+  
+  isLoggedIn() {
+    return this.token !== null && this.profile !== null
+  }
+  
+  getProfile() {
+    return this.profile
+  }
+  
+  /**
+   * Register callback for profile changes (login, refresh, logout)
+   * @param {Function} callback - Called with the profile, or null after logout
+   * @returns {Function} Unsubscribe
+   */
+  onProfile(callback) {
+    this.onProfileCallbacks.push(callback)
+    return () => {
+      const index = this.onProfileCallbacks.indexOf(callback)
+      if (index > -1) this.onProfileCallbacks.splice(index, 1)
+    }
+  }
+  
+  setProfile(profile) {
+    this.profile = profile
+    for (const callback of this.onProfileCallbacks) {
+      callback(profile)
+    }
+  }
+  
+  setSession(token, profile, remember) {
+    this.token = token
+    
+    localStorage.removeItem(TOKEN_KEY)
+    sessionStorage.removeItem(TOKEN_KEY)
+    const storage = remember ? localStorage : sessionStorage
+    storage.setItem(TOKEN_KEY, token)
+    
+    networkManager.setAccountToken(token)
+    this.setProfile(profile)
+  }
+  
+  clearSession() {
+    this.token = null
+    
+    localStorage.removeItem(TOKEN_KEY)
+    sessionStorage.removeItem(TOKEN_KEY)
+    
+    networkManager.setAccountToken(null)
+    this.setProfile(null)
+  }
+  
+  // ============================================================================
+  // HTTP
+  // ============================================================================
+  
+  /**
+   * @param {string} method
+   * @param {string} pathname - e.g. '/account/login'
+   * @param {Object} [body] - Sent as JSON
+   * @param {string|null} [token] - Defaults to the current login
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} err.status = HTTP status, err.message = the server's explanation
+   */
+  async request(method, pathname, body = undefined, token = this.token) {
+    const headers = {}
+    if (body !== undefined) headers['Content-Type'] = 'application/json'
+    if (token) headers['Authorization'] = `Bearer ${token}`
+    
+    const response = await fetch(networkManager.getHttpUrl(pathname), {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    })
+    const data = await response.json().catch(() => ({}))
+    
+    if (!response.ok) {
+      const err = new Error(data.error || `Account request failed: ${response.status}`)
+      err.status = response.status
+      throw err
+    }
+    
+    return data
+  }
+}
+
+export const accountClient = new AccountClient()
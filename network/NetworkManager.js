@@ -4,7 +4,7 @@
  * Usage in your src/main.js:
  *   import { networkManager } from '../network/NetworkManager.js'
  *   
- *   await networkManager.connect('ws://localhost:9001', scene)
+ *   await networkManager.connect(DEFAULT_SERVER_URL, scene)
  *   networkManager.joinGame(creatureData)
  *   
  *   // In game loop:
@@ -18,10 +18,15 @@
 
 import { 
   MSG, 
+  CODEC,
   encodeMessage, 
   decodeMessage, 
   NETWORK_CONFIG,
+  RATE_LIMITS,
+  MESSAGE_LIMITS,
   getMessageName,
+  isValidClientMessage,
+  GAME_MODE,
 } from '../shared/Protocol.js'
 import { RemotePlayerManager } from './RemotePlayerManager.js'
 import { NetworkClock } from './NetworkClock.js'
@@ -29,6 +34,9 @@ import { Determine } from '../src/determine.js'
 import { FishAdder } from '../src/FishAdder.js'
 import { PlayerRegistry } from '../src/PlayerRegistry.js'
 
+// Game server used when no other URL is given (room browser before connecting, main.js)
+export const DEFAULT_SERVER_URL = 'ws://localhost:9001'
+
 // ============================================================================
 // NETWORK MANAGER CLASS
 // ============================================================================
@@ -39,18 +47,36 @@ class NetworkManager {
     this.connected = false
     this.connecting = false
     this.serverUrl = null
+    this.codec = CODEC.JSON  // Wire codec confirmed by the server in WELCOME
     
     this.playerId = null
     this.roomId = null
+    this.roomName = null
+    this.isPrivateRoom = false
+    this.spectating = false  // Watch-only connection (connect({ spectate: true }))
     this.npcSeed = null  // Seed for deterministic NPC spawning
     this.worldSeed = null  // Seed for terrain generation (syncs map across clients)
-    this.deadNpcIds = []  // NPCs that were eaten before we joined
+    this.replay = null  // ReplayPlayer while playing back a recorded room (instead of a socket)
+    
+    // NPC Sync - the server runs the simulation, we follow its snapshots
+    this.keyframeRate = NETWORK_CONFIG.npcKeyframeRate || 2000    // Full snapshot cadence
+    this.lastKeyframeRequest = 0         // When we last asked for a full batch
+    
+    // Session resume - see startReconnect()
+    this.resumeToken = null       // Issued in WELCOME, lets us reclaim our player after a drop
+    this.reconnecting = false     // Socket dropped, trying to resume
+    this.reconnectAttempt = 0
+    this.reconnectTimer = null
+    this.reconnectDeadline = 0    // Give up after the server's grace period
     
-    // NPC Host Sync (Option 6b)
-    this.isHost = false                  // Are we the NPC simulation host?
-    this.hostId = null                   // Current host's player ID
-    this.snapshotInterval = null         // Interval for sending snapshots
-    this.snapshotRate = NETWORK_CONFIG.npcSnapshotRate || 2000
+    // Room browser
+    this.preferredRoom = null      // { roomId, password } the next connect() asks for
+    this.pendingRoomList = null    // { promise, resolve, reject, timer } while ROOM_LIST is in flight
+    this.pendingRoomChange = null  // { resolve, reject, timer } while SWITCH_ROOM/CREATE_ROOM is in flight
+    this.joinedCreature = null     // Last joinGame() args - replayed after switching rooms
+    
+    // Player account - login token sent when the socket opens (see network/AccountClient.js)
+    this.accountToken = null
     
     this.remotePlayers = null
     this.scene = null
@@ -62,6 +88,10 @@ class NetworkManager {
     this.lastSentRotation = { x: 0, y: 0, z: 0 }
     this.lastSentScale = 1
     this.lastSentVolume = 1  // Track last sent volume for change detection
+    this.serverVolume = null  // Our volume according to the server ledger
+    this.leaderboard = []     // Latest LEADERBOARD entries
+    this.roomInfo = null      // Latest ROOM_INFO (game mode, round timer, scores)
+    this.roomInfoReceivedAt = 0
     
     this.onConnectedCallback = null
     this.onDisconnectedCallback = null
@@ -69,15 +99,25 @@ class NetworkManager {
     this.onPlayerLeaveCallback = null
     this.onMapChangeCallback = null
     this.onNPCSeedReadyCallback = null  // Called when NPC seed is received
-    this.onNPCDeathCallback = null      // Called when an NPC is eaten by another player
+    this.onNPCDeathCallback = null      // Called when a player eats an NPC
     this.onChatMessageCallback = null   // Called when a chat message is received from another player
-    this.onNPCSnapshotCallback = null   // Called when NPC snapshot received (followers only)
-    this.onBecameHostCallback = null    // Called when we become NPC host
+    this.onWhisperCallback = null       // Called when a whisper arrives, is delivered or fails
+    this.onNPCSnapshotCallback = null   // Called when an NPC snapshot is received
     this.onAbilityChangeCallback = null // Called when a remote player changes ability state
     this.onPrismPlaceCallback = null    // Called when a remote player places a prism
     this.onPrismRemoveCallback = null   // Called when a remote player's prism is removed
     this.onLocalPlayerEatenCallback = null  // Called when we are eaten by another player (PvP)
+    this.onEatRejectedCallback = null       // Called when the server rejects our EAT_PLAYER / EAT_NPC claim
+    this.onPlayerRestoredCallback = null    // Called when the server hands back our saved run (logged in)
+    this.onServerVolumeCallback = null      // Called with our ledger volume from each BATCH_POSITIONS
+    this.onLeaderboardCallback = null       // Called when a leaderboard update arrives
+    this.onReconnectingCallback = null      // Called when the socket drops and we start retrying
+    this.onReconnectedCallback = null       // Called when a reconnect attempt finishes (resumed or not)
+    this.onRoomChangedCallback = null       // Called after we moved to another room (world must be rebuilt)
+    this.onReplayResetCallback = null       // Called when a replay (re)starts from its header
+    this.onRoomInfoCallback = null          // Called when ROOM_INFO arrives (round start/end, eliminations)
     
+    this.invalidSendTypes = new Set()  // Message types we already warned about failing validation
     this.debug = false  // Set to true for verbose logging
   }
   
@@ -86,22 +126,52 @@ class NetworkManager {
   // ============================================================================
   
   async connect(serverUrl, scene, options = {}) {
-    if (this.connected || this.connecting) {
+    if (this.connected || this.connecting || this.reconnecting) {
       console.warn('[Network] Already connected or connecting')
       return this.playerId
     }
     
-    this.connecting = true
     this.serverUrl = serverUrl
     this.scene = scene
+    this.spectating = options.spectate || false
     
     this.remotePlayers = new RemotePlayerManager(scene)
     
+    console.log(`[Network] Connecting to ${serverUrl}...`)
+    return this.openSocket(options)
+  }
+  
+  /**
+   * Open the WebSocket and wait for WELCOME
+   * Shared by connect() and reconnect attempts (which pass our resume token)
+   * 
+   * @param {Object} options - { timeout, resume, spectate }
+   * @returns {Promise<number>} Our player ID
+   */
+  openSocket(options = {}) {
+    this.connecting = true
+    
     return new Promise((resolve, reject) => {
-      console.log(`[Network] Connecting to ${serverUrl}...`)
-      
       try {
-        this.socket = new WebSocket(serverUrl)
+        // Ask for binary encoding of the hot paths - server confirms in WELCOME
+        const url = new URL(this.serverUrl)
+        url.searchParams.set('codec', CODEC.BINARY)
+        if (this.spectating) {
+          url.searchParams.set('spectate', '1')
+        }
+        if (this.accountToken) {
+          url.searchParams.set('account', this.accountToken)
+        }
+        if (options.resume && this.resumeToken) {
+          url.searchParams.set('resume', this.resumeToken)
+        } else if (this.preferredRoom) {
+          url.searchParams.set('room', this.preferredRoom.roomId)
+          if (this.preferredRoom.password) {
+            url.searchParams.set('password', this.preferredRoom.password)
+          }
+        }
+        
+        this.socket = new WebSocket(url.toString())
         this.socket.binaryType = 'arraybuffer'
       } catch (err) {
         this.connecting = false
@@ -109,19 +179,21 @@ class NetworkManager {
         return
       }
       
+      const socket = this.socket
+      
       const timeout = setTimeout(() => {
         if (this.connecting) {
           this.connecting = false
-          this.socket?.close()
+          socket.close()
           reject(new Error('Connection timeout'))
         }
       }, options.timeout || 5000)
       
-      this.socket.onopen = () => {
+      socket.onopen = () => {
         console.log('[Network] WebSocket connected, waiting for WELCOME...')
       }
       
-      this.socket.onmessage = (event) => {
+      socket.onmessage = (event) => {
         const data = decodeMessage(event.data)
         
         if (this.debug) {
@@ -131,54 +203,11 @@ class NetworkManager {
         if (data.type === MSG.WELCOME && this.connecting) {
           clearTimeout(timeout)
           this.connecting = false
-          this.connected = true
-          this.playerId = data.id
-          this.roomId = data.roomId
-          
-          // Store world seed for terrain sync
-          if (data.worldSeed !== undefined) {
-            this.worldSeed = data.worldSeed
-            console.log(`[Network] World seed: ${data.worldSeed} (0x${(data.worldSeed >>> 0).toString(16).toUpperCase()})`)
-          }
           
-          // Initialize deterministic RNG for NPCs
-          if (data.npcSeed !== undefined) {
-            this.npcSeed = data.npcSeed
-            Determine.init(data.npcSeed)
-            console.log(`[Network] NPC seed initialized: ${data.npcSeed} (0x${(data.npcSeed >>> 0).toString(16).toUpperCase()})`)
-          }
-          
-          // Store dead NPC IDs for late joiners
-          this.deadNpcIds = data.deadNpcIds || []
-          if (this.deadNpcIds.length > 0) {
-            console.log(`[Network] ${this.deadNpcIds.length} NPCs already dead in this room`)
-          }
-          
-          // NPC Host status
-          this.hostId = data.hostId || null
-          this.isHost = data.isHost || false
-          if (this.isHost) {
-            console.log(`[Network] We are the NPC HOST - will broadcast snapshots`)
-            // Don't start broadcast yet - wait for NPCs to spawn first
-            // main.js will call startSnapshotBroadcast() after FishAdder.spawnInitialFish()
+          if (this.reconnecting) {
+            this.handleResumeWelcome(data)
           } else {
-            console.log(`[Network] NPC host is player ${this.hostId}`)
-          }
-          
-          console.log(`[Network] Connected! Player ID: ${this.playerId}, Room: ${this.roomId}`)
-          
-          if (data.players && data.players.length > 0) {
-            console.log(`[Network] Spawning ${data.players.length} existing players`)
-            data.players.forEach(player => {
-              this.remotePlayers.addPlayer(player.id, player)
-            })
-          }
-          
-          this.onConnectedCallback?.(this.playerId, this.roomId)
-          
-          // Notify that NPC seed is ready (after connected callback)
-          if (this.npcSeed !== null) {
-            this.onNPCSeedReadyCallback?.(this.npcSeed, this.deadNpcIds)
+            this.handleWelcome(data)
           }
           
           resolve(this.playerId)
@@ -188,9 +217,12 @@ class NetworkManager {
         this.handleMessage(data)
       }
       
-      this.socket.onclose = (event) => {
+      socket.onclose = (event) => {
         console.log(`[Network] Connection closed: code=${event.code}`)
         
+        // A socket we already replaced (timed-out attempt) - nothing to do
+        if (socket !== this.socket) return
+        
         if (this.connecting) {
           clearTimeout(timeout)
           this.connecting = false
@@ -198,10 +230,19 @@ class NetworkManager {
           return
         }
         
-        this.handleDisconnect()
+        // Failed reconnect attempts are retried from attemptReconnect()
+        if (this.reconnecting) return
+        
+        // 1000 = we called disconnect(), kickCloseCode = server kicked us;
+        // anything else is worth resuming
+        if (this.connected && this.resumeToken && event.code !== 1000 && event.code !== RATE_LIMITS.kickCloseCode) {
+          this.startReconnect()
+        } else {
+          this.handleDisconnect()
+        }
       }
       
-      this.socket.onerror = (error) => {
+      socket.onerror = (error) => {
         console.error('[Network] WebSocket error:', error)
         
         if (this.connecting) {
@@ -213,29 +254,215 @@ class NetworkManager {
     })
   }
   
+  /**
+   * First WELCOME of a session
+   */
+  handleWelcome(data) {
+    this.connected = true
+    this.playerId = data.id
+    this.roomId = data.roomId
+    this.roomName = data.roomName || data.roomId
+    this.isPrivateRoom = data.isPrivate || false
+    this.spectating = data.spectator === true
+    this.codec = data.codec === CODEC.BINARY ? CODEC.BINARY : CODEC.JSON
+    this.resumeToken = data.resumeToken || null
+    
+    if (this.preferredRoom && this.preferredRoom.roomId !== this.roomId) {
+      console.warn(`[Network] Could not join room ${this.preferredRoom.roomId} - placed in ${this.roomId}`)
+    }
+    this.preferredRoom = null
+    
+    // Store world seed for terrain sync
+    if (data.worldSeed !== undefined) {
+      this.worldSeed = data.worldSeed
+      console.log(`[Network] World seed: ${data.worldSeed} (0x${(data.worldSeed >>> 0).toString(16).toUpperCase()})`)
+    }
+    
+    // Initialize deterministic RNG for NPCs
+    if (data.npcSeed !== undefined) {
+      this.npcSeed = data.npcSeed
+      Determine.init(data.npcSeed)
+      console.log(`[Network] NPC seed initialized: ${data.npcSeed} (0x${(data.npcSeed >>> 0).toString(16).toUpperCase()})`)
+    }
+    
+    // The room's NPCs follow in a full NPC_BATCH_SPAWN right after this message
+    
+    console.log(`[Network] Connected${this.spectating ? ' as spectator' : ''}! Player ID: ${this.playerId}, Room: ${this.roomId}, Codec: ${this.codec}`)
+    
+    if (data.players && data.players.length > 0) {
+      console.log(`[Network] Spawning ${data.players.length} existing players`)
+      this.addWelcomePlayers(data.players)
+    }
+    
+    this.onConnectedCallback?.(this.playerId, this.roomId)
+    
+    // Notify that NPC seed is ready (after connected callback)
+    if (this.npcSeed !== null) {
+      this.onNPCSeedReadyCallback?.(this.npcSeed)
+    }
+  }
+  
+  /**
+   * Spawn the players listed in WELCOME, including the prisms they have placed
+   */
+  addWelcomePlayers(players) {
+    players.forEach(player => {
+      this.remotePlayers.addPlayer(player.id, player)
+      
+      for (const prism of player.prisms || []) {
+        this.onPrismPlaceCallback?.(player.id, prism)
+      }
+    })
+  }
+  
+  /**
+   * Remove every remote player (and their prisms / registry entries)
+   */
+  clearRemotePlayers() {
+    for (const id of [...this.remotePlayers.getAllPlayers().keys()]) {
+      this.remotePlayers.removePlayer(id)
+      PlayerRegistry.unregister(id)
+    }
+  }
+  
+  /**
+   * WELCOME received by a reconnect attempt
+   * If the server still held our session we carry on as the same player -
+   * creature and volume are untouched and the server follows up with a full
+   * NPC batch. Otherwise the run is gone and we fall back to the normal
+   * disconnect path.
+   */
+  handleResumeWelcome(data) {
+    if (!data.resumed || data.id !== this.playerId) {
+      console.warn('[Network] Session expired on the server - could not resume')
+      this.socket.close(1000)
+      this.socket = null
+      this.handleDisconnect()
+      this.onReconnectedCallback?.({ resumed: false })
+      return
+    }
+    
+    this.reconnecting = false
+    this.reconnectAttempt = 0
+    this.connected = true
+    this.codec = data.codec === CODEC.BINARY ? CODEC.BINARY : CODEC.JSON
+    this.resumeToken = data.resumeToken || this.resumeToken
+    
+    if (typeof data.volume === 'number') {
+      this.serverVolume = data.volume
+    }
+    
+    // Rebuild remote players - some may have left, joined or moved prisms meanwhile
+    this.clearRemotePlayers()
+    this.addWelcomePlayers(data.players || [])
+    
+    console.log(`[Network] Resumed as player ${this.playerId} in room ${this.roomId}`)
+    
+    this.onReconnectedCallback?.({
+      resumed: true,
+      prisms: data.prisms || [],
+    })
+  }
+  
+  // ============================================================================
+  // RECONNECT
+  // ============================================================================
+  
+  /**
+   * Socket dropped unexpectedly - keep our state and retry with backoff
+   * until the server's grace period would have expired
+   */
+  startReconnect() {
+    console.log('[Network] Connection lost - reconnecting...')
+    
+    this.connected = false
+    this.reconnecting = true
+    this.reconnectAttempt = 0
+    this.reconnectDeadline = performance.now() + NETWORK_CONFIG.resumeGracePeriod
+    
+    this.onReconnectingCallback?.()
+    this.scheduleReconnect()
+  }
+  
+  scheduleReconnect() {
+    const backoff = Math.min(
+      NETWORK_CONFIG.reconnectMaxDelay,
+      NETWORK_CONFIG.reconnectBaseDelay * Math.pow(2, this.reconnectAttempt)
+    )
+    // +/-20% jitter so a restarted server isn't hit by every client at once
+    const delay = backoff * (0.8 + Math.random() * 0.4)
+    
+    if (performance.now() + delay > this.reconnectDeadline) {
+      console.warn('[Network] Reconnect window elapsed - giving up')
+      this.handleDisconnect()
+      this.onReconnectedCallback?.({ resumed: false })
+      return
+    }
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.attemptReconnect()
+    }, delay)
+  }
+  
+  attemptReconnect() {
+    if (!this.reconnecting) return
+    
+    this.reconnectAttempt++
+    console.log(`[Network] Reconnect attempt ${this.reconnectAttempt}...`)
+    
+    this.openSocket({ resume: true }).catch(err => {
+      if (!this.reconnecting) return
+      console.log(`[Network] Reconnect attempt ${this.reconnectAttempt} failed: ${err.message}`)
+      this.scheduleReconnect()
+    })
+  }
+  
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+    this.reconnecting = false
+    this.reconnectAttempt = 0
+  }
+  
   disconnect() {
+    this.cancelReconnect()
     if (this.socket) {
-      this.socket.close()
+      this.socket.close(1000)
       this.socket = null
     }
     this.handleDisconnect()
   }
   
   handleDisconnect() {
-    const wasConnected = this.connected
+    const wasConnected = this.connected || this.reconnecting
     
+    this.cancelReconnect()
     this.connected = false
     this.connecting = false
     this.playerId = null
     this.roomId = null
+    this.roomName = null
+    this.isPrivateRoom = false
+    this.spectating = false
+    this.joinedCreature = null
+    this.resumeToken = null
     this.npcSeed = null
     this.worldSeed = null
-    this.deadNpcIds = []
+    this.serverVolume = null
+    this.leaderboard = []
+    this.roomInfo = null
     
-    // Clean up host state
-    this.stopSnapshotBroadcast()
-    this.isHost = false
-    this.hostId = null
+    // Fail any room request still waiting on the old socket
+    if (this.pendingRoomList) {
+      clearTimeout(this.pendingRoomList.timer)
+      this.pendingRoomList.reject(new Error('Disconnected'))
+      this.pendingRoomList = null
+    }
+    this.pendingRoomChange?.reject(new Error('Disconnected'))
+    this.pendingRoomChange = null
     
     this.remotePlayers?.destroy()
     this.remotePlayers = null
@@ -272,6 +499,10 @@ class NetworkManager {
         this.handleSizeUpdate(data)
         break
         
+      case MSG.PLAYER_RESTORED:
+        this.handlePlayerRestored(data)
+        break
+        
       case MSG.PONG:
         this.handlePong(data)
         break
@@ -285,6 +516,7 @@ class NetworkManager {
       case MSG.PLAYER_EATEN:
       case MSG.PLAYER_DIED:
       case MSG.PLAYER_RESPAWN:
+      case MSG.EAT_REJECTED:
         this.handlePvPMessage(data)
         break
         
@@ -292,16 +524,24 @@ class NetworkManager {
         this.handleLeaderboard(data)
         break
         
+      case MSG.ROOM_INFO:
+        this.handleRoomInfo(data)
+        break
+        
       case MSG.MAP_CHANGE:
         this.handleMapChange(data)
         break
         
-      case MSG.HOST_ASSIGNED:
-        this.handleHostAssigned(data)
+      case MSG.WELCOME:
+        this.handleRoomWelcome(data)
+        break
+        
+      case MSG.ROOM_LIST:
+        this.handleRoomList(data)
         break
         
-      case MSG.HOST_CHANGED:
-        this.handleHostChanged(data)
+      case MSG.ROOM_ERROR:
+        this.handleRoomError(data)
         break
         
       case MSG.NPC_SNAPSHOT:
@@ -325,6 +565,10 @@ class NetworkManager {
         this.handleChatMessage(data)
         break
         
+      case MSG.WHISPER:
+        this.onWhisperCallback?.(data)
+        break
+        
       default:
         if (this.debug) {
           console.log(`[Network] Unhandled message type: ${data.type}`)
@@ -363,7 +607,14 @@ class NetworkManager {
     const serverTime = data.time || Date.now()
     
     data.p.forEach(pos => {
-      if (pos.id === this.playerId) return
+      if (pos.id === this.playerId) {
+        // Our own entry carries the server's volume ledger
+        if (typeof pos.v === 'number') {
+          this.serverVolume = pos.v
+          this.onServerVolumeCallback?.(pos.v)
+        }
+        return
+      }
       
       // RemotePlayerManager.updatePosition -> RemotePlayer.updateVolume -> PlayerRegistry.setWorldVolume
       this.remotePlayers?.updatePosition(pos.id, {
@@ -388,6 +639,20 @@ class NetworkManager {
     this.remotePlayers?.updateSize(data.id, data.scale)
   }
   
+  /**
+   * Our JOIN_GAME picked up the run the server saved for our account in this
+   * room - its ledger already holds the volume, we match it
+   */
+  handlePlayerRestored(data) {
+    this.serverVolume = data.volume
+    console.log(`[Network] Saved run restored: ${data.volume.toFixed(1)} m^3, ${data.prisms.length} prisms`)
+    
+    this.onPlayerRestoredCallback?.({
+      volume: data.volume,
+      prisms: data.prisms,
+    })
+  }
+  
   handlePong(data) {
     this.clock.handlePong(data.clientTime, data.serverTime)
   }
@@ -395,16 +660,21 @@ class NetworkManager {
   handleNPCMessage(data) {
     switch (data.type) {
       case MSG.NPC_DEATH:
-        // Another player ate this NPC - remove it locally
+        // Eaten by a player (eatenBy) or by another NPC (predatorId)
         if (data.npcId) {
-          console.log(`[Network] NPC ${data.npcId} was eaten by player ${data.eatenBy}`)
-          this.onNPCDeathCallback?.(data.npcId, data.eatenBy)
+          FishAdder.applyDeath(data)
+          if (data.eatenBy) {
+            this.onNPCDeathCallback?.(data.npcId, data.eatenBy)
+          }
         }
         break
         
       case MSG.NPC_SPAWN:
+        FishAdder.applySpawns([data], false, data.tick ?? null)
+        break
+        
       case MSG.NPC_BATCH_SPAWN:
-        // For late joiners - not implemented yet
+        FishAdder.applySpawns(data.npcs, data.full === true, data.tick ?? null)
         break
     }
   }
@@ -439,16 +709,64 @@ class NetworkManager {
         break
         
       case MSG.PLAYER_RESPAWN:
-        // A player respawned - re-add them if we had removed them
+        // A player respawned - re-add them if we had removed them when they died
         console.log(`[Network] Player ${data.playerId} respawned at`, data.position)
-        // The player will show up again via normal position updates
-        // If they were previously removed, they'll be re-added when we get their PLAYER_JOIN or position
+        if (data.player && data.playerId !== this.playerId && !this.remotePlayers?.getPlayer(data.playerId)) {
+          this.remotePlayers?.addPlayer(data.playerId, data.player)
+        }
+        break
+        
+      case MSG.EAT_REJECTED:
+        if (data.npcId !== undefined) {
+          // Server refused our NPC eat - its ledger didn't grow, so ours shouldn't either
+          console.warn(`[Network] EAT_NPC on ${data.npcId} rejected: ${data.reason}`)
+          if (typeof data.volume === 'number') this.serverVolume = data.volume
+          this.onEatRejectedCallback?.({
+            npcId: data.npcId,
+            reason: data.reason,
+            volume: data.volume,
+          })
+          break
+        }
+        
+        // Server refused our kill - the prey is still alive
+        console.warn(`[Network] EAT_PLAYER on ${data.preyId} rejected: ${data.reason}`)
+        
+        // We removed the prey locally when we ate it - bring them back
+        if (data.prey && !this.remotePlayers?.getPlayer(data.preyId)) {
+          this.remotePlayers?.addPlayer(data.preyId, data.prey)
+        }
+        
+        this.onEatRejectedCallback?.({
+          preyId: data.preyId,
+          reason: data.reason,
+        })
         break
     }
   }
   
+  /**
+   * Handle periodic leaderboard from server
+   * @param {object} data - { time, entries: [{ id, name, v, k, st }] }
+   */
   handleLeaderboard(data) {
-    // TODO: Phase 4
+    if (!Array.isArray(data.entries)) return
+    
+    this.leaderboard = data.entries
+    this.onLeaderboardCallback?.(data.entries)
+  }
+  
+  /**
+   * Handle the room's game mode state (sent after WELCOME, every second in
+   * round modes, and at once when a round starts or ends)
+   * @param {object} data - See GameMode.getInfo(); event is 'round_start' / 'round_end' or absent
+   */
+  handleRoomInfo(data) {
+    const { type, event, ...info } = data
+    
+    this.roomInfo = info
+    this.roomInfoReceivedAt = performance.now()
+    this.onRoomInfoCallback?.(info, event || null)
   }
   
   handleMapChange(data) {
@@ -456,8 +774,13 @@ class NetworkManager {
     const masterSeed = data.seed
     console.log(`[Network] Map change received - masterSeed: 0x${masterSeed.toString(16).toUpperCase()}`)
     
+    // Same derivation as the server (Room.handleMapChangeRequest)
+    this.worldSeed = masterSeed
+    this.npcSeed = (masterSeed + 1) >>> 0
+    
     // NOTE: Determine.reset() is now handled by performMapRegeneration() in controls.js
-    // This ensures proper ordering: terrain -> SpawnFactory -> Determine -> fish spawn
+    // This ensures proper ordering: terrain -> SpawnFactory -> Determine
+    // The new NPCs arrive in a full NPC_BATCH_SPAWN right after this message
     
     this.onMapChangeCallback?.(masterSeed, data.requestedBy)
   }
@@ -511,110 +834,209 @@ class NetworkManager {
   }
   
   // ============================================================================
-  // NPC HOST SYNC (Option 6b)
+  // ROOMS
   // ============================================================================
   
   /**
-   * Handle becoming the NPC host (first join or migration)
+   * Fetch the public room list with our measured ping
+   * Uses ROOM_LIST over the socket when connected, otherwise the server's
+   * HTTP /rooms endpoint (so the browser works from the main menu)
+   * 
+   * @returns {Promise<{rooms: Array, ping: number}>}
    */
-  handleHostAssigned(data) {
-    if (data.isHost) {
-      console.log('[Network] We are now the NPC HOST')
-      this.isHost = true
-      this.hostId = this.playerId
-      
-      // Start broadcasting snapshots
-      this.startSnapshotBroadcast()
-      
-      this.onBecameHostCallback?.()
+  requestRoomList() {
+    if (!this.connected) {
+      return this.fetchRoomList()
     }
+    
+    if (this.pendingRoomList) {
+      return this.pendingRoomList.promise
+    }
+    
+    const pending = {}
+    pending.promise = new Promise((resolve, reject) => {
+      pending.resolve = resolve
+      pending.reject = reject
+    })
+    pending.timer = setTimeout(() => {
+      this.pendingRoomList = null
+      pending.reject(new Error('Room list timeout'))
+    }, 5000)
+    this.pendingRoomList = pending
+    
+    this.send(MSG.ROOM_LIST, { clientTime: performance.now() })
+    return pending.promise
   }
   
-  /**
-   * Handle host migration (another player is now host)
-   */
-  handleHostChanged(data) {
-    this.hostId = data.hostId
+  async fetchRoomList() {
+    const start = performance.now()
+    const response = await fetch(this.getHttpUrl('/rooms'))
+    const ping = performance.now() - start
     
-    if (data.hostId === this.playerId) {
-      // We became the new host
-      console.log('[Network] Host migrated to us - we are now NPC HOST')
-      this.isHost = true
-      this.startSnapshotBroadcast()
-      this.onBecameHostCallback?.()
-    } else {
-      // Someone else is host
-      console.log(`[Network] Host migrated to player ${data.hostId}`)
-      this.isHost = false
-      this.stopSnapshotBroadcast()
+    if (!response.ok) {
+      throw new Error(`Room list failed: ${response.status}`)
     }
+    
+    return { rooms: await response.json(), ping: Math.round(ping) }
   }
   
   /**
-   * Handle NPC snapshot from host (followers only)
+   * HTTP address of one of the game server's endpoints
+   * @param {string} pathname - e.g. '/rooms'
+   * @returns {string}
    */
-  handleNPCSnapshot(data) {
-    // Ignore if we're the host (shouldn't receive our own snapshots)
-    if (this.isHost) return
+  getHttpUrl(pathname) {
+    const url = new URL(this.serverUrl || DEFAULT_SERVER_URL)
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:'
+    url.pathname = pathname
+    url.search = ''
+    return url.toString()
+  }
+  
+  handleRoomList(data) {
+    const pending = this.pendingRoomList
+    if (!pending) return
     
-    // Apply snapshot to FishAdder
-    FishAdder.applySnapshot(data)
+    clearTimeout(pending.timer)
+    this.pendingRoomList = null
     
-    // Also notify callback if registered
-    this.onNPCSnapshotCallback?.(data)
+    const ping = typeof data.clientTime === 'number' ? performance.now() - data.clientTime : 0
+    pending.resolve({ rooms: data.rooms || [], ping: Math.round(ping) })
   }
   
   /**
-   * Start broadcasting NPC snapshots (host only)
+   * Move to another room (public ID or private code)
+   * When offline the choice is remembered and used by the next connect()
+   * 
+   * @param {string} roomId - Room ID or private room code
+   * @param {string|null} password - Password for private rooms
+   * @returns {Promise<Object>} Resolves with the new room info, rejects with err.reason
    */
-  startSnapshotBroadcast() {
-    if (this.snapshotInterval) {
-      console.log('[Network] Snapshot broadcast already running')
-      return
+  switchRoom(roomId, password = null) {
+    if (!this.connected) {
+      this.preferredRoom = { roomId, password }
+      return Promise.resolve({ roomId, queued: true })
     }
     
-    console.log(`[Network] Starting NPC snapshot broadcast (every ${this.snapshotRate}ms)`)
+    const result = this.awaitRoomChange()
+    this.send(MSG.SWITCH_ROOM, { roomId, password })
+    return result
+  }
+  
+  /**
+   * Create a password-protected private room and move into it
+   * @param {string} name - Display name of the room
+   * @param {string} password - Optional password
+   * @param {string} mode - GAME_MODE value
+   * @returns {Promise<Object>} Resolves with the new room info (roomId is the shareable code)
+   */
+  createPrivateRoom(name, password = '', mode = GAME_MODE.FREE_FOR_ALL) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected'))
+    }
     
-    this.snapshotInterval = setInterval(() => {
-      if (!this.connected || !this.isHost) {
-        this.stopSnapshotBroadcast()
-        return
-      }
-      
-      const snapshot = FishAdder.getSnapshot()
-      this.send(MSG.NPC_SNAPSHOT, snapshot)
+    const result = this.awaitRoomChange()
+    this.send(MSG.CREATE_ROOM, { name, password, mode })
+    return result
+  }
+  
+  awaitRoomChange() {
+    this.pendingRoomChange?.reject(new Error('Superseded'))
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRoomChange = null
+        reject(new Error('Room change timeout'))
+      }, 5000)
       
-      if (this.debug) {
-        console.log(`[Network] Sent NPC snapshot: tick=${snapshot.tick}, fish=${snapshot.fish.length}`)
+      this.pendingRoomChange = {
+        resolve: (info) => { clearTimeout(timer); resolve(info) },
+        reject: (err) => { clearTimeout(timer); reject(err) },
       }
-    }, this.snapshotRate)
+    })
+  }
+  
+  handleRoomError(data) {
+    console.warn(`[Network] Room request failed: ${data.reason}${data.roomId ? ` (${data.roomId})` : ''}`)
+    
+    const pending = this.pendingRoomChange
+    this.pendingRoomChange = null
+    
+    const err = new Error(data.reason)
+    err.reason = data.reason
+    pending?.reject(err)
   }
   
   /**
-   * Stop broadcasting NPC snapshots
+   * WELCOME while already connected - the server moved us to another room
+   * Everything room-scoped is replaced; main.js rebuilds the world from the
+   * new seeds in onRoomChanged and we rejoin with the same creature
    */
-  stopSnapshotBroadcast() {
-    if (this.snapshotInterval) {
-      console.log('[Network] Stopping NPC snapshot broadcast')
-      clearInterval(this.snapshotInterval)
-      this.snapshotInterval = null
+  handleRoomWelcome(data) {
+    this.clearRemotePlayers()
+    
+    this.playerId = data.id
+    this.roomId = data.roomId
+    this.roomName = data.roomName || data.roomId
+    this.isPrivateRoom = data.isPrivate || false
+    this.codec = data.codec === CODEC.BINARY ? CODEC.BINARY : CODEC.JSON
+    this.resumeToken = data.resumeToken || null
+    this.worldSeed = data.worldSeed ?? null
+    this.npcSeed = data.npcSeed ?? null
+    this.serverVolume = null
+    this.leaderboard = []
+    this.roomInfo = null  // The new room's follows WELCOME
+    
+    console.log(`[Network] Moved to room ${this.roomId} (${this.roomName}) as player ${this.playerId}`)
+    
+    this.addWelcomePlayers(data.players || [])
+    
+    if (this.joinedCreature) {
+      this.joinGame(this.joinedCreature.creature, this.joinedCreature.displayName)
     }
+    
+    const info = {
+      roomId: this.roomId,
+      roomName: this.roomName,
+      isPrivate: this.isPrivateRoom,
+    }
+    
+    this.pendingRoomChange?.resolve(info)
+    this.pendingRoomChange = null
+    
+    this.onRoomChangedCallback?.(info)
   }
   
+  // ============================================================================
+  // NPC SYNC (the server runs the simulation)
+  // ============================================================================
+  
   /**
-   * Check if we're the NPC host
-   * @returns {boolean}
+   * Handle an NPC snapshot from the server
+   * NPCs the snapshot mentions that we have no mesh for mean a spawn batch
+   * was missed - ask for the whole population again
    */
-  isNPCHost() {
-    return this.isHost
+  handleNPCSnapshot(data) {
+    const { missing } = FishAdder.applySnapshot(data)
+    
+    if (missing > 0) {
+      this.requestNPCKeyframe()
+    }
+    
+    this.onNPCSnapshotCallback?.(data)
   }
   
   /**
-   * Get the current NPC host player ID
-   * @returns {number|null}
+   * Ask the server for a full NPC batch
+   * Throttled to one request per keyframe interval - the answer takes a
+   * round trip and every delta until then reports the same missing NPCs
    */
-  getNPCHostId() {
-    return this.hostId
+  requestNPCKeyframe() {
+    const now = performance.now()
+    if (now - this.lastKeyframeRequest < this.keyframeRate) return
+    
+    this.lastKeyframeRequest = now
+    this.send(MSG.NPC_KEYFRAME_REQUEST, {})
   }
   
   /**
@@ -646,8 +1068,17 @@ class NetworkManager {
       return false
     }
     
+    // Same schema the server enforces - malformed messages would only earn strikes
+    if (!isValidClientMessage({ type, ...data })) {
+      if (!this.invalidSendTypes.has(type)) {
+        this.invalidSendTypes.add(type)
+        console.warn(`[Network] Not sending malformed ${getMessageName(type)}:`, data)
+      }
+      return false
+    }
+    
     try {
-      const message = encodeMessage(type, data)
+      const message = encodeMessage(type, data, this.codec)
       this.socket.send(message)
       return true
     } catch (err) {
@@ -664,12 +1095,26 @@ class NetworkManager {
    */
   sendChatMessage(text, isEmoji = false, showProximity = true) {
     if (!this.connected || !text) return false
-    return this.send(MSG.CHAT, { text, isEmoji, showProximity })
+    return this.send(MSG.CHAT, { text: text.substring(0, MESSAGE_LIMITS.chatMaxLength), isEmoji, showProximity })
+  }
+  
+  /**
+   * Send a private message to a friend in any room (needs a logged-in connection)
+   * The server answers with a WHISPER: { to, text } once delivered or { to, error }
+   * @param {string} to - Friend's username
+   * @param {string} text
+   * @returns {boolean} Whether send was successful
+   */
+  sendWhisper(to, text) {
+    if (!this.connected || !to || !text) return false
+    return this.send(MSG.WHISPER, { to, text: text.substring(0, MESSAGE_LIMITS.chatMaxLength) })
   }
   
   joinGame(creature, displayName = 'Player') {
     console.log(`[Network] Joining game as ${creature.class}`)
     
+    this.joinedCreature = { creature, displayName }
+    
     this.send(MSG.JOIN_GAME, {
       name: displayName,
       creature: {
@@ -780,6 +1225,10 @@ class NetworkManager {
   }
   
   sendCreatureUpdate(creature) {
+    if (this.joinedCreature) {
+      this.joinedCreature.creature = creature
+    }
+    
     this.send(MSG.CREATURE_UPDATE, {
       creature: {
         type: creature.type,
@@ -796,6 +1245,12 @@ class NetworkManager {
     })
   }
   
+  /**
+   * Send notification that we ate an NPC
+   * The server checks the NPC still exists and is small enough, then credits
+   * our volume ledger with its volume
+   * @param {string} npcId - The NPC's ID
+   */
   sendEatNPC(npcId) {
     if (!this.connected) return false
     return this.send(MSG.EAT_NPC, {
@@ -837,11 +1292,87 @@ class NetworkManager {
     })
   }
   
+  // ============================================================================
+  // REPLAY PLAYBACK (see ReplayPlayer.js)
+  // ============================================================================
+  
+  /**
+   * Play a recorded room instead of connecting - its messages arrive
+   * through handleMessage() and nothing is sent
+   * @param {ReplayPlayer} player
+   * @param {THREE.Scene} scene
+   */
+  startReplay(player, scene) {
+    if (this.connected || this.connecting || this.reconnecting) {
+      this.disconnect()
+    }
+    
+    this.scene = scene
+    this.remotePlayers = new RemotePlayerManager(scene)
+    this.replay = player
+    this.spectating = true
+    
+    player.start(this)
+    
+    console.log(`[Network] Playing replay of ${this.roomName} (${(player.getDuration() / 1000).toFixed(0)}s)`)
+  }
+  
+  /**
+   * Reset to the room state a replay file starts from
+   * Called by ReplayPlayer at the start and when seeking backwards
+   * @param {Object} header - Replay header (see ReplayRecorder.js)
+   */
+  applyReplayHeader(header) {
+    const worldChanged = header.worldSeed !== this.worldSeed
+    
+    this.clearRemotePlayers()
+    
+    this.playerId = null
+    this.roomId = header.roomId
+    this.roomName = header.roomName || header.roomId
+    this.worldSeed = header.worldSeed
+    this.npcSeed = header.npcSeed
+    this.leaderboard = []
+    this.roomInfo = header.roomInfo || null
+    this.roomInfoReceivedAt = performance.now()
+    
+    // main.js clears NPCs and rebuilds terrain before the header's state goes in
+    this.onReplayResetCallback?.({ worldChanged })
+    Determine.init(header.npcSeed)
+    
+    this.addWelcomePlayers(header.players || [])
+    FishAdder.applySpawns(header.npcs || [], true, header.npcTick ?? null)
+  }
+  
+  stopReplay() {
+    if (!this.replay) return
+    
+    this.clearRemotePlayers()
+    this.replay = null
+    this.spectating = false
+    this.roomId = null
+    this.roomName = null
+  }
+  
+  isReplaying() {
+    return this.replay !== null
+  }
+  
+  getReplay() {
+    return this.replay
+  }
+  
   // ============================================================================
   // UPDATE LOOP
   // ============================================================================
   
   update(delta) {
+    if (this.replay) {
+      this.replay.update(delta)
+      this.remotePlayers?.update(delta, this.replay.getRenderTime())
+      return
+    }
+    
     if (!this.connected) return
     
     const renderTime = this.clock.getRenderTime()
@@ -874,10 +1405,27 @@ class NetworkManager {
     )
   }
   
+  /**
+   * Login token for the next connection (null when logged out)
+   * An open socket keeps the account it connected with
+   * @param {string|null} token
+   */
+  setAccountToken(token) {
+    this.accountToken = token
+  }
+  
   isConnected() {
     return this.connected
   }
   
+  isReconnecting() {
+    return this.reconnecting
+  }
+  
+  getReconnectAttempt() {
+    return this.reconnectAttempt
+  }
+  
   getPlayerId() {
     return this.playerId
   }
@@ -886,6 +1434,18 @@ class NetworkManager {
     return this.roomId
   }
   
+  getRoomName() {
+    return this.roomName
+  }
+  
+  isInPrivateRoom() {
+    return this.isPrivateRoom
+  }
+  
+  isSpectating() {
+    return this.spectating
+  }
+  
   getRemotePlayers() {
     return this.remotePlayers
   }
@@ -898,12 +1458,54 @@ class NetworkManager {
     return this.clock.getLatency()
   }
   
-  getNPCSeed() {
-    return this.npcSeed
+  /**
+   * Get our volume as tracked by the server ledger
+   * This is what other players see and what PvP eats are checked against
+   * @returns {number|null}
+   */
+  getServerVolume() {
+    return this.serverVolume
+  }
+  
+  getLeaderboard() {
+    return this.leaderboard
   }
   
-  getDeadNpcIds() {
-    return this.deadNpcIds
+  /**
+   * @returns {object|null} Latest ROOM_INFO - { mode, state, round, remaining, scores, winner, teams, out }
+   */
+  getRoomInfo() {
+    return this.roomInfo
+  }
+  
+  /**
+   * Time left in the current round or intermission, counted down locally
+   * between ROOM_INFO updates
+   * @returns {number|null} ms, or null when no timer runs
+   */
+  getRoundRemaining() {
+    const remaining = this.roomInfo?.remaining
+    if (typeof remaining !== 'number') return null
+    return Math.max(0, remaining - (performance.now() - this.roomInfoReceivedAt))
+  }
+  
+  /**
+   * @param {number} playerId - Defaults to us
+   * @returns {number|null} Team ID in team mode, otherwise null
+   */
+  getTeam(playerId = this.playerId) {
+    return this.roomInfo?.teams?.[playerId] ?? null
+  }
+  
+  /**
+   * @returns {boolean} True while we sit out a last fish standing round
+   */
+  isEliminated() {
+    return this.roomInfo?.out?.includes(this.playerId) || false
+  }
+  
+  getNPCSeed() {
+    return this.npcSeed
   }
   
   // ============================================================================
@@ -918,6 +1520,30 @@ class NetworkManager {
     this.onDisconnectedCallback = callback
   }
   
+  onReconnecting(callback) {
+    this.onReconnectingCallback = callback
+  }
+  
+  onReconnected(callback) {
+    this.onReconnectedCallback = callback
+  }
+  
+  onRoomChanged(callback) {
+    this.onRoomChangedCallback = callback
+  }
+  
+  onReplayReset(callback) {
+    this.onReplayResetCallback = callback
+  }
+  
+  /**
+   * Register callback for game mode updates
+   * @param {function} callback - Called with (info, event) - see handleRoomInfo
+   */
+  onRoomInfo(callback) {
+    this.onRoomInfoCallback = callback
+  }
+  
   onPlayerJoin(callback) {
     this.onPlayerJoinCallback = callback
   }
@@ -942,12 +1568,16 @@ class NetworkManager {
     this.onChatMessageCallback = callback
   }
   
-  onNPCSnapshot(callback) {
-    this.onNPCSnapshotCallback = callback
+  /**
+   * @param {Function} callback - Called with { from, text } (received),
+   *   { to, text } (ours, delivered) or { to, error } (WHISPER_ERROR)
+   */
+  onWhisper(callback) {
+    this.onWhisperCallback = callback
   }
   
-  onBecameHost(callback) {
-    this.onBecameHostCallback = callback
+  onNPCSnapshot(callback) {
+    this.onNPCSnapshotCallback = callback
   }
   
   onAbilityChange(callback) {
@@ -970,6 +1600,39 @@ class NetworkManager {
     this.onLocalPlayerEatenCallback = callback
   }
   
+  /**
+   * Register callback for when the server rejects one of our eats
+   * @param {function} callback - Called with { preyId, reason } for PvP eats,
+   *   { npcId, reason, volume } for NPC eats (volume is the server's ledger)
+   */
+  onEatRejected(callback) {
+    this.onEatRejectedCallback = callback
+  }
+  
+  /**
+   * Register callback for when the server restores our saved run in this room
+   * @param {function} callback - Called with { volume, prisms } (prisms are PRISM_PLACE data)
+   */
+  onPlayerRestored(callback) {
+    this.onPlayerRestoredCallback = callback
+  }
+  
+  /**
+   * Register callback for our volume on the server ledger
+   * @param {function} callback - Called with volume (m^3) every position batch while we swim
+   */
+  onServerVolume(callback) {
+    this.onServerVolumeCallback = callback
+  }
+  
+  /**
+   * Register callback for leaderboard updates
+   * @param {function} callback - Called with [{ id, name, v, k, st }]
+   */
+  onLeaderboard(callback) {
+    this.onLeaderboardCallback = callback
+  }
+  
   setDebug(enabled) {
     this.debug = enabled
   }
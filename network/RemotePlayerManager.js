@@ -6,6 +6,7 @@
 
 import * as THREE from 'three'
 import { PositionBuffer } from './Interpolation.js'
+import { NETWORK_CONFIG, GAME_MODE_RULES } from '../shared/Protocol.js'
 import { generateCreature } from '../src/Encyclopedia.js'
 import { computeCapsuleParams } from '../src/ScaleMesh.js'
 import { computeCapsuleVolume } from '../src/NormalScale.js'
@@ -48,6 +49,12 @@ const CONFIG = {
   scaleSmoothTime: 0.2,           // seconds - time to smooth scale
   showNameTags: true,
   nameTagHeight: 2.5,
+  
+  // Interest management - distant players arrive at a reduced rate, so they
+  // are rendered further in the past to keep two samples to lerp between
+  updateIntervalSmoothing: 0.3,   // EMA factor for measured update interval
+  extraDelayFactor: 1.5,          // Target buffer = interval * factor
+  extraDelayRate: 250,            // ms of delay change per second (no time jumps)
 }
 
 // ============================================================================
@@ -59,6 +66,7 @@ class RemotePlayer {
     this.id = id
     this.scene = scene
     this.name = data.name || `Player ${id}`
+    this.team = data.team ?? null  // Team mode only - colors the nametag
     
     this.position = new THREE.Vector3()
     this.rotation = new THREE.Euler(0, 0, 0, 'YXZ')  // Use YXZ order like local player
@@ -91,6 +99,11 @@ class RemotePlayer {
     
     this.positionBuffer = new PositionBuffer(CONFIG.interpolationDelay)
     
+    // Relevance tracking (server sends distant players less often)
+    this.lastServerTime = 0
+    this.updateInterval = 1000 / NETWORK_CONFIG.tickRate  // Measured ms between updates
+    this.extraDelay = 0                                  // Added interpolation delay (ms)
+    
     if (data.position) {
       this.position.set(data.position.x, data.position.y, data.position.z)
       this.targetPosition.copy(this.position)
@@ -439,7 +452,7 @@ class RemotePlayer {
     context.fillRect(0, 0, canvas.width, canvas.height)
     
     context.font = 'bold 32px Arial'
-    context.fillStyle = '#ffffff'
+    context.fillStyle = GAME_MODE_RULES.teams[this.team]?.color || '#ffffff'
     context.textAlign = 'center'
     context.textBaseline = 'middle'
     context.fillText(this.name, canvas.width / 2, canvas.height / 2)
@@ -478,6 +491,13 @@ class RemotePlayer {
       computedScale = this._receivedScale || this.scale || 1
     }
     
+    // Measure how often we hear about this player (drops when they leave relevance)
+    if (this.lastServerTime > 0 && serverTime > this.lastServerTime) {
+      const interval = serverTime - this.lastServerTime
+      this.updateInterval += (interval - this.updateInterval) * CONFIG.updateIntervalSmoothing
+    }
+    this.lastServerTime = serverTime
+    
     this.positionBuffer.push(
       { x: data.x, y: data.y, z: data.z },
       { x: data.rx || 0, y: data.ry || 0, z: 0 },  // Ignore Z rotation
@@ -641,6 +661,11 @@ class RemotePlayer {
       lastPhysicsScale: this._lastPhysicsScale || 0,
       physicsInitialized: this._physicsInitialized || false,
       
+      // Relevance
+      relevant: this.isRelevant(),
+      updateInterval: this.updateInterval,
+      extraDelay: this.extraDelay,
+      
       // Position
       position: {
         x: this.position.x,
@@ -780,10 +805,32 @@ class RemotePlayer {
     }
   }
   
+  /**
+   * Whether this player is inside our relevance radius (full-rate updates)
+   * @returns {boolean}
+   */
+  isRelevant() {
+    return this.updateInterval < 2 * (1000 / NETWORK_CONFIG.tickRate)
+  }
+  
+  /**
+   * Ease the extra interpolation delay toward what the update rate needs
+   * Changing it gradually avoids visible time jumps on entering/leaving relevance
+   * @param {number} delta - Seconds since last frame
+   */
+  updateExtraDelay(delta) {
+    const baseDelay = NETWORK_CONFIG.interpolationDelay
+    const target = Math.max(0, this.updateInterval * CONFIG.extraDelayFactor - baseDelay)
+    const maxStep = CONFIG.extraDelayRate * delta
+    this.extraDelay += Math.max(-maxStep, Math.min(maxStep, target - this.extraDelay))
+  }
+  
   update(delta, renderTime) {
     if (!this.mesh) return
     
-    const interpolated = this.positionBuffer.sample(renderTime)
+    this.updateExtraDelay(delta)
+    
+    const interpolated = this.positionBuffer.sample(renderTime - this.extraDelay)
     
     if (interpolated) {
       // We have interpolated data from the buffer - use it as target
@@ -968,6 +1015,11 @@ export class RemotePlayerManager {
     }
   }
   
+  /**
+   * Apply a server position update
+   * Players outside our relevance radius just arrive less often - their
+   * meshes are kept and only the interpolation delay adapts
+   */
   updatePosition(id, data, serverTime) {
     const player = this.players.get(id)
     if (player) {
@@ -0,0 +1,203 @@
+/**
+ * ReplayPlayer.js - Plays back a room recorded by server/src/ReplayRecorder.js
+ *
+ * Events are fed through NetworkManager.handleMessage() at their recorded
+ * times, so playback renders exactly like a spectator connection.
+ *
+ * Usage:
+ *   const replay = ReplayPlayer.parse(await file.text())
+ *   networkManager.startReplay(new ReplayPlayer(replay), scene)
+ *
+ *   player.pause() / player.play() / player.seek(ms) / player.setSpeed(2)
+ */
+
+import { MSG, NETWORK_CONFIG, REPLAY_VERSION } from '../shared/Protocol.js'
+
+// Pure state messages - while seeking only the last few seconds of these
+// matter (the warmup covers at least one NPC keyframe)
+const SEEK_SKIPPABLE = new Set([
+  MSG.BATCH_POSITIONS,
+  MSG.NPC_SNAPSHOT,
+  MSG.LEADERBOARD,
+  MSG.CHAT,
+])
+const SEEK_WARMUP = NETWORK_CONFIG.npcKeyframeRate + 500
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4]
+
+export class ReplayPlayer {
+  /**
+   * Parse a replay file
+   * @param {string} text - JSON lines (header, then [t, type, data] events)
+   * @returns {{header: Object, events: Array}}
+   * @throws {Error} If the file isn't a replay this build can play
+   */
+  static parse(text) {
+    let header = null
+    const events = []
+    
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue
+      
+      const entry = JSON.parse(line)
+      if (Array.isArray(entry)) {
+        events.push(entry)
+      } else if (!header) {
+        header = entry
+      }
+    }
+    
+    if (!header) {
+      throw new Error('Not a replay file')
+    }
+    if (header.version !== REPLAY_VERSION) {
+      throw new Error(`Replay version ${header.version} - this build plays version ${REPLAY_VERSION}`)
+    }
+    
+    // Lines are written in order except around a shutdown flush - stable sort fixes those
+    events.sort((a, b) => a[0] - b[0])
+    
+    return { header, events }
+  }
+  
+  /**
+   * @param {{header: Object, events: Array}} replay - From ReplayPlayer.parse()
+   */
+  constructor(replay) {
+    this.header = replay.header
+    this.events = replay.events
+    this.duration = this.events.length > 0 ? this.events[this.events.length - 1][0] : 0
+    
+    this.target = null   // NetworkManager
+    this.time = 0        // ms since header.startedAt
+    this.index = 0       // Next event to apply
+    this.speed = 1
+    this.paused = false
+  }
+  
+  /**
+   * Attach to a NetworkManager and load the start of the replay
+   * Called by NetworkManager.startReplay()
+   */
+  start(target) {
+    this.target = target
+    this.restart()
+  }
+  
+  restart() {
+    this.target.applyReplayHeader(this.header)
+    this.time = 0
+    this.index = 0
+  }
+  
+  // ============================================================================
+  // CONTROLS
+  // ============================================================================
+  
+  play() {
+    // Playing from the end starts over
+    if (this.time >= this.duration) {
+      this.seek(0)
+    }
+    this.paused = false
+  }
+  
+  pause() {
+    this.paused = true
+  }
+  
+  togglePause() {
+    if (this.paused) {
+      this.play()
+    } else {
+      this.pause()
+    }
+  }
+  
+  setSpeed(speed) {
+    this.speed = speed
+  }
+  
+  /**
+   * Jump to a time - backwards means replaying from the start, skipping
+   * the state messages the warmup window makes redundant
+   * @param {number} time - ms since the start of the replay
+   */
+  seek(time) {
+    time = Math.max(0, Math.min(this.duration, time))
+    
+    if (time < this.time) {
+      this.restart()
+    }
+    
+    this.advance(time, time - SEEK_WARMUP)
+    this.time = time
+  }
+  
+  // ============================================================================
+  // PLAYBACK
+  // ============================================================================
+  
+  update(delta) {
+    if (this.paused || !this.target) return
+    
+    this.time = Math.min(this.duration, this.time + delta * 1000 * this.speed)
+    this.advance(this.time, -Infinity)
+    
+    if (this.time >= this.duration) {
+      this.paused = true
+    }
+  }
+  
+  /**
+   * Apply every event up to a time
+   * @param {number} time - Apply events at or before this
+   * @param {number} skipBefore - SEEK_SKIPPABLE events before this are dropped
+   */
+  advance(time, skipBefore) {
+    while (this.index < this.events.length && this.events[this.index][0] <= time) {
+      const [t, type, data] = this.events[this.index++]
+      
+      if (t < skipBefore && SEEK_SKIPPABLE.has(type)) continue
+      
+      this.target.handleMessage({ ...data, type })
+    }
+  }
+  
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+  
+  /**
+   * Recorded server time to render remote players at (see NetworkClock.getRenderTime)
+   */
+  getRenderTime() {
+    return this.header.startedAt + this.time - NETWORK_CONFIG.interpolationDelay
+  }
+  
+  getTime() {
+    return this.time
+  }
+  
+  getDuration() {
+    return this.duration
+  }
+  
+  getSpeed() {
+    return this.speed
+  }
+  
+  isPaused() {
+    return this.paused
+  }
+  
+  /**
+   * Player kills in the replay - markers for reviewing PvP
+   * @returns {Array<{time, playerId, eatenBy, preyVolume, predatorVolume}>}
+   */
+  getKills() {
+    return this.events
+      .filter(([, type]) => type === MSG.PLAYER_DIED)
+      .map(([time, , data]) => ({ time, ...data }))
+  }
+}
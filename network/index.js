@@ -9,12 +9,15 @@
 
 export { networkManager, NetworkManager } from './NetworkManager.js'
 export { RemotePlayerManager } from './RemotePlayerManager.js'
+export { ReplayPlayer } from './ReplayPlayer.js'
+export { accountClient } from './AccountClient.js'
 export { PositionBuffer, Extrapolator } from './Interpolation.js'
 export { NetworkClock, networkClock } from './NetworkClock.js'
 
 // Re-export protocol for convenience
 export { 
   MSG, 
+  CODEC,
   encodeMessage, 
   decodeMessage, 
   NETWORK_CONFIG,
@@ -0,0 +1,111 @@
+/**
+ * checkCodec.js - Round trips through the binary codec with hostile values
+ *
+ * Angles and positions arrive from clients and go out to everyone, so the
+ * encoders must take any number - huge, infinite or NaN - without hanging
+ * and come back in range. Each case runs in a worker under a time limit, so
+ * a hang fails the check instead of stalling it.
+ *
+ * Run: npm run check:codec (from server/)
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads'
+import { MSG, CODEC, encodeMessage, decodeMessage } from '../../shared/Protocol.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const TIME_LIMIT = 2000  // ms per case
+
+const ANGLES = [0, 1, -1, Math.PI, -Math.PI, 7, -7, 1e6, -1e6, 1e20, -1e20, Number.MAX_VALUE, Infinity, -Infinity, NaN]
+
+const ANGLE_TOLERANCE = 0.001  // Quantization step is about 0.0001 rad
+
+// ============================================================================
+// CASES
+// ============================================================================
+
+/**
+ * @param {number} angle
+ * @returns {string[]} What went wrong (empty if nothing)
+ */
+function runCase(angle) {
+  const problems = []
+  const checkAngle = (label, decoded) => {
+    if (!(decoded >= -Math.PI - ANGLE_TOLERANCE && decoded <= Math.PI + ANGLE_TOLERANCE)) {
+      problems.push(`${label} decoded to ${decoded}`)
+    }
+    // Small angles survive apart from the wrap
+    if (Math.abs(angle) < 100) {
+      const turns = Math.round((angle - decoded) / (Math.PI * 2))
+      if (Math.abs(angle - turns * Math.PI * 2 - decoded) > ANGLE_TOLERANCE) {
+        problems.push(`${label} ${angle} came back as ${decoded}`)
+      }
+    }
+    if (!Number.isFinite(angle) && decoded !== 0) {
+      problems.push(`${label} ${angle} should become 0, got ${decoded}`)
+    }
+  }
+  
+  const position = decodeMessage(encodeMessage(MSG.POSITION, {
+    p: { x: 1, y: 2, z: 3 }, r: { x: angle, y: angle, z: angle }, s: 1, v: 1,
+  }, CODEC.BINARY))
+  checkAngle('POSITION r.x', position.r.x)
+  
+  const batch = decodeMessage(encodeMessage(MSG.BATCH_POSITIONS, {
+    time: 1, p: [{ id: 1, x: 0, y: 0, z: 0, rx: angle, ry: angle, rz: angle, s: 1, v: 1 }],
+  }, CODEC.BINARY))
+  checkAngle('BATCH_POSITIONS ry', batch.p[0].ry)
+  
+  const snapshot = decodeMessage(encodeMessage(MSG.NPC_SNAPSHOT, {
+    tick: 1, fish: [{ id: 'npc_1', x: 0, y: 0, z: 0, ry: angle, gi: 0, pi: 0, st: 0 }], gone: [],
+  }, CODEC.BINARY))
+  checkAngle('NPC_SNAPSHOT ry', snapshot.fish[0].ry)
+  
+  return problems
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+function runInWorker(index) {
+  return new Promise(resolve => {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { index } })
+    const timer = setTimeout(() => {
+      worker.terminate()
+      resolve([`hung for over ${TIME_LIMIT} ms`])
+    }, TIME_LIMIT)
+    
+    worker.once('message', problems => {
+      clearTimeout(timer)
+      resolve(problems)
+    })
+    worker.once('error', err => {
+      clearTimeout(timer)
+      resolve([`threw ${err.message}`])
+    })
+  })
+}
+
+async function main() {
+  let failed = false
+  
+  for (let i = 0; i < ANGLES.length; i++) {
+    const problems = await runInWorker(i)
+    if (problems.length > 0) {
+      console.error(`[CodecCheck] Angle ${ANGLES[i]}: ${problems.join(', ')}`)
+      failed = true
+    }
+  }
+  
+  console.log(`[CodecCheck] ${ANGLES.length} angles - ${failed ? 'FAILED' : 'OK'}`)
+  process.exit(failed ? 1 : 0)
+}
+
+if (isMainThread) {
+  main()
+} else {
+  parentPort.postMessage(runCase(ANGLES[workerData.index]))
+}
@@ -0,0 +1,124 @@
+/**
+ * checkEcosystem.js - Long-run check of the NPC life cycle
+ *
+ * Runs the headless NPCSimulation (no players) for half an hour of simulated
+ * time on a few fixed seeds, the way a room does, and fails if the ocean
+ * loses its variety: too few species, grazers or hunters gone, or a run that
+ * doesn't replay the same from its seed.
+ *
+ * Run: npm run check:ecosystem (from server/) - takes a few seconds per seed
+ */
+
+import { NPCSimulation } from '../../src/NPCSimulation.js'
+import { generateMapLayout, computePlayablePoints } from '../../src/WorldLayout.js'
+import { getNPCSpecies } from '../../src/Encyclopedia.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CHECK = {
+  worldSeed: 12345,           // Default room map (map.js DEFAULT_SEED)
+  npcSeeds: [7, 11, 23],
+  minutes: 30,                // Simulated time per seed
+  sampleInterval: 5,          // Minutes between samples
+  settleTime: 5,              // Minutes before samples count - the starting mix is random
+  minSpecies: 8,              // Species alive at every sample
+  minTierShare: 0.15,         // Grazers and hunters each at least this share of the population
+}
+
+const TICK_RATE = 20
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+/**
+ * One seed's run
+ * @returns {{ samples: Array<{ minute, total, grazers, species }>, fingerprint: number }}
+ */
+function run(npcSeed, points, species, layout) {
+  const sim = new NPCSimulation({ seed: npcSeed, points, species, layout })
+  sim.spawnInitial()
+  
+  const samples = []
+  const ticks = CHECK.minutes * 60 * TICK_RATE
+  const sampleTicks = CHECK.sampleInterval * 60 * TICK_RATE
+  
+  for (let t = 1; t <= ticks; t++) {
+    sim.tick(1 / TICK_RATE, [])
+    if (t % sampleTicks !== 0) continue
+    
+    const npcs = [...sim.npcs.values()]
+    samples.push({
+      minute: t / (60 * TICK_RATE),
+      total: npcs.length,
+      grazers: npcs.filter(npc => npc.isGrazer).length,
+      species: new Set(npcs.map(npc => npc.class)).size,
+    })
+  }
+  
+  // Same seed, same ocean - any drift shows up here
+  let fingerprint = 0
+  for (const npc of sim.npcs.values()) {
+    fingerprint += npc.position.x + npc.volume * 3 + npc.hunger * 7
+  }
+  
+  return { samples, fingerprint }
+}
+
+/**
+ * @returns {string[]} What went wrong with a sample (empty if nothing)
+ */
+function checkSample(sample) {
+  const problems = []
+  const hunters = sample.total - sample.grazers
+  
+  if (sample.species < CHECK.minSpecies) {
+    problems.push(`${sample.species} species (want ${CHECK.minSpecies}+)`)
+  }
+  if (sample.grazers < sample.total * CHECK.minTierShare) {
+    problems.push(`${sample.grazers} grazers of ${sample.total}`)
+  }
+  if (hunters < sample.total * CHECK.minTierShare) {
+    problems.push(`${hunters} hunters of ${sample.total}`)
+  }
+  
+  return problems
+}
+
+function main() {
+  const layout = generateMapLayout(CHECK.worldSeed)
+  const points = computePlayablePoints(layout).playable
+  const species = getNPCSpecies()
+  
+  let failed = false
+  
+  for (const npcSeed of CHECK.npcSeeds) {
+    const first = run(npcSeed, points, species, layout)
+    const again = run(npcSeed, points, species, layout)
+    
+    const trace = first.samples.map(s => `${s.total}/${s.total - s.grazers}/${s.species}`).join(' ')
+    console.log(`[EcosystemCheck] Seed ${npcSeed} - total/hunters/species every ${CHECK.sampleInterval} min: ${trace}`)
+    
+    for (const sample of first.samples) {
+      if (sample.minute <= CHECK.settleTime) continue
+      
+      const problems = checkSample(sample)
+      if (problems.length > 0) {
+        console.error(`[EcosystemCheck] Seed ${npcSeed} at ${sample.minute} min: ${problems.join(', ')}`)
+        failed = true
+      }
+    }
+    
+    if (first.fingerprint !== again.fingerprint) {
+      console.error(`[EcosystemCheck] Seed ${npcSeed} is not deterministic`)
+      failed = true
+    }
+  }
+  
+  console.log(`[EcosystemCheck] ${failed ? 'FAILED' : 'OK'}`)
+  process.exit(failed ? 1 : 0)
+}
+
+main()
@@ -0,0 +1,699 @@
+/**
+ * AccountManager.js - Player accounts, logins and lifetime stats
+ *
+ * index.js serves it over HTTP:
+ *
+ *   POST /account/signup    { username, email, password }  -> { token, profile }
+ *   POST /account/login     { login, password }            -> { token, profile }
+ *   POST /account/logout    Authorization: Bearer <token>
+ *   GET  /account/profile   Authorization: Bearer <token>  -> profile
+ *   POST /account/achievements  { stats, unlocked } (+ Bearer) -> { achievementProgress }
+ *   GET  /account/friends           (+ Bearer) -> { friends, incoming, outgoing }
+ *   POST /account/friends/request   { username } (+ Bearer) -> same
+ *   POST /account/friends/accept    { username } (+ Bearer) -> same
+ *   POST /account/friends/remove    { username } (+ Bearer) -> same
+ *
+ * Clients pass the same token when the socket opens (?account=), and rooms
+ * report every finished life of a logged-in player through recordMatch().
+ * Passwords are kept as salted scrypt hashes and tokens only as SHA-256
+ * hashes, so a copy of the store can't be used to log in.
+ */
+
+import { randomBytes, scrypt, timingSafeEqual, createHash } from 'crypto'
+import { promisify } from 'util'
+import { ACCOUNT_RULES, PRESENCE } from '../../shared/Protocol.js'
+import { MemoryAccountStore } from './AccountStore.js'
+
+const scryptAsync = promisify(scrypt)
+
+const SCRYPT_KEY_LENGTH = 64
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000  // A login lasts 30 days
+const SAVE_DELAY = 1000                        // Changes within this window are written together
+
+// Attempt limits - past these within the window, that name or address waits it out
+const ATTEMPT_WINDOW = 15 * 60 * 1000
+const MAX_FAILURES_PER_LOGIN = 5   // Failed logins
+const MAX_FAILURES_PER_IP = 20     // Failed logins
+const MAX_SIGNUPS_PER_IP = 3       // Every signup costs a hash and a store write
+const MAX_ATTEMPT_ENTRIES = 10000  // Expired entries are swept past this
+
+// Checked against when the login is unknown, so a miss takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = `scrypt$${'00'.repeat(16)}$${'00'.repeat(SCRYPT_KEY_LENGTH)}`
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Achievement progress is defined by the client (src/achievements.js) - just keep it tame
+const ACHIEVEMENT_KEY_PATTERN = /^[A-Za-z0-9_]{1,32}$/
+const MAX_ACHIEVEMENT_KEYS = 64
+
+// Levels - XP comes from what a player eats and how long they survive
+const XP_PER_LEVEL = 1000
+const XP_PER_EAT = 10
+const XP_PER_MINUTE = 5
+
+// Profile titles - every title up to the player's level is theirs
+const TITLES = [
+  { level: 1, title: 'Newcomer' },
+  { level: 5, title: 'Explorer' },
+  { level: 15, title: 'Hunter' },
+  { level: 30, title: 'Apex' },
+]
+
+/**
+ * A request the player can fix (bad input, wrong password) - the message is shown to them
+ */
+export class AccountError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} status - HTTP status line
+   */
+  constructor(message, status = '400 Bad Request') {
+    super(message)
+    this.status = status
+  }
+}
+
+// ============================================================================
+// HASHING
+// ============================================================================
+
+async function hashPassword(password) {
+  const salt = randomBytes(16)
+  const hash = await scryptAsync(password, salt, SCRYPT_KEY_LENGTH)
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = stored.split('$')
+  if (scheme !== 'scrypt') return false
+  
+  const hash = await scryptAsync(password, Buffer.from(salt, 'hex'), SCRYPT_KEY_LENGTH)
+  return timingSafeEqual(hash, Buffer.from(expected, 'hex'))
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex')
+}
+
+function emptyStats() {
+  return {
+    totalPlayTime: 0,       // ms
+    gamesPlayed: 0,
+    creaturesEaten: 0,      // NPCs and players
+    timesEaten: 0,
+    largestSize: 0,         // m^3
+    longestSurvival: 0,     // ms
+    totalDistanceSwum: 0,   // world units (m)
+    abilitiesUsed: 0,
+    structuresBuilt: 0,     // Stacker prisms
+  }
+}
+
+const toDate = (time) => new Date(time).toISOString().slice(0, 10)
+
+const getLevel = (account) => Math.floor(account.xp / XP_PER_LEVEL) + 1
+
+// Presence sorts friends in game first, then online, then offline
+const PRESENCE_ORDER = [PRESENCE.PLAYING, PRESENCE.ONLINE, PRESENCE.OFFLINE]
+
+// ============================================================================
+// ACCOUNT MANAGER
+// ============================================================================
+
+export class AccountManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - See AccountStore.js
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryAccountStore()
+    
+    this.accounts = new Map()   // accountId -> account
+    this.sessions = new Map()   // tokenHash -> { tokenHash, accountId, expiresAt }
+    this.attempts = new Map()   // 'login:<name>' / 'ip:<address>' / 'signup:<address>' -> { count, since }
+    
+    this.saveTimer = null
+    this.saving = Promise.resolve()  // Store writes run one at a time, in order
+  }
+  
+  async load() {
+    const { accounts, sessions } = await this.store.load()
+    const now = Date.now()
+    
+    for (const account of accounts) {
+      // Fields added since the account was saved
+      account.achievements ||= { stats: {}, unlocked: {} }
+      account.friends ||= []
+      account.incomingRequests ||= []
+      account.outgoingRequests ||= []
+      
+      this.accounts.set(account.id, account)
+    }
+    for (const session of sessions) {
+      if (session.expiresAt > now && this.accounts.has(session.accountId)) {
+        this.sessions.set(session.tokenHash, session)
+      }
+    }
+    
+    console.log(`[Accounts] Loaded ${this.accounts.size} accounts (${this.sessions.size} active logins)`)
+  }
+  
+  // ============================================================================
+  // AUTH
+  // ============================================================================
+  
+  /**
+   * @param {Object} body - { username, email, password }
+   * @param {string|null} ip - Caller's address, for the signup limit
+   * @returns {Promise<{token: string, profile: Object}>}
+   * @throws {AccountError}
+   */
+  async signup({ username, email, password } = {}, ip = null) {
+    if (ip) {
+      if (this.getAttempts(`signup:${ip}`) >= MAX_SIGNUPS_PER_IP) {
+        throw new AccountError('Too many signups from here - try again in a few minutes', '429 Too Many Requests')
+      }
+      this.recordAttempt([`signup:${ip}`])
+    }
+    
+    username = typeof username === 'string' ? username.trim() : ''
+    email = typeof email === 'string' ? email.trim().toLowerCase() : ''
+    
+    if (username.length < ACCOUNT_RULES.usernameMinLength || username.length > ACCOUNT_RULES.usernameMaxLength) {
+      throw new AccountError(`Usernames are ${ACCOUNT_RULES.usernameMinLength}-${ACCOUNT_RULES.usernameMaxLength} characters`)
+    }
+    if (!ACCOUNT_RULES.usernamePattern.test(username)) {
+      throw new AccountError('Usernames can only use letters, numbers, - and _')
+    }
+    if (email.length > ACCOUNT_RULES.emailMaxLength || !EMAIL_PATTERN.test(email)) {
+      throw new AccountError('That email address doesn\'t look right')
+    }
+    if (typeof password !== 'string' || password.length < ACCOUNT_RULES.passwordMinLength || password.length > ACCOUNT_RULES.passwordMaxLength) {
+      throw new AccountError(`Passwords are ${ACCOUNT_RULES.passwordMinLength}-${ACCOUNT_RULES.passwordMaxLength} characters`)
+    }
+    
+    const passwordHash = await hashPassword(password)
+    
+    // Checked after hashing - another signup may have taken the name meanwhile
+    if (this.findAccount(username) || this.findAccount(email)) {
+      throw new AccountError('That username or email is already registered', '409 Conflict')
+    }
+    
+    const now = Date.now()
+    const account = {
+      id: randomBytes(8).toString('hex'),
+      username,
+      email,
+      passwordHash,
+      createdAt: now,
+      lastSeen: now,
+      xp: 0,
+      stats: emptyStats(),
+      matchHistory: [],  // Newest first, ACCOUNT_RULES.historyLength at most
+      achievements: { stats: {}, unlocked: {} },
+      friends: [],            // Account IDs, both ways
+      incomingRequests: [],   // Account IDs that asked us
+      outgoingRequests: [],   // Account IDs we asked
+    }
+    this.accounts.set(account.id, account)
+    
+    console.log(`[Accounts] ${username} signed up (${this.accounts.size} accounts)`)
+    return this.startSession(account)
+  }
+  
+  /**
+   * @param {Object} body - { login (username or email), password }
+   * @param {string|null} ip - Caller's address, for the failed login limit
+   * @returns {Promise<{token: string, profile: Object}>}
+   * @throws {AccountError}
+   */
+  async login({ login, password } = {}, ip = null) {
+    const name = typeof login === 'string' ? login.trim() : ''
+    const failureKeys = [`login:${name.toLowerCase()}`, ...(ip ? [`ip:${ip}`] : [])]
+    
+    if (this.getAttempts(failureKeys[0]) >= MAX_FAILURES_PER_LOGIN ||
+        (ip && this.getAttempts(failureKeys[1]) >= MAX_FAILURES_PER_IP)) {
+      throw new AccountError('Too many failed logins - try again in a few minutes', '429 Too Many Requests')
+    }
+    
+    const account = name ? this.findAccount(name) : null
+    
+    // Unknown logins still pay for a hash - the response time mustn't tell which names exist
+    const valid = typeof password === 'string' &&
+      (await verifyPassword(password, account ? account.passwordHash : DUMMY_PASSWORD_HASH)) && !!account
+    
+    if (!valid) {
+      this.recordAttempt(failureKeys)
+      throw new AccountError('Wrong username or password', '401 Unauthorized')
+    }
+    
+    failureKeys.forEach(key => this.attempts.delete(key))
+    account.lastSeen = Date.now()
+    
+    console.log(`[Accounts] ${account.username} logged in`)
+    return this.startSession(account)
+  }
+  
+  /**
+   * @param {string} key - 'login:<name>', 'ip:<address>' or 'signup:<address>'
+   * @returns {number} Attempts counted within the current window
+   */
+  getAttempts(key) {
+    const entry = this.attempts.get(key)
+    if (!entry) return 0
+    
+    if (Date.now() - entry.since > ATTEMPT_WINDOW) {
+      this.attempts.delete(key)
+      return 0
+    }
+    return entry.count
+  }
+  
+  recordAttempt(keys) {
+    const now = Date.now()
+    
+    if (this.attempts.size > MAX_ATTEMPT_ENTRIES) {
+      this.attempts.forEach((entry, key) => {
+        if (now - entry.since > ATTEMPT_WINDOW) this.attempts.delete(key)
+      })
+    }
+    
+    for (const key of keys) {
+      const count = this.getAttempts(key)
+      this.attempts.set(key, { count: count + 1, since: count > 0 ? this.attempts.get(key).since : now })
+    }
+  }
+  
+  logout(token) {
+    if (token && this.sessions.delete(hashToken(token))) {
+      this.scheduleSave()
+    }
+  }
+  
+  startSession(account) {
+    const token = randomBytes(32).toString('hex')
+    const tokenHash = hashToken(token)
+    
+    this.sessions.set(tokenHash, { tokenHash, accountId: account.id, expiresAt: Date.now() + SESSION_TTL })
+    this.scheduleSave()
+    
+    return { token, profile: this.getProfile(account.id) }
+  }
+  
+  /**
+   * @param {string|null} token - Login token
+   * @returns {string|null} The account it belongs to, null if unknown or expired
+   */
+  getAccountId(token) {
+    if (!token) return null
+    
+    const tokenHash = hashToken(token)
+    const session = this.sessions.get(tokenHash)
+    if (!session) return null
+    
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(tokenHash)
+      this.scheduleSave()
+      return null
+    }
+    
+    return session.accountId
+  }
+  
+  /**
+   * @param {string|null} token
+   * @returns {Object} Profile of the logged-in account
+   * @throws {AccountError} If the token isn't a current login
+   */
+  getProfileForToken(token) {
+    return this.getProfile(this.getAccountForToken(token).id)
+  }
+  
+  /**
+   * @param {string|null} token
+   * @returns {Object} The logged-in account
+   * @throws {AccountError} If the token isn't a current login
+   */
+  getAccountForToken(token) {
+    const accountId = this.getAccountId(token)
+    if (!accountId) {
+      throw new AccountError('Not logged in', '401 Unauthorized')
+    }
+    return this.accounts.get(accountId)
+  }
+  
+  /**
+   * @param {string} login - Username or email, any case
+   * @returns {Object|null}
+   */
+  findAccount(login) {
+    const key = login.toLowerCase()
+    for (const account of this.accounts.values()) {
+      if (account.username.toLowerCase() === key || account.email === key) {
+        return account
+      }
+    }
+    return null
+  }
+  
+  /**
+   * @param {string} username - Any case (not an email - players only know each other's names)
+   * @returns {Object|null}
+   */
+  findByUsername(username) {
+    const key = username.toLowerCase()
+    for (const account of this.accounts.values()) {
+      if (account.username.toLowerCase() === key) {
+        return account
+      }
+    }
+    return null
+  }
+  
+  /**
+   * @param {string} accountId
+   * @returns {string|null}
+   */
+  getUsername(accountId) {
+    return this.accounts.get(accountId)?.username || null
+  }
+  
+  // ============================================================================
+  // FRIENDS
+  // ============================================================================
+  
+  /**
+   * Ask another player to be friends - if they already asked us, that's a yes
+   * @param {string|null} token
+   * @param {Object} body - { username }
+   * @throws {AccountError}
+   */
+  requestFriend(token, { username } = {}) {
+    const account = this.getAccountForToken(token)
+    const other = this.getFriendTarget(account, username)
+    
+    if (account.friends.includes(other.id)) {
+      throw new AccountError(`You're already friends with ${other.username}`, '409 Conflict')
+    }
+    if (account.incomingRequests.includes(other.id)) {
+      this.acceptFriend(token, { username })
+      return
+    }
+    if (account.outgoingRequests.includes(other.id)) {
+      throw new AccountError(`You've already asked ${other.username}`, '409 Conflict')
+    }
+    if (account.friends.length >= ACCOUNT_RULES.friendsMax) {
+      throw new AccountError(`Friend lists hold ${ACCOUNT_RULES.friendsMax} players`)
+    }
+    if (account.outgoingRequests.length >= ACCOUNT_RULES.friendRequestsMax || other.incomingRequests.length >= ACCOUNT_RULES.friendRequestsMax) {
+      throw new AccountError('Too many friend requests waiting - try again once some are answered')
+    }
+    
+    account.outgoingRequests.push(other.id)
+    other.incomingRequests.push(account.id)
+    this.scheduleSave()
+    
+    console.log(`[Accounts] ${account.username} asked ${other.username} to be friends`)
+  }
+  
+  /**
+   * @param {string|null} token
+   * @param {Object} body - { username } of a player who asked us
+   * @throws {AccountError}
+   */
+  acceptFriend(token, { username } = {}) {
+    const account = this.getAccountForToken(token)
+    const other = this.getFriendTarget(account, username)
+    
+    if (!account.incomingRequests.includes(other.id)) {
+      throw new AccountError(`${other.username} hasn't asked to be friends`, '404 Not Found')
+    }
+    if (account.friends.length >= ACCOUNT_RULES.friendsMax || other.friends.length >= ACCOUNT_RULES.friendsMax) {
+      throw new AccountError(`Friend lists hold ${ACCOUNT_RULES.friendsMax} players`)
+    }
+    
+    this.unlink(account, other)
+    account.friends.push(other.id)
+    other.friends.push(account.id)
+    this.scheduleSave()
+    
+    console.log(`[Accounts] ${account.username} and ${other.username} are now friends`)
+  }
+  
+  /**
+   * Unfriend, decline a request or cancel one we sent
+   * @param {string|null} token
+   * @param {Object} body - { username }
+   * @throws {AccountError}
+   */
+  removeFriend(token, { username } = {}) {
+    const account = this.getAccountForToken(token)
+    const other = this.getFriendTarget(account, username)
+    
+    if (!this.unlink(account, other)) {
+      throw new AccountError(`${other.username} isn't on your friends list`, '404 Not Found')
+    }
+    this.scheduleSave()
+  }
+  
+  /**
+   * @param {string} accountId
+   * @param {string} otherId
+   * @returns {boolean}
+   */
+  areFriends(accountId, otherId) {
+    return this.accounts.get(accountId)?.friends.includes(otherId) || false
+  }
+  
+  /**
+   * Friends list with where each friend is, plus requests both ways
+   * @param {string|null} token
+   * @param {Map<string, Object>} presence - accountId -> { status, roomId, roomName, locked } (RoomManager.getPresence)
+   * @returns {{friends: Array, incoming: Array, outgoing: Array}}
+   * @throws {AccountError}
+   */
+  getFriends(token, presence = new Map()) {
+    const account = this.getAccountForToken(token)
+    
+    const summary = (id) => {
+      const other = this.accounts.get(id)
+      return other && { username: other.username, avatar: '🐟', level: getLevel(other) }
+    }
+    
+    const friends = account.friends.map(id => {
+      const friend = summary(id)
+      return friend && {
+        ...friend,
+        lastSeen: new Date(this.accounts.get(id).lastSeen).toISOString(),
+        ...(presence.get(id) || { status: PRESENCE.OFFLINE }),
+      }
+    }).filter(Boolean)
+    
+    friends.sort((a, b) =>
+      PRESENCE_ORDER.indexOf(a.status) - PRESENCE_ORDER.indexOf(b.status) ||
+      a.username.localeCompare(b.username)
+    )
+    
+    return {
+      friends,
+      incoming: account.incomingRequests.map(summary).filter(Boolean),
+      outgoing: account.outgoingRequests.map(summary).filter(Boolean),
+    }
+  }
+  
+  /**
+   * @throws {AccountError} Unknown name, or the player themselves
+   */
+  getFriendTarget(account, username) {
+    if (typeof username !== 'string' || !username.trim()) {
+      throw new AccountError('Enter a username')
+    }
+    
+    const other = this.findByUsername(username.trim())
+    if (!other) {
+      throw new AccountError(`There's no player called ${username}`, '404 Not Found')
+    }
+    if (other === account) {
+      throw new AccountError('That\'s you!')
+    }
+    return other
+  }
+  
+  /**
+   * Drop every friend link between two accounts, both ways
+   * @returns {boolean} True if there was one
+   */
+  unlink(account, other) {
+    let found = false
+    const drop = (list, id) => {
+      const index = list.indexOf(id)
+      if (index > -1) {
+        list.splice(index, 1)
+        found = true
+      }
+    }
+    
+    drop(account.friends, other.id)
+    drop(other.friends, account.id)
+    drop(account.incomingRequests, other.id)
+    drop(other.outgoingRequests, account.id)
+    drop(account.outgoingRequests, other.id)
+    drop(other.incomingRequests, account.id)
+    
+    return found
+  }
+  
+  // ============================================================================
+  // STATS
+  // ============================================================================
+  
+  /**
+   * Merge a client's achievement progress into the account - each stat keeps
+   * its highest value and each unlock its earliest time, so devices that
+   * played offline can't undo each other
+   * @param {string|null} token
+   * @param {Object} body - { stats: { stat: number }, unlocked: { id: time } }
+   * @returns {{achievementProgress: Object}}
+   * @throws {AccountError}
+   */
+  saveAchievements(token, body) {
+    const progress = this.getAccountForToken(token).achievements
+    
+    const merge = (target, source, keep) => {
+      if (!source || typeof source !== 'object') return
+      for (const [key, value] of Object.entries(source)) {
+        if (!ACHIEVEMENT_KEY_PATTERN.test(key) || !Number.isFinite(value) || value < 0) continue
+        if (!(key in target) && Object.keys(target).length >= MAX_ACHIEVEMENT_KEYS) continue
+        target[key] = key in target ? keep(target[key], value) : value
+      }
+    }
+    merge(progress.stats, body?.stats, Math.max)
+    merge(progress.unlocked, body?.unlocked, Math.min)
+    
+    this.scheduleSave()
+    return { achievementProgress: progress }
+  }
+  
+  /**
+   * Add one finished life to an account (called by Room.finishMatch)
+   * @param {string} accountId
+   * @param {Object} match - { endedAt, duration (ms), size, eaten, died, distance, abilities, structures, placement, server }
+   */
+  recordMatch(accountId, match) {
+    const account = this.accounts.get(accountId)
+    if (!account) return
+    
+    const stats = account.stats
+    stats.gamesPlayed++
+    stats.totalPlayTime += match.duration
+    stats.creaturesEaten += match.eaten
+    stats.timesEaten += match.died ? 1 : 0
+    stats.largestSize = Math.max(stats.largestSize, match.size)
+    stats.longestSurvival = Math.max(stats.longestSurvival, match.duration)
+    stats.totalDistanceSwum += match.distance
+    stats.abilitiesUsed += match.abilities
+    stats.structuresBuilt += match.structures
+    
+    account.xp += match.eaten * XP_PER_EAT + Math.floor(match.duration / 60000) * XP_PER_MINUTE
+    account.lastSeen = match.endedAt
+    
+    account.matchHistory.unshift({
+      id: randomBytes(4).toString('hex'),
+      date: match.endedAt,
+      duration: match.duration,
+      size: match.size,
+      eaten: match.eaten,
+      placement: match.placement,
+      server: match.server,
+    })
+    account.matchHistory.length = Math.min(account.matchHistory.length, ACCOUNT_RULES.historyLength)
+    
+    this.scheduleSave()
+  }
+  
+  /**
+   * What the account page shows - display units, no secrets
+   * @param {string} accountId
+   * @returns {Object|null}
+   */
+  getProfile(accountId) {
+    const account = this.accounts.get(accountId)
+    if (!account) return null
+    
+    const stats = account.stats
+    const level = getLevel(account)
+    
+    return {
+      id: account.id,
+      username: account.username,
+      email: account.email,
+      avatar: '🐟',
+      level,
+      xp: account.xp,
+      xpToNext: level * XP_PER_LEVEL,
+      joinDate: toDate(account.createdAt),
+      lastSeen: new Date(account.lastSeen).toISOString(),
+      isPremium: false,
+      
+      stats: {
+        totalPlayTime: stats.totalPlayTime / 3600000,               // hours
+        gamesPlayed: stats.gamesPlayed,
+        creaturesEaten: stats.creaturesEaten,
+        timesEaten: stats.timesEaten,
+        largestSize: stats.largestSize,
+        longestSurvival: Math.floor(stats.longestSurvival / 60000),  // minutes
+        totalDistanceSwum: Math.round(stats.totalDistanceSwum),
+        abilitiesUsed: stats.abilitiesUsed,
+        structuresBuilt: stats.structuresBuilt,
+      },
+      
+      achievementProgress: account.achievements,
+      unlocks: {
+        titles: TITLES.filter(entry => entry.level <= level).map(entry => entry.title),
+      },
+      
+      matchHistory: account.matchHistory.map(match => ({
+        ...match,
+        date: toDate(match.date),
+        duration: Math.round(match.duration / 60000),  // minutes
+        size: Math.round(match.size * 10) / 10,
+      })),
+    }
+  }
+  
+  // ============================================================================
+  // PERSISTENCE
+  // ============================================================================
+  
+  scheduleSave() {
+    if (this.saveTimer) return
+    
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null
+      this.save()
+    }, SAVE_DELAY)
+  }
+  
+  /**
+   * Write everything now (shutdown) - waits for writes already queued
+   */
+  async flush() {
+    clearTimeout(this.saveTimer)
+    this.saveTimer = null
+    await this.save()
+  }
+  
+  save() {
+    const now = Date.now()
+    const data = {
+      accounts: [...this.accounts.values()],
+      sessions: [...this.sessions.values()].filter(session => session.expiresAt > now),
+    }
+    
+    this.saving = this.saving
+      .then(() => this.store.save(data))
+      .catch(err => console.error(`[Accounts] Failed to save accounts: ${err.message}`))
+    
+    return this.saving
+  }
+}
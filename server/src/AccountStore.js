@@ -0,0 +1,85 @@
+/**
+ * AccountStore.js - Where player accounts and login sessions are kept
+ *
+ * AccountManager holds everything in memory and hands the whole set to the
+ * store after each change (batched). A store is anything with these two
+ * async methods, so a database-backed one can replace the JSON file:
+ *
+ *   load()        -> { accounts: [...], sessions: [...] }
+ *   save(data)    -> write the full set, replacing what was there
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+// Bumped when the account layout changes - an older file is refused, not overwritten
+export const ACCOUNT_DATA_VERSION = 1
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * Keeps nothing - accounts last until the server stops
+ */
+export class MemoryAccountStore {
+  async load() {
+    return { accounts: [], sessions: [] }
+  }
+  
+  async save(data) {}
+}
+
+/**
+ * Everything in one JSON file (local runs, single server)
+ */
+export class JsonFileAccountStore {
+  constructor(file) {
+    this.file = file
+  }
+  
+  async load() {
+    let text
+    try {
+      text = await fs.readFile(this.file, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return { accounts: [], sessions: [] }
+      throw err
+    }
+    
+    const data = JSON.parse(text)
+    if (data.version !== ACCOUNT_DATA_VERSION) {
+      throw new Error(`${this.file} is account data version ${data.version}, expected ${ACCOUNT_DATA_VERSION}`)
+    }
+    
+    return { accounts: data.accounts || [], sessions: data.sessions || [] }
+  }
+  
+  async save(data) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true })
+    
+    // Write then rename, so a crash mid-write never loses every account
+    await fs.writeFile(`${this.file}.tmp`, JSON.stringify({ version: ACCOUNT_DATA_VERSION, ...data }))
+    await fs.rename(`${this.file}.tmp`, this.file)
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * @param {string} kind - 'file' or 'memory'
+ * @param {Object} options - { file } for 'file'
+ * @returns {MemoryAccountStore|JsonFileAccountStore}
+ */
+export function createAccountStore(kind, options = {}) {
+  switch (kind) {
+    case 'memory':
+      return new MemoryAccountStore()
+    case 'file':
+      return new JsonFileAccountStore(options.file)
+    default:
+      throw new Error(`Unknown account store: ${kind}`)
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * GameMode.js - The rules a room is played under
+ *
+ * Every Room gets one mode when it's created (GAME_MODE in shared/Protocol.js).
+ * The room calls these hooks and sends getInfo() to clients as ROOM_INFO:
+ *
+ *   onPlayerEnter(ws)              JOIN_GAME or PLAYER_RESPAWN - may bench them (ws.eliminated)
+ *   canEat(predator, prey)         EAT_REJECT_REASON, or null to allow the kill
+ *   onPlayerEaten(predator, prey)  after a kill was accepted
+ *   tick(now)                      every room tick - round timers
+ *   getInfo(now)                   ROOM_INFO body
+ *
+ * Round modes cycle waiting -> playing -> intermission -> playing ...
+ * A round ends with a winner (the biggest score), then every volume resets.
+ */
+
+import {
+  GAME_MODE,
+  GAME_MODE_RULES,
+  ROUND_STATE,
+  EAT_REJECT_REASON,
+  VOLUME_LIMITS,
+} from '../../shared/Protocol.js'
+
+const MAX_SCORES = 5  // Score entries sent in ROOM_INFO
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+// ============================================================================
+// MODES
+// ============================================================================
+
+/**
+ * Endless free-for-all - no rounds, anyone can eat anyone
+ */
+export class FreeForAllMode {
+  /**
+   * @param {Room} room
+   */
+  constructor(room) {
+    this.room = room
+    this.kind = GAME_MODE.FREE_FOR_ALL
+  }
+  
+  onPlayerEnter(ws) {}
+  
+  canEat(predator, prey) {
+    return null
+  }
+  
+  onPlayerEaten(predator, prey) {}
+  
+  tick(now) {}
+  
+  getInfo(now = Date.now()) {
+    return { mode: this.kind }
+  }
+}
+
+/**
+ * Timed rounds - the biggest player when the timer runs out wins
+ */
+export class TimedMode extends FreeForAllMode {
+  constructor(room) {
+    super(room)
+    this.kind = GAME_MODE.TIMED
+    
+    this.state = ROUND_STATE.WAITING
+    this.round = 0
+    this.phaseEndsAt = 0   // End of the current round or intermission
+    this.winner = null     // Top score of the last round: { id|team, name, score }
+  }
+  
+  canEat(predator, prey) {
+    // Nobody grows while the winner is announced - volumes were just reset
+    if (this.state === ROUND_STATE.INTERMISSION) return EAT_REJECT_REASON.ROUND_OVER
+    return null
+  }
+  
+  tick(now) {
+    switch (this.state) {
+      case ROUND_STATE.WAITING:
+        if (this.getInGamePlayers().length >= GAME_MODE_RULES.minPlayers) {
+          this.startRound(now)
+        }
+        break
+      
+      case ROUND_STATE.PLAYING:
+        if (now >= this.phaseEndsAt || this.isDecided()) {
+          this.endRound(now)
+        }
+        break
+      
+      case ROUND_STATE.INTERMISSION:
+        if (now >= this.phaseEndsAt) {
+          this.state = ROUND_STATE.WAITING
+        }
+        break
+    }
+  }
+  
+  startRound(now) {
+    this.round++
+    this.state = ROUND_STATE.PLAYING
+    this.phaseEndsAt = now + GAME_MODE_RULES.roundDuration
+    
+    console.log(`[Room ${this.room.id}] Round ${this.round} started (${this.kind})`)
+    this.room.broadcastRoomInfo('round_start')
+  }
+  
+  endRound(now) {
+    this.winner = this.getScores()[0] || null
+    this.state = ROUND_STATE.INTERMISSION
+    this.phaseEndsAt = now + GAME_MODE_RULES.intermission
+    this.resetPlayers()
+    
+    console.log(`[Room ${this.room.id}] Round ${this.round} over - winner: ${this.winner ? `${this.winner.name} (${this.winner.score})` : 'nobody'}`)
+    this.room.broadcastRoomInfo('round_end')
+  }
+  
+  /**
+   * Everyone starts the next round at starter size
+   * (clients reset their own volume on the round_end ROOM_INFO)
+   */
+  resetPlayers() {
+    this.room.players.forEach(ws => {
+      ws.volume = VOLUME_LIMITS.STARTER
+      ws.scale = 1
+    })
+    this.room.sessions.forEach(({ state }) => {
+      state.volume = VOLUME_LIMITS.STARTER
+      state.scale = 1
+    })
+  }
+  
+  /**
+   * @returns {boolean} True when the round can end before its timer
+   */
+  isDecided() {
+    return false
+  }
+  
+  getInGamePlayers() {
+    return [...this.room.players.values()].filter(ws => ws.inGame)
+  }
+  
+  /**
+   * Current standings, best first
+   * @returns {Array<{id, name, score}>}
+   */
+  getScores() {
+    return this.getInGamePlayers()
+      .map(ws => ({ id: ws.id, name: ws.name, score: round2(ws.volume) }))
+      .sort((a, b) => b.score - a.score)
+  }
+  
+  getInfo(now = Date.now()) {
+    return {
+      mode: this.kind,
+      state: this.state,
+      round: this.round,
+      remaining: this.state === ROUND_STATE.WAITING ? null : Math.max(0, this.phaseEndsAt - now),
+      scores: this.getScores().slice(0, MAX_SCORES),
+      winner: this.winner,
+    }
+  }
+}
+
+/**
+ * Two teams in timed rounds - teammates can't eat each other and the
+ * team with the most total volume wins
+ */
+export class TeamMode extends TimedMode {
+  constructor(room) {
+    super(room)
+    this.kind = GAME_MODE.TEAMS
+  }
+  
+  /**
+   * New players go to the smaller team; a team sticks for the whole visit
+   */
+  onPlayerEnter(ws) {
+    if (ws.team !== undefined && ws.team !== null) return
+    
+    const counts = GAME_MODE_RULES.teams.map(() => 0)
+    this.forEachMember(member => {
+      if (counts[member.team] !== undefined) counts[member.team]++
+    })
+    
+    ws.team = counts.indexOf(Math.min(...counts))
+  }
+  
+  canEat(predator, prey) {
+    if (predator.team === prey.team) return EAT_REJECT_REASON.SAME_TEAM
+    return super.canEat(predator, prey)
+  }
+  
+  /**
+   * Call fn for every connected or suspended player that has a team
+   */
+  forEachMember(fn) {
+    this.room.players.forEach(ws => {
+      if (ws.team !== undefined && ws.team !== null) fn(ws)
+    })
+    this.room.sessions.forEach(({ state }) => {
+      if (state.team !== undefined && state.team !== null) fn(state)
+    })
+  }
+  
+  getScores() {
+    const totals = GAME_MODE_RULES.teams.map(() => 0)
+    for (const ws of this.getInGamePlayers()) {
+      if (totals[ws.team] !== undefined) totals[ws.team] += ws.volume
+    }
+    
+    return GAME_MODE_RULES.teams
+      .map(team => ({ team: team.id, name: team.name, score: round2(totals[team.id]) }))
+      .sort((a, b) => b.score - a.score)
+  }
+  
+  getInfo(now = Date.now()) {
+    // Everyone's team, so clients can color nametags and skip teammates
+    const teams = {}
+    this.forEachMember(member => {
+      teams[member.id] = member.team
+    })
+    
+    return { ...super.getInfo(now), teams }
+  }
+}
+
+/**
+ * Last fish standing - eaten players (and anyone joining mid-round) watch
+ * until the round ends; the last one swimming wins
+ */
+export class LastFishMode extends TimedMode {
+  constructor(room) {
+    super(room)
+    this.kind = GAME_MODE.LAST_FISH
+  }
+  
+  onPlayerEnter(ws) {
+    // Already swimming (a repeated JOIN_GAME) is fine - arriving mid-round isn't
+    ws.eliminated = this.state === ROUND_STATE.PLAYING && !ws.inGame
+  }
+  
+  onPlayerEaten(predator, prey) {
+    if (this.state !== ROUND_STATE.PLAYING) return
+    
+    prey.eliminated = true
+    console.log(`[Room ${this.room.id}] Player ${prey.id} is out (${this.getInGamePlayers().length} left)`)
+  }
+  
+  isDecided() {
+    return this.getInGamePlayers().length <= 1
+  }
+  
+  resetPlayers() {
+    super.resetPlayers()
+    
+    // Everyone plays the next round
+    this.room.players.forEach(ws => {
+      ws.eliminated = false
+    })
+    this.room.sessions.forEach(({ state }) => {
+      state.eliminated = false
+    })
+  }
+  
+  getInfo(now = Date.now()) {
+    const out = []
+    this.room.players.forEach(ws => {
+      if (ws.eliminated) out.push(ws.id)
+    })
+    
+    return { ...super.getInfo(now), out }
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * @param {string} kind - GAME_MODE value
+ * @param {Room} room
+ * @returns {FreeForAllMode|TimedMode|TeamMode|LastFishMode}
+ */
+export function createGameMode(kind, room) {
+  switch (kind) {
+    case GAME_MODE.FREE_FOR_ALL:
+      return new FreeForAllMode(room)
+    case GAME_MODE.TIMED:
+      return new TimedMode(room)
+    case GAME_MODE.TEAMS:
+      return new TeamMode(room)
+    case GAME_MODE.LAST_FISH:
+      return new LastFishMode(room)
+    default:
+      throw new Error(`Unknown game mode: ${kind}`)
+  }
+}
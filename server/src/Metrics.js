@@ -0,0 +1,227 @@
+/**
+ * Metrics.js - Prometheus-style counters, gauges and histograms
+ *
+ * Served as text at GET /metrics (see index.js). Everything is cumulative -
+ * per-second / per-minute views come from rate() on the scraper side, e.g.
+ *   rate(ocean_messages_in_total[1m])          messages per type per second
+ *   rate(ocean_eats_total[1m]) * 60            eats per minute
+ *   histogram_quantile(0.99, rate(ocean_room_tick_duration_seconds_bucket[5m]))
+ *
+ * No dependencies - the exposition format is simple enough to write by hand.
+ */
+
+import { MSG } from '../../shared/Protocol.js'
+
+// ============================================================================
+// METRIC TYPES
+// ============================================================================
+
+/**
+ * Stable key for a label set (label order doesn't matter)
+ */
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(k => `${k}=${labels[k]}`).join(',')
+}
+
+function formatLabels(labels, extra = null) {
+  const all = extra ? { ...labels, ...extra } : labels
+  const keys = Object.keys(all)
+  if (keys.length === 0) return ''
+  
+  const parts = keys.map(k => `${k}="${String(all[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+  return `{${parts.join(',')}}`
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name
+    this.help = help
+    this.type = 'counter'
+    this.series = new Map()  // labelKey -> { labels, value }
+  }
+  
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels)
+    let entry = this.series.get(key)
+    if (!entry) {
+      entry = { labels, value: 0 }
+      this.series.set(key, entry)
+    }
+    entry.value += amount
+  }
+  
+  remove(labels) {
+    this.series.delete(labelKey(labels))
+  }
+  
+  render() {
+    const lines = []
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`)
+    }
+    return lines
+  }
+}
+
+/**
+ * Gauge whose value is read when /metrics is scraped
+ */
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name
+    this.help = help
+    this.type = 'gauge'
+    this.collect = collect  // () => number | Array<{ labels, value }>
+  }
+  
+  render() {
+    const result = this.collect()
+    if (typeof result === 'number') {
+      return [`${this.name} ${result}`]
+    }
+    return result.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name
+    this.help = help
+    this.type = 'histogram'
+    this.buckets = buckets  // Upper bounds, ascending
+    this.series = new Map()  // labelKey -> { labels, counts, sum, count }
+  }
+  
+  observe(labels, value) {
+    const key = labelKey(labels)
+    let entry = this.series.get(key)
+    if (!entry) {
+      entry = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }
+      this.series.set(key, entry)
+    }
+    
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) {
+        entry.counts[i]++
+        break
+      }
+    }
+    entry.sum += value
+    entry.count++
+  }
+  
+  remove(labels) {
+    this.series.delete(labelKey(labels))
+  }
+  
+  render() {
+    const lines = []
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      // Buckets are cumulative in the exposition format
+      let cumulative = 0
+      for (let i = 0; i < this.buckets.length; i++) {
+        cumulative += counts[i]
+        lines.push(`${this.name}_bucket${formatLabels(labels, { le: this.buckets[i] })} ${cumulative}`)
+      }
+      lines.push(`${this.name}_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`)
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`)
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`)
+    }
+    return lines
+  }
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = []
+  }
+  
+  counter(name, help) {
+    return this.register(new Counter(name, help))
+  }
+  
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect))
+  }
+  
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets))
+  }
+  
+  register(metric) {
+    this.metrics.push(metric)
+    return metric
+  }
+  
+  /**
+   * Prometheus text exposition format (version 0.0.4)
+   * @returns {string}
+   */
+  render() {
+    const lines = []
+    for (const metric of this.metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`)
+      lines.push(`# TYPE ${metric.name} ${metric.type}`)
+      lines.push(...metric.render())
+    }
+    return lines.join('\n') + '\n'
+  }
+}
+
+// ============================================================================
+// SERVER METRICS
+// ============================================================================
+
+export const registry = new MetricsRegistry()
+
+export const metrics = {
+  messagesIn: registry.counter('ocean_messages_in_total', 'Messages received from clients, by type'),
+  messagesOut: registry.counter('ocean_messages_out_total', 'Messages sent to clients, by type'),
+  bytesIn: registry.counter('ocean_bytes_in_total', 'Bytes received from clients'),
+  bytesOut: registry.counter('ocean_bytes_out_total', 'Bytes sent to clients, by codec'),
+  invalidMessages: registry.counter('ocean_invalid_messages_total', 'Messages that failed to decode or validate'),
+  rateLimited: registry.counter('ocean_rate_limited_total', 'Messages dropped by a rate limit bucket, by category'),
+  kicks: registry.counter('ocean_kicks_total', 'Connections kicked for repeated rate limit or validation failures'),
+  
+  backpressure: registry.counter('ocean_ws_backpressure_total', 'Sends that left a socket with buffered backpressure'),
+  dropped: registry.counter('ocean_ws_dropped_total', 'Sends dropped because a socket exceeded maxBackpressure'),
+  drains: registry.counter('ocean_ws_drain_total', 'Drain events (backpressure relieved)'),
+  
+  connectionsOpened: registry.counter('ocean_connections_opened_total', 'WebSocket connections opened'),
+  connectionsClosed: registry.counter('ocean_connections_closed_total', 'WebSocket connections closed, by close code'),
+  resumes: registry.counter('ocean_session_resumes_total', 'Dropped sessions resumed within the grace period'),
+  
+  eats: registry.counter('ocean_eats_total', 'Successful eats, by prey kind (npc/player)'),
+  eatsRejected: registry.counter('ocean_eats_rejected_total', 'PvP eat claims rejected by the server, by reason'),
+  
+  tickDuration: registry.histogram(
+    'ocean_room_tick_duration_seconds',
+    'Room game loop tick duration, by room',
+    [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1]
+  ),
+}
+
+// Message type -> label, built once from MSG. Incoming types come from clients,
+// so anything else shares one label - a fixed set of series however they're abused
+const typeLabels = new Map(Object.entries(MSG).map(([name, value]) => [value, name]))
+
+/**
+ * @param {number} type - MSG value
+ * @returns {string} Label value such as 'BATCH_POSITIONS', or 'UNKNOWN'
+ */
+export function typeLabel(type) {
+  return typeLabels.get(type) || 'UNKNOWN'
+}
+
+/**
+ * Encoded size of an outgoing message (JSON string or binary frame)
+ * @param {string|Uint8Array} message
+ * @returns {number}
+ */
+export function messageSize(message) {
+  return typeof message === 'string' ? Buffer.byteLength(message) : message.byteLength
+}
@@ -0,0 +1,71 @@
+/**
+ * RateLimiter.js - Per-connection token buckets and strike counting
+ *
+ * One limiter per socket, one bucket per message category (see RATE_LIMITS
+ * and MESSAGE_CATEGORY in shared/Protocol.js). Messages over the limit are
+ * dropped; they and malformed messages are strikes, and a connection that
+ * collects too many strikes inside one window gets kicked.
+ */
+
+import { RATE_LIMITS, MESSAGE_CATEGORY } from '../../shared/Protocol.js'
+
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate      // Tokens per second
+    this.burst = burst    // Capacity
+    this.tokens = burst
+    this.lastRefill = Date.now()
+  }
+  
+  take(now) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.rate)
+    this.lastRefill = now
+    
+    if (this.tokens < 1) return false
+    this.tokens--
+    return true
+  }
+}
+
+export class RateLimiter {
+  constructor(limits = RATE_LIMITS) {
+    this.limits = limits
+    this.buckets = new Map()  // category -> TokenBucket
+    this.strikes = 0
+    this.strikeWindowStart = Date.now()
+  }
+  
+  /**
+   * Spend a token for a message
+   * @param {number} type - MSG value
+   * @returns {string|null} Category that ran dry, or null if the message may pass
+   */
+  check(type) {
+    const category = MESSAGE_CATEGORY[type]
+    if (!category) return null  // Unknown types are left to validation
+    
+    let bucket = this.buckets.get(category)
+    if (!bucket) {
+      const { rate, burst } = this.limits.buckets[category]
+      bucket = new TokenBucket(rate, burst)
+      this.buckets.set(category, bucket)
+    }
+    
+    return bucket.take(Date.now()) ? null : category
+  }
+  
+  /**
+   * Record a dropped message
+   * @returns {boolean} True once the connection should be kicked
+   */
+  strike() {
+    const now = Date.now()
+    if (now - this.strikeWindowStart > this.limits.strikeWindow) {
+      this.strikes = 0
+      this.strikeWindowStart = now
+    }
+    
+    this.strikes++
+    return this.strikes >= this.limits.maxStrikes
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * ReplayRecorder.js - Writes a room's broadcast stream to replay files
+ *
+ * A replay is JSON lines: a header, then one event per broadcast message.
+ * Terrain and NPC species come from the seeds, so only the state the
+ * seeds can't rebuild (players, NPC positions, deaths...) is written:
+ *
+ *   { version, roomId, roomName, startedAt, worldSeed, npcSeed, players, npcTick, npcs }
+ *   [t, type, data]     t = ms since startedAt, type = MSG value, data = message body
+ *
+ * Files are rotated every maxDuration so each stays seekable on its own.
+ * The client plays them back with network/ReplayPlayer.js.
+ */
+
+import { promises as fs, mkdirSync, appendFileSync } from 'fs'
+import path from 'path'
+import { MSG, REPLAY_VERSION } from '../../shared/Protocol.js'
+
+// Broadcasts worth keeping - everything a spectator would have seen
+const RECORDED_TYPES = new Set([
+  MSG.PLAYER_JOIN,
+  MSG.PLAYER_LEAVE,
+  MSG.BATCH_POSITIONS,
+  MSG.CREATURE_UPDATE,
+  MSG.SIZE_UPDATE,
+  MSG.NPC_BATCH_SPAWN,
+  MSG.NPC_SNAPSHOT,
+  MSG.NPC_DEATH,
+  MSG.PLAYER_DIED,
+  MSG.PLAYER_RESPAWN,
+  MSG.ABILITY_START,
+  MSG.ABILITY_STOP,
+  MSG.PRISM_PLACE,
+  MSG.PRISM_REMOVE,
+  MSG.MAP_CHANGE,
+  MSG.LEADERBOARD,
+  MSG.CHAT,
+  MSG.ROOM_INFO,
+])
+
+const FLUSH_INTERVAL = 2000  // Buffered lines are appended this often
+
+export class ReplayRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for replay files
+   * @param {string} options.roomId
+   * @param {number} options.maxDuration - ms per file before starting a new one
+   * @param {Function} options.getHeader - Room state for a new file's header
+   */
+  constructor(options) {
+    this.dir = options.dir
+    this.roomId = options.roomId
+    this.maxDuration = options.maxDuration
+    this.getHeader = options.getHeader
+    
+    // Opened lazily - an idle room writes nothing
+    this.file = null
+    this.startedAt = 0
+    this.buffer = []
+    this.writing = Promise.resolve()
+    
+    this.flushInterval = setInterval(() => this.flush(), FLUSH_INTERVAL)
+  }
+  
+  /**
+   * Record one broadcast message (types outside RECORDED_TYPES are ignored)
+   * @param {number} type - MSG value
+   * @param {Object} data - Message body as sent
+   */
+  record(type, data) {
+    if (!RECORDED_TYPES.has(type)) return
+    
+    const now = Date.now()
+    if (!this.file || now - this.startedAt >= this.maxDuration) {
+      this.open(now)
+    }
+    
+    // Serialized now - callers may reuse the object after broadcasting it
+    this.buffer.push(JSON.stringify([now - this.startedAt, type, data]))
+  }
+  
+  /**
+   * Start a new file, headed with the room's current state
+   * @param {number} now
+   */
+  open(now) {
+    if (this.file) {
+      this.flush()
+    }
+    
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, '-')
+    const safeId = this.roomId.replace(/[^A-Za-z0-9_-]/g, '_')
+    
+    this.file = path.join(this.dir, `${safeId}-${stamp}.replay.jsonl`)
+    this.startedAt = now
+    this.buffer.push(JSON.stringify({
+      version: REPLAY_VERSION,
+      roomId: this.roomId,
+      startedAt: now,
+      ...this.getHeader(),
+    }))
+    
+    console.log(`[Replay] Recording room ${this.roomId} to ${this.file}`)
+  }
+  
+  /**
+   * Append buffered lines to the current file
+   * Writes are chained so lines land in order
+   */
+  flush() {
+    if (this.buffer.length === 0) return
+    
+    const file = this.file
+    const text = this.buffer.join('\n') + '\n'
+    this.buffer = []
+    
+    this.writing = this.writing
+      .then(() => fs.mkdir(this.dir, { recursive: true }))
+      .then(() => fs.appendFile(file, text))
+      .catch(err => console.error(`[Replay] Failed to write ${file}: ${err.message}`))
+  }
+  
+  /**
+   * Stop recording - the last lines are written synchronously so they
+   * survive a shutdown that exits right after
+   */
+  stop() {
+    clearInterval(this.flushInterval)
+    
+    if (this.buffer.length > 0) {
+      try {
+        mkdirSync(this.dir, { recursive: true })
+        appendFileSync(this.file, this.buffer.join('\n') + '\n')
+      } catch (err) {
+        console.error(`[Replay] Failed to write ${this.file}: ${err.message}`)
+      }
+      this.buffer = []
+    }
+    
+    this.file = null
+  }
+}
@@ -2,36 +2,165 @@
  * Room.js - Single game room containing players
  */
 
-import { MSG, encodeMessage, isValidPosition, isValidCreature, isValidNPCSnapshot, NETWORK_CONFIG } from '../../shared/Protocol.js'
+import {
+  MSG,
+  CODEC,
+  encodeMessage,
+  wrapAngle,
+  isValidPosition,
+  isValidCreature,
+  meetsSizeRatio,
+  getPlayerEatRange,
+  getRelevanceRadius,
+  applyGrowth,
+  NETWORK_CONFIG,
+  FEEDING_RULES,
+  VOLUME_LIMITS,
+  EAT_REJECT_REASON,
+  RATE_LIMITS,
+  MESSAGE_LIMITS,
+  ABILITY_KEYS,
+  GAME_MODE,
+} from '../../shared/Protocol.js'
+import { NPCSimulation } from '../../src/NPCSimulation.js'
+import { generateMapLayout, computePlayablePoints } from '../../src/WorldLayout.js'
+import { getNPCSpecies } from '../../src/Encyclopedia.js'
+import { checkDiet } from '../../src/Diet.js'
+import { randomBytes, createHash, timingSafeEqual } from 'crypto'
+import { SpatialGrid } from './SpatialGrid.js'
+import { ROOM_SNAPSHOT_VERSION } from './RoomStore.js'
+import { ReplayRecorder } from './ReplayRecorder.js'
+import { createGameMode } from './GameMode.js'
+import { metrics, typeLabel, messageSize } from './Metrics.js'
+
+// Player fields kept while a dropped connection waits to resume
+const SESSION_FIELDS = [
+  'id', 'name', 'resumeToken',
+  'position', 'rotation', 'scale',
+  'volume', 'reportedVolume', 'creature', 'inGame',
+  'lastPlayerEatTime', 'kills', 'spawnTime', 'prisms',
+  'team', 'eliminated',
+  'accountId', 'match',
+]
+
+// Longest POSITION step counted as swimming - anything further is a teleport (respawn, map change)
+const MAX_SWIM_STEP = 20
+
+// Fastest a fish swims (boost is 28 m/s in Swimming.js) - distance credit per second of updates
+const MAX_SWIM_SPEED = 40
+
+// Prisms remembered per player for late joiners and resumes (stacker caps far lower)
+const MAX_TRACKED_PRISMS = 32
+
+// Every creature class NPCs can spawn as - the same list clients build meshes from
+const NPC_SPECIES = getNPCSpecies()
+
+// NPC navigation grids by world seed (the points SpawnFactory finds on clients)
+const worldCache = new Map()
+const MAX_CACHED_GRIDS = 8
+
+/**
+ * Salted hash of a private room's password - rooms never keep (or save) the password itself
+ * (SHA-256 rather than scrypt - checkPassword() runs synchronously on the join path)
+ * @param {string} password
+ * @param {string} salt - Hex, random for a new room
+ * @returns {string} 'sha256$<salt>$<hash>'
+ */
+function hashRoomPassword(password, salt = randomBytes(16).toString('hex')) {
+  const hash = createHash('sha256').update(salt).update(password).digest('hex')
+  return `sha256$${salt}$${hash}`
+}
+
+/**
+ * Map layout and playable grid points for a world seed, generated without a scene
+ * @param {number} worldSeed
+ * @returns {{layout: object, points: Array<{x, y, z}>}}
+ */
+function getWorld(worldSeed) {
+  let world = worldCache.get(worldSeed)
+  if (world) return world
+  
+  const layout = generateMapLayout(worldSeed)
+  world = { layout, points: computePlayablePoints(layout).playable }
+  
+  if (worldCache.size >= MAX_CACHED_GRIDS) {
+    worldCache.delete(worldCache.keys().next().value)
+  }
+  worldCache.set(worldSeed, world)
+  
+  return world
+}
 
 export class Room {
   constructor(id, options = {}) {
     this.id = id
+    this.name = options.name || id
     this.maxPlayers = options.maxPlayers || NETWORK_CONFIG.maxPlayersPerRoom
     this.onEmpty = options.onEmpty || null
     
+    // Private rooms are hidden from the room list and joined by code (+ password)
+    this.isPrivate = options.isPrivate || false
+    this.passwordHash = options.passwordHash || (options.password ? hashRoomPassword(options.password) : null)
+    
+    // Persistent rooms are configured by name and stay open while empty
+    this.persistent = options.persistent || false
+    
+    // Game mode - rounds, teams, eliminations (see GameMode.js)
+    this.mode = createGameMode(options.mode || GAME_MODE.FREE_FOR_ALL, this)
+    
+    // Logged-in players' lives are credited here (see AccountManager.js)
+    this.accounts = options.accounts || null
+    
     this.players = new Map()
     this.playerIdCounter = 0
     
+    // Watch-only connections (spectate=1) - receive room traffic, never play
+    this.spectators = new Map()
+    this.maxSpectators = options.maxSpectators || NETWORK_CONFIG.maxSpectatorsPerRoom
+    
     // World seed - all players share this for consistent map generation
     this.worldSeed = options.worldSeed || 12345  // Default matches map.js DEFAULT_SEED
+    this.lastMapChange = 0
     
-    // NPC seed - all players share this for deterministic NPC spawning
+    // NPC seed - seeds the room's NPC simulation
     this.npcSeed = options.npcSeed || Math.floor(Math.random() * 0xFFFFFFFF)
     
-    // Track dead NPCs for late joiners
-    this.deadNpcIds = new Set()
+    // Dropped players waiting to resume: resumeToken -> { state, timer }
+    this.sessions = new Map()
     
-    // NPC simulation host - first player to join becomes host
-    this.hostId = null
+    // Logged-in players' runs from a snapshot, kept past the resume window:
+    // accountId -> { volume, prisms, savedAt } (see claimSavedPlayer)
+    this.savedPlayers = new Map()
     
     this.tickCount = 0
     this.tickRate = NETWORK_CONFIG.tickRate
+    this.leaderboardTicks = Math.max(1, Math.round(NETWORK_CONFIG.leaderboardRate / (1000 / this.tickRate)))
+    this.npcKeyframeTicks = Math.max(1, Math.round(NETWORK_CONFIG.npcKeyframeRate / (1000 / this.tickRate)))
+    this.npcDeltaTicks = Math.max(1, Math.round(NETWORK_CONFIG.npcDeltaRate / (1000 / this.tickRate)))
     this.tickInterval = null
     
+    // Interest management - rebuilt every tick from in-game positions
+    this.grid = new SpatialGrid(NETWORK_CONFIG.aoiCellSize)
+    
+    // NPCs - the server runs the simulation, clients only render it
+    this.npcSim = null
+    this.pendingNpcSpawns = []  // Spawned since the last tick, sent as one NPC_BATCH_SPAWN
+    
+    // Replay files of the room's broadcasts - options.replay = { dir, maxDuration }
+    this.recorder = options.replay
+      ? new ReplayRecorder({ ...options.replay, roomId: id, getHeader: () => this.getReplayHeader() })
+      : null
+    
+    // Restored after a restart (see getSnapshot) - same NPCs, players may resume
+    const snapshot = options.snapshot || null
+    this.startNPCSimulation(snapshot?.npcs || null)
+    if (snapshot) {
+      this.restoreSessions(snapshot)
+    }
+    
     this.startGameLoop()
     
-    console.log(`[Room ${id}] Created (max ${this.maxPlayers} players, worldSeed: ${this.worldSeed}, npcSeed: 0x${(this.npcSeed >>> 0).toString(16).toUpperCase()})`)
+    console.log(`[Room ${id}] Created (${this.mode.kind}, max ${this.maxPlayers} players, worldSeed: ${this.worldSeed}, npcSeed: 0x${(this.npcSeed >>> 0).toString(16).toUpperCase()})`)
   }
   
   addPlayer(ws, name = 'Player') {
@@ -40,109 +169,282 @@ export class Room {
     ws.id = playerId
     ws.room = this
     ws.name = name
+    ws.codec = ws.codec === CODEC.BINARY ? CODEC.BINARY : CODEC.JSON  // Negotiated at upgrade
+    ws.resumeToken = randomBytes(16).toString('hex')  // Lets a dropped client reclaim this player
     
     ws.position = { x: 0, y: 10, z: 0 }
     ws.rotation = { x: 0, y: 0, z: 0 }
     ws.scale = 1
-    ws.volume = 1  // World volume for feeding system
+    ws.volume = VOLUME_LIMITS.STARTER  // Server-side volume ledger (never taken from the client)
+    ws.reportedVolume = VOLUME_LIMITS.STARTER  // What the client last claimed (debug only)
     ws.creature = null
     ws.inGame = false
     ws.lastUpdate = Date.now()
+    ws.lastPlayerEatTime = 0
+    ws.kills = 0            // Players eaten this session (leaderboard)
+    ws.spawnTime = null     // When the current life started (leaderboard)
+    ws.prisms = new Map()   // prismId -> last PRISM_PLACE relay data
+    
+    // Mode state from a previous room (RoomManager.movePlayer) - this room's mode decides afresh
+    ws.team = null
+    ws.eliminated = false
     
     this.players.set(playerId, ws)
+    this.sendWelcome(ws, false)
     
-    // First player becomes the NPC simulation host
-    const isHost = this.hostId === null
-    if (isHost) {
-      this.hostId = playerId
-      console.log(`[Room ${this.id}] Player ${playerId} is now NPC HOST`)
+    console.log(`[Room ${this.id}] Player ${playerId} (${name}) joined`)
+  }
+  
+  /**
+   * Reattach a reconnecting client to the player it dropped
+   * @param {WebSocket} ws - The new connection
+   * @param {string} token - Resume token from the previous WELCOME
+   * @returns {boolean} True if the session was found and restored
+   */
+  resumePlayer(ws, token) {
+    // The client may notice the drop before we do - take over the stale connection
+    if (!this.sessions.has(token)) {
+      for (const stale of this.players.values()) {
+        if (stale.resumeToken !== token) continue
+        this.removePlayer(stale, true)
+        try {
+          stale.close()
+        } catch (err) {}
+        break
+      }
+    }
+    
+    const session = this.sessions.get(token)
+    if (!session) {
+      return false
     }
     
-    const existingPlayers = this.getPlayersForWelcome(playerId)
+    clearTimeout(session.timer)
+    this.sessions.delete(token)
+    
+    Object.assign(ws, session.state)
+    ws.room = this
+    ws.codec = ws.codec === CODEC.BINARY ? CODEC.BINARY : CODEC.JSON
+    ws.lastUpdate = Date.now()
+    
+    this.players.set(ws.id, ws)
+    this.sendWelcome(ws, true)
+    
+    // Eaten while suspended - the death screen they missed
+    if (ws.eatenWhileAway) {
+      this.send(ws, MSG.PLAYER_EATEN, ws.eatenWhileAway)
+      ws.eatenWhileAway = null
+    }
     
+    // Back in time - the live state supersedes whatever the snapshot saved
+    if (ws.accountId) {
+      this.savedPlayers.delete(ws.accountId)
+    }
+    
+    metrics.resumes.inc()
+    console.log(`[Room ${this.id}] Player ${ws.id} (${ws.name}) resumed`)
+    return true
+  }
+  
+  /**
+   * Add a watch-only connection
+   * Spectators get everything players see (with every player's position on
+   * every tick) but have no creature, no volume and no player slot. Their IDs
+   * come from the player counter so they never clash with a player's.
+   * @param {WebSocket} ws
+   * @param {string} name
+   */
+  addSpectator(ws, name = 'Spectator') {
+    ws.id = ++this.playerIdCounter
+    ws.room = this
+    ws.name = name
+    ws.spectator = true
+    ws.codec = ws.codec === CODEC.BINARY ? CODEC.BINARY : CODEC.JSON
+    ws.resumeToken = null  // Nothing to resume - a dropped spectator just reconnects
+    
+    this.spectators.set(ws.id, ws)
+    this.sendWelcome(ws, false)
+    
+    console.log(`[Room ${this.id}] Spectator ${ws.id} (${name}) watching (${this.spectators.size} spectators)`)
+  }
+  
+  sendWelcome(ws, resumed) {
     this.send(ws, MSG.WELCOME, {
-      id: playerId,
+      id: ws.id,
       roomId: this.id,
       worldSeed: this.worldSeed,
       npcSeed: this.npcSeed,
-      hostId: this.hostId,        // Tell client who the host is
-      isHost: isHost,             // Tell client if THEY are the host
-      players: existingPlayers,
-      deadNpcIds: [...this.deadNpcIds],  // Array of NPC IDs that have been eaten
+      players: this.getPlayersForWelcome(ws.id),
+      codec: ws.codec,            // Confirms binary encoding for hot message types
+      roomName: this.name,
+      isPrivate: this.isPrivate,  // Private room code is the room ID
+      resumeToken: ws.resumeToken,
+      resumed: resumed,
+      spectator: ws.spectator || false,
+      // On resume: what the server still holds, so the client can reconcile
+      volume: resumed ? ws.volume : undefined,
+      prisms: resumed ? [...ws.prisms.keys()] : undefined,
     })
     
-    console.log(`[Room ${this.id}] Player ${playerId} (${name}) joined`)
+    // Every NPC in the room - the client replaces whatever it had
+    this.sendNPCBatch(ws)
+    
+    this.send(ws, MSG.ROOM_INFO, this.mode.getInfo())
   }
   
-  removePlayer(ws) {
+  /**
+   * Remove a player whose connection closed
+   * @param {WebSocket} ws
+   * @param {boolean} resumable - Keep their state for NETWORK_CONFIG.resumeGracePeriod
+   *                              (false for deliberate disconnects)
+   */
+  removePlayer(ws, resumable = false) {
     const playerId = ws.id
     
-    if (!this.players.has(playerId)) {
+    if (ws.spectator) {
+      this.removeSpectator(ws)
       return
     }
     
-    this.players.delete(playerId)
+    // Not ours, or already replaced by a resumed connection
+    if (this.players.get(playerId) !== ws) {
+      return
+    }
     
-    this.broadcast(MSG.PLAYER_LEAVE, { id: playerId }, playerId)
+    this.players.delete(playerId)
     
-    console.log(`[Room ${this.id}] Player ${playerId} left (${this.getPlayerCount()} remaining)`)
+    if (resumable && NETWORK_CONFIG.resumeGracePeriod > 0) {
+      this.suspendPlayer(ws)
+    } else {
+      this.finishMatch(ws, false)
+      this.broadcast(MSG.PLAYER_LEAVE, { id: playerId }, playerId)
+      console.log(`[Room ${this.id}] Player ${playerId} left (${this.getPlayerCount()} remaining)`)
+    }
     
-    // Host migration - if host left, assign new host
-    if (playerId === this.hostId) {
-      this.migrateHost()
+    if (this.isEmpty() && this.onEmpty) {
+      this.onEmpty()
+    }
+  }
+  
+  removeSpectator(ws) {
+    if (this.spectators.get(ws.id) !== ws) {
+      return
     }
     
+    this.spectators.delete(ws.id)
+    console.log(`[Room ${this.id}] Spectator ${ws.id} left (${this.spectators.size} spectators)`)
+    
     if (this.isEmpty() && this.onEmpty) {
       this.onEmpty()
     }
   }
   
   /**
-   * Migrate NPC host to another player when current host disconnects
+   * Park a dropped player's state until they resume or the grace period ends
+   * Others keep seeing the player (frozen) - PLAYER_LEAVE only goes out on expiry
    */
-  migrateHost() {
-    // Pick first remaining player as new host
-    const iterator = this.players.values()
-    const newHost = iterator.next().value
+  suspendPlayer(ws) {
+    this.holdSession(this.getSessionState(ws))
     
-    if (newHost) {
-      this.hostId = newHost.id
-      
-      // Tell the new host they are now responsible for NPC simulation
-      this.send(newHost, MSG.HOST_ASSIGNED, { isHost: true })
-      
-      // Tell everyone else who the new host is
-      this.broadcast(MSG.HOST_CHANGED, { hostId: this.hostId }, this.hostId)
-      
-      console.log(`[Room ${this.id}] NPC HOST migrated to player ${this.hostId}`)
-    } else {
-      this.hostId = null
-      console.log(`[Room ${this.id}] No players left, no NPC host`)
+    console.log(`[Room ${this.id}] Player ${ws.id} dropped - holding session for ${NETWORK_CONFIG.resumeGracePeriod / 1000}s`)
+  }
+  
+  /**
+   * Copy of the player fields a session keeps (SESSION_FIELDS)
+   * @param {WebSocket} ws
+   * @returns {Object}
+   */
+  getSessionState(ws) {
+    const state = {}
+    for (const field of SESSION_FIELDS) {
+      state[field] = ws[field]
+    }
+    return state
+  }
+  
+  /**
+   * Start a session's grace period - it expires unless resumePlayer() claims it
+   * @param {Object} state - Session fields, including resumeToken
+   */
+  holdSession(state) {
+    const token = state.resumeToken
+    const timer = setTimeout(() => this.expireSession(token), NETWORK_CONFIG.resumeGracePeriod)
+    this.sessions.set(token, { state, timer })
+  }
+  
+  /**
+   * Held session of a dropped player
+   * @param {number} playerId
+   * @returns {Object|undefined} { state, timer }
+   */
+  findSession(playerId) {
+    for (const session of this.sessions.values()) {
+      if (session.state.id === playerId) return session
+    }
+  }
+  
+  expireSession(token) {
+    const session = this.sessions.get(token)
+    if (!session) return
+    
+    this.sessions.delete(token)
+    this.finishMatch(session.state, false)
+    
+    const playerId = session.state.id
+    this.broadcast(MSG.PLAYER_LEAVE, { id: playerId })
+    
+    console.log(`[Room ${this.id}] Player ${playerId} session expired (${this.getPlayerCount()} remaining)`)
+    
+    if (this.isEmpty() && this.onEmpty) {
+      this.onEmpty()
     }
   }
   
   getPlayersForWelcome(excludeId) {
     const players = []
     
-    this.players.forEach((ws, id) => {
-      if (id === excludeId) return
-      if (!ws.inGame) return
+    const add = (player) => {
+      if (player.id === excludeId) return
+      if (!player.inGame) return
       
       players.push({
-        id: id,
-        name: ws.name,
-        position: ws.position,
-        rotation: ws.rotation,
-        scale: ws.scale,
-        volume: ws.volume,  // World volume for feeding system
-        creature: ws.creature,
+        ...this.getPlayerState(player),
+        prisms: [...player.prisms.values()],
       })
-    })
+    }
+    
+    this.players.forEach(add)
+    
+    // Suspended players are still in the world until their session expires
+    this.sessions.forEach(session => add(session.state))
     
     return players
   }
   
+  /**
+   * Public state of a player, as sent in WELCOME and PLAYER_JOIN
+   * @param {WebSocket} ws
+   * @returns {Object}
+   */
+  getPlayerState(ws) {
+    return {
+      id: ws.id,
+      name: ws.name,
+      position: ws.position,
+      rotation: ws.rotation,
+      scale: ws.scale,
+      volume: ws.volume,  // World volume for feeding system
+      creature: ws.creature,
+      team: ws.team,      // Team mode only
+    }
+  }
+  
   handleMessage(ws, data) {
+    if (ws.spectator) {
+      this.handleSpectatorMessage(ws, data)
+      return
+    }
+    
     switch (data.type) {
       case MSG.POSITION:
         this.handlePosition(ws, data)
@@ -176,8 +478,8 @@ export class Room {
         this.handleMapChangeRequest(ws)
         break
         
-      case MSG.NPC_SNAPSHOT:
-        this.handleNPCSnapshot(ws, data)
+      case MSG.NPC_KEYFRAME_REQUEST:
+        this.handleKeyframeRequest(ws)
         break
         
       case MSG.ABILITY_START:
@@ -202,22 +504,47 @@ export class Room {
     }
   }
   
+  /**
+   * Spectators only watch - anything that would touch the game is dropped
+   */
+  handleSpectatorMessage(ws, data) {
+    switch (data.type) {
+      case MSG.PING:
+        this.handlePing(ws, data)
+        break
+        
+      case MSG.NPC_KEYFRAME_REQUEST:
+        this.handleKeyframeRequest(ws)
+        break
+    }
+  }
+  
   handlePosition(ws, data) {
     if (!data.p || !isValidPosition(data.p)) {
       return
     }
     
+    const now = Date.now()
+    
+    // Credit only what could be swum since the last update - sending faster earns nothing
+    if (ws.match && ws.inGame) {
+      const step = Math.hypot(data.p.x - ws.position.x, data.p.y - ws.position.y, data.p.z - ws.position.z)
+      const elapsed = (now - (ws.lastUpdate || now)) / 1000
+      if (step <= MAX_SWIM_STEP) ws.match.distance += Math.min(step, MAX_SWIM_SPEED * elapsed)
+    }
+    
     ws.position = {
       x: data.p.x,
       y: data.p.y,
       z: data.p.z,
     }
     
+    // Yaw piles up as a fish circles - stored and relayed wrapped
     if (data.r) {
       ws.rotation = {
-        x: data.r.x || 0,
-        y: data.r.y || 0,
-        z: data.r.z || 0,
+        x: wrapAngle(data.r.x),
+        y: wrapAngle(data.r.y),
+        z: wrapAngle(data.r.z),
       }
     }
     
@@ -225,12 +552,13 @@ export class Room {
       ws.scale = data.s
     }
     
-    // Store volume for feeding system (world volume in mÂ³)
-    if (typeof data.v === 'number' && data.v > 0 && data.v < 10000) {
-      ws.volume = data.v
+    // Client-reported volume is kept for debugging only - ws.volume is the
+    // server ledger, credited in handleEatNPC/handleEatPlayer
+    if (typeof data.v === 'number' && data.v > 0 && data.v <= VOLUME_LIMITS.MAX) {
+      ws.reportedVolume = data.v
     }
     
-    ws.lastUpdate = Date.now()
+    ws.lastUpdate = now
   }
   
   handleJoinGame(ws, data) {
@@ -247,24 +575,92 @@ export class Room {
     }
     
     if (data.name) {
-      ws.name = data.name.substring(0, 20)
+      ws.name = data.name.substring(0, MESSAGE_LIMITS.nameMaxLength)
     }
     
-    ws.inGame = true
+    // (Re)joining from the menu starts a fresh creature
+    ws.volume = VOLUME_LIMITS.STARTER
+    ws.spawnTime = Date.now()
     
-    this.broadcast(MSG.PLAYER_JOIN, {
-      id: ws.id,
-      name: ws.name,
-      position: ws.position,
-      rotation: ws.rotation,
-      scale: ws.scale,
-      volume: ws.volume,  // World volume for feeding system
-      creature: ws.creature,
-    }, ws.id)
+    if (!this.enterGame(ws)) {
+      console.log(`[Room ${this.id}] Player ${ws.id} waits for the next round`)
+      return
+    }
+    
+    const saved = this.claimSavedPlayer(ws)
+    if (saved) {
+      this.restoreSavedPlayer(ws, saved)
+    }
+    
+    this.broadcast(MSG.PLAYER_JOIN, this.getPlayerState(ws), ws.id)
+    
+    if (saved) {
+      // Re-place their prisms for everyone else; the player adopts them from PLAYER_RESTORED
+      ws.prisms.forEach(prism => this.broadcast(MSG.PRISM_PLACE, prism, ws.id))
+      this.send(ws, MSG.PLAYER_RESTORED, {
+        volume: ws.volume,
+        prisms: [...ws.prisms.values()],
+      })
+    }
     
     console.log(`[Room ${this.id}] Player ${ws.id} joined game as ${ws.creature.class}`)
   }
   
+  /**
+   * Take a logged-in player's saved run out of savedPlayers (it's handed back once)
+   * @param {WebSocket} ws
+   * @returns {Object|null} { volume, prisms, savedAt }
+   */
+  claimSavedPlayer(ws) {
+    if (!ws.accountId) return null
+    
+    const saved = this.savedPlayers.get(ws.accountId)
+    if (!saved) return null
+    
+    this.savedPlayers.delete(ws.accountId)
+    if (Date.now() - saved.savedAt > NETWORK_CONFIG.savedPlayerLifetime) return null
+    
+    return saved
+  }
+  
+  /**
+   * Give a player who just entered the game their saved volume and prisms
+   * Round modes reset everyone's volume each round - only the prisms come back there
+   * @param {WebSocket} ws
+   * @param {Object} saved - From claimSavedPlayer()
+   */
+  restoreSavedPlayer(ws, saved) {
+    if (this.mode.kind === GAME_MODE.FREE_FOR_ALL) {
+      ws.volume = Math.max(VOLUME_LIMITS.STARTER, Math.min(saved.volume, VOLUME_LIMITS.MAX))
+      if (ws.match) ws.match.peakVolume = ws.volume
+    }
+    
+    ws.prisms = new Map()
+    saved.prisms.forEach((prism, prismId) => ws.prisms.set(prismId, { ...prism, id: ws.id }))
+    
+    console.log(`[Room ${this.id}] Player ${ws.id} got their saved run back (${ws.volume.toFixed(1)} m^3, ${ws.prisms.size} prisms)`)
+  }
+  
+  /**
+   * Put a player in the game, unless the mode benches them (a last fish
+   * standing round in progress) - they're told through ROOM_INFO
+   * @param {WebSocket} ws
+   * @returns {boolean} True if the player is now in the game
+   */
+  enterGame(ws) {
+    this.mode.onPlayerEnter(ws)
+    
+    if (ws.eliminated) {
+      ws.inGame = false
+      this.broadcastRoomInfo()
+      return false
+    }
+    
+    ws.inGame = true
+    this.startMatch(ws)
+    return true
+  }
+  
   handleCreatureUpdate(ws, data) {
     if (!data.creature || !isValidCreature(data.creature)) {
       return
@@ -292,22 +688,49 @@ export class Room {
     })
   }
   
+  /**
+   * Handle a player eating an NPC - checked against the room's simulation
+   * The first valid claim wins; the server respawns a replacement
+   * @param {WebSocket} ws - The eating player
+   * @param {Object} data - { npcId }
+   */
   handleEatNPC(ws, data) {
-    if (!data.npcId) {
-      console.warn(`[Room ${this.id}] Invalid EAT_NPC - missing npcId`)
+    const npcId = data.npcId
+    const npc = this.npcSim.get(npcId)
+    
+    // Already eaten (double-eat race) or never existed
+    if (!npc) {
+      console.log(`[Room ${this.id}] NPC ${npcId} not in simulation, ignoring eat`)
+      this.rejectEatNPC(ws, npcId, EAT_REJECT_REASON.PREY_NOT_FOUND)
       return
     }
     
-    const npcId = data.npcId
+    if (!ws.inGame) {
+      this.rejectEatNPC(ws, npcId, EAT_REJECT_REASON.NOT_IN_GAME)
+      return
+    }
+    
+    if (!this.isWithinEatRange(ws, npc.position, npc.volume)) {
+      console.warn(`[Room ${this.id}] Player ${ws.id} too far from NPC ${npcId} to eat it`)
+      this.rejectEatNPC(ws, npcId, EAT_REJECT_REASON.TOO_FAR)
+      return
+    }
     
-    // Check if already eaten (prevent double-eat race condition)
-    if (this.deadNpcIds.has(npcId)) {
-      console.log(`[Room ${this.id}] NPC ${npcId} already dead, ignoring duplicate eat`)
+    if (!meetsSizeRatio(ws.volume, npc.volume)) {
+      console.warn(`[Room ${this.id}] Player ${ws.id} can't eat NPC ${npcId} (${ws.volume.toFixed(1)} vs ${npc.volume.toFixed(1)} m^3)`)
+      this.rejectEatNPC(ws, npcId, EAT_REJECT_REASON.TOO_SMALL)
       return
     }
     
-    // Track as dead
-    this.deadNpcIds.add(npcId)
+    const dietReason = checkDiet(ws.creature, npc, ws.volume, npc.volume)
+    if (dietReason) {
+      console.warn(`[Room ${this.id}] Player ${ws.id} can't eat NPC ${npcId} (${ws.creature?.class} vs ${npc.class}: ${dietReason})`)
+      this.rejectEatNPC(ws, npcId, EAT_REJECT_REASON.DIET)
+      return
+    }
+    
+    this.npcSim.remove(npcId, true)
+    metrics.eats.inc({ prey: 'npc' })
     
     // Broadcast NPC_DEATH to ALL players (including the eater, for confirmation)
     this.broadcast(MSG.NPC_DEATH, {
@@ -315,47 +738,163 @@ export class Room {
       eatenBy: ws.id,
     })
     
-    console.log(`[Room ${this.id}] Player ${ws.id} ate NPC ${npcId} (${this.deadNpcIds.size} total dead)`)
+    ws.volume = applyGrowth(ws.volume, npc.volume)
+    this.creditEat(ws)
+    
+    console.log(`[Room ${this.id}] Player ${ws.id} ate NPC ${npcId} (${npc.volume.toFixed(1)} m^3)`)
   }
   
+  /**
+   * Tell a player their NPC eat didn't count, so they can take back the
+   * growth they predicted. The client removed the NPC mesh optimistically -
+   * the next keyframe brings it back if it's still alive
+   * @param {WebSocket} ws
+   * @param {string} npcId
+   * @param {string} reason - EAT_REJECT_REASON
+   */
+  rejectEatNPC(ws, npcId, reason) {
+    this.send(ws, MSG.EAT_REJECTED, {
+      npcId: npcId,
+      reason: reason,
+      volume: ws.volume,
+    })
+  }
+  
+  /**
+   * Handle a PvP eat claim - validated against server state before anyone dies
+   * @param {WebSocket} ws - The predator
+   * @param {Object} data - { preyId } (client volumes are ignored - see the ledger)
+   */
   handleEatPlayer(ws, data) {
     const predatorId = ws.id
     const preyId = data.preyId
-    const preyVolume = data.preyVolume || 0
-    const predatorNewVolume = data.newVolume || 0
+    
+    // Dropped players stay in the world while their session is held - and stay edible
+    const preyWs = this.players.get(preyId) || this.findSession(preyId)?.state
+    const reason = this.validateEatPlayer(ws, preyWs, preyId)
+    
+    if (reason) {
+      console.warn(`[Room ${this.id}] Rejected EAT_PLAYER from ${predatorId} on ${preyId}: ${reason}`)
+      metrics.eatsRejected.inc({ reason })
+      this.send(ws, MSG.EAT_REJECTED, {
+        preyId: preyId,
+        reason: reason,
+        prey: preyWs && preyWs.inGame ? this.getPlayerState(preyWs) : null,
+      })
+      return
+    }
     
     console.log(`[Room ${this.id}] Player ${predatorId} ate player ${preyId}`)
     
-    // Find the prey player
-    const preyWs = this.players.get(preyId)
-    if (!preyWs) {
-      console.warn(`[Room ${this.id}] Prey player ${preyId} not found`)
-      return
+    ws.lastPlayerEatTime = Date.now()
+    ws.kills++
+    metrics.eats.inc({ prey: 'player' })
+    
+    // Credit the ledger from the server's own view of the prey
+    const preyVolume = preyWs.volume
+    const predatorVolume = ws.volume
+    ws.volume = applyGrowth(ws.volume, preyVolume)
+    this.creditEat(ws)
+    
+    // Prey is out of the game until they respawn - blocks duplicate/stale eats
+    this.finishMatch(preyWs, true)
+    preyWs.inGame = false
+    preyWs.volume = VOLUME_LIMITS.STARTER
+    
+    // Last fish standing: the prey learns it's out before the death screen would show
+    this.mode.onPlayerEaten(ws, preyWs)
+    if (preyWs.eliminated) {
+      this.broadcastRoomInfo()
     }
     
     // Send PLAYER_EATEN to the prey so they see the death screen
-    this.send(preyWs, MSG.PLAYER_EATEN, {
+    // (a suspended prey gets it when they resume)
+    const eaten = {
       predatorId: predatorId,
       predatorName: ws.name || 'Unknown',
-      predatorVolume: predatorNewVolume,
+      predatorVolume: ws.volume,
       preyVolume: preyVolume,
-    })
-    
-    console.log(`[Room ${this.id}] Sent PLAYER_EATEN to player ${preyId}`)
+    }
+    if (this.players.get(preyId) === preyWs) {
+      this.send(preyWs, MSG.PLAYER_EATEN, eaten)
+      console.log(`[Room ${this.id}] Sent PLAYER_EATEN to player ${preyId}`)
+    } else {
+      preyWs.eatenWhileAway = eaten
+    }
     
     // Broadcast to all other players that this player was eaten (so they can remove them too)
+    // Volumes are the server's ledger just before the kill - replays use them to review contested eats
     this.broadcast(MSG.PLAYER_DIED, {
       playerId: preyId,
       eatenBy: predatorId,
+      preyVolume: preyVolume,
+      predatorVolume: predatorVolume,
     }, predatorId)  // Exclude predator since they already know
   }
   
+  /**
+   * Is prey at a position within the predator's reach? Same range for players
+   * and NPCs - it allows for both bodies and 20 Hz position staleness
+   * @param {WebSocket} ws - The predator (last reported position)
+   * @param {Object} position - Prey position { x, y, z }
+   * @param {number} volume - Prey volume
+   * @returns {boolean}
+   */
+  isWithinEatRange(ws, position, volume) {
+    const dx = ws.position.x - position.x
+    const dy = ws.position.y - position.y
+    const dz = ws.position.z - position.z
+    const range = getPlayerEatRange(ws.volume, volume)
+    return dx * dx + dy * dy + dz * dz <= range * range
+  }
+  
+  /**
+   * Check a PvP eat claim against the server's view of both players
+   * @param {WebSocket} ws - The predator
+   * @param {WebSocket|undefined} preyWs - The prey
+   * @param {number} preyId - Prey ID as claimed by the predator
+   * @returns {string|null} Rejection reason, or null if the eat is valid
+   */
+  validateEatPlayer(ws, preyWs, preyId) {
+    if (preyId === ws.id) return EAT_REJECT_REASON.SELF
+    if (!ws.inGame) return EAT_REJECT_REASON.NOT_IN_GAME
+    if (!preyWs) return EAT_REJECT_REASON.PREY_NOT_FOUND
+    if (!preyWs.inGame) return EAT_REJECT_REASON.PREY_NOT_IN_GAME
+    
+    const modeReason = this.mode.canEat(ws, preyWs)
+    if (modeReason) return modeReason
+    
+    if (Date.now() - ws.lastPlayerEatTime < FEEDING_RULES.playerEatCooldown) {
+      return EAT_REJECT_REASON.COOLDOWN
+    }
+    
+    if (!this.isWithinEatRange(ws, preyWs.position, preyWs.volume)) {
+      return EAT_REJECT_REASON.TOO_FAR
+    }
+    
+    if (!meetsSizeRatio(ws.volume, preyWs.volume)) {
+      return EAT_REJECT_REASON.TOO_SMALL
+    }
+    
+    if (checkDiet(ws.creature, preyWs.creature, ws.volume, preyWs.volume)) {
+      return EAT_REJECT_REASON.DIET
+    }
+    
+    return null
+  }
+  
   /**
    * Handle player respawn - update their state and notify others
    */
   handlePlayerRespawn(ws, data) {
     const playerId = ws.id
     
+    // Only the dead respawn - a live fish would teleport and reset its survival time
+    if (ws.inGame) {
+      console.warn(`[Room ${this.id}] Player ${playerId} asked to respawn while alive`)
+      return
+    }
+    
     console.log(`[Room ${this.id}] Player ${playerId} respawned`)
     
     // Update player state
@@ -367,40 +906,29 @@ export class Room {
       }
     }
     
-    // Reset their volume to starter
-    ws.volume = 1
+    // Reset their ledger to starter
+    ws.volume = VOLUME_LIMITS.STARTER
     ws.scale = 1
+    ws.spawnTime = Date.now()
+    
+    if (!this.enterGame(ws)) {
+      return
+    }
     
     // Broadcast to all other players that this player respawned
+    // Full state - clients removed the player when they died
     this.broadcast(MSG.PLAYER_RESPAWN, {
       playerId: playerId,
       position: ws.position,
+      player: this.getPlayerState(ws),
     }, playerId)  // Exclude the respawning player
   }
   
   /**
-   * Handle NPC snapshot from host - relay to all other players
-   * Server does NO processing - just forwards the bytes
+   * Handle a client asking for every NPC again (its snapshot listed NPCs it never got)
    */
-  handleNPCSnapshot(ws, data) {
-    // Only accept snapshots from the current host
-    if (ws.id !== this.hostId) {
-      // Silently ignore - could be stale snapshot from old host
-      return
-    }
-    
-    // Validate snapshot structure
-    if (!isValidNPCSnapshot(data)) {
-      console.warn(`[Room ${this.id}] Invalid NPC snapshot from host ${ws.id}`)
-      return
-    }
-    
-    // Relay to all OTHER players (not back to host)
-    // Pass the data directly - no processing needed
-    this.broadcast(MSG.NPC_SNAPSHOT, {
-      tick: data.tick,
-      fish: data.fish,
-    }, ws.id)
+  handleKeyframeRequest(ws) {
+    this.sendNPCBatch(ws)
   }
   
   /**
@@ -410,8 +938,7 @@ export class Room {
    */
   handleAbilityChange(ws, data) {
     // Validate ability key
-    const validAbilities = ['sprinter', 'stacker', 'camper', 'attacker']
-    if (!data.ability || !validAbilities.includes(data.ability)) {
+    if (!ABILITY_KEYS.includes(data.ability)) {
       console.warn(`[Room ${this.id}] Invalid ability key from player ${ws.id}: ${data.ability}`)
       return
     }
@@ -427,6 +954,10 @@ export class Room {
     if (data.terrain !== undefined) relayData.terrain = data.terrain
     if (data.mimicSeed !== undefined) relayData.mimicSeed = data.mimicSeed
     
+    if (data.type === MSG.ABILITY_START && ws.match) {
+      ws.match.abilities++
+    }
+    
     // Relay to all OTHER players (not back to sender)
     this.broadcast(data.type, relayData, ws.id)
   }
@@ -443,8 +974,7 @@ export class Room {
       return
     }
     
-    // Relay to all OTHER players with player ID
-    this.broadcast(MSG.PRISM_PLACE, {
+    const prism = {
       id: ws.id,
       prismId: data.prismId,
       position: data.position,
@@ -455,7 +985,21 @@ export class Room {
       roughness: data.roughness,
       metalness: data.metalness,
       emissive: data.emissive,
-    }, ws.id)
+    }
+    
+    if (ws.match && !ws.prisms.has(prism.prismId)) {
+      ws.match.structures++
+    }
+    
+    // Remember it for late joiners and resumes (Map keeps placement order)
+    ws.prisms.delete(prism.prismId)
+    ws.prisms.set(prism.prismId, prism)
+    if (ws.prisms.size > MAX_TRACKED_PRISMS) {
+      ws.prisms.delete(ws.prisms.keys().next().value)
+    }
+    
+    // Relay to all OTHER players with player ID
+    this.broadcast(MSG.PRISM_PLACE, prism, ws.id)
   }
   
   /**
@@ -469,6 +1013,8 @@ export class Room {
       return
     }
     
+    ws.prisms.delete(data.prismId)
+    
     // Relay to all OTHER players
     this.broadcast(MSG.PRISM_REMOVE, {
       id: ws.id,
@@ -489,7 +1035,7 @@ export class Room {
     }
     
     // Limit message length
-    const text = data.text.substring(0, 200)
+    const text = data.text.substring(0, MESSAGE_LIMITS.chatMaxLength)
     
     // Relay to all OTHER players with sender info
     this.broadcast(MSG.CHAT, {
@@ -502,6 +1048,15 @@ export class Room {
   }
   
   handleMapChangeRequest(ws) {
+    // The per-connection bucket alone would let every player (or a reconnecting
+    // one) regenerate the world in turn
+    const now = Date.now()
+    if (now - this.lastMapChange < RATE_LIMITS.mapChangeCooldown) {
+      console.warn(`[Room ${this.id}] Ignoring map change from player ${ws.id} - cooling down`)
+      return
+    }
+    this.lastMapChange = now
+    
     // Generate ONE master seed - npcSeed is derived from it
     // This ensures all clients derive the same seeds
     const masterSeed = Math.floor(Math.random() * 0xFFFFFFFF)
@@ -510,8 +1065,8 @@ export class Room {
     this.worldSeed = masterSeed
     this.npcSeed = derivedNpcSeed
     
-    // Clear dead NPCs - all NPCs will respawn fresh
-    this.deadNpcIds.clear()
+    // New terrain, new grid - all NPCs respawn fresh
+    this.startNPCSimulation()
     
     // Broadcast to ALL players (including the requester)
     // Send masterSeed as 'seed' - client will derive npcSeed the same way
@@ -520,12 +1075,132 @@ export class Room {
       requestedBy: ws.id,
     })
     
+    // Clients clear their NPCs when they rebuild the map
+    for (const client of [...this.players.values(), ...this.spectators.values()]) {
+      this.sendNPCBatch(client)
+    }
+    this.recorder?.record(MSG.NPC_BATCH_SPAWN, {
+      full: true,
+      tick: this.npcSim.tickCount,
+      npcs: this.npcSim.getAllSpawnData(),
+    })
+    
     console.log(`[Room ${this.id}] Map changed - masterSeed: 0x${masterSeed.toString(16).toUpperCase()} (npcSeed derived as 0x${derivedNpcSeed.toString(16).toUpperCase()}) (requested by player ${ws.id})`)
   }
   
+  // ============================================================================
+  // NPC SIMULATION
+  // ============================================================================
+  
+  /**
+   * (Re)start the NPC simulation for the current world and NPC seeds
+   */
+  startNPCSimulation(savedState = null) {
+    const start = performance.now()
+    
+    const { layout, points } = getWorld(this.worldSeed)
+    this.npcSim = new NPCSimulation({
+      seed: this.npcSeed,
+      points,
+      species: NPC_SPECIES,
+      layout,
+    })
+    
+    this.npcSim.onSpawn((npc) => {
+      this.pendingNpcSpawns.push(this.npcSim.getSpawnData(npc))
+    })
+    
+    this.npcSim.onEat((predator, prey) => {
+      this.broadcast(MSG.NPC_DEATH, {
+        npcId: prey.id,
+        predatorId: predator.id,
+        predatorVolume: predator.volume,
+      })
+    })
+    
+    this.npcSim.onDeath((npc, cause) => {
+      this.broadcast(MSG.NPC_DEATH, { npcId: npc.id, cause })
+    })
+    
+    // Starving NPCs shrink - the batch entry carries the new volume
+    this.npcSim.onResize((npc) => {
+      this.pendingNpcSpawns.push(this.npcSim.getSpawnData(npc))
+    })
+    
+    if (savedState) {
+      this.npcSim.restoreState(savedState)
+    } else {
+      this.npcSim.spawnInitial()
+    }
+    
+    // The initial population goes out in each client's full batch instead
+    this.pendingNpcSpawns = []
+    
+    console.log(`[Room ${this.id}] NPC simulation started (${this.npcSim.getCount()} NPCs on ${this.npcSim.points.length} grid points, ${(performance.now() - start).toFixed(0)}ms)`)
+  }
+  
+  /**
+   * Send one client every NPC in the room (welcome, keyframe request, map change)
+   * @param {WebSocket} ws
+   */
+  sendNPCBatch(ws) {
+    this.send(ws, MSG.NPC_BATCH_SPAWN, {
+      full: true,
+      tick: this.npcSim.tickCount,
+      npcs: this.npcSim.getAllSpawnData(),
+    })
+  }
+  
+  /**
+   * Advance the NPC simulation one tick and send what changed
+   * In-game players count as threats, so NPCs flee from bigger players
+   */
+  tickNPCs() {
+    const players = []
+    this.players.forEach((ws) => {
+      if (!ws.inGame) return
+      players.push({
+        id: ws.id,
+        position: ws.position,
+        volume: ws.volume,
+        type: ws.creature?.type,
+        class: ws.creature?.class,
+      })
+    })
+    
+    this.npcSim.tick(1 / this.tickRate, players)
+    
+    // Respawns (eaten NPCs replaced) before any snapshot that lists them
+    if (this.pendingNpcSpawns.length > 0) {
+      this.broadcast(MSG.NPC_BATCH_SPAWN, {
+        tick: this.npcSim.tickCount,
+        npcs: this.pendingNpcSpawns,
+      })
+      this.pendingNpcSpawns = []
+    }
+    
+    if (this.tickCount % this.npcKeyframeTicks === 0) {
+      this.broadcast(MSG.NPC_SNAPSHOT, this.npcSim.getKeyframe())
+    } else if (this.tickCount % this.npcDeltaTicks === 0) {
+      const delta = this.npcSim.getDelta(
+        NETWORK_CONFIG.npcDeltaPositionThreshold,
+        NETWORK_CONFIG.npcDeltaRotationThreshold
+      )
+      if (delta.fish.length > 0 || delta.gone.length > 0) {
+        this.broadcast(MSG.NPC_SNAPSHOT, delta)
+      }
+    }
+  }
+  
+  // ============================================================================
+  // GAME LOOP
+  // ============================================================================
+  
   startGameLoop() {
     this.tickInterval = setInterval(() => {
+      const start = performance.now()
       this.tick()
+      metrics.tickDuration.observe({ room: this.id }, (performance.now() - start) / 1000)
     }, 1000 / this.tickRate)
   }
   
@@ -542,10 +1217,12 @@ export class Room {
     const positions = []
     const serverTime = Date.now()
     
+    this.grid.clear()
+    
     this.players.forEach((ws, id) => {
       if (!ws.inGame) return
       
-      positions.push({
+      const entry = {
         id: id,
         x: ws.position.x,
         y: ws.position.y,
@@ -554,15 +1231,31 @@ export class Room {
         ry: ws.rotation.y,
         rz: ws.rotation.z,
         s: ws.scale,
-        v: ws.volume,  // World volume for feeding system
-      })
+        v: ws.volume,  // Server ledger volume for feeding system
+      }
+      
+      positions.push(entry)
+      this.grid.insert(entry, entry.x, entry.z)
     })
     
     if (positions.length > 0) {
-      this.broadcast(MSG.BATCH_POSITIONS, {
-        time: serverTime,  // Changed from 't' to 'time' to avoid collision with message type
-        p: positions,
-      })
+      this.broadcastPositions(positions, serverTime)
+    }
+    
+    // NPCs only move while someone is connected to watch them
+    if (this.players.size > 0 || this.spectators.size > 0) {
+      this.tickNPCs()
+    }
+    
+    this.mode.tick(serverTime)
+    
+    if (this.tickCount % this.leaderboardTicks === 0) {
+      this.broadcastLeaderboard(serverTime)
+      
+      // Round timer and scores - free-for-all has neither
+      if (this.mode.kind !== GAME_MODE.FREE_FOR_ALL) {
+        this.broadcastRoomInfo()
+      }
     }
     
     // Log every 30 seconds instead of 5
@@ -574,33 +1267,191 @@ export class Room {
     }
   }
   
+  /**
+   * Send BATCH_POSITIONS with interest management
+   * Every Nth tick everyone gets the full list (one shared encoding).
+   * In between, each in-game receiver only gets players inside its
+   * relevance radius, which grows with the receiver's volume.
+   * Spectators have no position of their own and always get the full list.
+   * @param {Array} positions - All in-game player entries (also in this.grid)
+   * @param {number} serverTime
+   */
+  broadcastPositions(positions, serverTime) {
+    if (this.tickCount % NETWORK_CONFIG.aoiFarInterval === 0) {
+      this.broadcast(MSG.BATCH_POSITIONS, {
+        time: serverTime,  // Changed from 't' to 'time' to avoid collision with message type
+        p: positions,
+      })
+      return
+    }
+    
+    // Spectators and replays see everyone every tick
+    const full = { time: serverTime, p: positions }
+    if (this.spectators.size > 0) {
+      this.sendToAll(this.spectators, MSG.BATCH_POSITIONS, full)
+    }
+    this.recorder?.record(MSG.BATCH_POSITIONS, full)
+    
+    this.players.forEach((ws) => {
+      // Not swimming yet (menu / death screen) - far-rate updates are plenty
+      // Eliminated players watch the round like spectators
+      if (!ws.inGame) {
+        if (ws.eliminated) this.send(ws, MSG.BATCH_POSITIONS, full)
+        return
+      }
+      
+      const { x, y, z } = ws.position
+      const radius = getRelevanceRadius(ws.volume)
+      const radiusSq = radius * radius
+      const nearby = []
+      
+      this.grid.query(x, z, radius, (entry) => {
+        const dx = entry.x - x
+        const dy = entry.y - y
+        const dz = entry.z - z
+        if (dx * dx + dy * dy + dz * dz <= radiusSq) {
+          nearby.push(entry)
+        }
+      })
+      
+      this.send(ws, MSG.BATCH_POSITIONS, {
+        time: serverTime,
+        p: nearby,
+      })
+    })
+  }
+  
+  /**
+   * Top-N in-game players by volume, kills and survival time
+   * Entries are the union of the three rankings - clients sort per tab
+   * @param {number} now - Server time
+   * @returns {Array} [{ id, name, v, k, st }]
+   */
+  getLeaderboard(now = Date.now()) {
+    const size = NETWORK_CONFIG.leaderboardSize
+    const entries = []
+    
+    this.players.forEach((ws, id) => {
+      if (!ws.inGame) return
+      
+      entries.push({
+        id: id,
+        name: ws.name,
+        v: Math.round(ws.volume * 100) / 100,
+        k: ws.kills,
+        st: ws.spawnTime ? Math.floor((now - ws.spawnTime) / 1000) : 0,
+      })
+    })
+    
+    if (entries.length <= size) {
+      return entries
+    }
+    
+    const top = new Set()
+    for (const key of ['v', 'k', 'st']) {
+      entries
+        .slice()
+        .sort((a, b) => b[key] - a[key])
+        .slice(0, size)
+        .forEach(entry => top.add(entry))
+    }
+    
+    return [...top]
+  }
+  
+  broadcastLeaderboard(now = Date.now()) {
+    const entries = this.getLeaderboard(now)
+    if (entries.length === 0) return
+    
+    this.broadcast(MSG.LEADERBOARD, {
+      time: now,
+      entries: entries,
+    })
+  }
+  
+  /**
+   * Send the game mode's state to everyone
+   * @param {string|null} event - 'round_start' / 'round_end' when sent because of one
+   */
+  broadcastRoomInfo(event = null) {
+    this.broadcast(MSG.ROOM_INFO, {
+      ...this.mode.getInfo(),
+      event: event || undefined,
+    })
+  }
+  
   send(ws, type, data) {
     try {
-      const message = encodeMessage(type, data)
-      ws.send(message, false)
+      const message = encodeMessage(type, data, ws.codec)
+      const result = ws.send(message, typeof message !== 'string')
+      this.recordSend(type, ws.codec, messageSize(message), result)
     } catch (err) {
       console.error(`[Room ${this.id}] Failed to send to player ${ws.id}:`, err.message)
     }
   }
   
+  /**
+   * Send to every player and spectator
+   * @param {number} type - MSG value
+   * @param {Object} data
+   * @param {number|null} excludeId - Usually the sender
+   */
   broadcast(type, data, excludeId = null) {
-    const message = encodeMessage(type, data)
+    this.recorder?.record(type, data)
     
-    this.players.forEach((ws, id) => {
+    // Encode at most once per codec in use
+    const encoded = {}
+    
+    this.sendToAll(this.players, type, data, excludeId, encoded)
+    this.sendToAll(this.spectators, type, data, excludeId, encoded)
+  }
+  
+  /**
+   * Send one message to every connection in a map
+   * @param {Map} connections - id -> ws (players or spectators)
+   * @param {Object} encoded - Per-codec encoding cache, shared across calls for one message
+   */
+  sendToAll(connections, type, data, excludeId = null, encoded = {}) {
+    connections.forEach((ws, id) => {
       if (id === excludeId) return
       
       try {
-        ws.send(message, false)
+        if (!encoded[ws.codec]) {
+          const message = encodeMessage(type, data, ws.codec)
+          encoded[ws.codec] = { message, size: messageSize(message) }
+        }
+        const { message, size } = encoded[ws.codec]
+        const result = ws.send(message, typeof message !== 'string')
+        this.recordSend(type, ws.codec, size, result)
       } catch (err) {
         console.error(`[Room ${this.id}] Failed to broadcast to player ${id}:`, err.message)
       }
     })
   }
   
+  /**
+   * Count an outgoing message
+   * @param {number} result - uWS send() status: 1 sent, 0 backpressure, 2 dropped
+   */
+  recordSend(type, codec, size, result) {
+    metrics.messagesOut.inc({ type: typeLabel(type) })
+    metrics.bytesOut.inc({ codec }, size)
+    
+    if (result === 0) {
+      metrics.backpressure.inc()
+    } else if (result === 2) {
+      metrics.dropped.inc()
+    }
+  }
+  
   getPlayerCount() {
     return this.players.size
   }
   
+  getSpectatorCount() {
+    return this.spectators.size
+  }
+  
   getInGameCount() {
     let count = 0
     this.players.forEach(ws => {
@@ -610,35 +1461,218 @@ export class Room {
   }
   
   isEmpty() {
-    return this.players.size === 0
+    return this.players.size === 0 && this.sessions.size === 0 && this.spectators.size === 0
   }
   
   canJoin() {
-    return this.players.size < this.maxPlayers
+    // Suspended sessions keep their slot
+    return this.players.size + this.sessions.size < this.maxPlayers
+  }
+  
+  canSpectate() {
+    return this.spectators.size < this.maxSpectators
+  }
+  
+  /**
+   * @param {string|null} password
+   * @returns {boolean} True if the password opens this room (public rooms always do)
+   */
+  checkPassword(password) {
+    if (!this.passwordHash) return true
+    if (typeof password !== 'string') return false
+    
+    const [, salt, expected] = this.passwordHash.split('$')
+    const actual = hashRoomPassword(password, salt).split('$')[2]
+    return timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'))
   }
   
   getInfo() {
     return {
       id: this.id,
+      name: this.name,
+      isPrivate: this.isPrivate,
       players: this.getPlayerCount(),
       inGame: this.getInGameCount(),
+      spectators: this.getSpectatorCount(),
       maxPlayers: this.maxPlayers,
+      mode: this.mode.kind,
       worldSeed: this.worldSeed,
       npcSeed: this.npcSeed,
-      hostId: this.hostId,
+      npcs: this.npcSim.getCount(),
+    }
+  }
+  
+  // ============================================================================
+  // ACCOUNT STATS (see AccountManager.js)
+  // ============================================================================
+  
+  /**
+   * Start counting a logged-in player's life (one match in their history)
+   * @param {WebSocket} ws
+   */
+  startMatch(ws) {
+    if (!this.accounts || !ws.accountId) return
+    
+    // Rejoining from the menu without dying still ends the life before it
+    this.finishMatch(ws, false)
+    
+    ws.match = {
+      startedAt: Date.now(),
+      eaten: 0,
+      distance: 0,
+      abilities: 0,
+      structures: 0,
+      peakVolume: ws.volume,
+    }
+  }
+  
+  /**
+   * Count an accepted eat - call after the ledger was credited
+   * @param {WebSocket} ws
+   */
+  creditEat(ws) {
+    if (!ws.match) return
+    
+    ws.match.eaten++
+    ws.match.peakVolume = Math.max(ws.match.peakVolume, ws.volume)
+  }
+  
+  /**
+   * End a life and credit it to the player's account
+   * Call before the player's volume is reset - placement is ranked on it
+   * @param {Object} player - Connection or suspended session state
+   * @param {boolean} died - Eaten rather than left
+   */
+  finishMatch(player, died) {
+    const match = player.match
+    if (!match) return
+    player.match = null
+    
+    let placement = 1
+    this.players.forEach(other => {
+      if (other !== player && other.inGame && other.volume > player.volume) placement++
+    })
+    
+    const now = Date.now()
+    this.accounts?.recordMatch(player.accountId, {
+      endedAt: now,
+      duration: now - match.startedAt,
+      size: match.peakVolume,
+      eaten: match.eaten,
+      died,
+      distance: match.distance,
+      abilities: match.abilities,
+      structures: match.structures,
+      placement,
+      server: this.name,
+    })
+  }
+  
+  // ============================================================================
+  // REPLAYS (see ReplayRecorder.js)
+  // ============================================================================
+  
+  /**
+   * Room state at the start of a replay file - the seeds rebuild terrain,
+   * the rest is what a spectator gets in WELCOME and the full NPC batch
+   * @returns {Object}
+   */
+  getReplayHeader() {
+    return {
+      roomName: this.name,
+      worldSeed: this.worldSeed,
+      npcSeed: this.npcSeed,
+      players: this.getPlayersForWelcome(null),
+      roomInfo: this.mode.getInfo(),
+      npcTick: this.npcSim.tickCount,
+      npcs: this.npcSim.getAllSpawnData(),
+    }
+  }
+  
+  // ============================================================================
+  // PERSISTENCE (see RoomStore.js)
+  // ============================================================================
+  
+  /**
+   * Everything needed to rebuild this room after a restart
+   * Connected players are saved as sessions - to the room a restart is just
+   * everyone dropping at once, and they resume with their volume and prisms.
+   * Logged-in players' runs are also kept by account (savedPlayers), so they
+   * come back even after the resume window
+   * @returns {Object} Plain JSON-safe snapshot
+   */
+  getSnapshot() {
+    const players = []
+    this.players.forEach(ws => players.push(this.getSessionState(ws)))
+    this.sessions.forEach(session => players.push(session.state))
+    
+    return {
+      version: ROOM_SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      id: this.id,
+      name: this.name,
+      isPrivate: this.isPrivate,
+      passwordHash: this.passwordHash,
+      mode: this.mode.kind,
+      worldSeed: this.worldSeed,
+      npcSeed: this.npcSeed,
+      playerIdCounter: this.playerIdCounter,
+      npcs: this.npcSim.getState(),
+      players: players.map(state => ({ ...state, prisms: [...state.prisms] })),
+      savedPlayers: [...this.savedPlayers].map(([accountId, saved]) => [accountId, { ...saved, prisms: [...saved.prisms] }]),
+    }
+  }
+  
+  /**
+   * Hold a session for every player in a snapshot
+   * The restart counts as their drop - each gets a fresh grace period. Logged-in
+   * players' volume and prisms are kept by account as well, for when they come
+   * back after the grace period (claimSavedPlayer)
+   * @param {Object} snapshot - From getSnapshot()
+   */
+  restoreSessions(snapshot) {
+    this.playerIdCounter = Math.max(this.playerIdCounter, snapshot.playerIdCounter || 0)
+    
+    const now = Date.now()
+    for (const [accountId, saved] of snapshot.savedPlayers || []) {
+      if (now - saved.savedAt > NETWORK_CONFIG.savedPlayerLifetime) continue
+      this.savedPlayers.set(accountId, { ...saved, prisms: new Map(saved.prisms) })
+    }
+    
+    for (const saved of snapshot.players || []) {
+      if (saved.accountId) {
+        this.savedPlayers.set(saved.accountId, {
+          volume: saved.volume,
+          prisms: new Map(saved.prisms || []),
+          savedAt: snapshot.savedAt,
+        })
+      }
+      
+      if (!saved.resumeToken) continue
+      this.holdSession({ ...saved, prisms: new Map(saved.prisms || []) })
+    }
+    
+    if (this.sessions.size > 0) {
+      console.log(`[Room ${this.id}] Holding ${this.sessions.size} restored sessions for ${NETWORK_CONFIG.resumeGracePeriod / 1000}s`)
     }
   }
   
   destroy() {
     this.stopGameLoop()
+    this.recorder?.stop()
+    metrics.tickDuration.remove({ room: this.id })
     
-    this.players.forEach((ws, id) => {
+    this.sessions.forEach(session => clearTimeout(session.timer))
+    this.sessions.clear()
+    
+    for (const ws of [...this.players.values(), ...this.spectators.values()]) {
       try {
         ws.close()
       } catch (err) {}
-    })
+    }
     
     this.players.clear()
+    this.spectators.clear()
     
     console.log(`[Room ${this.id}] Destroyed`)
   }
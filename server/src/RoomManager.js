@@ -2,8 +2,20 @@
  * RoomManager.js - Manages multiple game rooms
  */
 
+import { randomInt } from 'crypto'
 import { Room } from './Room.js'
-import { NETWORK_CONFIG } from '../../shared/Protocol.js'
+import { NullRoomStore } from './RoomStore.js'
+import {
+  MSG,
+  NETWORK_CONFIG,
+  ROOM_RULES,
+  ROOM_ERROR_REASON,
+  MESSAGE_LIMITS,
+  PRESENCE,
+  WHISPER_ERROR,
+  GAME_MODE,
+  isValidGameMode,
+} from '../../shared/Protocol.js'
 
 export class RoomManager {
   constructor(options = {}) {
@@ -12,31 +24,79 @@ export class RoomManager {
     
     this.rooms = new Map()
     this.roomIdCounter = 0
+    this.roomOwners = new Map()  // Private room ID -> 'account:<id>' / 'ip:<address>' that created it
+    
+    // Persistence - see RoomStore.js and restore()
+    this.store = options.store || new NullRoomStore()
+    this.saveInterval = options.saveInterval || 60000
+    this.storeQueue = Promise.resolve()  // Store writes run one at a time, in order
+    
+    // Replay recording - { dir, maxDuration } or null (see ReplayRecorder.js)
+    this.replay = options.replay || null
+    
+    // Player accounts - rooms credit logged-in players' lives (see AccountManager.js)
+    this.accounts = options.accounts || null
     
     this.cleanupInterval = setInterval(() => {
       this.cleanup()
     }, 30000)
     
+    this.autosaveInterval = setInterval(() => {
+      this.saveAll()
+    }, this.saveInterval)
+    
     this.createRoom()
     
+    // Named rooms that always exist, even with nobody in them
+    for (const { id, name, mode } of options.persistentRooms || []) {
+      this.createRoom(id, { name, mode, persistent: true })
+    }
+    
     console.log('[RoomManager] Initialized')
   }
   
-  createRoom(customId = null) {
+  createRoom(customId = null, options = {}) {
     const id = customId || `ocean_${++this.roomIdCounter}`
     
     const room = new Room(id, {
+      ...options,
       maxPlayers: this.maxPlayersPerRoom,
+      replay: this.replay,
+      accounts: this.accounts,
       onEmpty: () => this.handleEmptyRoom(id),
     })
     
     this.rooms.set(id, room)
     
-    console.log(`[RoomManager] Created room ${id} (total: ${this.rooms.size})`)
+    console.log(`[RoomManager] Created ${room.isPrivate ? 'private ' : ''}room ${id} (total: ${this.rooms.size})`)
     
     return room
   }
   
+  /**
+   * Create a private room - its shareable code doubles as the room ID
+   * @param {string} name - Display name
+   * @param {string|null} password - Optional password required to join
+   * @param {string} mode - GAME_MODE value
+   * @returns {Room}
+   */
+  createPrivateRoom(name, password = null, mode = GAME_MODE.FREE_FOR_ALL) {
+    let code
+    do {
+      code = ''
+      for (let i = 0; i < ROOM_RULES.codeLength; i++) {
+        code += ROOM_RULES.codeAlphabet[randomInt(ROOM_RULES.codeAlphabet.length)]
+      }
+    } while (this.rooms.has(code))
+    
+    return this.createRoom(code, {
+      name: name || `Private ${code}`,
+      isPrivate: true,
+      password: password || null,
+      mode: mode,
+    })
+  }
+  
   destroyRoom(roomId) {
     const room = this.rooms.get(roomId)
     
@@ -46,11 +106,17 @@ export class RoomManager {
     
     room.destroy()
     this.rooms.delete(roomId)
+    this.roomOwners.delete(roomId)
+    this.enqueueStore(() => this.store.remove(roomId))
     
     console.log(`[RoomManager] Destroyed room ${roomId} (remaining: ${this.rooms.size})`)
   }
   
   handleEmptyRoom(roomId) {
+    if (this.rooms.get(roomId)?.persistent) {
+      return
+    }
+    
     if (this.rooms.size <= this.minRooms) {
       console.log(`[RoomManager] Room ${roomId} is empty but keeping (min rooms)`)
       return
@@ -64,10 +130,10 @@ export class RoomManager {
     }, 10000)
   }
   
-  findRoom(preferredId = null) {
+  findRoom(preferredId = null, password = null) {
     if (preferredId) {
       const preferred = this.rooms.get(preferredId)
-      if (preferred && preferred.canJoin()) {
+      if (preferred && preferred.canJoin() && preferred.checkPassword(password)) {
         console.log(`[RoomManager] Assigned to preferred room ${preferredId}`)
         return preferred
       }
@@ -78,6 +144,7 @@ export class RoomManager {
     
     this.rooms.forEach((room, id) => {
       if (!room.canJoin()) return
+      if (room.isPrivate) return  // Only reachable by code
       
       const players = room.getPlayerCount()
       const maxPlayers = room.maxPlayers
@@ -102,6 +169,47 @@ export class RoomManager {
     return bestRoom
   }
   
+  /**
+   * Find a room to watch - spectators don't need a player slot
+   * @param {string|null} preferredId - Room asked for on the upgrade URL
+   * @param {string|null} password
+   * @returns {Room|null} The preferred room, else the busiest public one; null if all are full of spectators
+   */
+  findSpectateRoom(preferredId = null, password = null) {
+    if (preferredId) {
+      const preferred = this.rooms.get(preferredId)
+      if (preferred && preferred.canSpectate() && preferred.checkPassword(password)) {
+        return preferred
+      }
+    }
+    
+    let bestRoom = null
+    
+    this.rooms.forEach((room) => {
+      if (room.isPrivate || !room.canSpectate()) return
+      if (!bestRoom || room.getPlayerCount() > bestRoom.getPlayerCount()) {
+        bestRoom = room
+      }
+    })
+    
+    return bestRoom
+  }
+  
+  /**
+   * Find the room holding a resumable session and reattach the connection
+   * @param {WebSocket} ws - New connection
+   * @param {string} token - Resume token from the client's previous WELCOME
+   * @returns {Room|null} The room the player resumed in, or null if the session is gone
+   */
+  resumePlayer(ws, token) {
+    for (const room of this.rooms.values()) {
+      if (room.resumePlayer(ws, token)) {
+        return room
+      }
+    }
+    return null
+  }
+  
   getRoom(roomId) {
     return this.rooms.get(roomId) || null
   }
@@ -122,6 +230,7 @@ export class RoomManager {
         id: id,
         players: players,
         inGame: inGame,
+        spectators: room.getSpectatorCount(),
         maxPlayers: room.maxPlayers,
         tickCount: room.tickCount,
       })
@@ -141,6 +250,7 @@ export class RoomManager {
     const list = []
     
     this.rooms.forEach((room, id) => {
+      if (room.isPrivate) return
       list.push(room.getInfo())
     })
     
@@ -149,6 +259,195 @@ export class RoomManager {
     return list
   }
   
+  // ============================================================================
+  // ROOM MESSAGES (room browser, switching, private rooms)
+  // ============================================================================
+  
+  /**
+   * Handle messages that move a player between rooms
+   * @param {WebSocket} ws
+   * @param {Object} data - Decoded message
+   * @returns {boolean} True if the message was a room message (handled here)
+   */
+  handleRoomMessage(ws, data) {
+    switch (data.type) {
+      case MSG.ROOM_LIST:
+        ws.room?.send(ws, MSG.ROOM_LIST, {
+          rooms: this.getRoomList(),
+          clientTime: data.clientTime,  // Echoed so the client can measure ping
+        })
+        return true
+        
+      case MSG.SWITCH_ROOM:
+        this.handleSwitchRoom(ws, data)
+        return true
+        
+      case MSG.CREATE_ROOM:
+        this.handleCreateRoom(ws, data)
+        return true
+        
+      case MSG.WHISPER:
+        this.handleWhisper(ws, data)
+        return true
+        
+      default:
+        return false
+    }
+  }
+  
+  handleSwitchRoom(ws, data) {
+    if (typeof data.roomId !== 'string' || !data.roomId) {
+      this.sendRoomError(ws, ROOM_ERROR_REASON.INVALID)
+      return
+    }
+    
+    // Codes are shared by hand - accept any case
+    const room = this.rooms.get(data.roomId) || this.rooms.get(data.roomId.toUpperCase())
+    
+    if (!room) {
+      this.sendRoomError(ws, ROOM_ERROR_REASON.NOT_FOUND, data.roomId)
+      return
+    }
+    if (room === ws.room) {
+      return
+    }
+    if (ws.spectator ? !room.canSpectate() : !room.canJoin()) {
+      this.sendRoomError(ws, ROOM_ERROR_REASON.FULL, room.id)
+      return
+    }
+    if (!room.checkPassword(typeof data.password === 'string' ? data.password : null)) {
+      this.sendRoomError(ws, ROOM_ERROR_REASON.BAD_PASSWORD, room.id)
+      return
+    }
+    
+    this.movePlayer(ws, room)
+  }
+  
+  handleCreateRoom(ws, data) {
+    const name = typeof data.name === 'string' ? data.name.trim() : ''
+    const password = typeof data.password === 'string' ? data.password : ''
+    const mode = data.mode ?? GAME_MODE.FREE_FOR_ALL
+    
+    if (name.length > ROOM_RULES.nameMaxLength || password.length > ROOM_RULES.passwordMaxLength || !isValidGameMode(mode)) {
+      this.sendRoomError(ws, ROOM_ERROR_REASON.INVALID)
+      return
+    }
+    
+    // Each room builds a whole NPC world - don't let one player pile them up
+    // Owners are accounts or addresses, so reconnecting doesn't start the count over
+    const owner = ws.accountId ? `account:${ws.accountId}` : `ip:${ws.ip}`
+    const owned = [...this.roomOwners.values()].filter(key => key === owner).length
+    if (owned >= ROOM_RULES.maxOwnedRooms || this.getPrivateRoomCount() >= ROOM_RULES.maxPrivateRooms) {
+      this.sendRoomError(ws, ROOM_ERROR_REASON.LIMIT)
+      return
+    }
+    
+    const room = this.createPrivateRoom(name, password, mode)
+    this.roomOwners.set(room.id, owner)
+    this.movePlayer(ws, room)
+  }
+  
+  /**
+   * Move a connected player to another room
+   * They leave the old room for good and get a fresh WELCOME from the new one
+   */
+  movePlayer(ws, room) {
+    const from = ws.room
+    from?.removePlayer(ws, false)
+    
+    if (ws.spectator) {
+      room.addSpectator(ws, ws.name)
+    } else {
+      room.addPlayer(ws, ws.name)
+    }
+    
+    console.log(`[RoomManager] Player moved ${from?.id} -> ${room.id} (now player ${ws.id})`)
+  }
+  
+  sendRoomError(ws, reason, roomId = null) {
+    ws.room?.send(ws, MSG.ROOM_ERROR, { reason, roomId })
+  }
+  
+  // ============================================================================
+  // FRIENDS (presence and whispers across rooms)
+  // ============================================================================
+  
+  /**
+   * Private message to a friend, wherever they are
+   * The sender gets the message back once delivered, or the reason it wasn't
+   * @param {WebSocket} ws
+   * @param {Object} data - { to: username, text }
+   */
+  handleWhisper(ws, data) {
+    const fail = (error) => ws.room?.send(ws, MSG.WHISPER, { to: data.to, error })
+    
+    if (!this.accounts || !ws.accountId) {
+      fail(WHISPER_ERROR.NOT_LOGGED_IN)
+      return
+    }
+    
+    const friend = this.accounts.findByUsername(data.to)
+    if (!friend || !this.accounts.areFriends(ws.accountId, friend.id)) {
+      fail(WHISPER_ERROR.NOT_FRIEND)
+      return
+    }
+    
+    const connections = this.findConnections(friend.id)
+    if (connections.length === 0) {
+      fail(WHISPER_ERROR.OFFLINE)
+      return
+    }
+    
+    const text = data.text.substring(0, MESSAGE_LIMITS.chatMaxLength)
+    const from = this.accounts.getUsername(ws.accountId)
+    
+    for (const connection of connections) {
+      connection.room.send(connection, MSG.WHISPER, { from, text })
+    }
+    ws.room?.send(ws, MSG.WHISPER, { to: friend.username, text })
+  }
+  
+  /**
+   * Every open connection (player or spectator) logged in as an account
+   * @param {string} accountId
+   * @returns {WebSocket[]}
+   */
+  findConnections(accountId) {
+    const connections = []
+    this.rooms.forEach(room => {
+      for (const ws of [...room.players.values(), ...room.spectators.values()]) {
+        if (ws.accountId === accountId) {
+          connections.push(ws)
+        }
+      }
+    })
+    return connections
+  }
+  
+  /**
+   * Where every logged-in connection is, for friends lists
+   * A player with several connections shows the one that's playing
+   * @returns {Map<string, Object>} accountId -> { status, roomId, roomName, locked }
+   */
+  getPresence() {
+    const presence = new Map()
+    
+    this.rooms.forEach(room => {
+      for (const ws of [...room.players.values(), ...room.spectators.values()]) {
+        if (!ws.accountId || presence.get(ws.accountId)?.status === PRESENCE.PLAYING) continue
+        
+        presence.set(ws.accountId, {
+          status: ws.inGame ? PRESENCE.PLAYING : PRESENCE.ONLINE,
+          roomId: room.id,
+          roomName: room.name,
+          locked: !!room.passwordHash,  // Joining needs the password
+        })
+      }
+    })
+    
+    return presence
+  }
+  
   getTotalPlayers() {
     let total = 0
     this.rooms.forEach(room => {
@@ -157,6 +456,14 @@ export class RoomManager {
     return total
   }
   
+  getPrivateRoomCount() {
+    let count = 0
+    this.rooms.forEach(room => {
+      if (room.isPrivate) count++
+    })
+    return count
+  }
+  
   cleanup() {
     if (this.rooms.size <= this.minRooms) {
       return
@@ -165,6 +472,7 @@ export class RoomManager {
     const toRemove = []
     
     this.rooms.forEach((room, id) => {
+      if (room.persistent) return
       if (room.isEmpty() && this.rooms.size - toRemove.length > this.minRooms) {
         toRemove.push(id)
       }
@@ -179,8 +487,81 @@ export class RoomManager {
     }
   }
   
+  // ============================================================================
+  // PERSISTENCE
+  // ============================================================================
+  
+  /**
+   * Rebuild the rooms saved before the last shutdown
+   * A saved room replaces the empty one of the same ID created at startup.
+   * Players come back as suspended sessions and resume as usual; logged-in
+   * players also get their run back when they next join (Room.claimSavedPlayer).
+   * @returns {Promise<number>} Rooms restored
+   */
+  async restore() {
+    let snapshots
+    try {
+      snapshots = await this.store.load()
+    } catch (err) {
+      console.error(`[RoomManager] Could not load saved rooms: ${err.message}`)
+      return 0
+    }
+    
+    for (const snapshot of snapshots) {
+      const existing = this.rooms.get(snapshot.id)
+      if (existing) {
+        if (!existing.isEmpty()) continue
+        existing.destroy()
+        this.rooms.delete(snapshot.id)
+      }
+      
+      this.createRoom(snapshot.id, {
+        name: snapshot.name,
+        isPrivate: snapshot.isPrivate,
+        passwordHash: snapshot.passwordHash,
+        persistent: existing?.persistent || false,  // Configured, not saved
+        mode: snapshot.mode,
+        worldSeed: snapshot.worldSeed,
+        npcSeed: snapshot.npcSeed,
+        snapshot,
+      })
+      
+      // Keep new ocean_N IDs clear of restored ones
+      const match = /^ocean_(\d+)$/.exec(snapshot.id)
+      if (match) {
+        this.roomIdCounter = Math.max(this.roomIdCounter, parseInt(match[1]))
+      }
+    }
+    
+    console.log(`[RoomManager] Restored ${snapshots.length} rooms`)
+    return snapshots.length
+  }
+  
+  /**
+   * Save every room's snapshot
+   * Snapshots are taken now, the writes queue behind any still in flight
+   * @returns {Promise}
+   */
+  saveAll() {
+    const snapshots = [...this.rooms.values()].map(room => room.getSnapshot())
+    
+    return this.enqueueStore(async () => {
+      for (const snapshot of snapshots) {
+        await this.store.save(snapshot)
+      }
+    })
+  }
+  
+  enqueueStore(task) {
+    this.storeQueue = this.storeQueue.then(task).catch(err => {
+      console.error(`[RoomManager] Room store failed: ${err.message}`)
+    })
+    return this.storeQueue
+  }
+  
   destroy() {
     clearInterval(this.cleanupInterval)
+    clearInterval(this.autosaveInterval)
     
     this.rooms.forEach((room, id) => {
       room.destroy()
@@ -0,0 +1,115 @@
+/**
+ * RoomStore.js - Room state snapshots that survive a server restart
+ *
+ * RoomManager saves every room's snapshot (Room.getSnapshot) on an interval
+ * and at shutdown, and rebuilds the rooms from them on startup. A store is
+ * anything with these three async methods, so a database-backed one can
+ * replace the JSON files without touching RoomManager:
+ *
+ *   load()            -> [snapshot, ...]
+ *   save(snapshot)    -> write or replace the snapshot for snapshot.id
+ *   remove(roomId)    -> forget a room that was destroyed
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+// Bumped when the snapshot layout changes - older snapshots are skipped
+export const ROOM_SNAPSHOT_VERSION = 2
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * Keeps nothing - persistence off
+ */
+export class NullRoomStore {
+  async load() {
+    return []
+  }
+  
+  async save(snapshot) {}
+  
+  async remove(roomId) {}
+}
+
+/**
+ * One `<roomId>.json` per room in a directory (local runs, single server)
+ */
+export class JsonFileRoomStore {
+  constructor(dir) {
+    this.dir = dir
+  }
+  
+  async load() {
+    let files
+    try {
+      files = await fs.readdir(this.dir)
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+    
+    const snapshots = []
+    
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue
+      
+      try {
+        const snapshot = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'))
+        if (snapshot.version !== ROOM_SNAPSHOT_VERSION) {
+          console.warn(`[RoomStore] Skipping ${file}: snapshot version ${snapshot.version}, expected ${ROOM_SNAPSHOT_VERSION}`)
+          continue
+        }
+        snapshots.push(snapshot)
+      } catch (err) {
+        console.warn(`[RoomStore] Skipping unreadable ${file}: ${err.message}`)
+      }
+    }
+    
+    return snapshots
+  }
+  
+  async save(snapshot) {
+    await fs.mkdir(this.dir, { recursive: true })
+    
+    // Write then rename, so a crash mid-write never leaves a truncated snapshot
+    const file = this.fileFor(snapshot.id)
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(snapshot))
+    await fs.rename(`${file}.tmp`, file)
+  }
+  
+  async remove(roomId) {
+    try {
+      await fs.unlink(this.fileFor(roomId))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+  
+  fileFor(roomId) {
+    // Room IDs are ocean_N, private codes or configured names - keep the file name tame anyway
+    return path.join(this.dir, `${roomId.replace(/[^A-Za-z0-9_-]/g, '_')}.json`)
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * @param {string} kind - 'file' or 'none'
+ * @param {Object} options - { dir } for 'file'
+ * @returns {NullRoomStore|JsonFileRoomStore}
+ */
+export function createRoomStore(kind, options = {}) {
+  switch (kind) {
+    case 'none':
+      return new NullRoomStore()
+    case 'file':
+      return new JsonFileRoomStore(options.dir)
+    default:
+      throw new Error(`Unknown room store: ${kind}`)
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * SpatialGrid.js - Uniform 2D grid (XZ plane) for neighbour queries
+ * 
+ * Rebuilt every tick by Room for interest management. The ocean is shallow
+ * compared to its width, so Y is left to the caller's distance check.
+ */
+
+export class SpatialGrid {
+  constructor(cellSize = 100) {
+    this.cellSize = cellSize
+    this.cells = new Map()
+  }
+  
+  key(cx, cz) {
+    return `${cx},${cz}`
+  }
+  
+  clear() {
+    this.cells.clear()
+  }
+  
+  insert(item, x, z) {
+    const key = this.key(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize))
+    let cell = this.cells.get(key)
+    if (!cell) {
+      cell = []
+      this.cells.set(key, cell)
+    }
+    cell.push(item)
+  }
+  
+  /**
+   * Visit every item in cells overlapping the square around (x, z)
+   * Callers still need an exact distance check
+   * @param {number} x
+   * @param {number} z
+   * @param {number} radius
+   * @param {function} callback - Called with each candidate item
+   */
+  query(x, z, radius, callback) {
+    const minX = Math.floor((x - radius) / this.cellSize)
+    const maxX = Math.floor((x + radius) / this.cellSize)
+    const minZ = Math.floor((z - radius) / this.cellSize)
+    const maxZ = Math.floor((z + radius) / this.cellSize)
+    
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(this.key(cx, cz))
+        if (!cell) continue
+        
+        for (const item of cell) {
+          callback(item)
+        }
+      }
+    }
+  }
+}
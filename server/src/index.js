@@ -6,7 +6,12 @@
 
 import uWS from 'uWebSockets.js'
 import { RoomManager } from './RoomManager.js'
-import { MSG, decodeMessage, encodeMessage } from '../../shared/Protocol.js'
+import { createRoomStore } from './RoomStore.js'
+import { AccountManager, AccountError } from './AccountManager.js'
+import { createAccountStore } from './AccountStore.js'
+import { RateLimiter } from './RateLimiter.js'
+import { registry, metrics, typeLabel } from './Metrics.js'
+import { MSG, CODEC, RATE_LIMITS, decodeMessage, encodeMessage, isValidClientMessage, isValidGameMode } from '../../shared/Protocol.js'
 
 // ============================================================================
 // CONFIGURATION
@@ -18,15 +23,78 @@ const CONFIG = {
   idleTimeout: 120,
   maxBackpressure: 1024 * 1024,
   compression: uWS.SHARED_COMPRESSOR,
+  
+  // Room persistence - 'file' keeps one JSON snapshot per room, 'none' turns it off
+  roomStore: process.env.ROOM_STORE || 'file',
+  roomStateDir: process.env.ROOM_STATE_DIR || './data/rooms',
+  saveInterval: (parseInt(process.env.ROOM_SAVE_INTERVAL) || 60) * 1000,
+  
+  // Named rooms that always exist: PERSISTENT_ROOMS="reef:Coral Reef,abyss,arena:Arena:teams"
+  // (an optional last segment is the game mode - see GAME_MODE)
+  persistentRooms: parsePersistentRooms(process.env.PERSISTENT_ROOMS),
+  
+  // Replay recording (RECORD_REPLAYS=1) - one file per room per REPLAY_MAX_MINUTES
+  recordReplays: process.env.RECORD_REPLAYS === '1',
+  replayDir: process.env.REPLAY_DIR || './data/replays',
+  replayMaxDuration: (parseInt(process.env.REPLAY_MAX_MINUTES) || 30) * 60 * 1000,
+  
+  // Player accounts - 'file' keeps them in one JSON file, 'memory' forgets them on restart
+  accountStore: process.env.ACCOUNT_STORE || 'file',
+  accountFile: process.env.ACCOUNT_FILE || './data/accounts.json',
+  maxBodyLength: 4 * 1024,  // Account request bodies
+}
+
+/**
+ * "id:Name,id2,id3:Name:mode" -> [{ id, name, mode }, ...]
+ * Name defaults to the ID; the last segment is only a mode if it names one
+ */
+function parsePersistentRooms(value) {
+  if (!value) return []
+  
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [id, ...rest] = entry.split(':')
+      const mode = rest.length > 1 && isValidGameMode(rest[rest.length - 1].trim())
+        ? rest.pop().trim()
+        : undefined
+      return { id: id.trim(), name: rest.join(':').trim() || id.trim(), mode }
+    })
 }
 
 // ============================================================================
 // SERVER SETUP
 // ============================================================================
 
-const roomManager = new RoomManager()
+const accounts = new AccountManager({
+  store: createAccountStore(CONFIG.accountStore, { file: CONFIG.accountFile }),
+})
+await accounts.load()
+
+const roomManager = new RoomManager({
+  store: createRoomStore(CONFIG.roomStore, { dir: CONFIG.roomStateDir }),
+  saveInterval: CONFIG.saveInterval,
+  persistentRooms: CONFIG.persistentRooms,
+  replay: CONFIG.recordReplays ? { dir: CONFIG.replayDir, maxDuration: CONFIG.replayMaxDuration } : null,
+  accounts,
+})
+await roomManager.restore()
+
 const app = uWS.App()
 
+// Point-in-time gauges, read on each /metrics scrape
+registry.gauge('ocean_rooms', 'Rooms currently open', () => roomManager.rooms.size)
+registry.gauge('ocean_players', 'Connected players, by room', () =>
+  [...roomManager.rooms.values()].map(room => ({ labels: { room: room.id }, value: room.getPlayerCount() }))
+)
+registry.gauge('ocean_spectators', 'Watch-only connections, by room', () =>
+  [...roomManager.rooms.values()].map(room => ({ labels: { room: room.id }, value: room.getSpectatorCount() }))
+)
+registry.gauge('ocean_suspended_sessions', 'Dropped players waiting to resume', () =>
+  [...roomManager.rooms.values()].reduce((total, room) => total + room.sessions.size, 0)
+)
+
 // ============================================================================
 // WEBSOCKET HANDLER
 // ============================================================================
@@ -43,12 +111,18 @@ app.ws('/*', {
     const params = new URLSearchParams(query)
     
     const preferredRoom = params.get('room')
+    const roomPassword = params.get('password')
     const playerName = params.get('name') || 'Player'
+    const codec = params.get('codec') === CODEC.BINARY ? CODEC.BINARY : CODEC.JSON
+    const resumeToken = params.get('resume')
+    const spectate = params.get('spectate') === '1'
+    const accountId = accounts.getAccountId(params.get('account'))  // Logged in through /account/login
+    const ip = Buffer.from(res.getRemoteAddressAsText()).toString()  // Private room limit for guests
     
-    console.log(`[Server] Upgrade request: room=${preferredRoom}, name=${playerName}`)
+    console.log(`[Server] Upgrade request: room=${preferredRoom}, name=${playerName}, codec=${codec}${resumeToken ? ', resume' : ''}${spectate ? ', spectate' : ''}${accountId ? ', account' : ''}`)
     
     res.upgrade(
-      { preferredRoom, playerName, url },
+      { preferredRoom, roomPassword, playerName, codec, resumeToken, spectate, accountId, ip, url },
       req.getHeader('sec-websocket-key'),
       req.getHeader('sec-websocket-protocol'),
       req.getHeader('sec-websocket-extensions'),
@@ -58,8 +132,32 @@ app.ws('/*', {
   
   open: (ws) => {
     console.log(`[Server] New connection`)
+    metrics.connectionsOpened.inc()
+    
+    ws.limiter = new RateLimiter()
+    
+    if (ws.spectate) {
+      const room = roomManager.findSpectateRoom(ws.preferredRoom, ws.roomPassword)
+      if (!room) {
+        console.warn(`[Server] No room has a spectator slot free`)
+        ws.end(1013, 'No spectator slots')
+        return
+      }
+      
+      room.addSpectator(ws, ws.playerName)
+      return
+    }
     
-    const room = roomManager.findRoom(ws.preferredRoom)
+    if (ws.resumeToken) {
+      const resumedRoom = roomManager.resumePlayer(ws, ws.resumeToken)
+      if (resumedRoom) {
+        console.log(`[Server] Player ${ws.id} resumed in room ${resumedRoom.id} (${resumedRoom.getPlayerCount()} players)`)
+        return
+      }
+      console.log(`[Server] Resume token expired - joining as a new player`)
+    }
+    
+    const room = roomManager.findRoom(ws.preferredRoom, ws.roomPassword)
     room.addPlayer(ws, ws.playerName)
     
     console.log(`[Server] Player ${ws.id} joined room ${room.id} (${room.getPlayerCount()} players)`)
@@ -67,9 +165,33 @@ app.ws('/*', {
   
   message: (ws, message, isBinary) => {
     const data = decodeMessage(message)
+    metrics.bytesIn.inc({}, message.byteLength)
     
     if (data.type === -1) {
       console.warn(`[Server] Invalid message from player ${ws.id}`)
+      metrics.invalidMessages.inc()
+      strike(ws)
+      return
+    }
+    
+    metrics.messagesIn.inc({ type: typeLabel(data.type) })
+    
+    const limited = ws.limiter.check(data.type)
+    if (limited) {
+      metrics.rateLimited.inc({ category: limited })
+      strike(ws)
+      return
+    }
+    
+    if (!isValidClientMessage(data)) {
+      console.warn(`[Server] Malformed ${typeLabel(data.type)} from player ${ws.id}`)
+      metrics.invalidMessages.inc()
+      strike(ws)
+      return
+    }
+    
+    // Room browser / switching is handled above any single room
+    if (roomManager.handleRoomMessage(ws, data)) {
       return
     }
     
@@ -80,17 +202,32 @@ app.ws('/*', {
   
   drain: (ws) => {
     // Backpressure relief
+    metrics.drains.inc()
   },
   
   close: (ws, code, message) => {
     console.log(`[Server] Connection closed: player ${ws.id}, code ${code}`)
+    metrics.connectionsClosed.inc({ code })
     
+    // 1000/1001 are deliberate (disconnect() or tab closed), kicks shouldn't
+    // come back either - anything else may resume
     if (ws.room) {
-      ws.room.removePlayer(ws)
+      ws.room.removePlayer(ws, code !== 1000 && code !== 1001 && code !== RATE_LIMITS.kickCloseCode)
     }
   },
 })
 
+/**
+ * Count a dropped message against the connection, kicking repeat offenders
+ */
+function strike(ws) {
+  if (!ws.limiter.strike()) return
+  
+  console.warn(`[Server] Kicking player ${ws.id}: too many dropped messages`)
+  metrics.kicks.inc()
+  ws.end(RATE_LIMITS.kickCloseCode, 'Rate limit exceeded')
+}
+
 // ============================================================================
 // HTTP ENDPOINTS
 // ============================================================================
@@ -106,17 +243,138 @@ app.get('/stats', (res, req) => {
 })
 
 app.get('/rooms', (res, req) => {
+  // Read by the room browser before the socket is open (different origin in dev)
+  res.writeHeader('Access-Control-Allow-Origin', '*')
   res.writeHeader('Content-Type', 'application/json')
   res.end(JSON.stringify(roomManager.getRoomList()))
 })
 
+app.get('/metrics', (res, req) => {
+  res.writeHeader('Content-Type', 'text/plain; version=0.0.4')
+  res.end(registry.render())
+})
+
+accountRoute('post', '/account/signup', ({ body, ip }) => accounts.signup(body, ip))
+accountRoute('post', '/account/login', ({ body, ip }) => accounts.login(body, ip))
+accountRoute('post', '/account/logout', ({ token }) => {
+  accounts.logout(token)
+  return { ok: true }
+})
+accountRoute('get', '/account/profile', ({ token }) => accounts.getProfileForToken(token))
+accountRoute('post', '/account/achievements', ({ body, token }) => accounts.saveAchievements(token, body))
+
+// Friends - every change answers with the updated list
+const getFriends = (token) => accounts.getFriends(token, roomManager.getPresence())
+accountRoute('get', '/account/friends', ({ token }) => getFriends(token))
+accountRoute('post', '/account/friends/request', ({ body, token }) => {
+  accounts.requestFriend(token, body)
+  return getFriends(token)
+})
+accountRoute('post', '/account/friends/accept', ({ body, token }) => {
+  accounts.acceptFriend(token, body)
+  return getFriends(token)
+})
+accountRoute('post', '/account/friends/remove', ({ body, token }) => {
+  accounts.removeFriend(token, body)
+  return getFriends(token)
+})
+
 app.options('/*', (res, req) => {
   res.writeHeader('Access-Control-Allow-Origin', '*')
   res.writeHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
-  res.writeHeader('Access-Control-Allow-Headers', 'Content-Type')
+  res.writeHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
   res.end()
 })
 
+/**
+ * Register an /account endpoint - the account page calls these from the
+ * menu, before any socket is open (different origin in dev)
+ * @param {string} method - 'get' or 'post' (JSON body)
+ * @param {string} pattern
+ * @param {Function} handler - ({ body, token, ip }) -> response body, may be async;
+ *                             AccountErrors become their HTTP status
+ */
+function accountRoute(method, pattern, handler) {
+  app[method](pattern, (res, req) => {
+    // req is only valid until this returns
+    const token = (req.getHeader('authorization').match(/^Bearer (\S+)$/) || [])[1] || null
+    const ip = Buffer.from(res.getRemoteAddressAsText()).toString()
+    
+    res.aborted = false
+    res.onAborted(() => {
+      res.aborted = true
+    })
+    
+    const respond = (body) => {
+      Promise.resolve()
+        .then(() => handler({ body, token, ip }))
+        .then(result => sendJson(res, '200 OK', result))
+        .catch(err => {
+          if (err instanceof AccountError) {
+            sendJson(res, err.status, { error: err.message })
+          } else {
+            console.error(`[Server] ${pattern} failed:`, err)
+            sendJson(res, '500 Internal Server Error', { error: 'Server error' })
+          }
+        })
+    }
+    
+    if (method === 'get') {
+      respond(null)
+    } else {
+      readJsonBody(res, respond)
+    }
+  })
+}
+
+/**
+ * Collect a request body and parse it as JSON
+ * Bad JSON, a body that isn't an object or an oversized body is answered
+ * here; callback gets the object
+ */
+function readJsonBody(res, callback) {
+  const chunks = []
+  let length = 0
+  
+  res.onData((chunk, isLast) => {
+    if (res.aborted || length > CONFIG.maxBodyLength) return
+    
+    // uWS reuses the chunk's memory after this returns
+    chunks.push(Buffer.from(chunk.slice(0)))
+    length += chunk.byteLength
+    
+    if (length > CONFIG.maxBodyLength) {
+      sendJson(res, '413 Payload Too Large', { error: 'Request too large' })
+      return
+    }
+    if (!isLast) return
+    
+    let body
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+    } catch (err) {
+      sendJson(res, '400 Bad Request', { error: 'Invalid JSON' })
+      return
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      sendJson(res, '400 Bad Request', { error: 'Expected a JSON object' })
+      return
+    }
+    callback(body)
+  })
+}
+
+function sendJson(res, status, body) {
+  if (res.aborted) return
+  
+  res.cork(() => {
+    res.writeStatus(status)
+    res.writeHeader('Access-Control-Allow-Origin', '*')
+    res.writeHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify(body))
+  })
+}
+
 // ============================================================================
 // START SERVER
 // ============================================================================
@@ -130,6 +388,11 @@ app.listen(CONFIG.port, (listenSocket) => {
     console.log(`🌊  Port:     ${CONFIG.port}`)
     console.log(`🌊  WebSocket: ws://localhost:${CONFIG.port}`)
     console.log(`🌊  Stats:    http://localhost:${CONFIG.port}/stats`)
+    console.log(`🌊  Metrics:  http://localhost:${CONFIG.port}/metrics`)
+    console.log(`🌊  Accounts: ${CONFIG.accountStore === 'file' ? CONFIG.accountFile : 'in memory'}`)
+    if (CONFIG.recordReplays) {
+      console.log(`🌊  Replays:  ${CONFIG.replayDir}`)
+    }
     console.log('🌊 ═══════════════════════════════════════════════════')
     console.log('')
   } else {
@@ -142,14 +405,21 @@ app.listen(CONFIG.port, (listenSocket) => {
 // GRACEFUL SHUTDOWN
 // ============================================================================
 
-process.on('SIGINT', () => {
+// Save before closing sockets - connected players are stored as sessions
+// they can resume once the server is back
+
+process.on('SIGINT', async () => {
   console.log('\n[Server] Shutting down...')
+  await roomManager.saveAll()
+  await accounts.flush()
   roomManager.destroy()
   process.exit(0)
 })
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('\n[Server] Terminating...')
+  await roomManager.saveAll()
+  await accounts.flush()
   roomManager.destroy()
   process.exit(0)
 })
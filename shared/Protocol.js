@@ -24,29 +24,32 @@ export const MSG = {
   JOIN_GAME: 20,        // Client Ã¢â€ â€™ Server: I selected my creature, ready to play
   CREATURE_UPDATE: 21,  // Client Ã¢â€ â€™ Server: I changed creature (R key, N/B keys)
   SIZE_UPDATE: 22,      // Server Ã¢â€ â€™ Client: Player size changed significantly
+  PLAYER_RESTORED: 23,  // Server -> Client: Your run saved with this room (volume, prisms) is back
   
   // NPCs (30-39)
   NPC_SPAWN: 30,
-  NPC_BATCH_SPAWN: 31,
-  NPC_DEATH: 32,
+  NPC_BATCH_SPAWN: 31,    // Server -> Client(s): New NPCs, or every NPC when full
+  NPC_DEATH: 32,          // Server -> All: NPC eaten (by a player or another NPC), starved or died of old age
   EAT_NPC: 33,
-  NPC_SNAPSHOT: 34,       // Host â†’ Server â†’ Others: NPC positions sync
-  HOST_ASSIGNED: 35,      // Server â†’ Client: You are the NPC simulation host
-  HOST_CHANGED: 36,       // Server â†’ All: New host assigned
+  NPC_SNAPSHOT: 34,       // Server -> All: NPC positions (keyframe or delta)
+  NPC_KEYFRAME_REQUEST: 37, // Client -> Server: Resend every NPC (full NPC_BATCH_SPAWN)
   
   // PvP (40-49) - Phase 4
   EAT_PLAYER: 40,
   PLAYER_EATEN: 41,
   PLAYER_DIED: 42,
   PLAYER_RESPAWN: 43,
+  EAT_REJECTED: 44,        // Server -> Client: Your EAT_PLAYER / EAT_NPC claim failed validation
   
   // Leaderboard (50-59) - Phase 4
   LEADERBOARD: 50,
   
   // Room management (60-69) - Phase 7
-  ROOM_INFO: 60,
-  ROOM_LIST: 61,
-  SWITCH_ROOM: 62,
+  ROOM_INFO: 60,           // Server -> Client(s): Game mode, round timer and scores
+  ROOM_LIST: 61,           // Client -> Server: request; Server -> Client: public rooms
+  SWITCH_ROOM: 62,         // Client -> Server: Move me to room (id or private code)
+  CREATE_ROOM: 63,         // Client -> Server: Create a private room and move me there
+  ROOM_ERROR: 64,          // Server -> Client: SWITCH_ROOM / CREATE_ROOM failed
   
   // World sync (70-79)
   REQUEST_MAP_CHANGE: 70,  // Client Ã¢â€ â€™ Server: Request new map
@@ -60,6 +63,7 @@ export const MSG = {
   
   // Chat (90-99)
   CHAT: 90,                // Client -> Server -> Others: Chat message or emoji
+  WHISPER: 91,             // Client -> Server -> Friend (any room): Private message; Server -> Client: delivered or failed
 }
 
 // ============================================================================
@@ -71,24 +75,321 @@ export const NETWORK_CONFIG = {
   tickRate: 20,              // Server broadcasts X times per second
   interpolationDelay: 100,   // ms behind server time for smooth rendering
   maxPlayersPerRoom: 100,
+  maxSpectatorsPerRoom: 50,  // spectate=1 connections - watch only, don't use player slots
   positionThreshold: 0.05,   // Don't send if moved less than this
   rotationThreshold: 0.02,   // Radians
   
-  // NPC Host Sync
-  npcSnapshotRate: 2000,     // Host sends NPC snapshot every X ms
-  npcCorrectionSpeed: 0.15,  // Lerp factor for follower corrections
+  // NPC Sync (the server runs each room's NPC simulation)
+  npcKeyframeRate: 2000,     // Server sends a full NPC snapshot (keyframe) every X ms
+  npcDeltaRate: 200,         // Server sends changed NPCs (delta) every X ms between keyframes
+  npcDeltaPositionThreshold: 0.5,  // Include an NPC in a delta once it drifts this far (m)
+  npcDeltaRotationThreshold: 0.2,  // ...or turns this much (radians)
+  npcCorrectionSpeed: 0.15,  // Lerp factor (per 60 Hz frame) toward server NPC positions
+  
+  // Interest management (server filters BATCH_POSITIONS per receiver)
+  aoiBaseRadius: 150,        // Full-rate radius for a starter-sized creature (m)
+  aoiRadiusPerSize: 15,      // Extra radius per cbrt(volume) - big creatures see further
+  aoiCellSize: 100,          // Server spatial grid cell size (m)
+  aoiFarInterval: 5,         // Players outside the radius are sent every Nth tick (4 Hz)
+  
+  // Session resume
+  resumeGracePeriod: 60000,  // Server keeps a dropped player's state this long (ms)
+  savedPlayerLifetime: 7 * 24 * 60 * 60 * 1000,  // Logged-in players' runs in saved rooms are kept this long (ms)
+  reconnectBaseDelay: 500,   // First reconnect attempt after X ms, doubling each retry
+  reconnectMaxDelay: 8000,   // Cap on the reconnect backoff (ms)
+  
+  // Leaderboard
+  leaderboardRate: 1000,     // Server broadcasts LEADERBOARD every X ms
+  leaderboardSize: 10,       // Top N per category (volume, kills, survival)
+}
+
+// ============================================================================
+// ROOMS
+// ============================================================================
+
+export const ROOM_RULES = {
+  codeLength: 6,             // Private rooms are joined by a short shareable code
+  codeAlphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',  // No 0/O or 1/I
+  nameMaxLength: 24,
+  passwordMaxLength: 32,
+  maxOwnedRooms: 2,          // Private rooms one account (or guest address) has created that are still open
+  maxPrivateRooms: 50,       // Across the server - each room runs its own NPC world
+}
+
+export const ROOM_ERROR_REASON = {
+  NOT_FOUND: 'not_found',
+  FULL: 'full',
+  BAD_PASSWORD: 'bad_password',
+  INVALID: 'invalid',
+  LIMIT: 'limit',            // CREATE_ROOM over ROOM_RULES.maxOwnedRooms / maxPrivateRooms
+}
+
+// ============================================================================
+// GAME MODES (chosen at room creation, run by server/src/GameMode.js)
+// ============================================================================
+
+export const GAME_MODE = {
+  FREE_FOR_ALL: 'ffa',        // Endless, anyone eats anyone
+  TIMED: 'timed',             // Biggest at the end of the round wins, then volumes reset
+  TEAMS: 'teams',             // Timed rounds, teammates can't eat each other
+  LAST_FISH: 'last_fish',     // Eaten players sit out until the round ends
+}
+
+export const GAME_MODE_NAMES = {
+  [GAME_MODE.FREE_FOR_ALL]: 'Free for all',
+  [GAME_MODE.TIMED]: 'Timed rounds',
+  [GAME_MODE.TEAMS]: 'Teams',
+  [GAME_MODE.LAST_FISH]: 'Last fish standing',
+}
+
+export const ROUND_STATE = {
+  WAITING: 'waiting',         // Not enough players in the game yet
+  PLAYING: 'playing',
+  INTERMISSION: 'intermission',  // Winner announced, PvP off until the next round
+}
+
+export const GAME_MODE_RULES = {
+  roundDuration: 5 * 60 * 1000,  // ms
+  intermission: 10000,           // ms between rounds
+  minPlayers: 2,                 // In-game players needed to start a round
+  teams: [
+    { id: 0, name: 'Red', color: '#ff5050' },
+    { id: 1, name: 'Blue', color: '#5080ff' },
+  ],
+}
+
+/**
+ * @param {*} mode
+ * @returns {boolean} True for a GAME_MODE value
+ */
+export function isValidGameMode(mode) {
+  return Object.values(GAME_MODE).includes(mode)
 }
 
 // ============================================================================
-// ENCODING (Phase 1: JSON)
+// REPLAYS (server/src/ReplayRecorder.js writes, network/ReplayPlayer.js reads)
+// ============================================================================
+
+// Bumped when the replay file layout changes - the player refuses other versions
+export const REPLAY_VERSION = 1
+
+// ============================================================================
+// ACCOUNTS (HTTP /account/* on the game server - see server/src/AccountManager.js)
 // ============================================================================
 
-export function encodeMessage(type, data = {}) {
+export const ACCOUNT_RULES = {
+  usernameMinLength: 3,
+  usernameMaxLength: 20,
+  usernamePattern: /^[A-Za-z0-9_-]+$/,
+  emailMaxLength: 254,
+  passwordMinLength: 8,
+  passwordMaxLength: 128,
+  historyLength: 20,         // Matches kept per account, newest first
+  friendsMax: 100,
+  friendRequestsMax: 50,     // Pending requests, each way
+}
+
+// Where a friend is - GET /account/friends, from the rooms their connections are in
+export const PRESENCE = {
+  OFFLINE: 'offline',
+  ONLINE: 'online',          // Connected (menu, between lives or spectating)
+  PLAYING: 'playing',        // Swimming in a room
+}
+
+export const WHISPER_ERROR = {
+  NOT_LOGGED_IN: 'not_logged_in',   // The socket wasn't opened with an account token
+  NOT_FRIEND: 'not_friend',
+  OFFLINE: 'offline',
+}
+
+// ============================================================================
+// RATE LIMITS (per-connection token buckets, enforced by the server)
+// ============================================================================
+
+export const RATE_LIMITS = {
+  // One bucket per category - refills `rate` tokens per second up to `burst`
+  buckets: {
+    movement: { rate: 30, burst: 40 },     // POSITION at sendRate, plus jitter
+    state:    { rate: 2, burst: 10 },      // JOIN_GAME, CREATURE_UPDATE, PLAYER_RESPAWN
+    ping:     { rate: 1, burst: 5 },       // PING, ROOM_LIST
+    eat:      { rate: 10, burst: 20 },     // EAT_NPC, EAT_PLAYER
+    npc:      { rate: 1, burst: 3 },       // NPC_KEYFRAME_REQUEST
+    ability:  { rate: 4, burst: 10 },      // ABILITY_START, ABILITY_STOP
+    prism:    { rate: 4, burst: 15 },      // PRISM_PLACE, PRISM_REMOVE - burst covers a resync
+    chat:     { rate: 1, burst: 5 },       // CHAT, WHISPER
+    rooms:    { rate: 0.5, burst: 3 },     // SWITCH_ROOM, CREATE_ROOM
+    map:      { rate: 1 / 30, burst: 1 },  // REQUEST_MAP_CHANGE
+  },
+  
+  // Over-limit and malformed messages are dropped and count as strikes
+  strikeWindow: 10000,       // ms
+  maxStrikes: 50,            // Kicked after this many strikes inside one window
+  kickCloseCode: 1008,       // Policy violation - clients don't auto-reconnect on it
+  
+  mapChangeCooldown: 30000,  // Per room, on top of the per-connection bucket (ms)
+}
+
+export const MESSAGE_CATEGORY = {
+  [MSG.POSITION]: 'movement',
+  [MSG.JOIN_GAME]: 'state',
+  [MSG.CREATURE_UPDATE]: 'state',
+  [MSG.PLAYER_RESPAWN]: 'state',
+  [MSG.PING]: 'ping',
+  [MSG.ROOM_LIST]: 'ping',
+  [MSG.EAT_NPC]: 'eat',
+  [MSG.EAT_PLAYER]: 'eat',
+  [MSG.NPC_KEYFRAME_REQUEST]: 'npc',
+  [MSG.ABILITY_START]: 'ability',
+  [MSG.ABILITY_STOP]: 'ability',
+  [MSG.PRISM_PLACE]: 'prism',
+  [MSG.PRISM_REMOVE]: 'prism',
+  [MSG.CHAT]: 'chat',
+  [MSG.WHISPER]: 'chat',
+  [MSG.SWITCH_ROOM]: 'rooms',
+  [MSG.CREATE_ROOM]: 'rooms',
+  [MSG.REQUEST_MAP_CHANGE]: 'map',
+}
+
+export const MESSAGE_LIMITS = {
+  nameMaxLength: 20,         // Player display name
+  chatMaxLength: 200,
+  idMaxLength: 64,           // NPC, prism and room ids
+}
+
+export const ABILITY_KEYS = ['sprinter', 'stacker', 'camper', 'attacker']
+
+// ============================================================================
+// FEEDING RULES (shared so the server can validate what clients claim)
+// ============================================================================
+
+export const FEEDING_RULES = {
+  sizeRatioRequired: 1.05,   // Predator must be 5% larger than prey (see Feeding.js)
+  volumeToFoodRatio: 1.0,    // Linear additive growth
+  
+  // PvP validation (server side)
+  playerEatCooldown: 1000,   // ms between player kills per predator
+  playerEatRangeBase: 6,     // Base center-to-center reach (m)
+  playerEatRangePerSize: 3,  // Extra reach per cbrt(volume) of each creature
+  playerEatRangeSlack: 4,    // Tolerance for 20 Hz position staleness (m)
+}
+
+// Mirrors VOLUME_CONFIG in PlayerRegistry.js and NPC_CONFIG.MAX_VOLUME in NormalScale.js
+export const VOLUME_LIMITS = {
+  STARTER: 1.0,
+  MIN: 1.0,
+  MAX: 10000.0,
+  NPC_MAX: 1000.0,
+}
+
+export const EAT_REJECT_REASON = {
+  SELF: 'self',
+  NOT_IN_GAME: 'not_in_game',
+  PREY_NOT_FOUND: 'prey_not_found',
+  PREY_NOT_IN_GAME: 'prey_not_in_game',
+  COOLDOWN: 'cooldown',
+  TOO_FAR: 'too_far',
+  TOO_SMALL: 'too_small',
+  DIET: 'diet',                // Not on the predator's menu (src/Diet.js)
+  SAME_TEAM: 'same_team',      // Team mode
+  ROUND_OVER: 'round_over',    // Round modes, between rounds
+}
+
+/**
+ * Check the 5% rule between two volumes
+ * @param {number} predatorVolume
+ * @param {number} preyVolume
+ * @returns {boolean}
+ */
+export function meetsSizeRatio(predatorVolume, preyVolume) {
+  if (!(preyVolume > 0) || !(predatorVolume > 0)) return false
+  return predatorVolume / preyVolume >= FEEDING_RULES.sizeRatioRequired
+}
+
+/**
+ * Radius inside which a receiver gets full-rate position updates
+ * @param {number} volume - Receiver's world volume
+ * @returns {number}
+ */
+export function getRelevanceRadius(volume) {
+  return NETWORK_CONFIG.aoiBaseRadius + NETWORK_CONFIG.aoiRadiusPerSize * Math.cbrt(Math.max(volume || 0, 0))
+}
+
+/**
+ * Volume gained from eating prey (same math as Feeding.calculateFoodValue)
+ * @param {number} preyVolume
+ * @returns {number}
+ */
+export function calculateFoodValue(preyVolume) {
+  return preyVolume * FEEDING_RULES.volumeToFoodRatio
+}
+
+/**
+ * Linear additive growth, clamped like PlayerRegistry.addVolume
+ * @param {number} volume - Current world volume
+ * @param {number} preyVolume - Volume of the prey eaten
+ * @returns {number} New world volume
+ */
+export function applyGrowth(volume, preyVolume) {
+  const uncapped = volume + calculateFoodValue(preyVolume)
+  return Math.min(VOLUME_LIMITS.MAX, Math.max(VOLUME_LIMITS.MIN, uncapped))
+}
+
+/**
+ * Maximum center-to-center distance at which two players can collide
+ * Grows with the linear size (cube root of volume) of both creatures
+ * @param {number} predatorVolume
+ * @param {number} preyVolume
+ * @returns {number}
+ */
+export function getPlayerEatRange(predatorVolume, preyVolume) {
+  const size = Math.cbrt(Math.max(predatorVolume, 0)) + Math.cbrt(Math.max(preyVolume, 0))
+  return FEEDING_RULES.playerEatRangeBase +
+    FEEDING_RULES.playerEatRangePerSize * size +
+    FEEDING_RULES.playerEatRangeSlack
+}
+
+// ============================================================================
+// ENCODING (Phase 1: JSON, Phase 5: binary for hot paths)
+// ============================================================================
+
+/**
+ * Wire codecs. Client asks for BINARY with ?codec=bin1 on the upgrade URL,
+ * server confirms (or not) with `codec` in WELCOME. Only the types in
+ * BINARY_CODECS are ever binary - everything else stays JSON.
+ */
+export const CODEC = {
+  JSON: 'json',
+  BINARY: 'bin1',
+}
+
+/**
+ * Encode a message for the wire
+ * @param {number} type - MSG type
+ * @param {object} data - Message fields
+ * @param {string} codec - CODEC.JSON or CODEC.BINARY
+ * @returns {string|ArrayBuffer} JSON text, or ArrayBuffer for binary types
+ */
+export function encodeMessage(type, data = {}, codec = CODEC.JSON) {
+  if (codec === CODEC.BINARY && BINARY_CODECS[type]) {
+    return encodeBinary(type, data)
+  }
   return JSON.stringify({ t: type, ...data })
 }
 
+/**
+ * Decode a message from the wire (JSON text or binary frame, auto-detected)
+ * @param {string|ArrayBuffer|Uint8Array} raw
+ * @returns {object} { type, ...data } - type is -1 on failure
+ */
 export function decodeMessage(raw) {
   try {
+    if (typeof raw !== 'string') {
+      const bytes = raw instanceof Uint8Array ? raw : new Uint8Array(raw)
+      if (bytes.length > 0 && bytes[0] === BINARY_MAGIC) {
+        return decodeBinary(bytes)
+      }
+    }
+    
     const str = typeof raw === 'string' 
       ? raw 
       : new TextDecoder().decode(raw)
@@ -101,6 +402,258 @@ export function decodeMessage(raw) {
   }
 }
 
+// ============================================================================
+// BINARY CODEC
+// ============================================================================
+//
+// Frame: [u8 magic 0xB1][u8 type][payload...], little endian.
+// JSON frames always start with '{' so the magic byte can't collide.
+//
+// Quantization:
+//   position  int16, 1/32 m    (+-1024 m, ~3 cm)
+//   angle     int16, [-PI, PI] (~0.0001 rad)
+//   scale     uint16, 1/256    (0 - 256)
+//   volume    uint16, log scale over [0.01, 100000] m^3 (~0.03% error), 0 = absent
+
+const BINARY_MAGIC = 0xB1
+const POS_SCALE = 32
+const ANGLE_SCALE = 32767 / Math.PI
+const SCALE_SCALE = 256
+const VOLUME_LOG_MIN = Math.log(0.01)
+const VOLUME_LOG_RANGE = Math.log(100000) - VOLUME_LOG_MIN
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+function clampInt(value, min, max) {
+  return Math.max(min, Math.min(max, Math.round(value) || 0))
+}
+
+/**
+ * Wrap to [-PI, PI) in constant time - angles come from clients, any size
+ * Non-finite angles become 0
+ */
+export function wrapAngle(angle) {
+  if (!Number.isFinite(angle)) return 0
+  const turn = Math.PI * 2
+  return ((angle + Math.PI) % turn + turn) % turn - Math.PI
+}
+
+function quantizeVolume(volume) {
+  if (typeof volume !== 'number' || !(volume > 0)) return 0
+  return clampInt((Math.log(volume) - VOLUME_LOG_MIN) / VOLUME_LOG_RANGE * 65534 + 1, 1, 65535)
+}
+
+function dequantizeVolume(q) {
+  if (q === 0) return undefined
+  return Math.exp(VOLUME_LOG_MIN + (q - 1) / 65534 * VOLUME_LOG_RANGE)
+}
+
+class BinaryWriter {
+  constructor(size) {
+    this.buffer = new ArrayBuffer(size)
+    this.view = new DataView(this.buffer)
+    this.bytes = new Uint8Array(this.buffer)
+    this.offset = 0
+  }
+  
+  u8(v) { this.view.setUint8(this.offset, v); this.offset += 1 }
+  u16(v) { this.view.setUint16(this.offset, v, true); this.offset += 2 }
+  i16(v) { this.view.setInt16(this.offset, v, true); this.offset += 2 }
+  u32(v) { this.view.setUint32(this.offset, v >>> 0, true); this.offset += 4 }
+  i32(v) { this.view.setInt32(this.offset, v | 0, true); this.offset += 4 }
+  f64(v) { this.view.setFloat64(this.offset, v, true); this.offset += 8 }
+  
+  pos(v) { this.i16(clampInt(v * POS_SCALE, -32768, 32767)) }
+  angle(v) { this.i16(clampInt(wrapAngle(v) * ANGLE_SCALE, -32767, 32767)) }
+  scale(v) { this.u16(clampInt((v || 0) * SCALE_SCALE, 0, 65535)) }
+  volume(v) { this.u16(quantizeVolume(v)) }
+  
+  str(encoded) {
+    this.u8(encoded.length)
+    this.bytes.set(encoded, this.offset)
+    this.offset += encoded.length
+  }
+}
+
+class BinaryReader {
+  constructor(bytes) {
+    this.bytes = bytes
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    this.offset = 0
+  }
+  
+  u8() { const v = this.view.getUint8(this.offset); this.offset += 1; return v }
+  u16() { const v = this.view.getUint16(this.offset, true); this.offset += 2; return v }
+  i16() { const v = this.view.getInt16(this.offset, true); this.offset += 2; return v }
+  u32() { const v = this.view.getUint32(this.offset, true); this.offset += 4; return v }
+  i32() { const v = this.view.getInt32(this.offset, true); this.offset += 4; return v }
+  f64() { const v = this.view.getFloat64(this.offset, true); this.offset += 8; return v }
+  
+  pos() { return this.i16() / POS_SCALE }
+  angle() { return this.i16() / ANGLE_SCALE }
+  scale() { return this.u16() / SCALE_SCALE }
+  volume() { return dequantizeVolume(this.u16()) }
+  
+  str() {
+    const length = this.u8()
+    const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length))
+    this.offset += length
+    return value
+  }
+}
+
+// Encoded NPC IDs are cached - the same few hundred strings go out every snapshot
+const npcIdCache = new Map()
+
+function encodeNpcId(id) {
+  let encoded = npcIdCache.get(id)
+  if (!encoded) {
+    encoded = textEncoder.encode(String(id)).subarray(0, 255)
+    if (npcIdCache.size > 10000) npcIdCache.clear()
+    npcIdCache.set(id, encoded)
+  }
+  return encoded
+}
+
+/**
+ * Per-type binary layouts: size(data) in bytes (excluding header), write, read
+ */
+const BINARY_CODECS = {
+  // flags(u8: bit0 = has volume) x y z rx ry rz s [v]
+  [MSG.POSITION]: {
+    size: (data) => 1 + 6 + 6 + 2 + (data.v !== undefined && data.v !== null ? 2 : 0),
+    write: (w, data) => {
+      const p = data.p || {}
+      const r = data.r || {}
+      const hasVolume = data.v !== undefined && data.v !== null
+      w.u8(hasVolume ? 1 : 0)
+      w.pos(p.x); w.pos(p.y); w.pos(p.z)
+      w.angle(r.x); w.angle(r.y); w.angle(r.z)
+      w.scale(data.s)
+      if (hasVolume) w.volume(data.v)
+    },
+    read: (r) => {
+      const flags = r.u8()
+      const msg = {
+        p: { x: r.pos(), y: r.pos(), z: r.pos() },
+        r: { x: r.angle(), y: r.angle(), z: r.angle() },
+        s: r.scale(),
+      }
+      if (flags & 1) msg.v = r.volume()
+      return msg
+    },
+  },
+  
+  // time(f64) count(u16) then per player: id(u32) x y z rx ry rz s v
+  [MSG.BATCH_POSITIONS]: {
+    size: (data) => 8 + 2 + (data.p?.length || 0) * 20,
+    write: (w, data) => {
+      const list = data.p || []
+      w.f64(data.time || 0)
+      w.u16(list.length)
+      for (const pos of list) {
+        w.u32(pos.id)
+        w.pos(pos.x); w.pos(pos.y); w.pos(pos.z)
+        w.angle(pos.rx); w.angle(pos.ry); w.angle(pos.rz)
+        w.scale(pos.s)
+        w.volume(pos.v)
+      }
+    },
+    read: (r) => {
+      const time = r.f64()
+      const count = r.u16()
+      const p = new Array(count)
+      for (let i = 0; i < count; i++) {
+        p[i] = {
+          id: r.u32(),
+          x: r.pos(), y: r.pos(), z: r.pos(),
+          rx: r.angle(), ry: r.angle(), rz: r.angle(),
+          s: r.scale(),
+          v: r.volume(),
+        }
+      }
+      return { time, p }
+    },
+  },
+  
+  // tick(u32) flags(u8, bit0 = keyframe) count(u16)
+  // then per fish: id(str) x y z ry gi(i32) pi(i16) st(u8)
+  // then gone count(u16) + id(str) per NPC removed since the last delta
+  [MSG.NPC_SNAPSHOT]: {
+    size: (data) => {
+      let size = 4 + 1 + 2 + 2
+      for (const f of data.fish || []) {
+        size += 1 + encodeNpcId(f.id).length + 6 + 2 + 4 + 2 + 1
+      }
+      for (const id of data.gone || []) {
+        size += 1 + encodeNpcId(id).length
+      }
+      return size
+    },
+    write: (w, data) => {
+      const fish = data.fish || []
+      const gone = data.gone || []
+      w.u32(data.tick || 0)
+      w.u8(data.key === false ? 0 : 1)
+      w.u16(fish.length)
+      for (const f of fish) {
+        w.str(encodeNpcId(f.id))
+        w.pos(f.x); w.pos(f.y); w.pos(f.z)
+        w.angle(f.ry)
+        w.i32(typeof f.gi === 'number' ? f.gi : -1)
+        w.i16(typeof f.pi === 'number' ? clampInt(f.pi, -1, 32767) : -1)
+        w.u8(clampInt(f.st, 0, 255))
+      }
+      w.u16(gone.length)
+      for (const id of gone) {
+        w.str(encodeNpcId(id))
+      }
+    },
+    read: (r) => {
+      const tick = r.u32()
+      const key = (r.u8() & 1) === 1
+      const count = r.u16()
+      const fish = new Array(count)
+      for (let i = 0; i < count; i++) {
+        const id = r.str()
+        const x = r.pos(), y = r.pos(), z = r.pos()
+        const ry = r.angle()
+        const gi = r.i32()
+        const pi = r.i16()
+        const st = r.u8()
+        fish[i] = { id, x, y, z, ry, gi: gi < 0 ? null : gi, pi: pi < 0 ? null : pi, st }
+      }
+      const goneCount = r.u16()
+      const gone = new Array(goneCount)
+      for (let i = 0; i < goneCount; i++) {
+        gone[i] = r.str()
+      }
+      return { tick, key, fish, gone }
+    },
+  },
+}
+
+function encodeBinary(type, data) {
+  const codec = BINARY_CODECS[type]
+  const w = new BinaryWriter(2 + codec.size(data))
+  w.u8(BINARY_MAGIC)
+  w.u8(type)
+  codec.write(w, data)
+  return w.buffer
+}
+
+function decodeBinary(bytes) {
+  const r = new BinaryReader(bytes)
+  r.u8()  // magic
+  const type = r.u8()
+  const codec = BINARY_CODECS[type]
+  if (!codec) {
+    throw new Error(`No binary codec for type ${type}`)
+  }
+  return { type, ...codec.read(r) }
+}
+
 // ============================================================================
 // HELPERS
 // ============================================================================
@@ -175,6 +728,105 @@ export function isValidCreature(creature) {
   return true
 }
 
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+function isString(value, maxLength) {
+  return typeof value === 'string' && value.length > 0 && value.length <= maxLength
+}
+
+function isVector3(v) {
+  return !!v && typeof v === 'object' && isNumber(v.x) && isNumber(v.y) && isNumber(v.z)
+}
+
+function isQuaternion(q) {
+  return isVector3(q) && isNumber(q.w)
+}
+
+/**
+ * Absent (undefined/null) or passes the check
+ */
+function optional(value, check) {
+  return value === undefined || value === null || check(value)
+}
+
+const isId = (value) => isString(value, MESSAGE_LIMITS.idMaxLength)
+
+/**
+ * Schema check per client -> server message type
+ * Types without an entry are never valid from a client
+ */
+const MESSAGE_VALIDATORS = {
+  [MSG.PING]: (d) => isNumber(d.clientTime),
+  
+  [MSG.POSITION]: (d) => isValidPosition(d.p) &&
+    optional(d.r, isVector3) &&
+    optional(d.s, (s) => isNumber(s) && s > 0 && s < 100) &&
+    optional(d.v, (v) => isNumber(v) && v > 0 && v <= VOLUME_LIMITS.MAX),
+  
+  [MSG.JOIN_GAME]: (d) => isValidCreature(d.creature) &&
+    optional(d.name, (name) => typeof name === 'string'),
+  
+  [MSG.CREATURE_UPDATE]: (d) => isValidCreature(d.creature),
+  
+  [MSG.EAT_NPC]: (d) => isId(d.npcId),
+  
+  [MSG.EAT_PLAYER]: (d) => Number.isInteger(d.preyId),
+  
+  [MSG.PLAYER_RESPAWN]: (d) => optional(d.position, isVector3),
+  
+  [MSG.NPC_KEYFRAME_REQUEST]: () => true,
+  
+  [MSG.REQUEST_MAP_CHANGE]: () => true,
+  
+  [MSG.ABILITY_START]: (d) => ABILITY_KEYS.includes(d.ability) &&
+    optional(d.color, (color) => typeof color === 'string' || isNumber(color)) &&
+    optional(d.terrain, (terrain) => isString(terrain, MESSAGE_LIMITS.idMaxLength)) &&
+    optional(d.mimicSeed, isNumber),
+  
+  [MSG.ABILITY_STOP]: (d) => ABILITY_KEYS.includes(d.ability),
+  
+  [MSG.PRISM_PLACE]: (d) => isId(d.prismId) &&
+    isVector3(d.position) &&
+    isQuaternion(d.quaternion) &&
+    optional(d.length, isNumber) &&
+    optional(d.radius, isNumber) &&
+    optional(d.color, isNumber) &&
+    optional(d.roughness, isNumber) &&
+    optional(d.metalness, isNumber) &&
+    optional(d.emissive, isNumber),
+  
+  [MSG.PRISM_REMOVE]: (d) => isId(d.prismId),
+  
+  [MSG.CHAT]: (d) => isString(d.text, MESSAGE_LIMITS.chatMaxLength) &&
+    optional(d.isEmoji, (v) => typeof v === 'boolean') &&
+    optional(d.showProximity, (v) => typeof v === 'boolean'),
+  
+  [MSG.WHISPER]: (d) => isString(d.to, ACCOUNT_RULES.usernameMaxLength) &&
+    isString(d.text, MESSAGE_LIMITS.chatMaxLength),
+  
+  [MSG.ROOM_LIST]: (d) => optional(d.clientTime, isNumber),
+  
+  [MSG.SWITCH_ROOM]: (d) => isId(d.roomId) &&
+    optional(d.password, (pw) => typeof pw === 'string' && pw.length <= ROOM_RULES.passwordMaxLength),
+  
+  [MSG.CREATE_ROOM]: (d) => optional(d.name, (name) => typeof name === 'string' && name.length <= ROOM_RULES.nameMaxLength) &&
+    optional(d.password, (pw) => typeof pw === 'string' && pw.length <= ROOM_RULES.passwordMaxLength) &&
+    optional(d.mode, isValidGameMode),
+}
+
+/**
+ * Validate a decoded client -> server message against its schema
+ * Used by the server on receive and by the client before sending
+ * @param {object} data - Decoded message ({ type, ...fields })
+ * @returns {boolean}
+ */
+export function isValidClientMessage(data) {
+  const validate = MESSAGE_VALIDATORS[data.type]
+  return !!validate && validate(data)
+}
+
 // ============================================================================
 // NPC SNAPSHOT HELPERS
 // ============================================================================
@@ -202,13 +854,14 @@ export function createNPCSnapshotMessage(tick, fishArray) {
 }
 
 /**
- * Validate an NPC snapshot
- * @param {object} snapshot
+ * Validate an NPC snapshot (keyframe or delta)
+ * @param {object} snapshot - {tick, key, fish, gone?}
  * @returns {boolean}
  */
 export function isValidNPCSnapshot(snapshot) {
   if (!snapshot || typeof snapshot !== 'object') return false
   if (typeof snapshot.tick !== 'number') return false
   if (!Array.isArray(snapshot.fish)) return false
+  if (snapshot.gone !== undefined && !Array.isArray(snapshot.gone)) return false
   return true
 }
\ No newline at end of file
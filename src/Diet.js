@@ -0,0 +1,194 @@
+/**
+ * Diet.js - Who eats whom, beyond the 5% size rule
+ *
+ * Every creature type has a diet, and classes can override it:
+ *   - CARNIVORE      Hunts other creatures (optionally only some types - `prey`)
+ *   - FILTER_FEEDER  Strains small things: prey at most DIET_RULES.filterFeederMaxPreyRatio of its volume
+ *   - HERBIVORE      Grazes - never eats other creatures
+ *
+ * `prefers` lists prey a hunter goes for first, `maxPreyRatio` caps prey
+ * size for small-mouthed hunters (jellies), and `defense` protects prey from
+ * every predator not listed as `resistant` (box jelly stings, puffer toxin).
+ *
+ * Keys and `prey`/`prefers`/`resistant` entries are Encyclopedia CreatureType
+ * or class values. They're plain strings so the server's NPCSimulation can
+ * use this without loading the creature generators.
+ *
+ * Usage:
+ *   import { canEatCreature, checkDiet } from './Diet.js'
+ *
+ *   canEatCreature({ type, class }, { type, class }, predatorVolume, preyVolume)
+ *   checkDiet(predator, prey, predatorVolume, preyVolume)   // DIET_REJECT reason or null
+ */
+
+import { meetsSizeRatio } from '../shared/Protocol.js'
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+export const DIET = {
+  CARNIVORE: 'carnivore',
+  FILTER_FEEDER: 'filter_feeder',
+  HERBIVORE: 'herbivore',
+}
+
+export const DEFENSE = {
+  STING: 'sting',
+  TOXIN: 'toxin',
+  SPINES: 'spines',
+}
+
+// Why checkDiet() refused a meal
+export const DIET_REJECT = {
+  HERBIVORE: 'herbivore',
+  NOT_PREY: 'not_prey',       // Not something this predator eats
+  TOO_BIG: 'too_big',         // Bigger than a filter feeder / small mouth can take
+  DEFENDED: 'defended',       // Stings, toxin or spines - and the predator isn't resistant
+}
+
+export const DIET_RULES = {
+  filterFeederMaxPreyRatio: 0.02,  // Filter feeders eat prey up to 2% of their volume
+  preferredPreyWeight: 2,          // Hunters pick preferred prey as if it were this many times closer
+}
+
+// Creature types (Encyclopedia CreatureType)
+const FISH = 'fish'
+const MAMMAL = 'mammal'
+const CRUSTACEAN = 'crustacean'
+const CEPHALOPOD = 'cephalopod'
+const JELLY = 'jelly'
+const SEA_CUCUMBER = 'sea_cucumber'
+
+// Only ocean sunfish shrug off the big stingers
+const STINGER = { kind: DEFENSE.STING, resistant: ['sunfish'] }
+
+const TYPE_DIETS = {
+  [FISH]: { diet: DIET.CARNIVORE },
+  [MAMMAL]: { diet: DIET.CARNIVORE, prey: [FISH, CEPHALOPOD, CRUSTACEAN] },
+  [CRUSTACEAN]: { diet: DIET.CARNIVORE, prey: [CRUSTACEAN, SEA_CUCUMBER, FISH, CEPHALOPOD] },
+  [CEPHALOPOD]: { diet: DIET.CARNIVORE, prey: [FISH, CRUSTACEAN, CEPHALOPOD] },
+  [JELLY]: { diet: DIET.CARNIVORE, prey: [FISH, CRUSTACEAN, JELLY], maxPreyRatio: 0.02 },   // Tentacles, not jaws
+  [SEA_CUCUMBER]: { diet: DIET.FILTER_FEEDER },   // Deposit feeders
+}
+
+const CLASS_DIETS = {
+  // Fish
+  shark: { prefers: [MAMMAL, FISH] },
+  hammerhead: { prefers: ['ray'] },
+  ray: { prey: [CRUSTACEAN, SEA_CUCUMBER, CEPHALOPOD], prefers: [CRUSTACEAN] },
+  manta: { diet: DIET.FILTER_FEEDER },
+  tuna: { prey: [FISH, CEPHALOPOD, CRUSTACEAN], prefers: [CEPHALOPOD] },
+  marlin: { prey: [FISH, CEPHALOPOD], prefers: ['tuna', 'squid'] },
+  grouper: { prefers: [CRUSTACEAN, 'lionfish'] },
+  moray: { prefers: [CEPHALOPOD] },
+  eel: { prefers: [CRUSTACEAN] },
+  tang: { diet: DIET.HERBIVORE },
+  angelfish: { prey: [CRUSTACEAN, JELLY], maxPreyRatio: 0.1 },
+  seahorse: { prey: [CRUSTACEAN], maxPreyRatio: 0.1 },
+  flyingfish: { diet: DIET.FILTER_FEEDER },
+  sunfish: { prey: [JELLY], prefers: [JELLY] },
+  puffer: { prey: [CRUSTACEAN, SEA_CUCUMBER], defense: { kind: DEFENSE.TOXIN, resistant: ['shark'] } },
+  lionfish: { prey: [FISH, CRUSTACEAN], defense: { kind: DEFENSE.SPINES, resistant: ['grouper', 'moray', 'shark'] } },
+  flounder: { prey: [FISH, CRUSTACEAN] },
+  
+  // Mammals
+  blue_whale: { diet: DIET.FILTER_FEEDER, prey: [CRUSTACEAN], prefers: ['shrimp'] },
+  humpback: { diet: DIET.FILTER_FEEDER, prey: [CRUSTACEAN, FISH] },
+  sperm_whale: { prefers: [CEPHALOPOD] },
+  orca: { prey: [FISH, MAMMAL, CEPHALOPOD], prefers: [MAMMAL] },
+  pilot_whale: { prefers: [CEPHALOPOD] },
+  walrus: { prey: [CRUSTACEAN, SEA_CUCUMBER, CEPHALOPOD] },
+  sea_otter: { prey: [CRUSTACEAN, SEA_CUCUMBER, CEPHALOPOD], prefers: [CRUSTACEAN] },
+  manatee: { diet: DIET.HERBIVORE },
+  
+  // Crustaceans
+  shrimp: { diet: DIET.FILTER_FEEDER },
+  fiddler_crab: { diet: DIET.FILTER_FEEDER },
+  horseshoe_crab: { prey: [SEA_CUCUMBER, CRUSTACEAN] },
+  mantis_shrimp: { prefers: [CRUSTACEAN] },
+  
+  // Cephalopods
+  octopus: { prefers: [CRUSTACEAN] },
+  giant_pacific_octopus: { prefers: [CRUSTACEAN] },
+  blue_ringed_octopus: { prey: [CRUSTACEAN], defense: { kind: DEFENSE.TOXIN, resistant: [] } },
+  dumbo_octopus: { prey: [CRUSTACEAN], maxPreyRatio: 0.1 },
+  nautilus: { prey: [CRUSTACEAN, FISH] },
+  
+  // Jellies
+  moon_jelly: { diet: DIET.FILTER_FEEDER },
+  barrel_jelly: { diet: DIET.FILTER_FEEDER },
+  by_the_wind_sailor: { diet: DIET.FILTER_FEEDER },
+  lions_mane: { prefers: [JELLY], defense: STINGER },
+  box_jelly: { defense: STINGER },
+  sea_wasp: { defense: STINGER },
+  portuguese_man_o_war: { defense: STINGER },
+}
+
+const DEFAULT_DIET = { diet: DIET.CARNIVORE }
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Diet entry for a creature - its class overrides its type
+ * @param {{type: string, class: string}|null} creature
+ * @returns {{diet, prey?, prefers?, maxPreyRatio?, defense?}}
+ */
+export function getDiet(creature) {
+  const typeDiet = TYPE_DIETS[creature?.type] || DEFAULT_DIET
+  const classDiet = CLASS_DIETS[creature?.class]
+  return classDiet ? { ...typeDiet, ...classDiet } : typeDiet
+}
+
+/**
+ * Everything but size: can this predator eat that prey?
+ * Unknown creatures (no type/class yet) are plain carnivores
+ * @param {{type, class}|null} predator
+ * @param {{type, class}|null} prey
+ * @param {number} predatorVolume
+ * @param {number} preyVolume
+ * @returns {string|null} DIET_REJECT reason, or null if it's on the menu
+ */
+export function checkDiet(predator, prey, predatorVolume, preyVolume) {
+  const diet = getDiet(predator)
+  
+  if (diet.diet === DIET.HERBIVORE) return DIET_REJECT.HERBIVORE
+  if (diet.prey && !matches(prey, diet.prey)) return DIET_REJECT.NOT_PREY
+  
+  const maxPreyRatio = diet.maxPreyRatio ??
+    (diet.diet === DIET.FILTER_FEEDER ? DIET_RULES.filterFeederMaxPreyRatio : null)
+  if (maxPreyRatio !== null && preyVolume > predatorVolume * maxPreyRatio) return DIET_REJECT.TOO_BIG
+  
+  const defense = getDiet(prey).defense
+  if (defense && !matches(predator, defense.resistant)) return DIET_REJECT.DEFENDED
+  
+  return null
+}
+
+/**
+ * The full rule: 5% size ratio and diet
+ * @returns {boolean}
+ */
+export function canEatCreature(predator, prey, predatorVolume, preyVolume) {
+  return meetsSizeRatio(predatorVolume, preyVolume) &&
+    checkDiet(predator, prey, predatorVolume, preyVolume) === null
+}
+
+/**
+ * @returns {boolean} True if the prey is one the predator goes for first
+ */
+export function prefersPrey(predator, prey) {
+  const prefers = getDiet(predator).prefers
+  return !!prefers && matches(prey, prefers)
+}
+
+/**
+ * @param {{type, class}|null} creature
+ * @param {string[]} list - CreatureType and/or class values
+ */
+function matches(creature, list) {
+  if (!creature) return false
+  return list.includes(creature.class) || list.includes(creature.type)
+}
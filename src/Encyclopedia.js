@@ -31,6 +31,7 @@ import {
   getOrderedClasses as getFishOrderedClasses,
   getClassDisplayName as getFishDisplayName,
   getClassShortName as getFishShortName,
+  getVariantCount,
 } from './Fishes.js'
 
 import { 
@@ -278,6 +279,16 @@ export function getAllCreatureClasses() {
   return all
 }
 
+/**
+ * Every creature class NPCs can spawn as (no starter), with its variant count
+ * Returns: [{ type, class, displayName, shortName, isStarter, variants }, ...]
+ */
+export function getNPCSpecies() {
+  return getAllCreatureClasses()
+    .filter(c => c.class !== 'starter')
+    .map(c => ({ ...c, variants: getVariantCount(c.class) }))
+}
+
 /**
  * Get creature type metadata
  */
@@ -346,6 +357,7 @@ export default {
   getCreatureClasses,
   getOrderedCreatureTypes,
   getAllCreatureClasses,
+  getNPCSpecies,
   getCreatureTypeMeta,
   getTypeFromClass,
   
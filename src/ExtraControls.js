@@ -62,6 +62,9 @@ const ABILITIES = {
 
 let isActive = false
 
+// Callbacks for external systems (achievements)
+const onActivateCallbacks = []
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -168,6 +171,10 @@ export function activateExtra() {
     ability.onActivate()
   }
   
+  for (const callback of onActivateCallbacks) {
+    callback(ACTIVE_ABILITY)
+  }
+  
   // Broadcast ability activation to network
   // For camper, include color, terrain type, and mimic seed data
   if (ACTIVE_ABILITY === 'camper') {
@@ -185,6 +192,27 @@ export function activateExtra() {
   }
 }
 
+/**
+ * Register callback for when the player activates their ability (Q pressed)
+ * @param {function} callback - Called with the ability key
+ */
+export function onAbilityActivate(callback) {
+  if (typeof callback === 'function') {
+    onActivateCallbacks.push(callback)
+  }
+}
+
+/**
+ * Remove ability activation callback
+ * @param {function} callback
+ */
+export function offAbilityActivate(callback) {
+  const index = onActivateCallbacks.indexOf(callback)
+  if (index > -1) {
+    onActivateCallbacks.splice(index, 1)
+  }
+}
+
 /**
  * Called when Q is released
  */
@@ -4,6 +4,9 @@
  * DESIGN:
  *   - TotalWorldVolume determines "size" for eating eligibility
  *   - 5% RULE: Must be at least 5% larger to eat (ratio >= 1.05)
+ *   - DIET: ...and the prey must be on the predator's menu (Diet.js) - herbivores
+ *     don't hunt, filter feeders only take small prey, stingers and toxic prey
+ *     are off limits to non-resistant predators
  *   - LINEAR ADDITIVE GROWTH: newVolume = predatorVolume + preyVolume
  *   - Volume capped at 1000 m^3
  * 
@@ -30,11 +33,11 @@
  *   const rel = Feeding.getFeedingRelationship(myVolume, theirVolume)
  *   
  *   // For player-player (call from Physics.js collision)
- *   Feeding.handlePlayerCollision(player1Data, player2Data)
+ *   Feeding.handlePlayerCollision(player1Data, player2Data)   // data.creature = { type, class }
  */
 
 import * as THREE from 'three'
-import { getPlayer, getPlayerNormalizationInfo, addFood as addPlayerFood } from './player.js'
+import { getPlayer, getPlayerNormalizationInfo, addFood as addPlayerFood, getCurrentType, getCurrentClass } from './player.js'
 import { MeshRegistry } from './MeshRegistry.js'
 import { PlayerRegistry, VOLUME_CONFIG } from './PlayerRegistry.js'
 import { 
@@ -47,6 +50,8 @@ import {
   getFeedingRelationship as getVolumeRelationship,
 } from './MeshVolume.js'
 import { networkManager } from '../network/NetworkManager.js'
+import { FEEDING_RULES } from '../shared/Protocol.js'
+import { checkDiet } from './Diet.js'
 
 // ============================================================================
 // CONFIGURATION
@@ -57,10 +62,11 @@ const CONFIG = {
   eatRange: 8,
   
   // Size ratio required to eat (1.05 = must be 5% larger)
-  sizeRatioRequired: 1.05,
+  // Shared with the server, which re-checks every PvP eat
+  sizeRatioRequired: FEEDING_RULES.sizeRatioRequired,
   
   // How much of prey's volume is gained (1.0 = 100%, linear additive)
-  volumeToFoodRatio: 1.0,
+  volumeToFoodRatio: FEEDING_RULES.volumeToFoodRatio,
   
   // Cooldown between eating (prevents eating multiple per frame)
   eatCooldown: 0.5,  // seconds
@@ -81,6 +87,8 @@ let playerMesh = null
 let lastEatTime = 0
 let lastPlayerEatTime = 0  // Separate cooldown for player-player eating
 let recentlyEatenPlayers = new Set()  // Track players we've already processed eating
+const pendingPlayerMeals = new Map()  // preyId -> meal awaiting server confirmation
+const pendingNPCMeals = new Map()     // npcId -> meal awaiting server confirmation
 
 // Callbacks for external systems
 const onEatCallbacks = []
@@ -243,6 +251,7 @@ function checkPlayerNPCFeeding(currentTime) {
   if (!nearbyNPCs || nearbyNPCs.length === 0) return null
   
   const eatRangeSq = CONFIG.eatRange * CONFIG.eatRange
+  const playerCreature = { type: getCurrentType(), class: getCurrentClass() }
   
   // Find first edible NPC in range
   for (const npc of nearbyNPCs) {
@@ -255,7 +264,7 @@ function checkPlayerNPCFeeding(currentTime) {
     // Volume check - use totalWorldVolume (or visualVolume as fallback)
     const npcVolume = npc.totalWorldVolume || npc.visualVolume || 0
     
-    if (canEat(playerVolume, npcVolume)) {
+    if (canEat(playerVolume, npcVolume) && !checkDiet(playerCreature, npcCreature(npc), playerVolume, npcVolume)) {
       // EAT!
       return consumeNPC(npc, playerVolume, npcVolume, currentTime)
     }
@@ -298,8 +307,16 @@ function consumeNPC(npc, playerVolume, npcVolume, currentTime) {
   
   // MULTIPLAYER: Send eat event to server
   if (networkManager.isConnected()) {
+    // Keep the meal until the server confirms it (or rejects it - see revertNPCMeal)
+    pendingNPCMeals.set(npc.id, meal)
+    setTimeout(() => {
+      if (pendingNPCMeals.get(npc.id) === meal) {
+        pendingNPCMeals.delete(npc.id)
+      }
+    }, 5000)
+    
     networkManager.sendEatNPC(npc.id)
-    // Remove locally WITHOUT respawn - host will handle population via snapshots
+    // Remove locally WITHOUT respawn - the server handles population
     fishAdderRef.removeFish(npc.id, false)
   } else {
     // Single-player: Remove and respawn locally
@@ -346,7 +363,7 @@ function consumeNPC(npc, playerVolume, npcVolume, currentTime) {
  * Handle collision between two players
  * Called from Physics.js when player capsules collide
  * 
- * @param {object} player1Data - First player's data { id, mesh, worldVolume, isLocal, ... }
+ * @param {object} player1Data - First player's data { id, mesh, worldVolume, isLocal, team, ... }
  * @param {object} player2Data - Second player's data
  * @returns {object|null} Meal data or null
  */
@@ -358,6 +375,11 @@ function handlePlayerCollision(player1Data, player2Data) {
     return null
   }
   
+  // Team mode - teammates swim through each other (the server refuses these too)
+  if (typeof player1Data.team === 'number' && player1Data.team === player2Data.team) {
+    return null
+  }
+  
   // Debug logging
   console.log('[Feeding] handlePlayerCollision called:', {
     player1: { id: player1Data.id, isLocal: player1Data.isLocal, volume: player1Data.worldVolume },
@@ -410,6 +432,13 @@ function handlePlayerCollision(player1Data, player2Data) {
     preyVolume = vol1
   }
   
+  // Big enough, but is it on the menu?
+  const dietReason = checkDiet(predator.creature, prey.creature, predatorVolume, preyVolume)
+  if (dietReason) {
+    console.log(`[Feeding] ${predator.creature?.class} won't eat ${prey.creature?.class}: ${dietReason}`)
+    return null
+  }
+  
   // Check if we've already processed this eating event
   const eatKey = `${predator.id}->${prey.id}`
   if (recentlyEatenPlayers.has(eatKey)) {
@@ -561,6 +590,14 @@ function consumePlayer(predator, prey, predatorVolume, preyVolume) {
     console.log(`[Feeding] Notifying server that we ate player ${prey.id}`)
     // Check if the method exists before calling
     if (typeof networkManager.sendEatPlayer === 'function') {
+      // Keep the meal until the server confirms it (or rejects it - see revertPlayerMeal)
+      pendingPlayerMeals.set(prey.id, meal)
+      setTimeout(() => {
+        if (pendingPlayerMeals.get(prey.id) === meal) {
+          pendingPlayerMeals.delete(prey.id)
+        }
+      }, 5000)
+      
       networkManager.sendEatPlayer(prey.id, preyVolume, meal.predatorVolumeAfter)
     } else {
       console.log('[Feeding] networkManager.sendEatPlayer not available - server won\'t be notified')
@@ -576,6 +613,61 @@ function consumePlayer(predator, prey, predatorVolume, preyVolume) {
   return meal
 }
 
+/**
+ * Undo a PvP meal the server rejected
+ * Removes the volume we gained from that prey (keeps anything eaten since)
+ * 
+ * @param {number} preyId - The prey named in the rejected EAT_PLAYER
+ * @returns {boolean} True if a pending meal was reverted
+ */
+function revertPlayerMeal(preyId) {
+  const meal = pendingPlayerMeals.get(preyId)
+  if (!meal) return false
+  
+  pendingPlayerMeals.delete(preyId)
+  recentlyEatenPlayers.delete(`${meal.predatorId}->${preyId}`)
+  
+  const localId = PlayerRegistry.getLocalId()
+  if (localId && meal.volumeGained > 0) {
+    const current = PlayerRegistry.getVolumes(localId)?.world || VOLUME_CONFIG.STARTER
+    PlayerRegistry.setWorldVolume(localId, current - meal.volumeGained)
+  }
+  
+  console.log(`[Feeding] Reverted rejected meal on player ${preyId} (-${(meal.volumeGained || 0).toFixed(2)} m^3)`)
+  return true
+}
+
+/**
+ * Undo an NPC meal the server rejected (already eaten by someone else,
+ * too big, not on our diet...)
+ * Removes the volume we gained from that NPC (keeps anything eaten since)
+ * 
+ * @param {string} npcId - The NPC named in the rejected EAT_NPC
+ * @returns {boolean} True if a pending meal was reverted
+ */
+function revertNPCMeal(npcId) {
+  const meal = pendingNPCMeals.get(npcId)
+  if (!meal) return false
+  
+  pendingNPCMeals.delete(npcId)
+  
+  const localId = PlayerRegistry.getLocalId()
+  if (localId && meal.volumeGained > 0) {
+    const current = PlayerRegistry.getVolumes(localId)?.world || VOLUME_CONFIG.STARTER
+    PlayerRegistry.setWorldVolume(localId, current - meal.volumeGained)
+  }
+  
+  console.log(`[Feeding] Reverted rejected meal on NPC ${npcId} (-${(meal.volumeGained || 0).toFixed(2)} m^3)`)
+  return true
+}
+
+/**
+ * @returns {boolean} True while a meal we predicted still waits on the server
+ */
+function hasPendingMeals() {
+  return pendingPlayerMeals.size > 0 || pendingNPCMeals.size > 0
+}
+
 /**
  * Register callback for when local player is eaten
  * @param {function} callback - Called with meal data
@@ -602,7 +694,7 @@ function offPlayerEaten(callback) {
 // ============================================================================
 
 /**
- * Check if one NPC can eat another (5% rule)
+ * Check if one NPC can eat another (5% rule and diet)
  * Used by FishAdder's AI system
  * 
  * @param {object} predatorNPC 
@@ -615,7 +707,16 @@ function canNPCEatNPC(predatorNPC, preyNPC) {
   const predatorVolume = predatorNPC.totalWorldVolume || predatorNPC.visualVolume || 0
   const preyVolume = preyNPC.totalWorldVolume || preyNPC.visualVolume || 0
   
-  return canEat(predatorVolume, preyVolume)
+  return canEat(predatorVolume, preyVolume) &&
+    !checkDiet(npcCreature(predatorNPC), npcCreature(preyNPC), predatorVolume, preyVolume)
+}
+
+/**
+ * @param {object} npc - NPC data from FishAdder
+ * @returns {{type: string, class: string}} For Diet.js
+ */
+function npcCreature(npc) {
+  return { type: npc.creatureType, class: npc.creatureClass }
 }
 
 /**
@@ -830,6 +931,9 @@ export const Feeding = {
   
   // Feeding handlers
   handlePlayerCollision,
+  revertPlayerMeal,
+  revertNPCMeal,
+  hasPendingMeals,
   canNPCEatNPC,
   processNPCEatNPC,
   getNPCFeedingRelationship,
@@ -1,152 +1,62 @@
 /**
- * FishAdder.js - NPC Fish Spawning & AI (Grid-Based)
- * 
- * Fish navigate on SpawnFactory's grid:
- *   - Each grid point has up to 26 adjacent neighbors
- *   - Fish plan paths of exactly 10 grid steps
- *   - No replanning until path is complete
- * 
+ * FishAdder.js - NPC creature meshes (AI lives in NPCSimulation)
+ *
+ * NPCSimulation decides where creatures go; FishAdder turns its NPCs into meshes:
+ *   - Multiplayer: the server runs the simulation and FishAdder follows it
+ *     (spawn batches, deaths and position snapshots)
+ *   - Single-player: FishAdder runs an NPCSimulation over SpawnFactory's grid
+ *
  * Usage:
  *   import { FishAdder } from './FishAdder.js'
  *   FishAdder.init(scene)
- *   FishAdder.spawnInitialFish(100)
+ *   FishAdder.spawnInitialFish(seed)   // Single-player only
  *   FishAdder.update(deltaTime)
  */
 
 import * as THREE from 'three'
-import { 
-  generateCreature,
-  getAllCreatureClasses,
-  getVariantCount,
-  CreatureType,
-  getTypeFromClass,
-} from './Encyclopedia.js'
+import { generateCreature, getNPCSpecies } from './Encyclopedia.js'
 import { MeshRegistry, Category, Tag } from './MeshRegistry.js'
 import { SpawnFactory } from './SpawnFactory.js'
 import { computeCapsuleParams } from './ScaleMesh.js'
-import { computeCapsuleVolume, getNPCNormalDistributedScale } from './NormalScale.js'
-import { computeGroupVolume, getMeshVolumeBreakdown, canEatByVolume } from './MeshVolume.js'
-import { Feeding } from './Feeding.js'
-import { Determine } from './determine.js'
-import { networkManager } from '../network/NetworkManager.js'
-
-// ============================================================================
-// SPECIES BEHAVIOR CLASSIFICATION
-// ============================================================================
-
-// Species that school (swim in groups)
-const SCHOOLING_SPECIES = new Set([
-  // Fish
-  'tuna', 'barracuda', 'tang', 'piranha', 'flyingfish', 'catfish', 'angelfish',
-  // Cephalopods
-  'squid', 'humboldt_squid', 'firefly_squid',
-  // Jellies (drift in groups)
-  'moon_jelly', 'crystal_jelly', 'sea_gooseberry',
-])
-
-// Species that are solitary
-const SOLITARY_SPECIES = new Set([
-  // Fish
-  'shark', 'hammerhead', 'ray', 'manta', 'eel', 'moray', 'grouper',
-  'marlin', 'flounder', 'seahorse', 'sunfish', 'anglerfish', 'lionfish',
-  'puffer', 'betta',
-  // Mammals (mostly solitary or small pods handled differently)
-  'blue_whale', 'humpback', 'sperm_whale', 'narwhal',
-  // Cephalopods
-  'octopus', 'giant_pacific_octopus', 'blue_ringed_octopus', 'dumbo_octopus', 'mimic_octopus',
-  'giant_squid', 'colossal_squid', 'cuttlefish', 'flamboyant_cuttlefish',
-  // Crustaceans
-  'lobster', 'king_crab', 'coconut_crab', 'mantis_shrimp',
-  // Jellies (large solitary)
-  'lions_mane', 'box_jelly', 'sea_wasp', 'portuguese_man_o_war',
-])
-
-// Bottom dwellers (spawn near floor, move slowly)
-const BOTTOM_DWELLERS = new Set([
-  // Crustaceans
-  'crab', 'king_crab', 'spider_crab', 'coconut_crab', 'fiddler_crab',
-  'lobster', 'crayfish', 'horseshoe_crab',
-  // Sea cucumbers
-  'sea_cucumber', 'giant_california', 'leopard_sea_cucumber',
-  'sea_apple', 'sea_pig', 'medusa_worm', 'sticky_snake', 'donkey_dung',
-  // Some cephalopods
-  'octopus', 'giant_pacific_octopus', 'blue_ringed_octopus', 'mimic_octopus',
-  // Fish
-  'flounder',
-])
-
-// Drifters (slow, passive movement)
-const DRIFTERS = new Set([
-  // Jellies
-  'moon_jelly', 'lions_mane', 'barrel_jelly', 'fried_egg_jelly', 'compass_jelly',
-  'box_jelly', 'sea_wasp', 'portuguese_man_o_war', 'by_the_wind_sailor',
-  'crystal_jelly', 'sea_gooseberry',
-  // Some fish
-  'sunfish',
-])
+import { computeCapsuleVolume } from './NormalScale.js'
+import { computeGroupVolume, getMeshVolumeBreakdown } from './MeshVolume.js'
+import {
+  NPCSimulation,
+  NPC_DEFAULTS,
+  State,
+  NumberToState,
+  SCHOOLING_SPECIES,
+  SOLITARY_SPECIES,
+  BOTTOM_DWELLERS,
+  DRIFTERS,
+  LURKERS,
+  getLocomotion,
+} from './NPCSimulation.js'
+import { NETWORK_CONFIG } from '../shared/Protocol.js'
 
 // ============================================================================
 // CONFIGURATION (edit these!)
 // ============================================================================
 
 const CONFIG = {
-  // *** POPULATION - Change this to control how many creatures spawn ***
-  targetPopulation: 50,
-  
-  // Schooling
-  schoolChance: 0.7,          // 0-1, chance to spawn as school
-  schoolSize: { min: 4, max: 8 },
-  
-  // Size distribution (weights)
-  sizeDistribution: {
-    tiny:   { weight: 20, scale: [1.0, 2.0] },
-    small:  { weight: 20, scale: [2.0, 4.0] },
-    medium: { weight: 20, scale: [4.0, 6.0] },
-    large:  { weight: 20, scale: [6.0, 8.0] },
-    huge:   { weight: 20, scale: [8.0, 10.0] },
-  },
-  
-  // Movement
-  baseSpeed: 4.0,
-  speedVariation: 1.0,
-  turnRate: 2.5,
-  
-  // Pathing
-  pathLength: 10,
-  waypointArrivalDist: 5,
-  forwardBias: 0,
-  targetBias: 3,
-  randomness: 0.5,
-  preferredDirBias: 2.5,
-  
-  // Detection ranges
-  fleeRange: 75,
-  chaseRange: 60,
-  eatRange: 10,
-  
-  // Predation (5% rule - must be 5% larger to eat)
-  predatorSizeRatio: 1.05,
-  // growthPerEat removed - using linear additive (prey volume added directly)
-  maxVolume: 1000,  // Maximum world volume cap
+  // Simulation (population, schooling, movement, pathing, ranges, tickRate)
+  // Shared by reference with the local NPCSimulation, so tweaks apply live
+  ...NPC_DEFAULTS,
+  schoolSize: { ...NPC_DEFAULTS.schoolSize },
   
   // Volume labels (P key to toggle)
   labelScale: 1,            // World size of labels (units)
   labelOffset: 3,             // Height above fish (world units)
   
-  // Fixed timestep simulation (for multiplayer determinism)
-  tickRate: 20,               // Simulation ticks per second (20 = 50ms per tick)
+  // Local simulation (single-player)
   maxTicksPerFrame: 10,       // Limit catch-up to prevent spiral of death
   
-  // Internal
-  schoolPathOffset: 10,
-}
-
-// AI States
-const State = {
-  WANDER: 'wander',
-  FLEE: 'flee',
-  CHASE: 'chase',
-  SCHOOL: 'school',
+  // Following the server (multiplayer)
+  maxExtrapolation: 0.5,      // Seconds to keep moving past the last snapshot
+  
+  // Population history (PopulationDebugPanel)
+  populationSampleInterval: 5,  // Seconds between samples
+  populationHistoryLength: 120, // Samples kept (10 minutes)
 }
 
 // ============================================================================
@@ -156,43 +66,25 @@ const State = {
 let sceneRef = null
 let isInitialized = false
 
+// Meshes for every NPC, local or server-simulated
 const npcs = new Map()
-const schools = new Map()
 
-// All spawnable creatures: [{type, class, displayName, shortName}, ...]
+// All spawnable creatures: [{type, class, displayName, shortName, variants}, ...]
 let allCreatures = []
-let npcIdCounter = 0
-let schoolIdCounter = 0
+const creaturesByClass = new Map()
+
+// LOCAL SIMULATION (single-player only - null when following the server)
+let localSim = null
 
 // FIXED TIMESTEP SIMULATION
-let simulationTick = 0              // Current simulation tick number
 let simulationTime = 0              // Accumulated simulation time (seconds)
-let lastUpdateTime = 0              // Last real-world time update() was called
 let tickDuration = 1 / 20           // Duration of one tick in seconds (recalculated from CONFIG)
 
-// GRID DATA
-let gridPoints = []           // All playable points from SpawnFactory
-let gridSpacing = 25          // Distance between grid points
-let adjacencyMap = new Map()  // pointIndex -> [neighborIndices]
-
-// SPATIAL HASH (for O(1) lookups instead of O(n))
-const gridHash = new Map()    // "cellX,cellY,cellZ" -> [gridPointIndices]
-const fishHash = new Map()    // "cellX,cellY,cellZ" -> Set<fishId> for O(1) add/remove
-let hashCellSize = 50
-let invHashCellSize = 0.02    // 1/hashCellSize - precomputed for faster division
+// Correction speed - how fast followers lerp to server positions (per 60 Hz frame)
+let correctionSpeed = NETWORK_CONFIG.npcCorrectionSpeed
 
 // OBJECT POOL (avoid GC - reuse instead of new Vector3())
 const _v1 = new THREE.Vector3()
-const _v2 = new THREE.Vector3()
-
-// CACHED CONFIG (avoid property lookups in hot path)
-let _arrivalDistSq = 25       // waypointArrivalDist^2
-let _fleeRangeSq = 5625       // fleeRange^2
-let _chaseRangeSq = 3600      // chaseRange^2
-let _eatRangeSq = 100         // eatRange^2
-
-// ACTIVE CHASERS (only check predation for these)
-const activeChasers = new Set()
 
 // VOLUME LABELS
 let labelsVisible = false
@@ -202,297 +94,19 @@ const labelSprites = new Map()  // npcId -> THREE.Sprite
 let pathRibbonsVisible = false
 const pathRibbonLines = new Map()  // npcId -> THREE.Line
 
-// Colors for different AI states (use strings since State enum defined later)
-const PATH_COLORS = {
-  'wander': 0x00ff88,  // Green - wandering
-  'flee':   0xff4444,  // Red - fleeing
-  'chase':  0xffaa00,  // Orange - chasing
-  'school': 0x44aaff,  // Blue - schooling
-}
-
-// ============================================================================
-// SPATIAL HASH FUNCTIONS (optimized)
-// ============================================================================
-
-// Bitwise floor is faster than Math.floor for positive numbers
-function posToCell(x, y, z) {
-  return `${(x * invHashCellSize) | 0},${(y * invHashCellSize) | 0},${(z * invHashCellSize) | 0}`
-}
-
-function posToCellFromVec(pos) {
-  return `${(pos.x * invHashCellSize) | 0},${(pos.y * invHashCellSize) | 0},${(pos.z * invHashCellSize) | 0}`
-}
-
-/**
- * Build spatial hash for grid points (run once at init)
- */
-function buildGridSpatialHash() {
-  gridHash.clear()
-  
-  const len = gridPoints.length
-  for (let i = 0; i < len; i++) {
-    const p = gridPoints[i]
-    const cell = posToCellFromVec(p)
-    
-    let bucket = gridHash.get(cell)
-    if (!bucket) {
-      bucket = []
-      gridHash.set(cell, bucket)
-    }
-    bucket.push(i)
-  }
-  
-  console.log(`[FishAdder] Grid spatial hash: ${gridHash.size} cells`)
-}
-
-/**
- * Update fish's position in spatial hash (uses Set for O(1) operations)
- */
-function updateFishInHash(npc, oldCell = null) {
-  const id = npc.id
-  
-  // Remove from old cell
-  if (oldCell) {
-    const oldSet = fishHash.get(oldCell)
-    if (oldSet) oldSet.delete(id)
-  }
-  
-  // Add to new cell
-  const newCell = posToCellFromVec(npc.mesh.position)
-  let bucket = fishHash.get(newCell)
-  if (!bucket) {
-    bucket = new Set()
-    fishHash.set(newCell, bucket)
-  }
-  bucket.add(id)
-  npc._hashCell = newCell
-}
-
-/**
- * Get all fish IDs in nearby cells (reuses result array)
- */
-const _nearbyFishResult = []
-function getFishInNearbyCells(pos, rangeSq) {
-  _nearbyFishResult.length = 0  // Clear without allocation
-  
-  // Only check 1 cell radius for most cases (range < cellSize)
-  const cellRadius = rangeSq > 2500 ? 2 : 1  // sqrt(2500) = 50 = cellSize
-  
-  const cx = (pos.x * invHashCellSize) | 0
-  const cy = (pos.y * invHashCellSize) | 0
-  const cz = (pos.z * invHashCellSize) | 0
-  
-  for (let dx = -cellRadius; dx <= cellRadius; dx++) {
-    for (let dy = -cellRadius; dy <= cellRadius; dy++) {
-      for (let dz = -cellRadius; dz <= cellRadius; dz++) {
-        const cell = `${cx + dx},${cy + dy},${cz + dz}`
-        const fishSet = fishHash.get(cell)
-        if (fishSet) {
-          for (const id of fishSet) {
-            _nearbyFishResult.push(id)
-          }
-        }
-      }
-    }
-  }
-  
-  return _nearbyFishResult
-}
-
-// ============================================================================
-// GRID FUNCTIONS
-// ============================================================================
-
-/**
- * Build adjacency map from SpawnFactory grid
- * Uses spatial hashing for O(k) neighbor lookup instead of O(nÃƒÆ’Ã†â€™Ãƒâ€ Ã¢â‚¬â„¢ÃƒÆ’Ã¢â‚¬Â ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â€šÂ¬Ã…Â¡Ãƒâ€šÃ‚Â¬ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¡ÃƒÆ’Ã†â€™Ãƒâ€ Ã¢â‚¬â„¢ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€¦Ã‚Â¡ÃƒÆ’Ã†â€™ÃƒÂ¢Ã¢â€šÂ¬Ã…Â¡ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â²)
- */
-function buildAdjacencyMap() {
-  gridPoints = SpawnFactory.playablePoints
-  gridSpacing = SpawnFactory.getConfig().gridSpacing || 25
-  hashCellSize = gridSpacing * 2  // Cell slightly larger than neighbor distance
-  
-  if (gridPoints.length === 0) {
-    console.error('[FishAdder] No grid points from SpawnFactory!')
-    return
-  }
-  
-  // First build spatial hash of grid points
-  buildGridSpatialHash()
-  
-  const neighborDist = gridSpacing * 1.8
-  const neighborDistSq = neighborDist * neighborDist
-  
-  console.log(`[FishAdder] Building adjacency for ${gridPoints.length} grid points...`)
-  
-  adjacencyMap.clear()
-  
-  // Use spatial hash to find neighbors (much faster than O(nÃƒÆ’Ã†â€™Ãƒâ€ Ã¢â‚¬â„¢ÃƒÆ’Ã¢â‚¬Â ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â€šÂ¬Ã…Â¡Ãƒâ€šÃ‚Â¬ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¡ÃƒÆ’Ã†â€™Ãƒâ€ Ã¢â‚¬â„¢ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€¦Ã‚Â¡ÃƒÆ’Ã†â€™ÃƒÂ¢Ã¢â€šÂ¬Ã…Â¡ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â²))
-  for (let i = 0; i < gridPoints.length; i++) {
-    const neighbors = []
-    const p1 = gridPoints[i]
-    
-    // Only check points in nearby cells
-    const cx = Math.floor(p1.x / hashCellSize)
-    const cy = Math.floor(p1.y / hashCellSize)
-    const cz = Math.floor(p1.z / hashCellSize)
-    
-    for (let dx = -1; dx <= 1; dx++) {
-      for (let dy = -1; dy <= 1; dy++) {
-        for (let dz = -1; dz <= 1; dz++) {
-          const cell = `${cx + dx},${cy + dy},${cz + dz}`
-          const pointsInCell = gridHash.get(cell)
-          
-          if (pointsInCell) {
-            for (const j of pointsInCell) {
-              if (i === j) continue
-              
-              const p2 = gridPoints[j]
-              const distSq = p1.distanceToSquared(p2)
-              
-              if (distSq <= neighborDistSq) {
-                neighbors.push(j)
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    adjacencyMap.set(i, neighbors)
-  }
-  
-  // Stats
-  let totalNeighbors = 0
-  let maxNeighbors = 0
-  let minNeighbors = Infinity
-  
-  for (const [, neighbors] of adjacencyMap) {
-    totalNeighbors += neighbors.length
-    maxNeighbors = Math.max(maxNeighbors, neighbors.length)
-    minNeighbors = Math.min(minNeighbors, neighbors.length)
-  }
-  
-  const avgNeighbors = (totalNeighbors / adjacencyMap.size).toFixed(1)
-  console.log(`[FishAdder] Adjacency built: avg ${avgNeighbors} neighbors (min ${minNeighbors}, max ${maxNeighbors})`)
-}
+// POPULATION HISTORY - [{ time, total, counts: { creatureClass: n } }], oldest first
+const populationHistory = []
+let populationSampleTimer = 0
+let populationTime = 0
 
-/**
- * Find the grid point index closest to a position
- * Uses spatial hash for O(k) lookup instead of O(n)
- */
-function findNearestGridIndex(position) {
-  const cx = (position.x * invHashCellSize) | 0
-  const cy = (position.y * invHashCellSize) | 0
-  const cz = (position.z * invHashCellSize) | 0
-  
-  let nearestIdx = -1
-  let nearestDistSq = Infinity
-  
-  // Check expanding shells until we find something
-  for (let radius = 0; radius <= 3; radius++) {
-    for (let dx = -radius; dx <= radius; dx++) {
-      for (let dy = -radius; dy <= radius; dy++) {
-        for (let dz = -radius; dz <= radius; dz++) {
-          // Only check shell on radius > 0
-          if (radius > 0) {
-            const adx = dx < 0 ? -dx : dx
-            const ady = dy < 0 ? -dy : dy
-            const adz = dz < 0 ? -dz : dz
-            if (adx < radius && ady < radius && adz < radius) continue
-          }
-          
-          const cell = `${cx + dx},${cy + dy},${cz + dz}`
-          const pointsInCell = gridHash.get(cell)
-          
-          if (pointsInCell) {
-            for (let i = 0, len = pointsInCell.length; i < len; i++) {
-              const idx = pointsInCell[i]
-              const distSq = position.distanceToSquared(gridPoints[idx])
-              if (distSq < nearestDistSq) {
-                nearestDistSq = distSq
-                nearestIdx = idx
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    if (nearestIdx !== -1) break
-  }
-  
-  return nearestIdx !== -1 ? nearestIdx : getRandomGridIndex()
-}
-
-/**
- * Get a random grid point index
- */
-function getRandomGridIndex() {
-  return Determine.index(gridPoints.length)
-}
-
-/**
- * Pick next grid step with forward bias
- * @param {number} currentIdx - Current grid index
- * @param {THREE.Vector3} forwardDir - Preferred direction
- * @param {THREE.Vector3} [biasTarget] - Optional target to bias toward
- * @param {boolean} [avoidTarget] - If true, bias away from biasTarget
- */
-function pickNextGridStep(currentIdx, forwardDir, biasTarget = null, avoidTarget = false, preferredDir = null) {
-  const neighbors = adjacencyMap.get(currentIdx)
-  if (!neighbors || neighbors.length === 0) {
-    return getRandomGridIndex()
-  }
-  
-  const currentPos = gridPoints[currentIdx]
-  
-  // Pre-compute target direction if needed
-  let targetDir = null
-  if (biasTarget && CONFIG.targetBias > 0) {
-    targetDir = _v2.subVectors(biasTarget, currentPos).normalize()
-  }
-  
-  let bestIdx = neighbors[0]
-  let bestScore = -Infinity
-  
-  for (const neighborIdx of neighbors) {
-    const neighborPos = gridPoints[neighborIdx]
-    
-    // Reuse _v1 for direction calculation
-    _v1.subVectors(neighborPos, currentPos).normalize()
-    
-    // Start with zero score
-    let score = 0
-    
-    // Preferred direction bias (creature's personal tendency - makes them turn less)
-    if (preferredDir && CONFIG.preferredDirBias > 0) {
-      score += preferredDir.dot(_v1) * CONFIG.preferredDirBias
-    }
-    
-    // Forward bias (configurable, 0 = disabled)
-    if (CONFIG.forwardBias > 0) {
-      score += forwardDir.dot(_v1) * CONFIG.forwardBias
-    }
-    
-    // Target bias (chase/flee)
-    if (targetDir && CONFIG.targetBias > 0) {
-      const targetDot = _v1.dot(targetDir)
-      score += avoidTarget ? -targetDot * CONFIG.targetBias : targetDot * CONFIG.targetBias
-    }
-    
-    // Randomness
-    if (CONFIG.randomness > 0) {
-      score += Determine.random() * CONFIG.randomness
-    }
-    
-    if (score > bestScore) {
-      bestScore = score
-      bestIdx = neighborIdx
-    }
-  }
-  
-  return bestIdx
+// Colors for different AI states
+const PATH_COLORS = {
+  [State.WANDER]: 0x00ff88,  // Green - wandering
+  [State.FLEE]:   0xff4444,  // Red - fleeing
+  [State.CHASE]:  0xffaa00,  // Orange - chasing
+  [State.SCHOOL]: 0x44aaff,  // Blue - schooling
+  [State.HIDE]:   0xaa66ff,  // Purple - hiding in a den
+  [State.SURFACE]: 0xffffff, // White - surfacing to breathe
 }
 
 // ============================================================================
@@ -507,26 +121,13 @@ function init(scene) {
   
   sceneRef = scene
   
-  // Cache squared distances for hot path
-  _arrivalDistSq = CONFIG.waypointArrivalDist * CONFIG.waypointArrivalDist
-  _fleeRangeSq = CONFIG.fleeRange * CONFIG.fleeRange
-  _chaseRangeSq = CONFIG.chaseRange * CONFIG.chaseRange
-  _eatRangeSq = CONFIG.eatRange * CONFIG.eatRange
-  
-  // Initialize fixed timestep
-  tickDuration = 1 / CONFIG.tickRate
-  simulationTick = 0
-  simulationTime = 0
-  lastUpdateTime = performance.now() / 1000
-  
   // Get ALL creature classes (fish, mammals, crustaceans, cephalopods, jellies, sea cucumbers)
-  allCreatures = getAllCreatureClasses().filter(c => c.class !== 'starter')
-  
-  // Build adjacency map from SpawnFactory grid
-  buildAdjacencyMap()
+  allCreatures = getNPCSpecies()
+  for (const creature of allCreatures) {
+    creaturesByClass.set(creature.class, creature)
+  }
   
-  // Update hash cell inverse
-  invHashCellSize = 1 / hashCellSize
+  tickDuration = 1 / CONFIG.tickRate
   
   isInitialized = true
   
@@ -536,193 +137,32 @@ function init(scene) {
     byType[c.type] = (byType[c.type] || 0) + 1
   }
   console.log(`[FishAdder] Initialized with ${allCreatures.length} creature types:`, byType)
-  console.log(`[FishAdder] Grid: ${gridPoints.length} points`)
-  console.log(`[FishAdder] Fixed timestep: ${CONFIG.tickRate} ticks/sec (${tickDuration * 1000}ms per tick)`)
 }
 
 // ============================================================================
-// SPAWNING
+// MESHES
 // ============================================================================
 
-function spawnInitialFish() {
-  if (!isInitialized) {
-    console.error('[FishAdder] Not initialized')
-    return
-  }
-  
-  // Safety check: ensure SpawnFactory grid is ready and rebuild adjacency if needed
-  // This handles the case where map changed and SpawnFactory was re-analyzed
-  const spawnFactoryPoints = SpawnFactory.playablePoints
-  if (!spawnFactoryPoints || spawnFactoryPoints.length === 0) {
-    console.warn('[FishAdder] SpawnFactory has no grid points - analyzing now...')
-    SpawnFactory.analyzePlayableSpace()
-  }
-  
-  // Rebuild adjacency map if grid points changed (e.g., after map regeneration)
-  if (gridPoints.length === 0 || gridPoints !== SpawnFactory.playablePoints) {
-    console.log('[FishAdder] Rebuilding adjacency map for new grid...')
-    buildAdjacencyMap()
-    invHashCellSize = 1 / hashCellSize
-  }
-  
-  if (gridPoints.length === 0) {
-    console.error('[FishAdder] Still no grid points after rebuild - cannot spawn fish')
-    return
-  }
-  
-  const count = CONFIG.targetPopulation
-  console.log(`[FishAdder] Spawning ${count} creatures from ${allCreatures.length} species...`)
-  
-  let spawned = 0
-  
-  // Spawn mix of schools and individuals up to target
-  while (spawned < count) {
-    if (Determine.chance(CONFIG.schoolChance) && spawned + CONFIG.schoolSize.min <= count) {
-      const schoolResult = spawnSchool()
-      if (schoolResult) spawned += schoolResult.count
-    } else {
-      if (spawnOneCreature()) spawned++
-    }
-  }
-  
-  // Log breakdown by type
-  const byType = {}
-  for (const [, npc] of npcs) {
-    byType[npc.creatureType] = (byType[npc.creatureType] || 0) + 1
-  }
-  
-  console.log(`[FishAdder] Spawned ${spawned} total:`, byType)
-  console.log(`[FishAdder] Schools: ${schools.size}`)
-  
-  return { spawned, schools: schools.size, byType }
-}
-
-function spawnSchool() {
-  if (gridPoints.length === 0) return null
-  
-  const startIdx = getRandomGridIndex()
-  
-  // Filter to only schooling species from all creature types
-  const schoolingCreatures = allCreatures.filter(c => SCHOOLING_SPECIES.has(c.class))
-  if (schoolingCreatures.length === 0) return null
-  
-  const creature = Determine.pick(schoolingCreatures)
-  const variantCount = getVariantCount(creature.class)
-  const variantIndex = Determine.index(variantCount)
-  const scaleMultiplier = pickRandomSize(creature.class)
-  
-  const schoolSize = CONFIG.schoolSize.min + 
-    Determine.rangeInt(0, CONFIG.schoolSize.max - CONFIG.schoolSize.min + 1)
-  
-  const schoolId = `school_${schoolIdCounter++}`
-  const memberIds = []
-  let leaderId = null
-  
-  // Get nearby grid points for school members (all MUST be valid grid points)
-  const usedIndices = new Set([startIdx])
-  const nearbyIndices = [startIdx]
-  
-  // Collect nearby grid points for school members
-  const neighbors = adjacencyMap.get(startIdx) || []
-  for (const neighborIdx of neighbors) {
-    if (nearbyIndices.length >= schoolSize) break
-    nearbyIndices.push(neighborIdx)
-    usedIndices.add(neighborIdx)
-    
-    // Also add neighbors of neighbors for larger schools
-    const secondNeighbors = adjacencyMap.get(neighborIdx) || []
-    for (const secondIdx of secondNeighbors) {
-      if (nearbyIndices.length >= schoolSize) break
-      if (!usedIndices.has(secondIdx)) {
-        nearbyIndices.push(secondIdx)
-        usedIndices.add(secondIdx)
-      }
-    }
-  }
-  
-  for (let i = 0; i < schoolSize && i < nearbyIndices.length; i++) {
-    // Spawn at VALID grid point only
-    const gridIdx = nearbyIndices[i]
-    const spawnPos = gridPoints[gridIdx].clone()
-    
-    const npc = spawnOneCreature({
-      position: spawnPos,
-      creatureType: creature.type,
-      creatureClass: creature.class,
-      variantIndex,
-      scaleMultiplier: scaleMultiplier * Determine.variation(0.1),
-      schoolId,
-      isLeader: i === 0,
-    })
-    
-    if (npc) {
-      memberIds.push(npc.id)
-      if (i === 0) leaderId = npc.id
-    }
-  }
-  
-  if (leaderId && memberIds.length > 1) {
-    schools.set(schoolId, { leaderId, memberIds, creatureClass: creature.class })
-    console.log(`[FishAdder] Spawned school of ${memberIds.length} ${creature.displayName}`)
-  }
-  
-  return { count: memberIds.length, schoolId }
-}
-
 /**
- * Spawn a single creature of any type
- * ALWAYS spawns at a valid grid point
+ * Create the mesh for an NPC
+ * Everything about the creature comes from the descriptor, so the server
+ * and every client build the same creature at the same size
+ *
+ * @param {object} data - { id, type, class, variant, seed, volume, school, x, y, z, ry, st }
+ * @param {number|null} tick - Simulation tick the descriptor was taken at
+ * @returns {object|null} NPC mesh record
  */
-function spawnOneCreature(options = {}) {
-  if (gridPoints.length === 0) return null
-  
-  // Pick random creature if not specified
-  let creature = null
-  if (!options.creatureClass) {
-    creature = Determine.pick(allCreatures)
-  } else {
-    creature = allCreatures.find(c => c.class === options.creatureClass)
-  }
-  
-  if (!creature) return null
-  
-  const {
-    creatureType = creature.type,
-    creatureClass = creature.class,
-    variantIndex = Determine.index(getVariantCount(creatureClass)),
-    scaleMultiplier = pickRandomSize(creatureClass),
-    schoolId = null,
-    isLeader = false,
-  } = options
-  
-  // ALWAYS use a valid grid point - either find nearest to requested position or pick random
-  let gridIdx
-  if (options.position) {
-    gridIdx = findNearestGridIndex(options.position)
-  } else {
-    gridIdx = getRandomGridIndex()
-  }
-  
-  // Spawn position is ALWAYS a grid point
-  const spawnPosition = gridPoints[gridIdx].clone()
-  
-  // Generate deterministic seed for creature mesh
-  const seed = Determine.rangeInt(0, 0xFFFFFFFF)
-  const creatureData = generateCreature(seed, creatureType, creatureClass, variantIndex)
-  
+function spawnNPCMesh(data, tick = null) {
+  const creatureData = generateCreature(data.seed, data.type, data.class, data.variant)
   if (!creatureData?.mesh) return null
   
-  // Compute NATURAL visual volume at scale=1 (before any scaling)
+  // Scale the natural mesh (scale=1) to the simulated world volume
   const naturalVisualVolume = computeGroupVolume(creatureData.mesh, false)
+  const scaleMultiplier = naturalVisualVolume > 0 ? Math.cbrt(data.volume / naturalVisualVolume) : 1
   
-  // Get normally distributed scale (volumes from 1 to 1000 mÃƒÆ’Ã†â€™Ãƒâ€ Ã¢â‚¬â„¢ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€¦Ã‚Â¡ÃƒÆ’Ã†â€™ÃƒÂ¢Ã¢â€šÂ¬Ã…Â¡ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â³)
-  const normalization = getNPCNormalDistributedScale(naturalVisualVolume)
-  const finalScaleMultiplier = normalization.scaleFactor
-  
-  // Apply normalized scale
-  creatureData.mesh.scale.setScalar(finalScaleMultiplier)
-  creatureData.mesh.position.copy(spawnPosition)  // Always at grid point
-  creatureData.mesh.rotation.y = Determine.rotation()
+  creatureData.mesh.scale.setScalar(scaleMultiplier)
+  creatureData.mesh.position.set(data.x, data.y, data.z)
+  creatureData.mesh.rotation.y = data.ry
   
   sceneRef.add(creatureData.mesh)
   
@@ -730,100 +170,62 @@ function spawnOneCreature(options = {}) {
   const capsuleParams = computeCapsuleParams(creatureData.mesh, creatureData)
   const capsuleVolume = computeCapsuleVolume(capsuleParams.radius, capsuleParams.halfHeight)
   
-  // Final visual volume is the target volume from normal distribution
-  const visualVolume = normalization.targetVolume
+  const visualVolume = data.volume
   const visualVolumeBreakdown = getMeshVolumeBreakdown(creatureData.mesh, true)
   const meshCount = visualVolumeBreakdown.meshCount
   
-  const npcId = `npc_${creatureType}_${npcIdCounter++}`
-  
-  // Determine base speed based on creature type
-  let speedMult = 1.0
-  if (BOTTOM_DWELLERS.has(creatureClass)) speedMult = 0.3
-  else if (DRIFTERS.has(creatureClass)) speedMult = 0.4
-  
   const npcData = {
-    id: npcId,
+    id: data.id,
     mesh: creatureData.mesh,
-    seed,
-    creatureType,
-    creatureClass,
-    variantIndex,
-    scaleMultiplier: finalScaleMultiplier,  // Use normalized scale
+    seed: data.seed,
+    creatureType: data.type,
+    creatureClass: data.class,
+    variantIndex: data.variant,
+    scaleMultiplier,
     capsuleParams,
-    volume: capsuleVolume,           // Capsule volume (for AI predation) - LEGACY
-    visualVolume,                    // True mesh volume (from distribution) - LEGACY
+    volume: capsuleVolume,           // Capsule volume - LEGACY
+    visualVolume,                    // Simulated world volume - LEGACY
     naturalVisualVolume,             // Volume at scale=1 (before normalization)
-    totalWorldVolume: visualVolume,  // NEW: World volume for feeding [1, 1000] m³
+    totalWorldVolume: visualVolume,  // World volume for feeding [1, 1000] m³
     meshCount,                       // Number of meshes in creature
     volumeBreakdown: visualVolumeBreakdown,  // Per-part breakdown
     traits: creatureData.traits,
-    displayName: creature.displayName,
-    
-    // AI state
-    state: schoolId && !isLeader ? State.SCHOOL : State.WANDER,
-    schoolId,
-    isLeader,
-    
-    // Movement
-    direction: new THREE.Vector3(0, 0, 1),
-    speed: CONFIG.baseSpeed * speedMult * Determine.range(0.7, 0.7 + CONFIG.speedVariation),
-    baseSpeed: CONFIG.baseSpeed * speedMult * Determine.range(0.7, 0.7 + CONFIG.speedVariation),
+    displayName: creaturesByClass.get(data.class)?.displayName || data.class,
     
-    // Preferred direction (each creature has its own bias - makes them turn less)
-    preferredDirection: new THREE.Vector3(
-      Determine.plusMinus(0.5),
-      Determine.plusMinus(0.5) * 0.3,  // Less vertical bias
-      Determine.plusMinus(0.5)
-    ).normalize(),
+    state: NumberToState[data.st] || State.WANDER,
+    schoolId: data.school || null,
     
-    // Behavior flags
-    isBottomDweller: BOTTOM_DWELLERS.has(creatureClass),
-    isDrifter: DRIFTERS.has(creatureClass),
-    
-    // GRID-BASED PATH (array of grid indices)
-    path: [],
-    pathIndex: 0,
-    currentGridIdx: gridIdx,  // Start at the grid point we spawned at
-    
-    // Targets (set during planning)
-    threatId: null,
-    preyId: null,
-    
-    // VISUAL INTERPOLATION
-    // Simulation state (authoritative, updated at fixed timestep)
-    simPosition: spawnPosition.clone(),
-    simRotationY: creatureData.mesh.rotation.y,
-    // Previous simulation state (for interpolation)
-    prevSimPosition: spawnPosition.clone(),
-    prevSimRotationY: creatureData.mesh.rotation.y,
+    // Authoritative simulation state (local tick or last server snapshot)
+    simPosition: creatureData.mesh.position.clone(),
+    simRotationY: data.ry,
+    // Previous local tick (for interpolation)
+    prevSimPosition: creatureData.mesh.position.clone(),
+    prevSimRotationY: data.ry,
+    // Server extrapolation
+    velocity: new THREE.Vector3(),
+    simTick: tick,
+    simTime: performance.now() / 1000,
   }
   
-  // Generate initial path
-  planGridPath(npcData)
-  
-  npcs.set(npcId, npcData)
-  
-  // Add to spatial hash
-  updateFishInHash(npcData)
+  npcs.set(data.id, npcData)
   
-  MeshRegistry.register(npcId, {
+  MeshRegistry.register(data.id, {
     mesh: creatureData.mesh,
     body: null,
     category: Category.NPC,
     tags: [Tag.ANIMATED],
-    metadata: { 
-      creatureType, 
-      creatureClass, 
-      variantIndex, 
-      scaleMultiplier: finalScaleMultiplier, 
+    metadata: {
+      creatureType: data.type,
+      creatureClass: data.class,
+      variantIndex: data.variant,
+      scaleMultiplier,
       capsuleVolume,
       visualVolume,
       naturalVisualVolume,
-      totalWorldVolume: visualVolume,  // NEW: World volume for feeding
+      totalWorldVolume: visualVolume,  // World volume for feeding
       meshCount,
-      seed, 
-      schoolId 
+      seed: data.seed,
+      schoolId: npcData.schoolId
     }
   }, true)
   
@@ -835,97 +237,15 @@ function spawnOneCreature(options = {}) {
   return npcData
 }
 
-// Alias for backwards compatibility
-function spawnOneFish(options = {}) {
-  return spawnOneCreature(options)
-}
-
-function pickRandomSize(creatureClass = null) {
-  const dist = CONFIG.sizeDistribution
-  const totalWeight = Object.values(dist).reduce((sum, d) => sum + d.weight, 0)
-  let roll = Determine.random() * totalWeight
-  
-  let baseScale = 1.0
-  for (const [, data] of Object.entries(dist)) {
-    roll -= data.weight
-    if (roll <= 0) {
-      const [min, max] = data.scale
-      baseScale = Determine.range(min, max)
-      break
-    }
-  }
-  
-  // Adjust scale for specific creature types
-  if (creatureClass) {
-    // Large creatures
-    if (['blue_whale', 'humpback', 'sperm_whale', 'giant_squid', 'colossal_squid', 
-         'giant_pacific_octopus', 'lions_mane', 'whale_shark'].includes(creatureClass)) {
-      baseScale *= 2.0
-    }
-    // Medium-large creatures
-    else if (['orca', 'manta', 'hammerhead', 'king_crab', 'walrus'].includes(creatureClass)) {
-      baseScale *= 1.5
-    }
-    // Small creatures
-    else if (['shrimp', 'fiddler_crab', 'seahorse', 'blue_ringed_octopus', 
-              'firefly_squid', 'sea_gooseberry'].includes(creatureClass)) {
-      baseScale *= 0.5
-    }
-  }
-  
-  return baseScale
-}
-
-// ============================================================================
-// REMOVAL
-// ============================================================================
-
-function removeFish(fishId, respawn = true) {
+/**
+ * Remove an NPC's mesh, label and ribbon
+ * @param {string} fishId - NPC ID
+ * @returns {object|null} The removed mesh record
+ */
+function removeNPCMesh(fishId) {
   const npc = npcs.get(fishId)
   if (!npc) return null
   
-  // Remove from spatial hash (O(1) with Set)
-  if (npc._hashCell) {
-    const cellSet = fishHash.get(npc._hashCell)
-    if (cellSet) cellSet.delete(fishId)
-  }
-  
-  // Remove from active chasers
-  activeChasers.delete(fishId)
-  
-  // Remove from school
-  // NOTE: When respawn=false (during clear), skip leadership reassignment
-  // because all fish will be removed anyway. This is CRITICAL for determinism
-  // since planGridPath uses Determine.random() and would desync RNG state.
-  if (npc.schoolId) {
-    const school = schools.get(npc.schoolId)
-    if (school) {
-      school.memberIds = school.memberIds.filter(id => id !== fishId)
-      
-      // Only reassign leadership if we're NOT clearing all fish
-      if (respawn && school.leaderId === fishId && school.memberIds.length > 0) {
-        school.leaderId = school.memberIds[0]
-        const newLeader = npcs.get(school.leaderId)
-        if (newLeader) {
-          newLeader.isLeader = true
-          newLeader.state = State.WANDER
-          planGridPath(newLeader)
-        }
-      }
-      
-      if (school.memberIds.length <= 1) {
-        schools.delete(npc.schoolId)
-        if (school.memberIds.length === 1) {
-          const lastFish = npcs.get(school.memberIds[0])
-          if (lastFish) {
-            lastFish.schoolId = null
-            lastFish.state = State.WANDER
-          }
-        }
-      }
-    }
-  }
-  
   if (sceneRef && npc.mesh) {
     sceneRef.remove(npc.mesh)
   }
@@ -952,464 +272,243 @@ function removeFish(fishId, respawn = true) {
   MeshRegistry.unregister(fishId)
   npcs.delete(fishId)
   
-  if (respawn) maintainPopulation()
-  
-  return { volume: npc.volume, fishClass: npc.fishClass }
-}
-
-function maintainPopulation() {
-  // MULTIPLAYER: Only host spawns new fish to maintain population
-  // Followers just see what host has via snapshots
-  if (networkManager.isConnected() && !networkManager.isNPCHost()) {
-    return
-  }
-  
-  const needed = CONFIG.targetPopulation - npcs.size
-  if (needed <= 0) return
-  
-  let spawned = 0
-  while (spawned < needed) {
-    if (Determine.chance(CONFIG.schoolChance) && needed - spawned >= CONFIG.schoolSize.min) {
-      const result = spawnSchool()
-      if (result) spawned += result.count
-      else spawned++
-    } else {
-      if (spawnOneFish()) spawned++
-      else break
-    }
-  }
-}
-
-// ============================================================================
-// PATH PLANNING (only when path is complete)
-// ============================================================================
-
-/**
- * Plan a path of exactly 10 grid steps
- */
-function planGridPath(npc) {
-  // School followers copy leader's path
-  if (npc.schoolId && !npc.isLeader) {
-    planSchoolFollowerPath(npc)
-    return
-  }
-  
-  const pos = npc.mesh.position
-  
-  // Update current grid index
-  npc.currentGridIdx = findNearestGridIndex(pos)
-  
-  // Check for threats/prey
-  const threat = findNearestThreat(npc)
-  if (threat) {
-    npc.state = State.FLEE
-    npc.threatId = threat.id
-    npc.preyId = null
-    npc.speed = npc.baseSpeed * 1.5
-    activeChasers.delete(npc.id)  // Not chasing anymore
-    planFleePath(npc, threat)
-    return
-  }
-  
-  const prey = findNearestPrey(npc)
-  if (prey) {
-    npc.state = State.CHASE
-    npc.preyId = prey.id
-    npc.threatId = null
-    npc.speed = npc.baseSpeed * 1.3
-    activeChasers.add(npc.id)  // Track as chaser
-    planChasePath(npc, prey)
-    return
-  }
-  
-  // Default: wander
-  npc.state = State.WANDER
-  npc.threatId = null
-  npc.preyId = null
-  npc.speed = npc.baseSpeed
-  activeChasers.delete(npc.id)  // Not chasing
-  planWanderPath(npc)
+  return npc
 }
 
 /**
- * Plan 10 grid steps with forward bias
- */
-function planWanderPath(npc) {
-  const path = []
-  
-  // Find nearest grid point to current position
-  let currentIdx = findNearestGridIndex(npc.mesh.position)
-  npc.currentGridIdx = currentIdx
-  
-  let forwardDir = npc.direction.clone()
-  
-  if (forwardDir.lengthSq() < 0.01) {
-    forwardDir.set(Determine.plusMinus(0.5), 0, Determine.plusMinus(0.5)).normalize()
-  }
-  
-  // For FIRST step, pick neighbor that's in front of the fish's ACTUAL position
-  // (not relative to grid point, which might be behind the fish)
-  const neighbors = adjacencyMap.get(currentIdx)
-  if (neighbors && neighbors.length > 0) {
-    let bestIdx = neighbors[0]
-    let bestScore = -Infinity
-    
-    for (const neighborIdx of neighbors) {
-      const neighborPos = gridPoints[neighborIdx]
-      // Direction from FISH to neighbor (not from grid point)
-      _v1.subVectors(neighborPos, npc.mesh.position).normalize()
-      
-      // Prefer neighbors in front of fish
-      let score = forwardDir.dot(_v1) * 3
-      
-      // Add preferred direction bias
-      if (npc.preferredDirection && CONFIG.preferredDirBias > 0) {
-        score += npc.preferredDirection.dot(_v1) * CONFIG.preferredDirBias
-      }
-      
-      score += Determine.random() * CONFIG.randomness
-      
-      if (score > bestScore) {
-        bestScore = score
-        bestIdx = neighborIdx
-      }
-    }
-    path.push(bestIdx)
-    
-    // Update for next iterations
-    const currentPos = gridPoints[currentIdx]
-    const nextPos = gridPoints[bestIdx]
-    forwardDir.subVectors(nextPos, currentPos).normalize()
-    currentIdx = bestIdx
-  }
-  
-  // Build rest of path normally
-  for (let i = path.length; i < CONFIG.pathLength; i++) {
-    const nextIdx = pickNextGridStep(currentIdx, forwardDir, null, false, npc.preferredDirection)
-    path.push(nextIdx)
-    
-    const currentPos = gridPoints[currentIdx]
-    const nextPos = gridPoints[nextIdx]
-    forwardDir.subVectors(nextPos, currentPos).normalize()
-    
-    currentIdx = nextIdx
-  }
-  
-  npc.path = path
-  npc.pathIndex = 0
-  
-  // Create visualization if enabled
-  createPathRibbonForNPC(npc)
-}
-
-/**
- * Plan 10 grid steps AWAY from threat
- */
-function planFleePath(npc, threat) {
-  const path = []
-  
-  // Find nearest grid point to current position
-  let currentIdx = findNearestGridIndex(npc.mesh.position)
-  npc.currentGridIdx = currentIdx
-  
-  let forwardDir = npc.direction.clone()
-  const threatPos = threat.mesh.position
-  
-  // For FIRST step, pick neighbor relative to fish's ACTUAL position
-  const neighbors = adjacencyMap.get(currentIdx)
-  if (neighbors && neighbors.length > 0) {
-    let bestIdx = neighbors[0]
-    let bestScore = -Infinity
-    
-    // Direction away from threat
-    _v2.subVectors(npc.mesh.position, threatPos).normalize()
-    
-    for (const neighborIdx of neighbors) {
-      const neighborPos = gridPoints[neighborIdx]
-      _v1.subVectors(neighborPos, npc.mesh.position).normalize()
-      
-      // Prefer neighbors AWAY from threat
-      let score = _v1.dot(_v2) * CONFIG.targetBias
-      // Also prefer forward momentum
-      score += forwardDir.dot(_v1) * 2
-      score += Determine.random() * CONFIG.randomness
-      
-      if (score > bestScore) {
-        bestScore = score
-        bestIdx = neighborIdx
-      }
-    }
-    path.push(bestIdx)
-    
-    const currentPos = gridPoints[currentIdx]
-    const nextPos = gridPoints[bestIdx]
-    forwardDir.subVectors(nextPos, currentPos).normalize()
-    currentIdx = bestIdx
-  }
-  
-  // Build rest of path
-  for (let i = path.length; i < CONFIG.pathLength; i++) {
-    const nextIdx = pickNextGridStep(currentIdx, forwardDir, threatPos, true, npc.preferredDirection)
-    path.push(nextIdx)
-    
-    const currentPos = gridPoints[currentIdx]
-    const nextPos = gridPoints[nextIdx]
-    forwardDir.subVectors(nextPos, currentPos).normalize()
-    
-    currentIdx = nextIdx
-  }
-  
-  npc.path = path
-  npc.pathIndex = 0
-  
-  // Create visualization if enabled
-  createPathRibbonForNPC(npc)
-}
-
-/**
- * Plan 10 grid steps TOWARD prey
+ * Rescale an NPC to a new world volume (after it ate)
+ * @param {string} fishId - NPC ID
+ * @param {number} newVolume - New world volume in m³
  */
-function planChasePath(npc, prey) {
-  const path = []
+function growNPC(fishId, newVolume) {
+  const npc = npcs.get(fishId)
+  if (!npc || !(newVolume > 0)) return
   
-  // Find nearest grid point to current position
-  let currentIdx = findNearestGridIndex(npc.mesh.position)
-  npc.currentGridIdx = currentIdx
+  const oldVolume = npc.totalWorldVolume
   
-  let forwardDir = npc.direction.clone()
+  // Update world volume
+  npc.totalWorldVolume = newVolume
+  npc.visualVolume = newVolume  // Keep in sync
   
-  // Predict where prey will be
-  let targetPos = prey.mesh.position.clone()
-  if (prey.path && prey.path.length > 0 && prey.pathIndex < prey.path.length) {
-    const futureIdx = Math.min(prey.pathIndex + 5, prey.path.length - 1)
-    targetPos = gridPoints[prey.path[futureIdx]].clone()
-  }
+  // Calculate new scale factor: ∛(newVolume / naturalVolume)
+  const newScaleFactor = Math.cbrt(newVolume / npc.naturalVisualVolume)
+  npc.scaleMultiplier = newScaleFactor
+  npc.mesh.scale.setScalar(newScaleFactor)
   
-  // For FIRST step, pick neighbor relative to fish's ACTUAL position
-  const neighbors = adjacencyMap.get(currentIdx)
-  if (neighbors && neighbors.length > 0) {
-    let bestIdx = neighbors[0]
-    let bestScore = -Infinity
-    
-    // Direction toward prey
-    _v2.subVectors(targetPos, npc.mesh.position).normalize()
-    
-    for (const neighborIdx of neighbors) {
-      const neighborPos = gridPoints[neighborIdx]
-      _v1.subVectors(neighborPos, npc.mesh.position).normalize()
-      
-      // Prefer neighbors TOWARD prey
-      let score = _v1.dot(_v2) * CONFIG.targetBias
-      // Also prefer forward momentum
-      score += forwardDir.dot(_v1) * 2
-      score += Determine.random() * CONFIG.randomness
-      
-      if (score > bestScore) {
-        bestScore = score
-        bestIdx = neighborIdx
-      }
-    }
-    path.push(bestIdx)
-    
-    const currentPos = gridPoints[currentIdx]
-    const nextPos = gridPoints[bestIdx]
-    forwardDir.subVectors(nextPos, currentPos).normalize()
-    currentIdx = bestIdx
-  }
+  // Update capsule params
+  const newCapsule = computeCapsuleParams(npc.mesh, { traits: npc.traits })
+  npc.volume = computeCapsuleVolume(newCapsule.radius, newCapsule.halfHeight)
+  npc.capsuleParams = newCapsule
   
-  // Build rest of path
-  for (let i = path.length; i < CONFIG.pathLength; i++) {
-    const nextIdx = pickNextGridStep(currentIdx, forwardDir, targetPos, false, npc.preferredDirection)
-    path.push(nextIdx)
-    
-    const currentPos = gridPoints[currentIdx]
-    const nextPos = gridPoints[nextIdx]
-    forwardDir.subVectors(nextPos, currentPos).normalize()
-    
-    currentIdx = nextIdx
+  const entry = MeshRegistry.get(fishId)
+  if (entry?.metadata) {
+    entry.metadata.scaleMultiplier = newScaleFactor
+    entry.metadata.visualVolume = newVolume
+    entry.metadata.totalWorldVolume = newVolume
   }
   
-  npc.path = path
-  npc.pathIndex = 0
+  // Update label if visible
+  if (labelsVisible) {
+    updateLabelForNPC(fishId)
+  }
   
-  // Create visualization if enabled
-  createPathRibbonForNPC(npc)
+  console.log(`[FishAdder] ${fishId} grew: ${oldVolume.toFixed(1)} -> ${newVolume.toFixed(1)} m³`)
 }
 
+// ============================================================================
+// SINGLE-PLAYER SIMULATION
+// ============================================================================
+
 /**
- * School followers: offset from leader's path
+ * Start a local simulation over SpawnFactory's grid and spawn its population
+ * Multiplayer rooms don't call this - the server sends its NPCs instead
+ *
+ * @param {number} seed - NPC seed (same seed = same creatures and paths)
+ * @returns {{ spawned: number, schools: number }|undefined}
  */
-function planSchoolFollowerPath(npc) {
-  const school = schools.get(npc.schoolId)
-  if (!school) {
-    npc.state = State.WANDER
-    npc.schoolId = null
-    planWanderPath(npc)
+function spawnInitialFish(seed = Math.floor(Math.random() * 0xFFFFFFFF)) {
+  if (!isInitialized) {
+    console.error('[FishAdder] Not initialized')
     return
   }
   
-  const leader = npcs.get(school.leaderId)
-  if (!leader || !leader.path || leader.path.length === 0) {
-    planWanderPath(npc)
+  // Safety check: ensure SpawnFactory grid is ready
+  // This handles the case where map changed and SpawnFactory was re-analyzed
+  const spawnFactoryPoints = SpawnFactory.playablePoints
+  if (!spawnFactoryPoints || spawnFactoryPoints.length === 0) {
+    console.warn('[FishAdder] SpawnFactory has no grid points - analyzing now...')
+    SpawnFactory.analyzePlayableSpace()
+  }
+  
+  if (SpawnFactory.playablePoints.length === 0) {
+    console.error('[FishAdder] Still no grid points after analysis - cannot spawn fish')
     return
   }
   
-  npc.state = State.SCHOOL
+  clear()
   
-  // Copy leader's path (followers go to same grid points)
-  npc.path = [...leader.path]
-  npc.pathIndex = Math.min(leader.pathIndex, npc.path.length - 1)
-  npc.speed = leader.speed
+  localSim = new NPCSimulation({
+    seed,
+    points: SpawnFactory.playablePoints,
+    spacing: SpawnFactory.getConfig().gridSpacing || 25,
+    species: allCreatures,
+    config: CONFIG,
+    layout: MeshRegistry.get('mapGroup')?.metadata?.layout ?? null,  // Terrain for crawlers, dens, surfacing
+  })
   
-  // Create visualization if enabled
-  createPathRibbonForNPC(npc)
-}
-
-// ============================================================================
-// THREAT/PREY DETECTION (uses spatial hash)
-// ============================================================================
-
-function findNearestThreat(npc) {
-  const pos = npc.mesh.position
-  const npcVol = npc.totalWorldVolume || npc.visualVolume || npc.volume
-  let nearest = null
-  let nearestDistSq = _fleeRangeSq
+  localSim.onSpawn((simNpc) => {
+    spawnNPCMesh(localSim.getSpawnData(simNpc), localSim.tickCount)
+  })
   
-  // Only check fish in nearby cells
-  const nearbyFishIds = getFishInNearbyCells(pos, _fleeRangeSq)
-  const len = nearbyFishIds.length
+  localSim.onEat((predator, prey) => {
+    removeNPCMesh(prey.id)
+    growNPC(predator.id, predator.volume)
+  })
   
-  for (let i = 0; i < len; i++) {
-    const otherId = nearbyFishIds[i]
-    if (otherId === npc.id) continue
-    
-    const other = npcs.get(otherId)
-    if (!other) continue
-    
-    const otherVol = other.totalWorldVolume || other.visualVolume || other.volume
-    // 5% rule: They must be >= 1.05x our size to be a threat
-    if (!canEatByVolume(otherVol, npcVol)) continue
-    
-    const distSq = pos.distanceToSquared(other.mesh.position)
-    if (distSq < nearestDistSq) {
-      nearestDistSq = distSq
-      nearest = other
-    }
-  }
+  localSim.onDeath((simNpc) => {
+    removeNPCMesh(simNpc.id)
+  })
   
-  // Check player (not in hash)
-  const player = MeshRegistry.get('player')
-  if (player?.mesh) {
-    const playerVolume = player.metadata?.worldVolume || player.metadata?.volume || 1
-    // 5% rule: Player must be >= 1.05x our size to be a threat
-    if (canEatByVolume(playerVolume, npcVol)) {
-      const distSq = pos.distanceToSquared(player.mesh.position)
-      if (distSq < nearestDistSq) {
-        nearest = { mesh: player.mesh, volume: playerVolume, totalWorldVolume: playerVolume, id: 'player' }
-      }
-    }
+  localSim.onResize((simNpc) => {
+    growNPC(simNpc.id, simNpc.volume)
+  })
+  
+  localSim.onPath((simNpc) => {
+    if (pathRibbonsVisible) createPathRibbonForNPC(simNpc)
+  })
+  
+  console.log(`[FishAdder] Grid: ${localSim.points.length} points`)
+  console.log(`[FishAdder] Fixed timestep: ${CONFIG.tickRate} ticks/sec (${tickDuration * 1000}ms per tick)`)
+  
+  const result = localSim.spawnInitial()
+  
+  // Log breakdown by type
+  const byType = {}
+  for (const [, npc] of npcs) {
+    byType[npc.creatureType] = (byType[npc.creatureType] || 0) + 1
   }
+  console.log(`[FishAdder] Spawned ${result.spawned} total:`, byType)
   
-  return nearest
+  return result
 }
 
-function findNearestPrey(npc) {
-  const pos = npc.mesh.position
-  const npcVol = npc.totalWorldVolume || npc.visualVolume || npc.volume
-  let nearest = null
-  let nearestDistSq = _chaseRangeSq
-  
-  const nearbyFishIds = getFishInNearbyCells(pos, _chaseRangeSq)
-  const len = nearbyFishIds.length
+/**
+ * Remove a creature (eaten by the player)
+ * Single-player also removes it from the local simulation, which respawns
+ * a replacement; in multiplayer the server handles population
+ *
+ * @param {string} fishId - NPC ID
+ * @param {boolean} respawn - Top the local population back up
+ * @returns {{ volume: number, creatureClass: string }|null}
+ */
+function removeFish(fishId, respawn = true) {
+  const npc = removeNPCMesh(fishId)
+  if (!npc) return null
   
-  for (let i = 0; i < len; i++) {
-    const otherId = nearbyFishIds[i]
-    if (otherId === npc.id) continue
-    
-    const other = npcs.get(otherId)
-    if (!other) continue
-    
-    const otherVol = other.totalWorldVolume || other.visualVolume || other.volume
-    // 5% rule: We must be >= 1.05x their size to eat them
-    if (!canEatByVolume(npcVol, otherVol)) continue
-    
-    const distSq = pos.distanceToSquared(other.mesh.position)
-    if (distSq < nearestDistSq) {
-      nearestDistSq = distSq
-      nearest = other
-    }
+  if (localSim) {
+    localSim.remove(fishId, respawn)
   }
   
-  return nearest
+  return { volume: npc.totalWorldVolume, creatureClass: npc.creatureClass }
 }
 
 // ============================================================================
-// UPDATE LOOP (Fixed Timestep for Determinism)
+// UPDATE LOOP
 // ============================================================================
 
 /**
- * Main update function - uses fixed timestep for deterministic simulation
- * Called every frame, but runs simulation in fixed tick increments
- * 
- * @param {number} deltaTime - Frame delta (used only for accumulator, not simulation)
+ * Main update function - called every frame
+ * Single-player: runs the local simulation in fixed ticks and interpolates
+ * Multiplayer: eases meshes toward the server's (extrapolated) positions
+ *
+ * @param {number} deltaTime - Frame delta in seconds
  */
 function update(deltaTime) {
   if (!isInitialized) return
   
+  if (localSim) {
+    updateLocalSimulation(deltaTime)
+  } else {
+    updateFollowers(deltaTime)
+  }
+  
+  samplePopulation(deltaTime)
+}
+
+/**
+ * Count NPCs per species every populationSampleInterval seconds
+ */
+function samplePopulation(deltaTime) {
+  populationTime += deltaTime
+  populationSampleTimer -= deltaTime
+  if (populationSampleTimer > 0) return
+  populationSampleTimer = CONFIG.populationSampleInterval
+  
+  const counts = {}
+  for (const npc of npcs.values()) {
+    counts[npc.creatureClass] = (counts[npc.creatureClass] || 0) + 1
+  }
+  
+  populationHistory.push({ time: populationTime, total: npcs.size, counts })
+  if (populationHistory.length > CONFIG.populationHistoryLength) {
+    populationHistory.shift()
+  }
+}
+
+function updateLocalSimulation(deltaTime) {
   // Accumulate time
   simulationTime += deltaTime
   
   // Calculate how many ticks we need to run
   const targetTick = Math.floor(simulationTime / tickDuration)
-  let ticksToRun = targetTick - simulationTick
+  let ticksToRun = targetTick - localSim.tickCount
   
   // Cap ticks per frame to prevent spiral of death (if game freezes briefly)
   if (ticksToRun > CONFIG.maxTicksPerFrame) {
     console.warn(`[FishAdder] Capping ${ticksToRun} ticks to ${CONFIG.maxTicksPerFrame}`)
     ticksToRun = CONFIG.maxTicksPerFrame
     // Adjust simulation time to prevent permanent lag
-    simulationTime = simulationTick * tickDuration + ticksToRun * tickDuration
+    simulationTime = (localSim.tickCount + ticksToRun) * tickDuration
   }
   
-  // INTERPOLATION STEP 1: Before simulation, restore authoritative positions
-  // and snapshot them as "previous" state for interpolation
   if (ticksToRun > 0) {
+    // INTERPOLATION STEP 1: Snapshot current sim state as "previous"
     for (const npc of npcs.values()) {
-      // Copy current sim state to previous (for interpolation)
       npc.prevSimPosition.copy(npc.simPosition)
       npc.prevSimRotationY = npc.simRotationY
-      
-      // Restore mesh to authoritative sim position before running new ticks
-      npc.mesh.position.copy(npc.simPosition)
-      npc.mesh.rotation.y = npc.simRotationY
     }
-  }
-  
-  // Run fixed simulation ticks
-  for (let i = 0; i < ticksToRun; i++) {
-    simulateTick(tickDuration)
-    simulationTick++
-  }
-  
-  // INTERPOLATION STEP 2: After simulation, save new authoritative state
-  if (ticksToRun > 0) {
-    for (const npc of npcs.values()) {
-      npc.simPosition.copy(npc.mesh.position)
-      npc.simRotationY = npc.mesh.rotation.y
+    
+    // The player is a threat to smaller creatures
+    const players = []
+    const player = MeshRegistry.get('player')
+    if (player?.mesh) {
+      players.push({
+        id: 'player',
+        position: player.mesh.position,
+        volume: player.metadata?.worldVolume || player.metadata?.volume || 1,
+        type: player.metadata?.creatureType,
+        class: player.metadata?.creatureClass,
+      })
     }
-  }
-  
-  // Apply host corrections AFTER simulation (for follower clients)
-  // Corrections update simPosition directly, then visual interpolation handles the rest
-  for (const npc of npcs.values()) {
-    if (npc.correctionTarget) {
-      applyCorrection(npc)
+    
+    // Run fixed simulation ticks
+    for (let i = 0; i < ticksToRun; i++) {
+      localSim.tick(tickDuration, players)
+    }
+    
+    // INTERPOLATION STEP 2: Save new authoritative state
+    for (const npc of npcs.values()) {
+      const simNpc = localSim.get(npc.id)
+      if (!simNpc) continue
+      
+      npc.simPosition.copy(simNpc.position)
+      npc.simRotationY = simNpc.rotationY
+      npc.state = simNpc.state
     }
   }
   
-  // INTERPOLATION STEP 3: Calculate alpha and interpolate visual positions
-  // Alpha = how far we are between the last tick and the next tick
-  const timeSinceLastTick = simulationTime - (simulationTick * tickDuration)
+  // INTERPOLATION STEP 3: Alpha = how far we are between the last tick and the next
+  const timeSinceLastTick = simulationTime - (localSim.tickCount * tickDuration)
   const alpha = Math.min(1.0, timeSinceLastTick / tickDuration)
   
   for (const npc of npcs.values()) {
@@ -1425,48 +524,37 @@ function update(deltaTime) {
 }
 
 /**
- * Run one fixed simulation tick
- * All clients run this with identical tickDuration, producing identical results
- * 
- * @param {number} dt - Fixed delta time (always tickDuration)
+ * Ease every mesh toward where the server's NPC should be by now
+ * Snapshots arrive a few times a second, so positions are extrapolated
+ * along the last measured velocity (capped at maxExtrapolation)
  */
-function simulateTick(dt) {
-  // Iterate directly over Map (no array allocation)
-  for (const [, npc] of npcs) {
-    // Movement update with fixed delta
-    const moved = followGridPath(npc, dt)
+function updateFollowers(deltaTime) {
+  if (npcs.size === 0) return
+  
+  const now = performance.now() / 1000
+  
+  // Frame-rate independent version of "lerp by correctionSpeed every 60 Hz frame"
+  const t = 1 - Math.pow(1 - correctionSpeed, deltaTime * 60)
+  
+  for (const npc of npcs.values()) {
+    const ahead = Math.min(now - npc.simTime, CONFIG.maxExtrapolation)
+    _v1.copy(npc.simPosition).addScaledVector(npc.velocity, ahead)
+    npc.mesh.position.lerp(_v1, t)
     
-    // Update spatial hash if moved to new cell
-    if (moved) {
-      const newCell = posToCellFromVec(npc.mesh.position)
-      if (newCell !== npc._hashCell) {
-        // Remove from old cell (O(1) with Set)
-        const oldSet = fishHash.get(npc._hashCell)
-        if (oldSet) oldSet.delete(npc.id)
-        
-        // Add to new cell
-        let newSet = fishHash.get(newCell)
-        if (!newSet) {
-          newSet = new Set()
-          fishHash.set(newCell, newSet)
-        }
-        newSet.add(npc.id)
-        npc._hashCell = newCell
-      }
-    }
+    // Lerp rotation (handle angle wrapping)
+    let angleDiff = npc.simRotationY - npc.mesh.rotation.y
+    while (angleDiff > Math.PI) angleDiff -= Math.PI * 2
+    while (angleDiff < -Math.PI) angleDiff += Math.PI * 2
+    npc.mesh.rotation.y += angleDiff * t
   }
-  
-  // Check for eating (only active chasers)
-  checkPredation()
 }
 
 /**
  * Reset simulation time (call when NPCs are cleared/respawned)
  */
 function resetSimulationTime() {
-  simulationTick = 0
   simulationTime = 0
-  lastUpdateTime = performance.now() / 1000
+  tickDuration = 1 / CONFIG.tickRate
 }
 
 /**
@@ -1474,178 +562,7 @@ function resetSimulationTime() {
  * @returns {number}
  */
 function getSimulationTick() {
-  return simulationTick
-}
-
-/**
- * Move fish along grid path
- * Returns true if fish moved
- */
-function followGridPath(npc, deltaTime) {
-  const path = npc.path
-  const pathIndex = npc.pathIndex
-  
-  // No path or path complete? Plan new one
-  if (!path || pathIndex >= path.length) {
-    planGridPath(npc)
-    return false
-  }
-  
-  // Get current target grid point
-  const targetPos = gridPoints[path[pathIndex]]
-  if (!targetPos) {
-    planGridPath(npc)
-    return false
-  }
-  
-  const mesh = npc.mesh
-  const pos = mesh.position
-  
-  // Direction to target (inline for speed)
-  const dx = targetPos.x - pos.x
-  const dy = targetPos.y - pos.y
-  const dz = targetPos.z - pos.z
-  const distSq = dx * dx + dy * dy + dz * dz
-  const dist = Math.sqrt(distSq)
-  
-  // Arrived at grid point?
-  if (dist < CONFIG.waypointArrivalDist) {
-    npc.currentGridIdx = path[pathIndex]
-    npc.pathIndex++
-    
-    if (npc.pathIndex >= path.length) {
-      return false
-    }
-    
-    // Get next target for smooth transition
-    const nextTarget = gridPoints[path[npc.pathIndex]]
-    if (nextTarget) {
-      _v1.subVectors(nextTarget, pos).normalize()
-      npc.direction.copy(_v1)
-    }
-    return true
-  }
-  
-  // Calculate move distance
-  const moveDistance = npc.speed * deltaTime
-  
-  // IMPORTANT: Move DIRECTLY toward target, not in lerped direction
-  // This prevents drift and keeps fish on the grid path
-  if (dist > 0.01) {
-    // Normalize direction to target
-    const invDist = 1 / dist
-    _v1.set(dx * invDist, dy * invDist, dz * invDist)
-    
-    // Update stored direction for rotation (frame-rate independent lerp)
-    const lerpFactor = 1 - Math.pow(0.001, deltaTime)  // ~99.9% per second
-    npc.direction.lerp(_v1, lerpFactor).normalize()
-    
-    // Don't overshoot the target
-    const actualMove = Math.min(moveDistance, dist - 1)
-    
-    // Move directly toward target (not in lerped direction)
-    pos.x += _v1.x * actualMove
-    pos.y += _v1.y * actualMove
-    pos.z += _v1.z * actualMove
-  }
-  
-  // Rotate to face movement direction (visual only)
-  const dir = npc.direction
-  if (dir.x * dir.x + dir.z * dir.z > 0.001) {
-    const targetRot = Math.atan2(dir.x, dir.z) + Math.PI
-    let angleDiff = targetRot - mesh.rotation.y
-    
-    // Normalize angle
-    if (angleDiff > 3.14159) angleDiff -= 6.28318
-    else if (angleDiff < -3.14159) angleDiff += 6.28318
-    
-    const maxTurn = CONFIG.turnRate * deltaTime
-    if (angleDiff > maxTurn) angleDiff = maxTurn
-    else if (angleDiff < -maxTurn) angleDiff = -maxTurn
-    
-    mesh.rotation.y += angleDiff
-  }
-  
-  return true
-}
-
-// ============================================================================
-// PREDATION (only checks active chasers)
-// ============================================================================
-
-function checkPredation() {
-  if (activeChasers.size === 0) return
-  
-  // MULTIPLAYER: Only host runs NPC predation
-  // Followers just receive the results via snapshots
-  // In single-player (not connected), run normally
-  if (networkManager.isConnected() && !networkManager.isNPCHost()) {
-    return
-  }
-  
-  const toRemove = []
-  
-  for (const predatorId of activeChasers) {
-    const predator = npcs.get(predatorId)
-    if (!predator || !predator.preyId) continue
-    
-    const prey = npcs.get(predator.preyId)
-    if (!prey) {
-      predator.preyId = null
-      continue
-    }
-    
-    // Use squared distance (faster)
-    const distSq = predator.mesh.position.distanceToSquared(prey.mesh.position)
-    
-    if (distSq < _eatRangeSq) {
-      toRemove.push({ preyId: prey.id, predatorId })
-    }
-  }
-  
-  for (let i = 0; i < toRemove.length; i++) {
-    const { preyId, predatorId } = toRemove[i]
-    const predator = npcs.get(predatorId)
-    const prey = npcs.get(preyId)
-    if (!predator || !prey) continue
-    
-    // Get prey volume before removal
-    const preyVolume = prey.totalWorldVolume || prey.visualVolume || 1
-    
-    // Host respawns, single-player respawns
-    // Followers don't run this code (returned early above)
-    removeFish(preyId, true)
-    
-    // LINEAR ADDITIVE GROWTH: Add prey's volume (capped at maxVolume)
-    const oldVolume = predator.totalWorldVolume || predator.visualVolume || 1
-    const newVolume = Math.min(oldVolume + preyVolume, CONFIG.maxVolume)
-    const volumeGained = newVolume - oldVolume
-    
-    if (volumeGained > 0) {
-      // Update world volume
-      predator.totalWorldVolume = newVolume
-      predator.visualVolume = newVolume  // Keep in sync
-      
-      // Calculate new scale factor: ∛(newVolume / naturalVolume)
-      const newScaleFactor = Math.cbrt(newVolume / predator.naturalVisualVolume)
-      predator.scaleMultiplier = newScaleFactor
-      predator.mesh.scale.setScalar(newScaleFactor)
-      
-      // Update capsule params
-      const newCapsule = computeCapsuleParams(predator.mesh, { traits: predator.traits })
-      predator.volume = computeCapsuleVolume(newCapsule.radius, newCapsule.halfHeight)
-      predator.capsuleParams = newCapsule
-      
-      // Update label if visible
-      if (labelsVisible) {
-        updateLabelForNPC(predatorId)
-      }
-      
-      console.log(`[FishAdder] ${predatorId} ate ${preyId}: ${oldVolume.toFixed(1)} + ${preyVolume.toFixed(1)} = ${newVolume.toFixed(1)} m³`)
-    }
-    
-    predator.preyId = null
-  }
+  return localSim ? localSim.tickCount : 0
 }
 
 // ============================================================================
@@ -1653,9 +570,17 @@ function checkPredation() {
 // ============================================================================
 
 function getAllFish() { return npcs }
+function getPopulationHistory() { return populationHistory }
 function getFish(fishId) { return npcs.get(fishId) || null }
 function getCount() { return npcs.size }
-function getSchoolCount() { return schools.size }
+
+function getSchoolCount() {
+  const schoolIds = new Set()
+  for (const npc of npcs.values()) {
+    if (npc.schoolId) schoolIds.add(npc.schoolId)
+  }
+  return schoolIds.size
+}
 
 function getFishNear(position, radius) {
   const radiusSq = radius * radius
@@ -1680,9 +605,9 @@ function getFishLargerThan(minVolume) {
 }
 
 /**
- * Get NPCs near a position using spatial hash (O(1) lookup)
- * Optimized for feeding system - returns full NPC data
- * 
+ * Get NPCs near a position
+ * Used by the feeding system - returns full NPC data
+ *
  * @param {THREE.Vector3} position - Center position
  * @param {number} range - Search radius
  * @returns {Array} Array of NPC data objects within range
@@ -1691,16 +616,9 @@ function getNearbyNPCs(position, range) {
   const rangeSq = range * range
   const result = []
   
-  // Use spatial hash for O(1) cell lookup
-  const nearbyIds = getFishInNearbyCells(position, rangeSq)
-  
-  for (const id of nearbyIds) {
-    const npc = npcs.get(id)
-    if (npc && npc.mesh) {
-      const distSq = position.distanceToSquared(npc.mesh.position)
-      if (distSq <= rangeSq) {
-        result.push(npc)
-      }
+  for (const npc of npcs.values()) {
+    if (npc.mesh && position.distanceToSquared(npc.mesh.position) <= rangeSq) {
+      result.push(npc)
     }
   }
   
@@ -1716,12 +634,15 @@ function isSolitarySpecies(fishClass) { return SOLITARY_SPECIES.has(fishClass) }
 
 function debug() {
   console.log('[FishAdder] Debug:')
-  console.log(`  Grid: ${gridPoints.length} points, ${gridHash.size} hash cells`)
-  console.log(`  Fish hash: ${fishHash.size} cells (Sets), cell size: ${hashCellSize}`)
+  if (localSim) {
+    console.log(`  Local simulation: ${localSim.points.length} grid points, ${localSim.gridHash.size} hash cells, tick ${localSim.tickCount}`)
+    console.log(`  Active chasers: ${localSim.activeChasers.size}`)
+  } else {
+    console.log(`  Following server simulation`)
+  }
   console.log(`  Population: ${npcs.size} / ${CONFIG.targetPopulation}`)
-  console.log(`  Active chasers: ${activeChasers.size}`)
   console.log(`  Available species: ${allCreatures.length}`)
-  console.log(`  Schools: ${schools.size}`)
+  console.log(`  Schools: ${getSchoolCount()}`)
   
   // Count by creature type
   const byType = {}
@@ -1730,7 +651,7 @@ function debug() {
   }
   console.log(`  By type:`, byType)
   
-  const stateCounts = { wander: 0, flee: 0, chase: 0, school: 0 }
+  const stateCounts = { wander: 0, flee: 0, chase: 0, school: 0, hide: 0, surface: 0 }
   for (const [, npc] of npcs) {
     stateCounts[npc.state] = (stateCounts[npc.state] || 0) + 1
   }
@@ -1747,31 +668,42 @@ function debug() {
   }
   console.log(`  Sizes:`, sizeCounts)
   
-  // Behavior breakdown
-  let bottomDwellers = 0, drifters = 0, swimmers = 0
+  // Locomotion breakdown
+  const locomotionCounts = {}
   for (const [, npc] of npcs) {
-    if (npc.isBottomDweller) bottomDwellers++
-    else if (npc.isDrifter) drifters++
-    else swimmers++
+    const locomotion = getLocomotion({ type: npc.creatureType, class: npc.creatureClass })
+    locomotionCounts[locomotion] = (locomotionCounts[locomotion] || 0) + 1
   }
-  console.log(`  Behavior: ${swimmers} swimmers, ${drifters} drifters, ${bottomDwellers} bottom-dwellers`)
+  console.log(`  Locomotion:`, locomotionCounts)
+  
+  if (!localSim) return
   
   // Path progress
   let avgProgress = 0
   let count = 0
-  for (const [, npc] of npcs) {
+  for (const npc of localSim.npcs.values()) {
     if (npc.path && npc.path.length > 0) {
       avgProgress += npc.pathIndex / npc.path.length
       count++
     }
   }
   if (count > 0) {
-    console.log(`  Avg path progress: ${(avgProgress / count * 100).toFixed(0)}% through 10 steps`)
+    console.log(`  Avg path progress: ${(avgProgress / count * 100).toFixed(0)}% through ${CONFIG.pathLength} steps`)
+  }
+  
+  // Habitat breakdown - home site type, and how many are there now
+  const habitatCounts = {}
+  for (const npc of localSim.npcs.values()) {
+    const habitat = npc.home === null ? 'open_water' : localSim.sites[npc.home].type
+    const counts = habitatCounts[habitat] || (habitatCounts[habitat] = { npcs: 0, home: 0 })
+    counts.npcs++
+    if (localSim.isHome(npc)) counts.home++
   }
+  console.log(`  Habitats:`, habitatCounts)
   
-  if (schools.size > 0) {
+  if (localSim.schools.size > 0) {
     console.log(`  Active schools:`)
-    for (const [schoolId, school] of schools) {
+    for (const [schoolId, school] of localSim.schools) {
       console.log(`    ${schoolId}: ${school.creatureClass} (${school.memberIds.length} members)`)
     }
   }
@@ -2114,10 +1046,11 @@ function areLabelsVisible() {
 /**
  * Create path ribbon for an NPC - called ONCE when path is planned
  * Shows line through all waypoints with tetrahedron markers at start/end
- * @param {object} npc - NPC data
+ * Single-player only: multiplayer paths are planned on the server
+ * @param {object} npc - Local simulation NPC
  */
 function createPathRibbonForNPC(npc) {
-  if (!pathRibbonsVisible || !sceneRef || !npc.path || npc.path.length === 0) {
+  if (!pathRibbonsVisible || !sceneRef || !localSim || !npc.path || npc.path.length === 0) {
     return
   }
   
@@ -2130,9 +1063,9 @@ function createPathRibbonForNPC(npc) {
   // Build points array from path grid indices
   const points = []
   for (let i = 0; i < npc.path.length; i++) {
-    const gridIdx = npc.path[i]
-    if (gridPoints[gridIdx]) {
-      points.push(gridPoints[gridIdx].clone())
+    const point = localSim.points[npc.path[i]]
+    if (point) {
+      points.push(new THREE.Vector3(point.x, point.y, point.z))
     }
   }
   
@@ -2214,7 +1147,9 @@ function removeAllPathRibbons() {
  * Create ribbons for all existing NPCs (when toggling on)
  */
 function createAllPathRibbons() {
-  for (const [id, npc] of npcs) {
+  if (!localSim) return
+  
+  for (const npc of localSim.npcs.values()) {
     createPathRibbonForNPC(npc)
   }
 }
@@ -2264,29 +1199,28 @@ function arePathRibbonsVisible() {
 
 /**
  * Set target population and adjust current population to match
+ * Single-player only - in multiplayer the server sets the population
  * @param {number} count - New target population
  */
 function setPopulation(count) {
   CONFIG.targetPopulation = count
   
+  if (!localSim) {
+    console.log('[FishAdder] Population is set by the server in multiplayer')
+    return npcs.size
+  }
+  
   const current = npcs.size
   if (current < count) {
     // Spawn more
-    const toSpawn = count - current
-    for (let i = 0; i < toSpawn; i++) {
-      if (Determine.chance(CONFIG.schoolChance) && npcs.size + CONFIG.schoolSize.min <= count) {
-        spawnSchool()
-      } else {
-        spawnOneCreature()
-      }
-    }
+    localSim.fill(count - current)
     console.log(`[FishAdder] Spawned ${npcs.size - current} creatures (now ${npcs.size})`)
   } else if (current > count) {
     // Remove excess (random selection)
     const toRemove = current - count
     const ids = [...npcs.keys()]
     for (let i = 0; i < toRemove && ids.length > 0; i++) {
-      const idx = Determine.index(ids.length)
+      const idx = localSim.rng.index(ids.length)
       removeFish(ids[idx], false)
       ids.splice(idx, 1)
     }
@@ -2309,12 +1243,6 @@ function setConfig(key, value) {
   
   CONFIG[key] = value
   
-  // Update cached values if needed
-  if (key === 'waypointArrivalDist') _arrivalDistSq = value * value
-  if (key === 'fleeRange') _fleeRangeSq = value * value
-  if (key === 'chaseRange') _chaseRangeSq = value * value
-  if (key === 'eatRange') _eatRangeSq = value * value
-  
   console.log(`[FishAdder] Set ${key} = ${value}`)
   return true
 }
@@ -2338,50 +1266,28 @@ function configure(settings) {
 }
 
 /**
- * Reset config to defaults (keeps current population)
+ * Reset simulation config to defaults (keeps current population)
  */
 function resetConfig() {
   const currentPop = CONFIG.targetPopulation
-  Object.assign(CONFIG, {
+  Object.assign(CONFIG, NPC_DEFAULTS, {
     targetPopulation: currentPop,  // Keep current
-    schoolChance: 0.7,
-    schoolSize: { min: 4, max: 8 },
-    baseSpeed: 4.0,
-    speedVariation: 1.0,
-    turnRate: 2.5,
-    pathLength: 10,
-    waypointArrivalDist: 5,
-    forwardBias: 0,
-    targetBias: 3,
-    randomness: 0.5,
-    preferredDirBias: 2.5,
-    fleeRange: 75,
-    chaseRange: 60,
-    eatRange: 10,
-    predatorSizeRatio: 1.3,
-    growthPerEat: 0.08,
-    maxScale: 15.0,
-    schoolPathOffset: 10,
+    schoolSize: { ...NPC_DEFAULTS.schoolSize },
   })
   
-  // Update cached values
-  _arrivalDistSq = 25
-  _fleeRangeSq = 5625
-  _chaseRangeSq = 3600
-  _eatRangeSq = 100
-  
   console.log('[FishAdder] Config reset to defaults')
 }
 
 /**
- * Remove all creatures
+ * Remove all creatures and stop the local simulation
  */
 function clear() {
   const ids = [...npcs.keys()]
   for (const id of ids) {
-    removeFish(id, false)
+    removeNPCMesh(id)
   }
-  activeChasers.clear()
+  
+  localSim = null
   
   // Reset simulation time for deterministic respawn
   resetSimulationTime()
@@ -2404,188 +1310,175 @@ function printConfig() {
 }
 
 // ============================================================================
-// NPC HOST SYNC (Option 6b - Host Client Model)
+// SERVER SYNC (multiplayer - the room's NPCSimulation runs on the server)
 // ============================================================================
 
-// State number mapping for compact snapshots
-const StateToNumber = {
-  [State.WANDER]: 0,
-  [State.FLEE]: 1,
-  [State.CHASE]: 2,
-  [State.SCHOOL]: 3,
-}
-
-const NumberToState = {
-  0: State.WANDER,
-  1: State.FLEE,
-  2: State.CHASE,
-  3: State.SCHOOL,
-}
-
-// Correction speed - how fast followers lerp to host positions
-let correctionSpeed = 0.15
-
 /**
  * Set the correction lerp speed for follower clients
- * @param {number} speed - Lerp factor (0-1, higher = faster correction)
+ * @param {number} speed - Lerp factor per 60 Hz frame (0-1, higher = faster correction)
  */
 function setCorrectionSpeed(speed) {
   correctionSpeed = Math.max(0.01, Math.min(1.0, speed))
 }
 
 /**
- * Generate a snapshot of all NPC positions for network sync
- * Called by HOST client to broadcast to followers
- * 
- * @returns {{tick: number, fish: Array}} Snapshot data
+ * Record where the server says an NPC is
+ * Velocity is measured between consecutive snapshots of the same NPC, so
+ * followers keep moving between deltas instead of stopping at each one
+ *
+ * @param {object} npc - NPC mesh record
+ * @param {object} data - {x, y, z, ry, st}
+ * @param {number|null} tick - Server simulation tick
+ * @param {number} now - performance.now() in seconds
+ */
+function setFollowTarget(npc, data, tick, now) {
+  if (npc.simTick !== null && tick !== null && tick > npc.simTick) {
+    const elapsed = (tick - npc.simTick) / CONFIG.tickRate
+    npc.velocity.set(
+      (data.x - npc.simPosition.x) / elapsed,
+      (data.y - npc.simPosition.y) / elapsed,
+      (data.z - npc.simPosition.z) / elapsed
+    )
+  } else {
+    npc.velocity.set(0, 0, 0)
+  }
+  
+  npc.simPosition.set(data.x, data.y, data.z)
+  npc.simRotationY = data.ry
+  npc.simTick = tick
+  npc.simTime = now
+  
+  const state = NumberToState[data.st]
+  if (state) npc.state = state
+}
+
+/**
+ * Create meshes for NPCs the server spawned
+ * A full batch (welcome, keyframe request, map change) is the server's whole
+ * population: meshes it doesn't list are removed, ones it does are kept
+ *
+ * @param {Array} descriptors - [{ id, type, class, variant, seed, volume, school, x, y, z, ry, st }, ...]
+ * @param {boolean} full - Batch holds every NPC in the room
+ * @param {number|null} tick - Server simulation tick
  */
-function getSnapshot() {
-  const fishArray = []
+function applySpawns(descriptors, full = false, tick = null) {
+  if (!isInitialized || !Array.isArray(descriptors)) return
   
-  for (const [id, npc] of npcs) {
-    // Use authoritative simulation position, not interpolated visual position
-    fishArray.push({
-      id: id,
-      x: npc.simPosition.x,
-      y: npc.simPosition.y,
-      z: npc.simPosition.z,
-      ry: npc.simRotationY,
-      gi: npc.currentGridIdx,
-      pi: npc.pathIndex,
-      st: StateToNumber[npc.state] || 0,
-    })
+  const now = performance.now() / 1000
+  const listed = new Set()
+  let spawned = 0
+  
+  for (const data of descriptors) {
+    listed.add(data.id)
+    
+    const existing = npcs.get(data.id)
+    if (existing) {
+      setFollowTarget(existing, data, tick, now)
+      if (Math.abs(existing.totalWorldVolume - data.volume) > 0.01) {
+        growNPC(data.id, data.volume)
+      }
+      continue
+    }
+    
+    if (spawnNPCMesh(data, tick)) spawned++
   }
   
-  return {
-    tick: simulationTick,
-    fish: fishArray,
+  let removed = 0
+  if (full) {
+    for (const id of [...npcs.keys()]) {
+      if (!listed.has(id)) {
+        removeNPCMesh(id)
+        removed++
+      }
+    }
+  }
+  
+  if (full || spawned > 0) {
+    console.log(`[FishAdder] ${full ? 'Full batch' : 'Batch'}: spawned ${spawned}, removed ${removed} (now ${npcs.size})`)
+  }
+}
+
+/**
+ * An NPC died on the server - eaten by a player or another NPC, starved or old
+ * @param {object} data - { npcId, eatenBy?, predatorId?, predatorVolume?, cause? }
+ */
+function applyDeath(data) {
+  removeNPCMesh(data.npcId)
+  
+  if (data.predatorId && data.predatorVolume) {
+    growNPC(data.predatorId, data.predatorVolume)
   }
 }
 
 /**
- * Apply a snapshot received from the host
- * Called by FOLLOWER clients to correct their local simulation
- * 
- * Doesn't teleport instantly - sets correction targets that
- * are smoothly lerped toward in update()
- * 
- * @param {object} snapshot - {tick, fish: [{id, x, y, z, ry, gi, pi, st}, ...]}
+ * Apply a position snapshot received from the server
+ *
+ * Doesn't teleport - sets follow targets that update() eases toward
+ *
+ * Keyframes remove local fish the server no longer has; deltas only
+ * touch the fish they carry plus the IDs listed in `gone`
+ *
+ * @param {object} snapshot - {tick, key, fish: [{id, x, y, z, ry, gi, pi, st}, ...], gone?: [id, ...]}
+ * @returns {{corrected: number, missing: number, removed: number}} missing > 0 means
+ *   the server has NPCs this client never got - request a keyframe
  */
 function applySnapshot(snapshot) {
   if (!snapshot || !snapshot.fish) {
     console.warn('[FishAdder] Invalid snapshot received')
-    return
+    return { corrected: 0, missing: 0, removed: 0 }
   }
   
+  const now = performance.now() / 1000
   let corrected = 0
   let missing = 0
   
-  // Build set of fish IDs from snapshot for quick lookup
-  const snapshotIds = new Set()
-  for (const fishData of snapshot.fish) {
-    snapshotIds.add(fishData.id)
-  }
+  // Snapshots without the flag predate deltas and are always full
+  const isKeyframe = snapshot.key !== false
   
-  // Apply corrections for fish that exist in both
   for (const fishData of snapshot.fish) {
     const npc = npcs.get(fishData.id)
     
     if (!npc) {
-      // Fish exists on host but not on follower
-      // This can happen if fish was just spawned by host
-      // We can't spawn it here without full creature data
+      // Spawn batch lost or not yet received - can't build a mesh from a snapshot
       missing++
       continue
     }
     
-    // Store correction target (applied smoothly in update)
-    npc.correctionTarget = {
-      x: fishData.x,
-      y: fishData.y,
-      z: fishData.z,
-      ry: fishData.ry,
-    }
-    
-    // Sync discrete state immediately (no lerping needed)
-    npc.currentGridIdx = fishData.gi
-    npc.pathIndex = fishData.pi
-    
-    const newState = NumberToState[fishData.st]
-    if (newState && npc.state !== newState) {
-      npc.state = newState
-    }
-    
+    setFollowTarget(npc, fishData, snapshot.tick, now)
     corrected++
   }
   
-  // Remove fish that exist locally but not on host
-  // This handles NPC-eating-NPC events that only host processes
+  // Remove fish that exist locally but not on the server
   const toRemove = []
-  for (const [id] of npcs) {
-    if (!snapshotIds.has(id)) {
-      toRemove.push(id)
+  if (isKeyframe) {
+    const snapshotIds = new Set()
+    for (const fishData of snapshot.fish) {
+      snapshotIds.add(fishData.id)
+    }
+    
+    for (const [id] of npcs) {
+      if (!snapshotIds.has(id)) {
+        toRemove.push(id)
+      }
+    }
+  } else if (Array.isArray(snapshot.gone)) {
+    for (const id of snapshot.gone) {
+      if (npcs.has(id)) {
+        toRemove.push(id)
+      }
     }
   }
   
   for (const id of toRemove) {
-    // Remove without respawn - host handles population
-    removeFish(id, false)
+    removeNPCMesh(id)
   }
   
   // Log if there's significant mismatch
   if (missing > 5 || toRemove.length > 0) {
-    console.log(`[FishAdder] Snapshot: corrected ${corrected}, missing ${missing}, removed ${toRemove.length}`)
+    console.log(`[FishAdder] ${isKeyframe ? 'Keyframe' : 'Delta'}: corrected ${corrected}, missing ${missing}, removed ${toRemove.length}`)
   }
-}
-
-/**
- * Apply correction lerping in update loop
- * Called internally by update() for all NPCs with correction targets
- * Updates the authoritative simPosition, NOT the visual mesh.position
- * 
- * @param {object} npc - NPC data object
- */
-function applyCorrection(npc) {
-  const target = npc.correctionTarget
-  if (!target) return
-  
-  // Lerp simulation position toward correction target
-  npc.simPosition.x += (target.x - npc.simPosition.x) * correctionSpeed
-  npc.simPosition.y += (target.y - npc.simPosition.y) * correctionSpeed
-  npc.simPosition.z += (target.z - npc.simPosition.z) * correctionSpeed
-  
-  // Lerp rotation (handle angle wrapping)
-  let angleDiff = target.ry - npc.simRotationY
-  
-  // Wrap to [-PI, PI]
-  while (angleDiff > Math.PI) angleDiff -= Math.PI * 2
-  while (angleDiff < -Math.PI) angleDiff += Math.PI * 2
-  
-  npc.simRotationY += angleDiff * correctionSpeed
-  
-  // Clear correction target if close enough
-  const dx = target.x - npc.simPosition.x
-  const dy = target.y - npc.simPosition.y
-  const dz = target.z - npc.simPosition.z
-  const distSq = dx * dx + dy * dy + dz * dz
   
-  if (distSq < 0.01 && Math.abs(angleDiff) < 0.01) {
-    npc.correctionTarget = null
-  }
-}
-
-/**
- * Check if we're currently applying corrections
- * (Useful for debugging/display)
- * 
- * @returns {number} Number of NPCs with pending corrections
- */
-function getPendingCorrections() {
-  let count = 0
-  for (const npc of npcs.values()) {
-    if (npc.correctionTarget) count++
-  }
-  return count
+  return { corrected, missing, removed: toRemove.length }
 }
 
 // ============================================================================
@@ -2598,13 +1491,9 @@ export const FishAdder = {
   update,
   clear,
   
-  // Spawning
+  // Single-player simulation
   spawnInitialFish,
-  spawnOneFish,
-  spawnOneCreature,
-  spawnSchool,
   removeFish,
-  maintainPopulation,
   
   // Config (easy to use!)
   setPopulation,
@@ -2616,6 +1505,7 @@ export const FishAdder = {
   
   // Queries
   getAllFish,
+  getPopulationHistory,
   getFish,
   getCount,
   getSchoolCount,
@@ -2629,16 +1519,17 @@ export const FishAdder = {
   isSolitarySpecies,
   isBottomDweller: (c) => BOTTOM_DWELLERS.has(c),
   isDrifter: (c) => DRIFTERS.has(c),
+  isLurker: (c) => LURKERS.has(c),
   
   // Fixed timestep simulation
   getSimulationTick,
   resetSimulationTime,
   
-  // NPC Host Sync (Option 6b)
-  getSnapshot,
+  // Server sync (multiplayer)
+  applySpawns,
+  applyDeath,
   applySnapshot,
   setCorrectionSpeed,
-  getPendingCorrections,
   
   // Debug
   debug,
@@ -2665,11 +1556,10 @@ export const FishAdder = {
   get SOLITARY_SPECIES() { return SOLITARY_SPECIES },
   get BOTTOM_DWELLERS() { return BOTTOM_DWELLERS },
   get DRIFTERS() { return DRIFTERS },
+  get LURKERS() { return LURKERS },
   get allCreatures() { return allCreatures },
-  get gridPoints() { return gridPoints },
-  get adjacencyMap() { return adjacencyMap },
-  get activeChasers() { return activeChasers },
-  get simulationTick() { return simulationTick },
+  get simulation() { return localSim },
+  get simulationTick() { return getSimulationTick() },
 }
 
-export default FishAdder
\ No newline at end of file
+export default FishAdder
@@ -0,0 +1,133 @@
+/**
+ * Habitats.js - Where each species lives
+ *
+ * Every RegionType declares a habitat: which classes spawn there (weighted),
+ * how deep (meters below the surface) and how big (log-normal volume, like
+ * NPCSimulation's default distribution). Trenches aren't placed in REGIONS -
+ * they're the grid columns whose floor is below HABITAT_RULES.trenchFloorY.
+ * OPEN_WATER is everywhere else, and home to every class no table lists.
+ *
+ * Keys and `species` entries are RegionType values and Encyclopedia classes,
+ * as plain strings so the server's NPCSimulation can use this headless.
+ *
+ * Usage:
+ *   import { HABITATS, getHabitatsFor } from './Habitats.js'
+ *
+ *   getHabitatsFor('tang')   // [{ type: 'coral_reef', weight: 5 }, { type: 'coral_garden', weight: 3 }]
+ */
+
+import { RegionType } from './RegionLayout.js'
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+export const OPEN_WATER = 'open_water'
+
+export const HABITAT_RULES = {
+  trenchFloorY: -58,      // Floor deeper than this is trench (WorldLayout floorY is -50)
+  trenchCellSize: 150,    // Trench columns are grouped into sites this big
+}
+
+// depth: meters below the surface, volume: { logMean, logStd } in log m^3
+export const HABITATS = {
+  [RegionType.CORAL_REEF]: {
+    species: {
+      tang: 5, angelfish: 4, lionfish: 2, puffer: 2, grouper: 2, moray: 2, seahorse: 1, shark: 1,
+      crab: 2, shrimp: 2, pistol_shrimp: 2, mantis_shrimp: 2, lobster: 1,
+      octopus: 1, blue_ringed_octopus: 1, mimic_octopus: 1, cuttlefish: 2, flamboyant_cuttlefish: 1,
+      box_jelly: 1, sea_cucumber: 1, leopard_sea_cucumber: 1, sea_apple: 1,
+    },
+    depth: { min: 5, max: 45 },
+    volume: { logMean: 2.5, logStd: 1.2 },
+  },
+  [RegionType.CORAL_GARDEN]: {
+    species: {
+      tang: 3, angelfish: 3, seahorse: 3, pistol_shrimp: 2, shrimp: 2, fiddler_crab: 1,
+      flamboyant_cuttlefish: 2, pharaoh_cuttlefish: 2, blue_ringed_octopus: 1,
+      fried_egg_jelly: 1, sea_apple: 2,
+    },
+    depth: { min: 5, max: 35 },
+    volume: { logMean: 2, logStd: 1 },
+  },
+  [RegionType.BOULDER_FIELD]: {
+    species: {
+      eel: 3, moray: 3, grouper: 2, flounder: 2, catfish: 1,
+      octopus: 3, giant_pacific_octopus: 1, lobster: 3, crab: 2, king_crab: 1, spider_crab: 2,
+      walrus: 1, sea_cucumber: 2,
+    },
+    depth: { min: 20, max: 80 },
+    volume: { logMean: 3.5, logStd: 1.5 },
+  },
+  [RegionType.ROCKY_OUTCROP]: {
+    species: {
+      moray: 2, eel: 2, lionfish: 2, grouper: 2, octopus: 2, cuttlefish: 1,
+      lobster: 2, crab: 2, mantis_shrimp: 2, seal: 1, sea_lion: 1,
+    },
+    depth: { min: 10, max: 60 },
+    volume: { logMean: 3, logStd: 1.4 },
+  },
+  [RegionType.KELP_FOREST]: {
+    species: {
+      sea_otter: 3, seal: 2, sea_lion: 2, shark: 1, seahorse: 1, flounder: 1,
+      giant_pacific_octopus: 2, crab: 2, spider_crab: 1, lobster: 1, giant_california: 2,
+    },
+    depth: { min: 0, max: 45 },
+    volume: { logMean: 3.2, logStd: 1.3 },
+  },
+  [RegionType.SEAGRASS_MEADOW]: {
+    species: {
+      manatee: 3, seahorse: 3, ray: 2, flounder: 2, cuttlefish: 1,
+      horseshoe_crab: 2, fiddler_crab: 2, shrimp: 2, crayfish: 1, sea_cucumber: 1,
+    },
+    depth: { min: 0, max: 35 },
+    volume: { logMean: 2.8, logStd: 1.2 },
+  },
+  [RegionType.TRENCH]: {
+    species: {
+      anglerfish: 5, dumbo_octopus: 3, giant_squid: 1, colossal_squid: 1, firefly_squid: 2, nautilus: 2,
+      king_crab: 2, spider_crab: 1, bloodybelly_comb: 2,
+      sea_pig: 3, medusa_worm: 2, donkey_dung: 2,
+    },
+    depth: { min: 40, max: Infinity },
+    volume: { logMean: 3, logStd: 1.4 },
+  },
+  [OPEN_WATER]: {
+    species: {
+      shark: 2, hammerhead: 2, tuna: 3, marlin: 2, sunfish: 1, manta: 1,
+    },
+    depth: { min: 0, max: Infinity },
+    volume: null,   // NPCSimulation's default distribution
+  },
+}
+
+// class -> [{ type, weight }]
+const HABITATS_BY_CLASS = new Map()
+for (const [type, habitat] of Object.entries(HABITATS)) {
+  for (const [creatureClass, weight] of Object.entries(habitat.species)) {
+    if (!HABITATS_BY_CLASS.has(creatureClass)) HABITATS_BY_CLASS.set(creatureClass, [])
+    HABITATS_BY_CLASS.get(creatureClass).push({ type, weight })
+  }
+}
+
+const UNLISTED = [{ type: OPEN_WATER, weight: 1 }]
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Habitats a class spawns in, with its weight in each
+ * @param {string} creatureClass
+ * @returns {Array<{type: string, weight: number}>} Open water only for unlisted classes
+ */
+export function getHabitatsFor(creatureClass) {
+  return HABITATS_BY_CLASS.get(creatureClass) || UNLISTED
+}
+
+/**
+ * @returns {boolean} True if the class spawns in that habitat
+ */
+export function livesIn(creatureClass, type) {
+  return getHabitatsFor(creatureClass).some(habitat => habitat.type === type)
+}
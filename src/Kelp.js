@@ -100,6 +100,9 @@ export const KelpConfig = {
     height: 0.3,           // Height randomness within cluster
     countRange: 0.2,       // Count varies ±20%
   },
+  
+  // === DENSITY ===
+  density: 1.0,            // Stalks per cluster multiplier (set by graphics quality)
 }
 
 // ============================================================================
@@ -311,7 +314,7 @@ export function createKelpCluster(options = {}) {
   
   // Apply count variation
   const countVar = cfg.variation.countRange
-  const count = Math.round(scaled.count * (1 + (rng() - 0.5) * countVar * 2))
+  const count = Math.round(scaled.count * cfg.density * (1 + (rng() - 0.5) * countVar * 2))
   
   const group = new THREE.Group()
   const placed = []
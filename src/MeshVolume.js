@@ -599,6 +599,7 @@ export function getFeedingRelationship(entityId1, entityId2) {
 
 /**
  * Check if predator can eat prey (by volume comparison)
+ * Size only - Diet.js checkDiet() decides whether the prey is on the menu
  * 
  * @param {number} predatorVolume - Predator's world volume
  * @param {number} preyVolume - Prey's world volume
@@ -0,0 +1,2383 @@
+/**
+ * NPCSimulation.js - Headless NPC simulation (grid pathing, predation, population)
+ *
+ * Everything FishAdder used to decide about NPCs, without meshes or THREE:
+ *   - NPCs navigate SpawnFactory's playable grid (up to 26 neighbors per point)
+ *   - Paths are exactly `pathLength` grid steps, replanned when complete
+ *   - Schools: the leader paths on the grid, followers flock around it (boids -
+ *     separation, alignment, cohesion), scatter from threats and regroup
+ *   - Bigger NPCs chase smaller ones they can eat (5% rule + Diet.js) and flee
+ *     from NPCs and players that can eat them
+ *   - Each species moves its own way (see getLocomotion): bottom dwellers crawl
+ *     over the terrain, drifters pulse and ride the current, eels hide in
+ *     boulder crevices, mammals surface to breathe
+ *   - Life cycle (once a second): hunger rises until they eat or graze, decides
+ *     how often they hunt, and shrinks them when they starve; NPCs die of
+ *     starvation or old age, and well-fed ones breed at home. Population
+ *     settles from predator and prey numbers and each species' niche -
+ *     newcomers drift in below target, respawns top it up to a floor
+ *     (server/scripts/checkEcosystem.js runs it for half an hour)
+ *   - Habitats (Habitats.js): species spawn in their regions and trenches at
+ *     the right depth and size, call the spot home and wander back to it
+ *
+ * Multiplayer: the server runs one per room (seeded with the room's npcSeed)
+ * and clients only render what it sends. Single-player: FishAdder runs one
+ * locally over SpawnFactory's points.
+ *
+ * Usage:
+ *   import { NPCSimulation } from './NPCSimulation.js'
+ *
+ *   const sim = new NPCSimulation({ seed, points, spacing: 25, species: getNPCSpecies(), layout })
+ *   sim.onSpawn((npc) => ...)
+ *   sim.onEat((predator, prey) => ...)
+ *   sim.onDeath((npc, cause) => ...)     // DeathCause - starved or old age
+ *   sim.onResize((npc) => ...)           // Shrank while starving
+ *   sim.spawnInitial()
+ *
+ *   // Fixed timestep
+ *   sim.tick(1 / 20, [{ id, position, volume, type, class }])   // players are threats
+ */
+
+import { createDetermine } from './determine.js'
+import { VOLUME_LIMITS, NETWORK_CONFIG } from '../shared/Protocol.js'
+import { canEatCreature, prefersPrey, getDiet, DIET, DIET_RULES } from './Diet.js'
+import { REGIONS, RegionType } from './RegionLayout.js'
+import { HABITATS, HABITAT_RULES, getHabitatsFor, livesIn } from './Habitats.js'
+
+// ============================================================================
+// SPECIES BEHAVIOR CLASSIFICATION
+// ============================================================================
+
+// Species that school (swim in groups)
+export const SCHOOLING_SPECIES = new Set([
+  // Fish
+  'tuna', 'barracuda', 'tang', 'piranha', 'flyingfish', 'catfish', 'angelfish',
+  // Cephalopods
+  'squid', 'humboldt_squid', 'firefly_squid',
+  // Jellies (drift in groups)
+  'moon_jelly', 'crystal_jelly', 'sea_gooseberry',
+])
+
+// Species that are solitary
+export const SOLITARY_SPECIES = new Set([
+  // Fish
+  'shark', 'hammerhead', 'ray', 'manta', 'eel', 'moray', 'grouper',
+  'marlin', 'flounder', 'seahorse', 'sunfish', 'anglerfish', 'lionfish',
+  'puffer', 'betta',
+  // Mammals (mostly solitary or small pods handled differently)
+  'blue_whale', 'humpback', 'sperm_whale', 'narwhal',
+  // Cephalopods
+  'octopus', 'giant_pacific_octopus', 'blue_ringed_octopus', 'dumbo_octopus', 'mimic_octopus',
+  'giant_squid', 'colossal_squid', 'cuttlefish', 'flamboyant_cuttlefish',
+  // Crustaceans
+  'lobster', 'king_crab', 'coconut_crab', 'mantis_shrimp',
+  // Jellies (large solitary)
+  'lions_mane', 'box_jelly', 'sea_wasp', 'portuguese_man_o_war',
+])
+
+// Bottom dwellers (spawn near floor, move slowly)
+export const BOTTOM_DWELLERS = new Set([
+  // Crustaceans
+  'crab', 'king_crab', 'spider_crab', 'coconut_crab', 'fiddler_crab',
+  'lobster', 'crayfish', 'horseshoe_crab',
+  // Sea cucumbers
+  'sea_cucumber', 'giant_california', 'leopard_sea_cucumber',
+  'sea_apple', 'sea_pig', 'medusa_worm', 'sticky_snake', 'donkey_dung',
+  // Some cephalopods
+  'octopus', 'giant_pacific_octopus', 'blue_ringed_octopus', 'mimic_octopus',
+  // Fish
+  'flounder',
+])
+
+// Drifters (slow, passive movement)
+export const DRIFTERS = new Set([
+  // Jellies
+  'moon_jelly', 'lions_mane', 'barrel_jelly', 'fried_egg_jelly', 'compass_jelly',
+  'box_jelly', 'sea_wasp', 'portuguese_man_o_war', 'by_the_wind_sailor',
+  'crystal_jelly', 'sea_gooseberry',
+  // Some fish
+  'sunfish',
+])
+
+// Ambushers (hide in boulder crevices between hunts)
+export const LURKERS = new Set([
+  'eel', 'moray',
+])
+
+// How an NPC gets around
+export const Locomotion = {
+  SWIM: 'swim',         // Grid path through open water
+  CRAWL: 'crawl',       // Grid path projected onto the terrain and boulders
+  DRIFT: 'drift',       // Pulses along, carried by the current
+  LURK: 'lurk',         // Swims between hideouts in boulder crevices
+  BREATHE: 'breathe',   // Swims, surfacing every so often to breathe
+}
+
+/**
+ * @param {{type: string, class: string}} creature
+ * @returns {string} Locomotion
+ */
+export function getLocomotion(creature) {
+  if (BOTTOM_DWELLERS.has(creature.class)) return Locomotion.CRAWL
+  if (DRIFTERS.has(creature.class)) return Locomotion.DRIFT
+  if (LURKERS.has(creature.class)) return Locomotion.LURK
+  if (creature.type === 'mammal') return Locomotion.BREATHE
+  return Locomotion.SWIM
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const NPC_DEFAULTS = {
+  // *** POPULATION - Change this to control how many creatures spawn ***
+  targetPopulation: 50,
+  
+  // Schooling
+  schoolChance: 0.7,          // 0-1, chance to spawn as school
+  schoolSize: { min: 4, max: 8 },
+  
+  // Flocking (school followers)
+  flockRadius: 30,            // Schoolmates this close are neighbors
+  separationDist: 6,          // Keep at least this far from schoolmates
+  separationWeight: 2.5,
+  alignmentWeight: 1.0,
+  cohesionWeight: 0.8,
+  leaderWeight: 1.2,          // Pull toward the leader (keeps the school on course)
+  panicWeight: 4,             // Push away from a threat
+  panicTime: 4,               // Seconds a startled follower ignores the leader
+  maxSteer: 6,                // Max change in velocity (m/s per second)
+  threatCheckInterval: 10,    // Ticks between a follower's threat checks
+  waterMargin: 2,             // Followers keep this far from the floor, surface and boulders
+  
+  // Movement
+  baseSpeed: 4.0,
+  speedVariation: 1.0,
+  turnRate: 2.5,
+  
+  // Pathing
+  pathLength: 10,
+  waypointArrivalDist: 5,
+  forwardBias: 0,
+  targetBias: 3,
+  randomness: 0.5,
+  preferredDirBias: 2.5,
+  
+  // Detection ranges
+  fleeRange: 75,
+  chaseRange: 60,
+  eatRange: 10,
+  
+  // Locomotion (terrain, dens and surfacing need the map layout)
+  crawlClearance: 1,          // Crawlers' height above the terrain or boulder under them
+  crawlClimbPenalty: 3,       // Crawlers prefer grid steps that stay level
+  pulseRate: 2.5,             // Drifter pulse cycle (radians per second)
+  pulseMinSpeed: 0.2,         // Drifter speed between pulses (fraction of full)
+  currentStrength: 0.4,       // Drift from the current (m/s)
+  currentBias: 2,             // Drifters pick grid steps that go with the current
+  lurkRange: 120,             // Lurkers look for a free den this close
+  lurkTime: { min: 20, max: 60 },     // Seconds hidden - and roaming between hides
+  ambushRange: 25,            // Hidden lurkers strike at prey this close
+  breathInterval: { min: 40, max: 90 },   // Seconds mammals stay under
+  breathTime: 4,              // Seconds at the surface
+  surfaceDepth: 1.5,          // How far below the water level they breathe
+  
+  // Predation - linear additive growth (prey volume added directly)
+  maxVolume: VOLUME_LIMITS.NPC_MAX,  // Maximum world volume cap
+  
+  // Life cycle (hunger 0 = full, 1 = starving) - grazers (herbivores, filter
+  // feeders) live fast, hunters (carnivores) go longer without food and breed slower
+  grazer: { hungerTime: 180, breedInterval: 40 },   // Seconds from full to starving / between breeding attempts
+  hunter: { hungerTime: 360, breedInterval: 90 },
+  huntHunger: 0.5,            // Always hunts at this hunger - less often when fuller
+  huntCheckInterval: 20,      // Ticks between a wanderer's looks for prey
+  satiation: 2,               // Hunger a meal takes off, per prey volume / predator volume
+  grazeRate: 3,               // Herbivores and filter feeders feed this fast (x the hunger rise),
+  carryingCapacity: 1,        // slowing to nothing as grazers reach this x targetPopulation
+  forageRate: 2,              // Hunters pick off small fry this fast while there are
+  preyPerHunter: 3,           // this many grazers per hunter, slower with fewer
+  speciesCapacity: 0.15,      // Any one species feeds slower as it nears this x targetPopulation (its own niche)
+  grazerShare: 0.6,           // Fraction of spawned NPCs drawn from grazer species
+  starveShrinkRate: 0.02,     // Fraction of volume lost per second while starving
+  resizeThreshold: 0.05,      // onResize when volume has changed this much since it was last reported
+  lifespan: { min: 900, max: 1800 },  // Seconds
+  breedChance: 0.5,           // Per attempt when fully fed - scaled by how much food there is
+  breedHunger: 0.25,          // Only this well fed breeds
+  breedCost: 0.3,             // Hunger a parent gains per offspring
+  offspringRatio: 0.3,        // Offspring volume, fraction of the parent's
+  homeRange: 1.5,             // Breeds within this many home-site radii of its center
+  homeBias: 5,                // Wanderers outside their home site (or its depth) pick steps back toward it
+  minPopulationRatio: 0.5,    // Respawn new NPCs below this x targetPopulation
+  immigrationInterval: 30,    // Seconds between newcomers while below targetPopulation
+  maxPopulationRatio: 2,      // No breeding at this x targetPopulation
+  
+  // Fixed timestep - one simulation tick per server room tick (FishAdder's local loop matches)
+  tickRate: NETWORK_CONFIG.tickRate,  // Simulation ticks per second (20 = 50ms per tick)
+}
+
+// Log-normal spawn volumes: small creatures common, large ones rare
+const VOLUME_DISTRIBUTION = {
+  logMean: 3.5,               // ~33 m^3 median
+  logStd: 1.5,                // Spread
+  min: VOLUME_LIMITS.MIN,
+  max: VOLUME_LIMITS.NPC_MAX,
+}
+
+// Why an NPC died, other than being eaten (onDeath)
+export const DeathCause = {
+  STARVED: 'starved',
+  OLD_AGE: 'old_age',
+}
+
+// AI States
+export const State = {
+  WANDER: 'wander',
+  FLEE: 'flee',
+  CHASE: 'chase',
+  SCHOOL: 'school',
+  HIDE: 'hide',         // Lurker in its den
+  SURFACE: 'surface',   // Mammal going up for air
+}
+
+// State number mapping for compact snapshots
+export const StateToNumber = {
+  [State.WANDER]: 0,
+  [State.FLEE]: 1,
+  [State.CHASE]: 2,
+  [State.SCHOOL]: 3,
+  [State.HIDE]: 4,
+  [State.SURFACE]: 5,
+}
+
+export const NumberToState = {
+  0: State.WANDER,
+  1: State.FLEE,
+  2: State.CHASE,
+  3: State.SCHOOL,
+  4: State.HIDE,
+  5: State.SURFACE,
+}
+
+/**
+ * Draw a spawn volume from the log-normal distribution (Box-Muller)
+ * @param {object} rng - A Determine instance
+ * @param {object} [distribution] - { logMean, logStd } - a habitat's sizes (Habitats.js)
+ * @returns {number} World volume in m^3, clamped to [min, max]
+ */
+export function drawNPCVolume(rng, distribution = null) {
+  const { logMean, logStd } = distribution || VOLUME_DISTRIBUTION
+  const u1 = rng.random()
+  const u2 = rng.random()
+  const normal = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2)
+  
+  const volume = Math.exp(logMean + normal * logStd)
+  return Math.max(VOLUME_DISTRIBUTION.min, Math.min(VOLUME_DISTRIBUTION.max, volume))
+}
+
+// ============================================================================
+// VECTOR HELPERS (plain {x, y, z} - no THREE on the server)
+// ============================================================================
+
+function distanceSq(a, b) {
+  const dx = a.x - b.x
+  const dy = a.y - b.y
+  const dz = a.z - b.z
+  return dx * dx + dy * dy + dz * dz
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z
+}
+
+function normalize(v) {
+  const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z)
+  if (length > 0) {
+    v.x /= length
+    v.y /= length
+    v.z /= length
+  }
+  return v
+}
+
+/**
+ * out = normalize(to - from)
+ */
+function directionTo(out, from, to) {
+  out.x = to.x - from.x
+  out.y = to.y - from.y
+  out.z = to.z - from.z
+  return normalize(out)
+}
+
+/**
+ * out += v * scale
+ */
+function addScaled(out, v, scale) {
+  out.x += v.x * scale
+  out.y += v.y * scale
+  out.z += v.z * scale
+  return out
+}
+
+function zero(out) {
+  out.x = 0
+  out.y = 0
+  out.z = 0
+  return out
+}
+
+/**
+ * Current direction at a point - slow swirls that shift over time
+ * Pure function of position and time, so it stays deterministic
+ * @returns {{x, y, z}} out, horizontal unit vector
+ */
+function sampleCurrent(out, x, z, time) {
+  const angle = Math.PI * (Math.sin(x * 0.003 + time * 0.02) + Math.cos(z * 0.003 - time * 0.015))
+  out.x = Math.cos(angle)
+  out.y = 0
+  out.z = Math.sin(angle)
+  return out
+}
+
+function isFollower(npc) {
+  return npc.schoolId !== null && !npc.isLeader
+}
+
+// Scratch vectors (avoid GC in the hot path)
+const _v1 = { x: 0, y: 0, z: 0 }
+const _v2 = { x: 0, y: 0, z: 0 }
+const _waypoint = { x: 0, y: 0, z: 0 }
+const _current = { x: 0, y: 0, z: 0 }
+const _separation = { x: 0, y: 0, z: 0 }
+const _alignment = { x: 0, y: 0, z: 0 }
+const _centroid = { x: 0, y: 0, z: 0 }
+const _desired = { x: 0, y: 0, z: 0 }
+const _home = { x: 0, y: 0, z: 0 }
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+export class NPCSimulation {
+  /**
+   * @param {object} options
+   * @param {number} options.seed - NPC seed (room npcSeed)
+   * @param {Array<{x, y, z}>} options.points - Playable grid points
+   * @param {number} [options.spacing] - Distance between grid points
+   * @param {Array} options.species - [{ type, class, displayName, variants }] (Encyclopedia.getNPCSpecies)
+   * @param {object} [options.config] - Config object, shared by reference so live tweaks apply
+   * @param {object} [options.layout] - WorldLayout.generateMapLayout() - terrain, boulders and
+   *   water level for crawling, dens and surfacing (without it everything swims)
+   */
+  constructor({ seed, points, spacing = 25, species, config = null, layout = null }) {
+    this.seed = seed
+    this.rng = createDetermine(seed)
+    this.config = config || { ...NPC_DEFAULTS }
+    this.species = species
+    this.layout = layout
+    this.schoolingSpecies = species.filter(c => SCHOOLING_SPECIES.has(c.class))
+    
+    this.npcs = new Map()
+    this.schools = new Map()
+    this.activeChasers = new Set()  // Only these are checked for predation
+    this.npcIdCounter = 0
+    this.schoolIdCounter = 0
+    this.tickCount = 0
+    
+    // Players near NPCs this tick: [{ id, position, volume }]
+    this.players = []
+    
+    // Last state sent per NPC - the baseline deltas are measured against
+    this.lastSent = new Map()
+    
+    // Grid (cell slightly larger than neighbor distance)
+    this.points = points
+    this.spacing = spacing
+    this.hashCellSize = spacing * 2
+    this.invHashCellSize = 1 / this.hashCellSize
+    this.gridHash = new Map()    // "cellX,cellY,cellZ" -> [gridPointIndices]
+    this.npcHash = new Map()     // "cellX,cellY,cellZ" -> Set<npcId>
+    this.adjacency = []          // pointIndex -> [neighborIndices]
+    
+    this.onSpawnCallback = null  // (npc) - every spawn, initial and respawn
+    this.onEatCallback = null    // (predator, prey) - after the predator has grown
+    this.onPathCallback = null   // (npc) - a new path was planned
+    this.onDeathCallback = null  // (npc, cause) - starved or died of old age (DeathCause)
+    this.onResizeCallback = null // (npc) - volume changed without a meal (starving)
+    
+    this.buildGrid()
+    
+    // Habitat sites - regions, and trenches when there's a layout
+    this.sites = []                // [{ type, x, z, radius, points: [gridIndices] }]
+    this.sitesByType = new Map()   // habitat type -> [site indices]
+    this.buildSites()
+    
+    // Terrain (needs the layout)
+    this.boulderCells = new Map()  // "cellX,cellZ" -> [boulders over that column]
+    this.dens = []                 // [{ x, y, z, outX, outZ, gridIdx, occupant }]
+    if (layout) {
+      this.buildBoulderCells()
+      this.buildDens()
+    }
+  }
+  
+  onSpawn(callback) {
+    this.onSpawnCallback = callback
+  }
+  
+  onEat(callback) {
+    this.onEatCallback = callback
+  }
+  
+  onPath(callback) {
+    this.onPathCallback = callback
+  }
+  
+  onDeath(callback) {
+    this.onDeathCallback = callback
+  }
+  
+  onResize(callback) {
+    this.onResizeCallback = callback
+  }
+  
+  // ============================================================================
+  // GRID
+  // ============================================================================
+  
+  cellKey(x, y, z) {
+    const inv = this.invHashCellSize
+    return `${Math.floor(x * inv)},${Math.floor(y * inv)},${Math.floor(z * inv)}`
+  }
+  
+  /**
+   * Spatial hash of grid points, then neighbors within 1.8 grid steps
+   */
+  buildGrid() {
+    const points = this.points
+    
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i]
+      const cell = this.cellKey(p.x, p.y, p.z)
+      let bucket = this.gridHash.get(cell)
+      if (!bucket) {
+        bucket = []
+        this.gridHash.set(cell, bucket)
+      }
+      bucket.push(i)
+    }
+    
+    const neighborDist = this.spacing * 1.8
+    const neighborDistSq = neighborDist * neighborDist
+    const inv = this.invHashCellSize
+    
+    for (let i = 0; i < points.length; i++) {
+      const neighbors = []
+      const p1 = points[i]
+      
+      const cx = Math.floor(p1.x * inv)
+      const cy = Math.floor(p1.y * inv)
+      const cz = Math.floor(p1.z * inv)
+      
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const pointsInCell = this.gridHash.get(`${cx + dx},${cy + dy},${cz + dz}`)
+            if (!pointsInCell) continue
+            
+            for (const j of pointsInCell) {
+              if (i !== j && distanceSq(p1, points[j]) <= neighborDistSq) {
+                neighbors.push(j)
+              }
+            }
+          }
+        }
+      }
+      
+      this.adjacency[i] = neighbors
+    }
+  }
+  
+  /**
+   * Grid point closest to a position (expanding shells of hash cells)
+   */
+  findNearestGridIndex(position) {
+    const inv = this.invHashCellSize
+    const cx = Math.floor(position.x * inv)
+    const cy = Math.floor(position.y * inv)
+    const cz = Math.floor(position.z * inv)
+    
+    let nearestIdx = -1
+    let nearestDistSq = Infinity
+    
+    for (let radius = 0; radius <= 3; radius++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+          for (let dz = -radius; dz <= radius; dz++) {
+            // Only the shell on radius > 0
+            if (radius > 0 && Math.abs(dx) < radius && Math.abs(dy) < radius && Math.abs(dz) < radius) continue
+            
+            const pointsInCell = this.gridHash.get(`${cx + dx},${cy + dy},${cz + dz}`)
+            if (!pointsInCell) continue
+            
+            for (const idx of pointsInCell) {
+              const d = distanceSq(position, this.points[idx])
+              if (d < nearestDistSq) {
+                nearestDistSq = d
+                nearestIdx = idx
+              }
+            }
+          }
+        }
+      }
+      
+      if (nearestIdx !== -1) break
+    }
+    
+    return nearestIdx !== -1 ? nearestIdx : this.randomGridIndex()
+  }
+  
+  randomGridIndex() {
+    return this.rng.index(this.points.length)
+  }
+  
+  /**
+   * Keep an NPC's hash cell current
+   */
+  updateHash(npc) {
+    const cell = this.cellKey(npc.position.x, npc.position.y, npc.position.z)
+    if (cell === npc.hashCell) return
+    
+    if (npc.hashCell) {
+      this.npcHash.get(npc.hashCell)?.delete(npc.id)
+    }
+    
+    let bucket = this.npcHash.get(cell)
+    if (!bucket) {
+      bucket = new Set()
+      this.npcHash.set(cell, bucket)
+    }
+    bucket.add(npc.id)
+    npc.hashCell = cell
+  }
+  
+  /**
+   * Visit NPCs in the hash cells around a position
+   * @param {{x, y, z}} position
+   * @param {number} range
+   * @param {function(object)} visit
+   */
+  forEachNearby(position, range, visit) {
+    const inv = this.invHashCellSize
+    const cellRadius = Math.ceil(range * inv)
+    const cx = Math.floor(position.x * inv)
+    const cy = Math.floor(position.y * inv)
+    const cz = Math.floor(position.z * inv)
+    
+    for (let dx = -cellRadius; dx <= cellRadius; dx++) {
+      for (let dy = -cellRadius; dy <= cellRadius; dy++) {
+        for (let dz = -cellRadius; dz <= cellRadius; dz++) {
+          const ids = this.npcHash.get(`${cx + dx},${cy + dy},${cz + dz}`)
+          if (!ids) continue
+          
+          for (const id of ids) {
+            const npc = this.npcs.get(id)
+            if (npc) visit(npc)
+          }
+        }
+      }
+    }
+  }
+  
+  // ============================================================================
+  // HABITATS
+  // ============================================================================
+  
+  /**
+   * One site per region with grid points in it, plus the trenches - deep
+   * columns grouped into trenchCellSize cells
+   */
+  buildSites() {
+    for (const region of REGIONS) {
+      const radiusSq = region.radius * region.radius
+      const points = []
+      this.points.forEach((point, idx) => {
+        const dx = point.x - region.x
+        const dz = point.z - region.z
+        if (dx * dx + dz * dz <= radiusSq) points.push(idx)
+      })
+      this.addSite(region.type, region.x, region.z, region.radius, points)
+    }
+    
+    if (!this.layout) return
+    
+    const cellSize = HABITAT_RULES.trenchCellSize
+    const cells = new Map()   // "cellX,cellZ" -> [gridIndices]
+    this.points.forEach((point, idx) => {
+      if (this.layout.getHeight(point.x, point.z) >= HABITAT_RULES.trenchFloorY) return
+      const key = `${Math.floor(point.x / cellSize)},${Math.floor(point.z / cellSize)}`
+      if (!cells.has(key)) cells.set(key, [])
+      cells.get(key).push(idx)
+    })
+    
+    for (const points of cells.values()) {
+      let x = 0
+      let z = 0
+      for (const idx of points) {
+        x += this.points[idx].x
+        z += this.points[idx].z
+      }
+      x /= points.length
+      z /= points.length
+      
+      let radius = this.spacing
+      for (const idx of points) {
+        radius = Math.max(radius, Math.hypot(this.points[idx].x - x, this.points[idx].z - z))
+      }
+      this.addSite(RegionType.TRENCH, x, z, radius, points)
+    }
+  }
+  
+  addSite(type, x, z, radius, points) {
+    if (points.length === 0) return
+    
+    if (!this.sitesByType.has(type)) this.sitesByType.set(type, [])
+    this.sitesByType.get(type).push(this.sites.length)
+    this.sites.push({ type, x, z, radius, points })
+  }
+  
+  /**
+   * Meters below the surface - null without a layout (depth isn't checked)
+   */
+  getDepth(point) {
+    return this.layout ? this.layout.ceilingY - point.y : null
+  }
+  
+  atDepth(gridIdx, depth) {
+    const d = this.getDepth(this.points[gridIdx])
+    return d === null || (d >= depth.min && d <= depth.max)
+  }
+  
+  /**
+   * Where a new NPC of this species goes: one of its habitats (by weight), a
+   * site of that habitat, and a grid point there at the habitat's depth.
+   * Open water - or a habitat this map lacks - is any point at the right depth.
+   * @param {string} creatureClass
+   * @returns {{ gridIdx: number, home: number|null, habitat: object }} home is a site index
+   */
+  placeSpawn(creatureClass) {
+    const { type } = this.rng.weighted(getHabitatsFor(creatureClass))
+    const habitat = HABITATS[type]
+    
+    const siteIdxs = this.sitesByType.get(type)
+    if (siteIdxs) {
+      // Start at a random site, move on if none of its points are deep enough
+      const first = this.rng.index(siteIdxs.length)
+      for (let i = 0; i < siteIdxs.length; i++) {
+        const home = siteIdxs[(first + i) % siteIdxs.length]
+        const candidates = this.sites[home].points.filter(idx => this.atDepth(idx, habitat.depth))
+        if (candidates.length > 0) return { gridIdx: this.rng.pick(candidates), home, habitat }
+      }
+    }
+    
+    const candidates = []
+    for (let idx = 0; idx < this.points.length; idx++) {
+      if (this.atDepth(idx, habitat.depth)) candidates.push(idx)
+    }
+    const gridIdx = candidates.length > 0 ? this.rng.pick(candidates) : this.randomGridIndex()
+    return { gridIdx, home: null, habitat }
+  }
+  
+  /**
+   * Home for an NPC placed by someone else (restored saves): the site of one
+   * of its habitats it's in, if any
+   * @returns {number|null} Site index - null roams the open water
+   */
+  findHome(creatureClass, position) {
+    for (let i = 0; i < this.sites.length; i++) {
+      const site = this.sites[i]
+      if (!livesIn(creatureClass, site.type)) continue
+      if (Math.hypot(position.x - site.x, position.z - site.z) <= site.radius) return i
+    }
+    return null
+  }
+  
+  /**
+   * @returns {boolean} True if the NPC is within homeRange of its home site -
+   *   open-water NPCs are always home
+   */
+  isHome(npc) {
+    if (npc.home === null) return true
+    
+    const site = this.sites[npc.home]
+    const range = site.radius * this.config.homeRange
+    const dx = npc.position.x - site.x
+    const dz = npc.position.z - site.z
+    return dx * dx + dz * dz <= range * range
+  }
+  
+  // ============================================================================
+  // TERRAIN
+  // ============================================================================
+  
+  /**
+   * Boulders by the 2D hash cells they cover, for crawlHeight()
+   */
+  buildBoulderCells() {
+    const inv = this.invHashCellSize
+    
+    for (const boulder of this.layout.boulders) {
+      const minX = Math.floor((boulder.x - boulder.size) * inv)
+      const maxX = Math.floor((boulder.x + boulder.size) * inv)
+      const minZ = Math.floor((boulder.z - boulder.size) * inv)
+      const maxZ = Math.floor((boulder.z + boulder.size) * inv)
+      
+      for (let cx = minX; cx <= maxX; cx++) {
+        for (let cz = minZ; cz <= maxZ; cz++) {
+          const key = `${cx},${cz}`
+          let bucket = this.boulderCells.get(key)
+          if (!bucket) {
+            bucket = []
+            this.boulderCells.set(key, bucket)
+          }
+          bucket.push(boulder)
+        }
+      }
+    }
+  }
+  
+  /**
+   * One den per boulder: the crevice where it meets the floor, on the side
+   * facing the nearest grid point (so lurkers can get in)
+   */
+  buildDens() {
+    const { getHeight } = this.layout
+    const maxApproach = this.spacing * 3
+    
+    for (const boulder of this.layout.boulders) {
+      const gridIdx = this.findNearestGridIndex(boulder)
+      const point = this.points[gridIdx]
+      
+      const dx = point.x - boulder.x
+      const dz = point.z - boulder.z
+      const length = Math.sqrt(dx * dx + dz * dz)
+      if (length < 0.01) continue
+      
+      // Radius of the circle where the boulder's sphere meets the floor
+      const height = boulder.y - getHeight(boulder.x, boulder.z)
+      const seam = Math.sqrt(Math.max(0, boulder.size * boulder.size - height * height))
+      
+      const outX = dx / length
+      const outZ = dz / length
+      const x = boulder.x + outX * seam
+      const z = boulder.z + outZ * seam
+      const den = { x, y: getHeight(x, z) + this.config.crawlClearance, z, outX, outZ, gridIdx, occupant: null }
+      
+      if (distanceSq(den, point) <= maxApproach * maxApproach) {
+        this.dens.push(den)
+      }
+    }
+  }
+  
+  /**
+   * Height a crawler sits at - on the terrain, or on top of a boulder it's climbing
+   */
+  crawlHeight(x, z) {
+    let y = this.layout.getHeight(x, z)
+    
+    const inv = this.invHashCellSize
+    const boulders = this.boulderCells.get(`${Math.floor(x * inv)},${Math.floor(z * inv)}`)
+    if (boulders) {
+      for (const boulder of boulders) {
+        const dx = x - boulder.x
+        const dz = z - boulder.z
+        const d = boulder.size * boulder.size - dx * dx - dz * dz
+        if (d > 0) y = Math.max(y, boulder.y + Math.sqrt(d))
+      }
+    }
+    
+    return y + this.config.crawlClearance
+  }
+  
+  /**
+   * Grid point an NPC heads for - crawlers go to the ground beneath it
+   * @returns {{x, y, z}} A shared scratch vector for CRAWL, else the grid point
+   */
+  getWaypoint(npc, pointIdx) {
+    const point = this.points[pointIdx]
+    if (!point || npc.locomotion !== Locomotion.CRAWL || !this.layout) return point
+    
+    _waypoint.x = point.x
+    _waypoint.y = this.crawlHeight(point.x, point.z)
+    _waypoint.z = point.z
+    return _waypoint
+  }
+  
+  /**
+   * Seconds of simulated time (currents and pulses run on this)
+   */
+  getTime() {
+    return this.tickCount / this.config.tickRate
+  }
+  
+  // ============================================================================
+  // SPAWNING
+  // ============================================================================
+  
+  /**
+   * Spawn the starting population
+   * @returns {{ spawned: number, schools: number }}
+   */
+  spawnInitial() {
+    const spawned = this.fill(this.config.targetPopulation)
+    console.log(`[NPCSimulation] Spawned ${spawned} NPCs (${this.schools.size} schools) from ${this.species.length} species`)
+    return { spawned, schools: this.schools.size }
+  }
+  
+  /**
+   * Spawn a mix of schools and individuals
+   * @param {number} count - How many NPCs to add (schools may overshoot slightly)
+   * @returns {number} NPCs spawned
+   */
+  fill(count) {
+    const { schoolChance, schoolSize } = this.config
+    let spawned = 0
+    
+    while (spawned < count) {
+      if (this.rng.chance(schoolChance) && count - spawned >= schoolSize.min) {
+        const result = this.spawnSchool()
+        spawned += result ? Math.max(result.count, 1) : 1
+      } else {
+        if (this.spawnOne()) spawned++
+        else break
+      }
+    }
+    
+    return spawned
+  }
+  
+  /**
+   * Species for a new NPC or school - grazers make up grazerShare of them
+   * however few grazer species there are, so hunters have something to eat
+   * @param {object[]} candidates - this.species or this.schoolingSpecies
+   * @returns {object}
+   */
+  pickSpecies(candidates) {
+    const grazer = this.rng.chance(this.config.grazerShare)
+    const pool = candidates.filter(c => (getDiet(c).diet !== DIET.CARNIVORE) === grazer)
+    return this.rng.pick(pool.length > 0 ? pool : candidates)
+  }
+  
+  spawnSchool() {
+    if (this.points.length === 0 || this.schoolingSpecies.length === 0) return null
+    
+    const creature = this.pickSpecies(this.schoolingSpecies)
+    const variant = this.rng.index(creature.variants)
+    const { gridIdx: startIdx, home, habitat } = this.placeSpawn(creature.class)
+    
+    const { min, max } = this.config.schoolSize
+    const size = min + this.rng.rangeInt(0, max - min + 1)
+    
+    // Members start on the leader's point and the points around it
+    const used = new Set([startIdx])
+    const indices = [startIdx]
+    
+    for (const neighborIdx of this.adjacency[startIdx]) {
+      if (indices.length >= size) break
+      if (used.has(neighborIdx)) continue
+      indices.push(neighborIdx)
+      used.add(neighborIdx)
+      
+      // Neighbors of neighbors for larger schools
+      for (const secondIdx of this.adjacency[neighborIdx]) {
+        if (indices.length >= size) break
+        if (!used.has(secondIdx)) {
+          indices.push(secondIdx)
+          used.add(secondIdx)
+        }
+      }
+    }
+    
+    const schoolId = `school_${this.schoolIdCounter++}`
+    const memberIds = []
+    
+    // Registered up front - followers look their school up as they spawn
+    const school = { leaderId: null, memberIds, creatureClass: creature.class }
+    this.schools.set(schoolId, school)
+    
+    for (let i = 0; i < size && i < indices.length; i++) {
+      const npc = this.spawnOne({
+        creatureClass: creature.class,
+        variant,
+        gridIdx: indices[i],
+        schoolId,
+        isLeader: i === 0,
+        volume: drawNPCVolume(this.rng, habitat.volume),
+        home,
+      })
+      if (!npc) continue
+      memberIds.push(npc.id)
+      if (npc.isLeader) school.leaderId = npc.id
+    }
+    
+    if (memberIds.length <= 1) {
+      this.schools.delete(schoolId)
+      
+      // A school of one is just a wanderer
+      if (memberIds.length === 1) {
+        const loner = this.npcs.get(memberIds[0])
+        loner.schoolId = null
+        loner.isLeader = false
+        loner.state = State.WANDER
+      }
+    }
+    
+    return { count: memberIds.length, schoolId }
+  }
+  
+  /**
+   * Spawn one NPC - always on a grid point
+   * Without a gridIdx it's placed in one of its habitats (placeSpawn), with
+   * that habitat's sizes, and calls the site home
+   * @param {object} [options] - { creatureClass, variant, gridIdx, schoolId, isLeader,
+   *   volume, home, newborn } - newborns start young and fed, the rest at a random age
+   * @returns {object|null} The NPC
+   */
+  spawnOne(options = {}) {
+    if (this.points.length === 0) return null
+    
+    const creature = options.creatureClass
+      ? this.species.find(c => c.class === options.creatureClass)
+      : this.pickSpecies(this.species)
+    if (!creature) return null
+    
+    const placement = options.gridIdx === undefined ? this.placeSpawn(creature.class) : null
+    
+    const {
+      variant = this.rng.index(creature.variants),
+      gridIdx = placement.gridIdx,
+      schoolId = null,
+      isLeader = false,
+      volume = drawNPCVolume(this.rng, placement?.habitat.volume),
+      home = placement ? placement.home : null,
+      newborn = false,
+    } = options
+    
+    const point = this.points[gridIdx]
+    const cfg = this.config
+    
+    // Bottom dwellers and drifters are slow
+    let speedMult = 1.0
+    if (BOTTOM_DWELLERS.has(creature.class)) speedMult = 0.3
+    else if (DRIFTERS.has(creature.class)) speedMult = 0.4
+    
+    const npc = {
+      id: `npc_${creature.type}_${this.npcIdCounter++}`,
+      type: creature.type,
+      class: creature.class,
+      variant,
+      seed: this.rng.rangeInt(0, 0xFFFFFFFF),  // Mesh seed (clients generate the creature from it)
+      volume,                                   // World volume for feeding [1, 1000] m^3
+      displayName: creature.displayName,
+      
+      // AI state
+      state: schoolId && !isLeader ? State.SCHOOL : State.WANDER,
+      schoolId,
+      isLeader,
+      threatId: null,
+      preyId: null,
+      
+      // Movement
+      position: { x: point.x, y: point.y, z: point.z },
+      rotationY: this.rng.rotation(),
+      direction: { x: 0, y: 0, z: 1 },
+      speed: cfg.baseSpeed * speedMult * this.rng.range(0.7, 0.7 + cfg.speedVariation),
+      baseSpeed: cfg.baseSpeed * speedMult * this.rng.range(0.7, 0.7 + cfg.speedVariation),
+      
+      // Each creature has its own bias - makes them turn less
+      preferredDirection: normalize({
+        x: this.rng.plusMinus(0.5),
+        y: this.rng.plusMinus(0.5) * 0.3,  // Less vertical bias
+        z: this.rng.plusMinus(0.5),
+      }),
+      
+      isBottomDweller: BOTTOM_DWELLERS.has(creature.class),
+      isDrifter: DRIFTERS.has(creature.class),
+      
+      // Grid path (array of grid indices)
+      path: [],
+      pathIndex: 0,
+      currentGridIdx: gridIdx,
+      hashCell: null,
+    }
+    
+    this.initLocomotion(npc)
+    this.initLifeCycle(npc, home, newborn)
+    this.npcs.set(npc.id, npc)
+    this.updateHash(npc)
+    this.planPath(npc)
+    
+    this.onSpawnCallback?.(npc)
+    return npc
+  }
+  
+  /**
+   * Locomotion and its timers - crawlers start on the ground
+   */
+  initLocomotion(npc) {
+    const cfg = this.config
+    
+    npc.locomotion = getLocomotion(npc)
+    npc.pulsePhase = npc.locomotion === Locomotion.DRIFT ? this.rng.rotation() : 0
+    npc.breath = npc.locomotion === Locomotion.BREATHE
+      ? this.rng.range(cfg.breathInterval.min, cfg.breathInterval.max)
+      : 0
+    npc.lurkTimer = npc.locomotion === Locomotion.LURK ? this.rng.range(0, cfg.lurkTime.max) : 0
+    npc.denIdx = null
+    npc.surfaceTimer = 0
+    
+    // Flocking (school followers)
+    npc.velocity = { x: npc.direction.x * npc.speed, y: npc.direction.y * npc.speed, z: npc.direction.z * npc.speed }
+    npc.steer = { x: 0, y: 0, z: 0 }
+    npc.panicTimer = 0
+    npc.panicFrom = null
+    npc.threatCheckOffset = this.rng.index(this.config.threatCheckInterval)
+    
+    if (npc.locomotion === Locomotion.CRAWL && this.layout) {
+      npc.position.y = this.crawlHeight(npc.position.x, npc.position.z)
+    }
+  }
+  
+  // ============================================================================
+  // REMOVAL
+  // ============================================================================
+  
+  /**
+   * Remove an NPC
+   * @param {string} id
+   * @param {boolean} respawn - Top the population back up (false when clearing)
+   * @returns {object|null} The removed NPC
+   */
+  remove(id, respawn = true) {
+    const npc = this.npcs.get(id)
+    if (!npc) return null
+    
+    this.npcHash.get(npc.hashCell)?.delete(id)
+    this.activeChasers.delete(id)
+    this.npcs.delete(id)
+    if (npc.denIdx !== null) this.dens[npc.denIdx].occupant = null
+    
+    // NOTE: When respawn=false (clearing), skip leadership reassignment - every
+    // NPC goes anyway and replanning would spend random numbers for nothing
+    if (npc.schoolId) {
+      const school = this.schools.get(npc.schoolId)
+      if (school) {
+        school.memberIds = school.memberIds.filter(memberId => memberId !== id)
+        
+        if (respawn && school.leaderId === id && school.memberIds.length > 0) {
+          school.leaderId = school.memberIds[0]
+          const newLeader = this.npcs.get(school.leaderId)
+          if (newLeader) {
+            newLeader.isLeader = true
+            newLeader.state = State.WANDER
+            this.planPath(newLeader)
+          }
+        }
+        
+        if (school.memberIds.length <= 1) {
+          this.schools.delete(npc.schoolId)
+          const lastMember = this.npcs.get(school.memberIds[0])
+          if (lastMember) {
+            lastMember.schoolId = null
+            lastMember.isLeader = false
+            lastMember.state = State.WANDER
+          }
+        }
+      }
+    }
+    
+    if (respawn) this.maintainPopulation()
+    
+    return npc
+  }
+  
+  /**
+   * Respawn only below the floor - above it, breeding and dying set the numbers
+   */
+  maintainPopulation() {
+    const cfg = this.config
+    const needed = Math.ceil(cfg.targetPopulation * cfg.minPopulationRatio) - this.npcs.size
+    if (needed > 0) {
+      this.fill(needed)
+    }
+  }
+  
+  /**
+   * Remove every NPC (no respawn)
+   */
+  clear() {
+    for (const id of [...this.npcs.keys()]) {
+      this.remove(id, false)
+    }
+    this.activeChasers.clear()
+    this.lastSent.clear()
+  }
+  
+  // ============================================================================
+  // PATH PLANNING (only when the current path is complete)
+  // ============================================================================
+  
+  planPath(npc) {
+    // School followers copy the leader's path
+    if (npc.schoolId && !npc.isLeader) {
+      this.planSchoolFollowerPath(npc)
+      return
+    }
+    
+    npc.currentGridIdx = this.findNearestGridIndex(npc.position)
+    
+    const threat = this.findNearestThreat(npc)
+    if (threat) {
+      npc.state = State.FLEE
+      npc.threatId = threat.id
+      npc.preyId = null
+      npc.speed = npc.baseSpeed * 1.5
+      this.activeChasers.delete(npc.id)
+      this.buildPath(npc, threat.position, true)
+      return
+    }
+    
+    const prey = this.huntPrey(npc)
+    if (prey) {
+      this.startChase(npc, prey)
+      return
+    }
+    
+    if (npc.locomotion === Locomotion.LURK && npc.lurkTimer <= 0 && this.claimDen(npc)) {
+      // Head for the den - moveNPC() tucks it in once it's close
+      npc.state = State.WANDER
+      npc.threatId = null
+      npc.preyId = null
+      npc.speed = npc.baseSpeed
+      this.activeChasers.delete(npc.id)
+      this.buildPath(npc, this.points[this.dens[npc.denIdx].gridIdx], false)
+      return
+    }
+    
+    npc.state = State.WANDER
+    npc.threatId = null
+    npc.preyId = null
+    npc.speed = npc.baseSpeed
+    this.activeChasers.delete(npc.id)
+    
+    this.buildPath(npc, null, false)
+  }
+  
+  startChase(npc, prey) {
+    npc.state = State.CHASE
+    npc.preyId = prey.id
+    npc.threatId = null
+    npc.speed = npc.baseSpeed * 1.3
+    this.activeChasers.add(npc.id)
+    
+    // Aim where the prey will be
+    let target = prey.position
+    if (prey.path.length > 0 && prey.pathIndex < prey.path.length) {
+      target = this.points[prey.path[Math.min(prey.pathIndex + 5, prey.path.length - 1)]]
+    }
+    this.buildPath(npc, target, false)
+  }
+  
+  /**
+   * Plan `pathLength` grid steps, optionally biased toward (or away from) a target
+   * The first step is scored from the NPC's actual position, not its grid
+   * point (which may be behind it)
+   */
+  buildPath(npc, target, avoid) {
+    const cfg = this.config
+    const path = []
+    
+    let currentIdx = this.findNearestGridIndex(npc.position)
+    npc.currentGridIdx = currentIdx
+    
+    const forwardDir = { x: npc.direction.x, y: npc.direction.y, z: npc.direction.z }
+    if (!target && dot(forwardDir, forwardDir) < 0.01) {
+      forwardDir.x = this.rng.plusMinus(0.5)
+      forwardDir.y = 0
+      forwardDir.z = this.rng.plusMinus(0.5)
+      normalize(forwardDir)
+    }
+    
+    const neighbors = this.adjacency[currentIdx]
+    if (neighbors && neighbors.length > 0) {
+      if (target) {
+        directionTo(_v2, avoid ? target : npc.position, avoid ? npc.position : target)
+      }
+      
+      let bestIdx = neighbors[0]
+      let bestScore = -Infinity
+      
+      for (const neighborIdx of neighbors) {
+        directionTo(_v1, npc.position, this.points[neighborIdx])
+        
+        let score
+        if (target) {
+          // Toward prey / away from threat, keeping some momentum
+          score = dot(_v1, _v2) * cfg.targetBias + dot(forwardDir, _v1) * 2
+        } else {
+          score = dot(forwardDir, _v1) * 3
+          if (cfg.preferredDirBias > 0) {
+            score += dot(npc.preferredDirection, _v1) * cfg.preferredDirBias
+          }
+        }
+        score += this.locomotionBias(npc, npc.position, _v1)
+        score += this.homeBias(npc, npc.position, _v1)
+        score += this.rng.random() * cfg.randomness
+        
+        if (score > bestScore) {
+          bestScore = score
+          bestIdx = neighborIdx
+        }
+      }
+      
+      path.push(bestIdx)
+      directionTo(forwardDir, this.points[currentIdx], this.points[bestIdx])
+      currentIdx = bestIdx
+    }
+    
+    for (let i = path.length; i < cfg.pathLength; i++) {
+      const nextIdx = this.pickNextStep(currentIdx, forwardDir, target, avoid, npc)
+      path.push(nextIdx)
+      directionTo(forwardDir, this.points[currentIdx], this.points[nextIdx])
+      currentIdx = nextIdx
+    }
+    
+    npc.path = path
+    npc.pathIndex = 0
+    
+    this.onPathCallback?.(npc)
+  }
+  
+  /**
+   * Pick the next grid step from a neighbor set
+   */
+  pickNextStep(currentIdx, forwardDir, biasTarget, avoidTarget, npc) {
+    const neighbors = this.adjacency[currentIdx]
+    if (!neighbors || neighbors.length === 0) {
+      return this.randomGridIndex()
+    }
+    
+    const cfg = this.config
+    const currentPos = this.points[currentIdx]
+    
+    const targetDir = biasTarget && cfg.targetBias > 0
+      ? directionTo(_v2, currentPos, biasTarget)
+      : null
+    
+    let bestIdx = neighbors[0]
+    let bestScore = -Infinity
+    
+    for (const neighborIdx of neighbors) {
+      directionTo(_v1, currentPos, this.points[neighborIdx])
+      
+      let score = 0
+      
+      // Creature's personal tendency (makes them turn less)
+      if (cfg.preferredDirBias > 0) {
+        score += dot(npc.preferredDirection, _v1) * cfg.preferredDirBias
+      }
+      
+      score += this.locomotionBias(npc, currentPos, _v1)
+      score += this.homeBias(npc, currentPos, _v1)
+      
+      if (cfg.forwardBias > 0) {
+        score += dot(forwardDir, _v1) * cfg.forwardBias
+      }
+      
+      // Chase / flee
+      if (targetDir) {
+        const targetDot = dot(_v1, targetDir)
+        score += avoidTarget ? -targetDot * cfg.targetBias : targetDot * cfg.targetBias
+      }
+      
+      if (cfg.randomness > 0) {
+        score += this.rng.random() * cfg.randomness
+      }
+      
+      if (score > bestScore) {
+        bestScore = score
+        bestIdx = neighborIdx
+      }
+    }
+    
+    return bestIdx
+  }
+  
+  /**
+   * Extra score for a grid step: crawlers keep level, drifters go with the current
+   * @param {object} npc
+   * @param {{x, y, z}} from - Where the step starts
+   * @param {{x, y, z}} stepDir - Unit direction of the step
+   * @returns {number}
+   */
+  locomotionBias(npc, from, stepDir) {
+    if (npc.locomotion === Locomotion.CRAWL) {
+      return -Math.abs(stepDir.y) * this.config.crawlClimbPenalty
+    }
+    if (npc.locomotion === Locomotion.DRIFT) {
+      sampleCurrent(_current, from.x, from.z, this.getTime())
+      return dot(stepDir, _current) * this.config.currentBias
+    }
+    return 0
+  }
+  
+  /**
+   * Extra score for a wanderer's grid step back toward its home site - only
+   * once the step starts outside the site or the habitat's depth
+   * @returns {number}
+   */
+  homeBias(npc, from, stepDir) {
+    if (npc.home === null || npc.state !== State.WANDER) return 0
+    
+    const site = this.sites[npc.home]
+    const dx = site.x - from.x
+    const dz = site.z - from.z
+    const outside = dx * dx + dz * dz > site.radius * site.radius
+    
+    // Too deep is positive - back up
+    const { depth } = HABITATS[site.type]
+    const d = this.getDepth(from)
+    const dy = d === null ? 0 : d - Math.min(depth.max, Math.max(depth.min, d))
+    if (!outside && dy === 0) return 0
+    
+    _home.x = outside ? dx : 0
+    _home.y = dy
+    _home.z = outside ? dz : 0
+    normalize(_home)
+    return dot(stepDir, _home) * this.config.homeBias
+  }
+  
+  /**
+   * School followers have no path of their own - they flock (see steerFollower)
+   */
+  planSchoolFollowerPath(npc) {
+    if (!this.schools.has(npc.schoolId)) {
+      npc.state = State.WANDER
+      npc.schoolId = null
+      this.buildPath(npc, null, false)
+      return
+    }
+    
+    npc.state = npc.panicTimer > 0 ? State.FLEE : State.SCHOOL
+    npc.path = []
+    npc.pathIndex = 0
+  }
+  
+  // ============================================================================
+  // THREAT / PREY DETECTION
+  // ============================================================================
+  
+  /**
+   * Nearest NPC or player that could eat this NPC
+   * @returns {{ id, position, volume }|null}
+   */
+  findNearestThreat(npc) {
+    const range = this.config.fleeRange
+    let nearest = null
+    let nearestDistSq = range * range
+    
+    this.forEachNearby(npc.position, range, (other) => {
+      if (other.id === npc.id || !canEatCreature(other, npc, other.volume, npc.volume)) return
+      
+      const d = distanceSq(npc.position, other.position)
+      if (d < nearestDistSq) {
+        nearestDistSq = d
+        nearest = other
+      }
+    })
+    
+    for (const player of this.players) {
+      if (!canEatCreature(player, npc, player.volume, npc.volume)) continue
+      
+      const d = distanceSq(npc.position, player.position)
+      if (d < nearestDistSq) {
+        nearestDistSq = d
+        nearest = player
+      }
+    }
+    
+    return nearest
+  }
+  
+  /**
+   * Look for a meal - the hungrier the NPC, the more likely it bothers
+   * @returns {object|null} Prey to chase
+   */
+  huntPrey(npc) {
+    if (!this.rng.chance(Math.min(1, npc.hunger / this.config.huntHunger))) return null
+    return this.findNearestPrey(npc)
+  }
+  
+  /**
+   * Nearest NPC this NPC can eat - preferred prey (Diet.js) counts as closer
+   * NPCs hidden in a den can't be found
+   * @param {object} npc
+   * @param {number} [range] - Defaults to chaseRange
+   * @returns {object|null}
+   */
+  findNearestPrey(npc, range = this.config.chaseRange) {
+    const preferredScale = 1 / (DIET_RULES.preferredPreyWeight * DIET_RULES.preferredPreyWeight)
+    let nearest = null
+    let nearestDistSq = range * range
+    
+    this.forEachNearby(npc.position, range, (other) => {
+      if (other.id === npc.id || other.state === State.HIDE) return
+      if (!canEatCreature(npc, other, npc.volume, other.volume)) return
+      
+      let d = distanceSq(npc.position, other.position)
+      if (prefersPrey(npc, other)) d *= preferredScale
+      if (d < nearestDistSq) {
+        nearestDistSq = d
+        nearest = other
+      }
+    })
+    
+    return nearest
+  }
+  
+  // ============================================================================
+  // UPDATE (fixed timestep)
+  // ============================================================================
+  
+  /**
+   * Run one simulation tick
+   * @param {number} dt - Fixed tick duration (seconds)
+   * @param {Array<{id, position, volume, type, class}>} [players] - In-game players (threats)
+   */
+  tick(dt, players = []) {
+    this.players = players
+    this.tickCount++
+    
+    // Followers all steer from where everyone was at the start of the tick,
+    // so the result doesn't depend on update order
+    for (const npc of this.npcs.values()) {
+      if (isFollower(npc)) this.steerFollower(npc, dt)
+    }
+    
+    for (const npc of this.npcs.values()) {
+      const moved = isFollower(npc) ? this.moveFollower(npc, dt) : this.moveNPC(npc, dt)
+      if (moved) {
+        this.updateHash(npc)
+      }
+    }
+    
+    this.checkPredation()
+    
+    // Life cycle once a second, newcomers every immigrationInterval
+    if (this.tickCount % this.config.tickRate === 0) {
+      this.updateLifeCycle(dt * this.config.tickRate)
+    }
+    if (this.tickCount % (this.config.immigrationInterval * this.config.tickRate) === 0) {
+      this.immigrate()
+    }
+  }
+  
+  /**
+   * One tick of movement, by locomotion
+   * @returns {boolean} True if the NPC moved
+   */
+  moveNPC(npc, dt) {
+    if (npc.state === State.HIDE) return this.updateHiding(npc, dt)
+    if (npc.state === State.SURFACE) return this.updateSurfacing(npc, dt)
+    
+    if (npc.locomotion === Locomotion.BREATHE && this.layout) {
+      npc.breath -= dt
+      // Out of air - go up, unless running for its life
+      if (npc.breath <= 0 && npc.state !== State.FLEE) {
+        this.startSurfacing(npc)
+        return false
+      }
+    }
+    
+    if (npc.locomotion === Locomotion.LURK) {
+      if (npc.denIdx !== null) {
+        // At the den's grid point, or passing close by
+        const den = this.dens[npc.denIdx]
+        const arrived = npc.currentGridIdx === den.gridIdx || distanceSq(npc.position, den) < this.spacing * this.spacing
+        if (npc.state === State.WANDER && arrived) {
+          this.startHiding(npc)
+          return false
+        }
+      } else {
+        npc.lurkTimer -= dt
+      }
+    }
+    
+    // Wanderers keep an eye out for prey between paths
+    if (npc.state === State.WANDER && (this.tickCount + npc.threatCheckOffset) % this.config.huntCheckInterval === 0) {
+      const prey = this.huntPrey(npc)
+      if (prey) this.startChase(npc, prey)
+    }
+    
+    return this.followPath(npc, dt)
+  }
+  
+  // ============================================================================
+  // FLOCKING (school followers)
+  // ============================================================================
+  
+  /**
+   * Boids steering for one follower: separation, alignment and cohesion with
+   * schoolmates in flockRadius, a pull toward the leader, and a push away from
+   * any threat. Startled followers drop the leader pull for panicTime, so the
+   * school splits around a predator and regroups once it's gone.
+   * Sets npc.steer - moveFollower() applies it
+   */
+  steerFollower(npc, dt) {
+    const cfg = this.config
+    const pos = npc.position
+    const school = this.schools.get(npc.schoolId)
+    const leader = school ? this.npcs.get(school.leaderId) : null
+    
+    // Threat check, staggered across followers
+    if ((this.tickCount + npc.threatCheckOffset) % cfg.threatCheckInterval === 0) {
+      const threat = this.findNearestThreat(npc)
+      if (threat) {
+        npc.panicTimer = cfg.panicTime
+        npc.panicFrom = { x: threat.position.x, y: threat.position.y, z: threat.position.z }
+        npc.threatId = threat.id
+      }
+    }
+    npc.panicTimer = Math.max(0, npc.panicTimer - dt)
+    const panicking = npc.panicTimer > 0
+    npc.state = panicking ? State.FLEE : State.SCHOOL
+    if (!panicking) npc.threatId = null
+    
+    const flockRadiusSq = cfg.flockRadius * cfg.flockRadius
+    const separationDistSq = cfg.separationDist * cfg.separationDist
+    const separation = zero(_separation)
+    const alignment = zero(_alignment)
+    const centroid = zero(_centroid)
+    let count = 0
+    
+    this.forEachNearby(pos, cfg.flockRadius, (other) => {
+      if (other === npc || other.schoolId !== npc.schoolId) return
+      
+      const d = distanceSq(pos, other.position)
+      if (d > flockRadiusSq) return
+      count++
+      
+      alignment.x += other.direction.x
+      alignment.y += other.direction.y
+      alignment.z += other.direction.z
+      centroid.x += other.position.x
+      centroid.y += other.position.y
+      centroid.z += other.position.z
+      
+      // Closer schoolmates push harder
+      if (d < separationDistSq && d > 0) {
+        separation.x += (pos.x - other.position.x) / d
+        separation.y += (pos.y - other.position.y) / d
+        separation.z += (pos.z - other.position.z) / d
+      }
+    })
+    
+    const desired = zero(_desired)
+    
+    if (count > 0) {
+      addScaled(desired, normalize(separation), cfg.separationWeight)
+      addScaled(desired, normalize(alignment), cfg.alignmentWeight)
+      
+      centroid.x /= count
+      centroid.y /= count
+      centroid.z /= count
+      const pull = Math.min(1, Math.sqrt(distanceSq(pos, centroid)) / cfg.flockRadius)
+      addScaled(desired, directionTo(_v1, pos, centroid), cfg.cohesionWeight * (panicking ? 0.3 : 1) * pull)
+    }
+    
+    let speed = leader ? leader.speed : npc.baseSpeed
+    
+    if (panicking) {
+      addScaled(desired, directionTo(_v1, npc.panicFrom, pos), cfg.panicWeight)
+      speed = npc.baseSpeed * 1.5
+    } else if (leader) {
+      // Catch up when left behind
+      const leaderDist = Math.sqrt(distanceSq(pos, leader.position))
+      addScaled(desired, directionTo(_v1, pos, leader.position), cfg.leaderWeight * Math.min(1, leaderDist / cfg.flockRadius))
+      if (leaderDist > cfg.flockRadius) speed *= 1.3
+    }
+    
+    if (dot(desired, desired) < 0.0001) {
+      desired.x = npc.direction.x
+      desired.y = npc.direction.y
+      desired.z = npc.direction.z
+    }
+    normalize(desired)
+    
+    // Steer = desired velocity - current velocity, capped
+    const steer = npc.steer
+    steer.x = desired.x * speed - npc.velocity.x
+    steer.y = desired.y * speed - npc.velocity.y
+    steer.z = desired.z * speed - npc.velocity.z
+    
+    const maxSteer = cfg.maxSteer * dt
+    const length = Math.sqrt(dot(steer, steer))
+    if (length > maxSteer) {
+      steer.x *= maxSteer / length
+      steer.y *= maxSteer / length
+      steer.z *= maxSteer / length
+    }
+  }
+  
+  /**
+   * Apply a follower's steering and move it
+   * @returns {boolean} True if the NPC moved
+   */
+  moveFollower(npc, dt) {
+    const cfg = this.config
+    const pos = npc.position
+    const velocity = npc.velocity
+    
+    velocity.x += npc.steer.x
+    velocity.y += npc.steer.y
+    velocity.z += npc.steer.z
+    
+    const speed = Math.sqrt(dot(velocity, velocity))
+    if (speed < 0.01) return false
+    
+    npc.speed = speed
+    npc.direction.x = velocity.x / speed
+    npc.direction.y = velocity.y / speed
+    npc.direction.z = velocity.z / speed
+    
+    pos.x += velocity.x * dt
+    pos.y += velocity.y * dt
+    pos.z += velocity.z * dt
+    
+    if (this.layout) {
+      if (npc.locomotion === Locomotion.DRIFT) {
+        sampleCurrent(_current, pos.x, pos.z, this.getTime())
+        pos.x += _current.x * cfg.currentStrength * dt
+        pos.z += _current.z * cfg.currentStrength * dt
+      }
+      this.keepInWater(pos)
+    }
+    
+    this.turnToward(npc, dt)
+    return true
+  }
+  
+  /**
+   * Push an off-grid position out of the floor, boulders and air
+   */
+  keepInWater(pos) {
+    const margin = this.config.waterMargin
+    
+    const inv = this.invHashCellSize
+    const boulders = this.boulderCells.get(`${Math.floor(pos.x * inv)},${Math.floor(pos.z * inv)}`)
+    if (boulders) {
+      for (const boulder of boulders) {
+        const radius = boulder.size + margin
+        const d = Math.sqrt(distanceSq(pos, boulder))
+        if (d < radius && d > 0.01) {
+          pos.x = boulder.x + (pos.x - boulder.x) * radius / d
+          pos.y = boulder.y + (pos.y - boulder.y) * radius / d
+          pos.z = boulder.z + (pos.z - boulder.z) * radius / d
+        }
+      }
+    }
+    
+    const floor = this.layout.getHeight(pos.x, pos.z) + margin
+    const ceiling = this.layout.ceilingY - margin
+    pos.y = Math.min(ceiling, Math.max(floor, pos.y))
+  }
+  
+  // ============================================================================
+  // DENS (lurkers)
+  // ============================================================================
+  
+  /**
+   * Reserve the nearest free den within lurkRange
+   * @returns {boolean} False if there's none
+   */
+  claimDen(npc) {
+    if (npc.denIdx !== null) return true
+    
+    const range = this.config.lurkRange
+    let nearestIdx = -1
+    let nearestDistSq = range * range
+    
+    for (let i = 0; i < this.dens.length; i++) {
+      const den = this.dens[i]
+      if (den.occupant !== null) continue
+      
+      const d = distanceSq(npc.position, den)
+      if (d < nearestDistSq) {
+        nearestDistSq = d
+        nearestIdx = i
+      }
+    }
+    
+    if (nearestIdx === -1) return false
+    
+    this.dens[nearestIdx].occupant = npc.id
+    npc.denIdx = nearestIdx
+    return true
+  }
+  
+  startHiding(npc) {
+    npc.state = State.HIDE
+    npc.preyId = null
+    npc.threatId = null
+    npc.path = []
+    npc.pathIndex = 0
+    npc.lurkTimer = this.rng.range(this.config.lurkTime.min, this.config.lurkTime.max)
+    this.activeChasers.delete(npc.id)
+  }
+  
+  /**
+   * Slip into the den and wait - out when time's up or prey swims past
+   * @returns {boolean} True if the NPC moved
+   */
+  updateHiding(npc, dt) {
+    const den = this.dens[npc.denIdx]
+    const moved = this.moveStraight(npc, den, npc.baseSpeed, dt)
+    
+    // Face out of the crevice
+    npc.direction.x = den.outX
+    npc.direction.y = 0
+    npc.direction.z = den.outZ
+    this.turnToward(npc, dt)
+    
+    npc.lurkTimer -= dt
+    
+    // Ambush check twice a second
+    const ambush = this.tickCount % 10 === 0 && this.findNearestPrey(npc, this.config.ambushRange)
+    if (npc.lurkTimer <= 0 || ambush) {
+      den.occupant = null
+      npc.denIdx = null
+      npc.lurkTimer = this.rng.range(this.config.lurkTime.min, this.config.lurkTime.max)
+      npc.state = State.WANDER
+      this.planPath(npc)
+    }
+    
+    return moved
+  }
+  
+  // ============================================================================
+  // SURFACING (mammals)
+  // ============================================================================
+  
+  startSurfacing(npc) {
+    npc.state = State.SURFACE
+    npc.preyId = null
+    npc.threatId = null
+    npc.path = []
+    npc.pathIndex = 0
+    npc.surfaceTimer = this.config.breathTime
+    this.activeChasers.delete(npc.id)
+  }
+  
+  /**
+   * Straight up to just under the water level, breathe, then back to the grid
+   * @returns {boolean} True if the NPC moved
+   */
+  updateSurfacing(npc, dt) {
+    _v2.x = npc.position.x
+    _v2.y = this.layout.ceilingY - this.config.surfaceDepth
+    _v2.z = npc.position.z
+    
+    if (npc.position.y < _v2.y - 0.5) {
+      return this.moveStraight(npc, _v2, npc.baseSpeed, dt)
+    }
+    
+    npc.surfaceTimer -= dt
+    if (npc.surfaceTimer <= 0) {
+      npc.breath = this.rng.range(this.config.breathInterval.min, this.config.breathInterval.max)
+      npc.state = State.WANDER
+      this.planPath(npc)
+    }
+    
+    return false
+  }
+  
+  /**
+   * Move toward a point off the grid (dens, the surface)
+   * @returns {boolean} True if the NPC moved
+   */
+  moveStraight(npc, target, speed, dt) {
+    const pos = npc.position
+    const dx = target.x - pos.x
+    const dy = target.y - pos.y
+    const dz = target.z - pos.z
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    if (dist < 0.1) return false
+    
+    const move = Math.min(speed * dt, dist)
+    pos.x += dx / dist * move
+    pos.y += dy / dist * move
+    pos.z += dz / dist * move
+    return true
+  }
+  
+  /**
+   * Move an NPC along its grid path
+   * @returns {boolean} True if it moved
+   */
+  followPath(npc, dt) {
+    const cfg = this.config
+    const path = npc.path
+    
+    if (npc.pathIndex >= path.length) {
+      this.planPath(npc)
+      return false
+    }
+    
+    const target = this.getWaypoint(npc, path[npc.pathIndex])
+    if (!target) {
+      this.planPath(npc)
+      return false
+    }
+    
+    const pos = npc.position
+    const dx = target.x - pos.x
+    const dy = target.y - pos.y
+    const dz = target.z - pos.z
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz)
+    
+    // Arrived at grid point?
+    if (dist < cfg.waypointArrivalDist) {
+      npc.currentGridIdx = path[npc.pathIndex]
+      npc.pathIndex++
+      
+      if (npc.pathIndex >= path.length) {
+        return false
+      }
+      
+      // Face the next target for a smooth transition
+      directionTo(npc.direction, pos, this.getWaypoint(npc, path[npc.pathIndex]))
+      return true
+    }
+    
+    // Move DIRECTLY toward the target (not the lerped direction) so NPCs stay on the grid
+    if (dist > 0.01) {
+      _v1.x = dx / dist
+      _v1.y = dy / dist
+      _v1.z = dz / dist
+      
+      // Frame-rate independent turn toward the target
+      const lerpFactor = 1 - Math.pow(0.001, dt)
+      const dir = npc.direction
+      dir.x += (_v1.x - dir.x) * lerpFactor
+      dir.y += (_v1.y - dir.y) * lerpFactor
+      dir.z += (_v1.z - dir.z) * lerpFactor
+      normalize(dir)
+      
+      // Drifters only make headway on the pulse
+      let speed = npc.speed
+      if (npc.locomotion === Locomotion.DRIFT) {
+        const pulse = Math.max(0, Math.sin(npc.pulsePhase + this.getTime() * cfg.pulseRate))
+        speed *= cfg.pulseMinSpeed + (1 - cfg.pulseMinSpeed) * pulse
+      }
+      
+      // Don't overshoot
+      const move = Math.min(speed * dt, dist - 1)
+      pos.x += _v1.x * move
+      pos.y += _v1.y * move
+      pos.z += _v1.z * move
+    }
+    
+    if (this.layout) {
+      if (npc.locomotion === Locomotion.CRAWL) {
+        pos.y = this.crawlHeight(pos.x, pos.z)
+      } else if (npc.locomotion === Locomotion.DRIFT) {
+        sampleCurrent(_current, pos.x, pos.z, this.getTime())
+        pos.x += _current.x * cfg.currentStrength * dt
+        pos.z += _current.z * cfg.currentStrength * dt
+      }
+    }
+    
+    this.turnToward(npc, dt)
+    return true
+  }
+  
+  /**
+   * Turn to face the movement direction (capped turn rate)
+   */
+  turnToward(npc, dt) {
+    const cfg = this.config
+    const dir = npc.direction
+    if (dir.x * dir.x + dir.z * dir.z > 0.001) {
+      const targetRot = Math.atan2(dir.x, dir.z) + Math.PI
+      let angleDiff = targetRot - npc.rotationY
+      
+      if (angleDiff > Math.PI) angleDiff -= Math.PI * 2
+      else if (angleDiff < -Math.PI) angleDiff += Math.PI * 2
+      
+      const maxTurn = cfg.turnRate * dt
+      if (angleDiff > maxTurn) angleDiff = maxTurn
+      else if (angleDiff < -maxTurn) angleDiff = -maxTurn
+      
+      npc.rotationY += angleDiff
+    }
+  }
+  
+  // ============================================================================
+  // LIFE CYCLE (once a second)
+  // ============================================================================
+  
+  /**
+   * Hunger, age and home - newborns start young and fed, everyone else at a
+   * random age so the first population doesn't die out all at once
+   * @param {object} npc
+   * @param {number|null} home - Site index (null = roams the open water)
+   * @param {boolean} newborn
+   */
+  initLifeCycle(npc, home, newborn) {
+    const cfg = this.config
+    
+    npc.isGrazer = getDiet(npc).diet !== DIET.CARNIVORE
+    const { breedInterval } = npc.isGrazer ? cfg.grazer : cfg.hunter
+    npc.lifespan = this.rng.range(cfg.lifespan.min, cfg.lifespan.max)
+    npc.age = newborn ? 0 : this.rng.range(0, npc.lifespan)
+    npc.hunger = newborn ? 0 : this.rng.range(0, cfg.huntHunger)
+    npc.breedTimer = newborn ? breedInterval : this.rng.range(0, breedInterval)
+    npc.reportedVolume = npc.volume
+    npc.home = home
+  }
+  
+  /**
+   * Feed, starve, age and breed every NPC
+   * Grazers (herbivores, filter feeders) compete with each other for food;
+   * hunters live on what they catch plus small fry that keeps up with the
+   * grazers, so more grazers feed more hunters and more hunters starve sooner.
+   * Each species also crowds its own niche - a common species feeds and
+   * breeds less, so no single one takes over the ocean
+   * @param {number} dt - Seconds since the last update
+   */
+  updateLifeCycle(dt) {
+    const cfg = this.config
+    
+    let grazers = 0
+    const perSpecies = new Map()
+    for (const npc of this.npcs.values()) {
+      if (npc.isGrazer) grazers++
+      perSpecies.set(npc.class, (perSpecies.get(npc.class) || 0) + 1)
+    }
+    const hunters = this.npcs.size - grazers
+    
+    const grazeShare = Math.max(0, 1 - grazers / (cfg.targetPopulation * cfg.carryingCapacity))
+    const forageShare = Math.min(1, grazers / Math.max(1, hunters * cfg.preyPerHunter))
+    const nicheSize = cfg.targetPopulation * cfg.speciesCapacity
+    
+    const deaths = []
+    const parents = []
+    
+    for (const npc of this.npcs.values()) {
+      const tier = npc.isGrazer ? cfg.grazer : cfg.hunter
+      
+      // Whichever runs out first - the food its tier shares, or its own species' niche
+      const niche = Math.max(0, 1 - perSpecies.get(npc.class) / nicheSize)
+      const food = npc.isGrazer
+        ? cfg.grazeRate * Math.min(grazeShare, niche)
+        : cfg.forageRate * Math.min(forageShare, niche)
+      npc.hunger = Math.min(1, Math.max(0, npc.hunger + (1 - food) * dt / tier.hungerTime))
+      npc.age += dt
+      
+      if (npc.age >= npc.lifespan) {
+        deaths.push({ npc, cause: DeathCause.OLD_AGE })
+        continue
+      }
+      
+      // Starving - lives off its own body until there's nothing left
+      if (npc.hunger >= 1) {
+        npc.volume *= 1 - cfg.starveShrinkRate * dt
+        if (npc.volume < VOLUME_LIMITS.MIN) {
+          deaths.push({ npc, cause: DeathCause.STARVED })
+          continue
+        }
+        if (Math.abs(npc.volume - npc.reportedVolume) > npc.reportedVolume * cfg.resizeThreshold) {
+          npc.reportedVolume = npc.volume
+          this.onResizeCallback?.(npc)
+        }
+      }
+      
+      // Breeds when well fed - and more often the more food is around
+      npc.breedTimer -= dt
+      if (npc.breedTimer <= 0) {
+        npc.breedTimer = tier.breedInterval
+        if (npc.hunger <= cfg.breedHunger && this.isHome(npc) && this.rng.chance(cfg.breedChance * Math.min(1, food))) {
+          parents.push(npc)
+        }
+      }
+    }
+    
+    for (const { npc, cause } of deaths) {
+      this.remove(npc.id, true)
+      this.onDeathCallback?.(npc, cause)
+    }
+    
+    const maxPopulation = cfg.targetPopulation * cfg.maxPopulationRatio
+    for (const parent of parents) {
+      if (this.npcs.size >= maxPopulation) break
+      if (this.npcs.has(parent.id)) this.breed(parent)
+    }
+  }
+  
+  /**
+   * One newcomer from the open ocean while the population is below target -
+   * species that died out here (or never lived here) get to move in
+   */
+  immigrate() {
+    if (this.npcs.size < this.config.targetPopulation) {
+      this.fill(1)
+    }
+  }
+  
+  /**
+   * One offspring on the parent's grid point - same species and variant, a
+   * fraction of its size, and in its school if it has one
+   * @returns {object|null} The offspring
+   */
+  breed(parent) {
+    const cfg = this.config
+    const school = parent.schoolId ? this.schools.get(parent.schoolId) : null
+    
+    const child = this.spawnOne({
+      creatureClass: parent.class,
+      variant: parent.variant,
+      gridIdx: this.findNearestGridIndex(parent.position),
+      schoolId: school ? parent.schoolId : null,
+      volume: Math.max(VOLUME_LIMITS.MIN, parent.volume * cfg.offspringRatio),
+      home: parent.home,
+      newborn: true,
+    })
+    if (!child) return null
+    
+    if (school) school.memberIds.push(child.id)
+    parent.hunger = Math.min(1, parent.hunger + cfg.breedCost)
+    return child
+  }
+  
+  // ============================================================================
+  // PREDATION (only checks active chasers)
+  // ============================================================================
+  
+  checkPredation() {
+    if (this.activeChasers.size === 0) return
+    
+    const eatRangeSq = this.config.eatRange * this.config.eatRange
+    const meals = []
+    
+    for (const predatorId of this.activeChasers) {
+      const predator = this.npcs.get(predatorId)
+      if (!predator || !predator.preyId) continue
+      
+      const prey = this.npcs.get(predator.preyId)
+      if (!prey) {
+        predator.preyId = null
+        continue
+      }
+      
+      // Both grow while the chase is on - drop prey that's no longer edible (or hid)
+      if (prey.state === State.HIDE || !canEatCreature(predator, prey, predator.volume, prey.volume)) {
+        predator.preyId = null
+        continue
+      }
+      
+      if (distanceSq(predator.position, prey.position) < eatRangeSq) {
+        meals.push({ predatorId, preyId: prey.id })
+      }
+    }
+    
+    for (const { predatorId, preyId } of meals) {
+      const predator = this.npcs.get(predatorId)
+      if (!predator || !this.npcs.has(preyId)) continue
+      
+      const prey = this.remove(preyId, true)
+      
+      // Linear additive growth, capped
+      const oldVolume = predator.volume
+      predator.volume = Math.min(oldVolume + prey.volume, this.config.maxVolume)
+      predator.reportedVolume = predator.volume
+      predator.hunger = Math.max(0, predator.hunger - this.config.satiation * prey.volume / oldVolume)
+      predator.preyId = null
+      
+      this.onEatCallback?.(predator, prey)
+    }
+  }
+  
+  // ============================================================================
+  // SAVE / RESTORE (server room persistence)
+  // ============================================================================
+  
+  /**
+   * Everything needed to pick the simulation up again after a restart
+   * Paths aren't saved - restoreState() replans them from where NPCs are
+   * @returns {object} Plain JSON-safe state
+   */
+  getState() {
+    const npcs = []
+    for (const npc of this.npcs.values()) {
+      npcs.push({
+        id: npc.id,
+        type: npc.type,
+        class: npc.class,
+        variant: npc.variant,
+        seed: npc.seed,
+        volume: npc.volume,
+        schoolId: npc.schoolId,
+        isLeader: npc.isLeader,
+        position: { ...npc.position },
+        rotationY: npc.rotationY,
+        baseSpeed: npc.baseSpeed,
+        preferredDirection: { ...npc.preferredDirection },
+        hunger: npc.hunger,
+        age: npc.age,
+        lifespan: npc.lifespan,
+        breedTimer: npc.breedTimer,
+        home: npc.home,
+      })
+    }
+    
+    const schools = []
+    for (const [id, school] of this.schools) {
+      schools.push({ id, leaderId: school.leaderId, memberIds: [...school.memberIds], creatureClass: school.creatureClass })
+    }
+    
+    return {
+      tick: this.tickCount,
+      rng: this.rng.getState(),
+      npcIdCounter: this.npcIdCounter,
+      schoolIdCounter: this.schoolIdCounter,
+      npcs,
+      schools,
+    }
+  }
+  
+  /**
+   * Replace the population with a saved one (see getState)
+   * NPCs of species that no longer exist are dropped. onSpawn is not called -
+   * nobody has seen these NPCs yet, clients get them in their full batch.
+   * @param {object} state
+   * @returns {number} NPCs restored
+   */
+  restoreState(state) {
+    this.clear()
+    this.schools.clear()
+    
+    this.tickCount = state.tick || 0
+    this.npcIdCounter = state.npcIdCounter || 0
+    this.schoolIdCounter = state.schoolIdCounter || 0
+    if (state.rng) this.rng.setState(state.rng)
+    
+    for (const saved of state.npcs || []) {
+      const creature = this.species.find(c => c.class === saved.class)
+      if (!creature) continue
+      
+      const npc = {
+        id: saved.id,
+        type: creature.type,
+        class: creature.class,
+        variant: Math.min(saved.variant, creature.variants - 1),
+        seed: saved.seed,
+        volume: saved.volume,
+        displayName: creature.displayName,
+        
+        state: State.WANDER,
+        schoolId: null,
+        isLeader: false,
+        threatId: null,
+        preyId: null,
+        
+        position: { ...saved.position },
+        rotationY: saved.rotationY,
+        direction: { x: 0, y: 0, z: 1 },
+        speed: saved.baseSpeed,
+        baseSpeed: saved.baseSpeed,
+        preferredDirection: { ...saved.preferredDirection },
+        
+        isBottomDweller: BOTTOM_DWELLERS.has(creature.class),
+        isDrifter: DRIFTERS.has(creature.class),
+        
+        path: [],
+        pathIndex: 0,
+        currentGridIdx: this.findNearestGridIndex(saved.position),
+        hashCell: null,
+      }
+      
+      this.initLocomotion(npc)
+      
+      // Saves from before the life cycle start it afresh
+      let home = saved.home
+      if (home === undefined || (home !== null && !this.sites[home])) {
+        home = this.findHome(creature.class, saved.position)
+      }
+      this.initLifeCycle(npc, home, false)
+      if (saved.age !== undefined) {
+        npc.hunger = saved.hunger
+        npc.age = saved.age
+        npc.lifespan = saved.lifespan
+        npc.breedTimer = saved.breedTimer
+      }
+      
+      this.npcs.set(npc.id, npc)
+      this.updateHash(npc)
+    }
+    
+    // Schools lose members whose species was dropped - the first survivor leads
+    for (const saved of state.schools || []) {
+      const memberIds = saved.memberIds.filter(id => this.npcs.has(id))
+      if (memberIds.length <= 1) continue
+      
+      const leaderId = memberIds.includes(saved.leaderId) ? saved.leaderId : memberIds[0]
+      this.schools.set(saved.id, { leaderId, memberIds, creatureClass: saved.creatureClass })
+      
+      for (const id of memberIds) {
+        const npc = this.npcs.get(id)
+        npc.schoolId = saved.id
+        npc.isLeader = id === leaderId
+        npc.state = npc.isLeader ? State.WANDER : State.SCHOOL
+      }
+    }
+    
+    // Leaders first - followers copy their path
+    for (const npc of this.npcs.values()) {
+      if (!npc.schoolId || npc.isLeader) this.planPath(npc)
+    }
+    for (const npc of this.npcs.values()) {
+      if (npc.schoolId && !npc.isLeader) this.planPath(npc)
+    }
+    
+    console.log(`[NPCSimulation] Restored ${this.npcs.size} NPCs (${this.schools.size} schools) at tick ${this.tickCount}`)
+    return this.npcs.size
+  }
+  
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+  
+  get(id) {
+    return this.npcs.get(id) || null
+  }
+  
+  getCount() {
+    return this.npcs.size
+  }
+  
+  /**
+   * Everything a client needs to create an NPC's mesh and place it
+   * @returns {{ id, type, class, variant, seed, volume, school, x, y, z, ry, st }}
+   */
+  getSpawnData(npc) {
+    return {
+      id: npc.id,
+      type: npc.type,
+      class: npc.class,
+      variant: npc.variant,
+      seed: npc.seed,
+      volume: npc.volume,
+      school: npc.schoolId,
+      x: npc.position.x,
+      y: npc.position.y,
+      z: npc.position.z,
+      ry: npc.rotationY,
+      st: StateToNumber[npc.state] || 0,
+    }
+  }
+  
+  getAllSpawnData() {
+    const result = []
+    for (const npc of this.npcs.values()) {
+      result.push(this.getSpawnData(npc))
+    }
+    return result
+  }
+  
+  // ============================================================================
+  // SNAPSHOTS
+  // ============================================================================
+  
+  /**
+   * Compact snapshot entry for one NPC
+   * @returns {{id, x, y, z, ry, gi, pi, st}}
+   */
+  getSnapshotEntry(npc) {
+    return {
+      id: npc.id,
+      x: npc.position.x,
+      y: npc.position.y,
+      z: npc.position.z,
+      ry: npc.rotationY,
+      gi: npc.currentGridIdx,
+      pi: npc.pathIndex,
+      st: StateToNumber[npc.state] || 0,
+    }
+  }
+  
+  /**
+   * Full snapshot of every NPC - also resets the delta baseline
+   * @returns {{tick: number, key: boolean, fish: Array}}
+   */
+  getKeyframe() {
+    const fish = []
+    this.lastSent.clear()
+    
+    for (const npc of this.npcs.values()) {
+      const entry = this.getSnapshotEntry(npc)
+      fish.push(entry)
+      this.lastSent.set(npc.id, entry)
+    }
+    
+    return { tick: this.tickCount, key: true, fish }
+  }
+  
+  /**
+   * Only the NPCs that changed since they were last sent
+   * An NPC is included when its path (grid/path index) or state changed, or
+   * its position/rotation drifted past the thresholds. NPCs removed since the
+   * last send are listed in `gone`.
+   *
+   * @param {number} positionThreshold - Minimum drift in meters
+   * @param {number} rotationThreshold - Minimum turn in radians
+   * @returns {{tick: number, key: boolean, fish: Array, gone: Array}}
+   */
+  getDelta(positionThreshold = 0.5, rotationThreshold = 0.2) {
+    const fish = []
+    const gone = []
+    const posThresholdSq = positionThreshold * positionThreshold
+    
+    for (const npc of this.npcs.values()) {
+      const entry = this.getSnapshotEntry(npc)
+      const last = this.lastSent.get(npc.id)
+      
+      if (last &&
+          last.gi === entry.gi &&
+          last.pi === entry.pi &&
+          last.st === entry.st) {
+        let angleDiff = entry.ry - last.ry
+        while (angleDiff > Math.PI) angleDiff -= Math.PI * 2
+        while (angleDiff < -Math.PI) angleDiff += Math.PI * 2
+        
+        if (distanceSq(entry, last) < posThresholdSq &&
+            Math.abs(angleDiff) < rotationThreshold) {
+          continue
+        }
+      }
+      
+      fish.push(entry)
+      this.lastSent.set(npc.id, entry)
+    }
+    
+    for (const id of this.lastSent.keys()) {
+      if (!this.npcs.has(id)) gone.push(id)
+    }
+    for (const id of gone) {
+      this.lastSent.delete(id)
+    }
+    
+    return { tick: this.tickCount, key: false, fish, gone }
+  }
+}
+
+export default NPCSimulation
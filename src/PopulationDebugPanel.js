@@ -0,0 +1,218 @@
+/**
+ * PopulationDebugPanel.js - Debug panel charting NPC population per species
+ *
+ * Draws FishAdder's population history (a sample every few seconds, the last
+ * 10 minutes) as one line per species - the most common ones - plus the total.
+ * Works in single-player and multiplayer: it counts the NPCs on screen.
+ *
+ * Usage:
+ *   import { togglePopulationPanel } from './PopulationDebugPanel.js'
+ *
+ *   // On O key press
+ *   togglePopulationPanel()
+ */
+
+import { FishAdder } from './FishAdder.js'
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  width: 420,
+  height: 220,
+  padding: 28,          // Room for axis labels
+  maxSpecies: 8,        // Lines drawn (most common species at the latest sample)
+  refreshInterval: 1000,
+}
+
+const COLORS = ['#ff6666', '#ffaa00', '#ffee55', '#88ff66', '#44ddff', '#6688ff', '#cc66ff', '#ff66aa']
+const TOTAL_COLOR = '#ffffff'
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+let panelElement = null
+let canvas = null
+let legendElement = null
+let isVisible = false
+let updateInterval = null
+
+// ============================================================================
+// PANEL CREATION
+// ============================================================================
+
+function createPanel() {
+  if (panelElement) return panelElement
+  
+  panelElement = document.createElement('div')
+  panelElement.id = 'population-debug-panel'
+  panelElement.style.cssText = `
+    position: fixed;
+    bottom: 20px;
+    right: 20px;
+    background: rgba(0, 0, 0, 0.9);
+    color: #00ff88;
+    padding: 15px;
+    border-radius: 8px;
+    font-family: 'Consolas', 'Monaco', monospace;
+    font-size: 12px;
+    z-index: 9999;
+    border: 1px solid #00ff8844;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+  `
+  
+  panelElement.innerHTML = `
+    <div style="
+      font-size: 16px;
+      font-weight: bold;
+      color: #ffffff;
+      margin-bottom: 10px;
+      padding-bottom: 8px;
+      border-bottom: 2px solid #00ff88;
+    ">
+      🐟 Population
+    </div>
+  `
+  
+  canvas = document.createElement('canvas')
+  canvas.width = CONFIG.width
+  canvas.height = CONFIG.height
+  canvas.style.display = 'block'
+  panelElement.appendChild(canvas)
+  
+  legendElement = document.createElement('div')
+  legendElement.style.cssText = 'margin-top: 8px; font-size: 11px; line-height: 1.5;'
+  panelElement.appendChild(legendElement)
+  
+  document.body.appendChild(panelElement)
+  return panelElement
+}
+
+function destroyPanel() {
+  if (panelElement) {
+    panelElement.remove()
+    panelElement = null
+    canvas = null
+    legendElement = null
+  }
+  if (updateInterval) {
+    clearInterval(updateInterval)
+    updateInterval = null
+  }
+}
+
+// ============================================================================
+// PANEL RENDERING
+// ============================================================================
+
+/**
+ * Species to draw - the most common at the latest sample
+ * @returns {string[]} Creature classes
+ */
+function pickSpecies(history) {
+  const latest = history[history.length - 1].counts
+  return Object.keys(latest)
+    .sort((a, b) => latest[b] - latest[a])
+    .slice(0, CONFIG.maxSpecies)
+}
+
+function drawLine(ctx, history, getValue, maxCount, color, lineWidth) {
+  const { width, height, padding } = CONFIG
+  const plotWidth = width - padding * 2
+  const plotHeight = height - padding * 2
+  const startTime = history[0].time
+  const span = Math.max(1, history[history.length - 1].time - startTime)
+  
+  ctx.strokeStyle = color
+  ctx.lineWidth = lineWidth
+  ctx.beginPath()
+  history.forEach((sample, i) => {
+    const x = padding + ((sample.time - startTime) / span) * plotWidth
+    const y = height - padding - (getValue(sample) / maxCount) * plotHeight
+    if (i === 0) ctx.moveTo(x, y)
+    else ctx.lineTo(x, y)
+  })
+  ctx.stroke()
+}
+
+function updatePanelContent() {
+  if (!panelElement || !isVisible) return
+  
+  const { width, height, padding } = CONFIG
+  const ctx = canvas.getContext('2d')
+  ctx.clearRect(0, 0, width, height)
+  
+  const history = FishAdder.getPopulationHistory()
+  if (history.length < 2) {
+    ctx.fillStyle = '#888'
+    ctx.font = '12px monospace'
+    ctx.fillText('Collecting samples...', padding, height / 2)
+    legendElement.innerHTML = ''
+    return
+  }
+  
+  const species = pickSpecies(history)
+  const maxCount = Math.max(1, ...history.map(sample => sample.total))
+  const minutes = (history[history.length - 1].time - history[0].time) / 60
+  
+  // Axes
+  ctx.strokeStyle = '#444'
+  ctx.lineWidth = 1
+  ctx.beginPath()
+  ctx.moveTo(padding, padding)
+  ctx.lineTo(padding, height - padding)
+  ctx.lineTo(width - padding, height - padding)
+  ctx.stroke()
+  
+  ctx.fillStyle = '#888'
+  ctx.font = '10px monospace'
+  ctx.fillText(String(maxCount), 4, padding + 4)
+  ctx.fillText('0', 4, height - padding + 4)
+  ctx.fillText(`-${minutes.toFixed(1)} min`, padding, height - 8)
+  ctx.fillText('now', width - padding - 18, height - 8)
+  
+  drawLine(ctx, history, sample => sample.total, maxCount, TOTAL_COLOR, 2)
+  species.forEach((creatureClass, i) => {
+    drawLine(ctx, history, sample => sample.counts[creatureClass] || 0, maxCount, COLORS[i % COLORS.length], 1)
+  })
+  
+  // Legend with current counts
+  const latest = history[history.length - 1]
+  let legend = `<span style="color: ${TOTAL_COLOR};">■ total ${latest.total}</span>`
+  species.forEach((creatureClass, i) => {
+    legend += ` &nbsp;<span style="color: ${COLORS[i % COLORS.length]};">■ ${creatureClass} ${latest.counts[creatureClass]}</span>`
+  })
+  legendElement.innerHTML = legend
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Toggle the population chart
+ * @returns {boolean} New visibility state
+ */
+export function togglePopulationPanel() {
+  isVisible = !isVisible
+  
+  if (isVisible) {
+    createPanel()
+    updatePanelContent()
+    updateInterval = setInterval(updatePanelContent, CONFIG.refreshInterval)
+  } else {
+    destroyPanel()
+  }
+  
+  return isVisible
+}
+
+/**
+ * Check if panel is visible
+ * @returns {boolean}
+ */
+export function isPopulationPanelVisible() {
+  return isVisible
+}
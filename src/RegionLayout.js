@@ -0,0 +1,126 @@
+/**
+ * RegionLayout.js - Where the regions are (no THREE)
+ *
+ * The region table and point lookups, shared by Regions.js (which spawns each
+ * region's corals, boulders and kelp) and the headless NPCSimulation (which
+ * turns regions into habitats - see Habitats.js).
+ *
+ * Usage:
+ *   import { REGIONS, getDominantRegion } from './RegionLayout.js'
+ *
+ *   getDominantRegion(x, z)   // Region containing the point with the most influence, or null
+ */
+
+// ============================================================================
+// REGION TYPES
+// ============================================================================
+
+export const RegionType = {
+  CORAL_REEF: 'coral_reef',
+  BOULDER_FIELD: 'boulder_field',
+  CORAL_GARDEN: 'coral_garden',     // Dense small corals
+  ROCKY_OUTCROP: 'rocky_outcrop',   // Mixed boulders and corals
+  KELP_FOREST: 'kelp_forest',       // Tall kelp plants
+  SEAGRASS_MEADOW: 'seagrass_meadow', // Short seagrass patches
+  TRENCH: 'trench',                 // Deep floor - found from the terrain, never listed in REGIONS
+  // Future types:
+  // SANDY_PLAINS: 'sandy_plains',
+  // THERMAL_VENT: 'thermal_vent',
+}
+
+// ============================================================================
+// REGION CONFIGURATION - EDIT HERE
+// ============================================================================
+// x, z     : World position of region center
+// type     : RegionType 
+// radius   : How far the region extends
+// density  : 0-1, how packed with content (1 = very dense)
+// seed     : Optional seed offset for this region
+// ============================================================================
+
+export const REGIONS = [
+  // Main coral reef - large area with diverse corals
+  { x: 0,    z: 0,    type: RegionType.CORAL_REEF,    radius: 120, density: 0.7 },
+  
+  // Secondary reef
+  { x: 200,  z: 150,  type: RegionType.CORAL_REEF,    radius: 80,  density: 0.6 },
+  
+  // Boulder field - rocky area
+  { x: -180, z: -120, type: RegionType.BOULDER_FIELD, radius: 100, density: 0.5 },
+  
+  // Coral garden - dense small corals
+  { x: 150,  z: -180, type: RegionType.CORAL_GARDEN,  radius: 60,  density: 0.9 },
+  
+  // Rocky outcrop - mixed
+  { x: -100, z: 200,  type: RegionType.ROCKY_OUTCROP, radius: 70,  density: 0.6 },
+  
+  // Another boulder field
+  { x: 250,  z: -50,  type: RegionType.BOULDER_FIELD, radius: 60,  density: 0.4 },
+  
+  // Kelp forests (mixed sizes)
+  { x: -250, z: 100,  type: RegionType.KELP_FOREST,   radius: 80,  density: 0.8 },
+  { x: 100,  z: 280,  type: RegionType.KELP_FOREST,   radius: 70,  density: 0.7 },
+  { x: -50,  z: -280, type: RegionType.KELP_FOREST,   radius: 90,  density: 0.9 },
+  
+  // Seagrass meadows (short grass patches)
+  { x: 280,  z: -200, type: RegionType.SEAGRASS_MEADOW, radius: 50, density: 0.8 },
+  { x: -300, z: -50,  type: RegionType.SEAGRASS_MEADOW, radius: 40, density: 0.7 },
+  { x: 50,   z: 180,  type: RegionType.SEAGRASS_MEADOW, radius: 35, density: 0.9 },
+]
+
+// ============================================================================
+// REGION UTILITIES
+// ============================================================================
+
+/**
+ * Get all regions that contain a point
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {Array} Regions containing this point
+ */
+export function getRegionsAt(x, z) {
+  const result = []
+  
+  for (const region of REGIONS) {
+    const dx = x - region.x
+    const dz = z - region.z
+    const distSq = dx * dx + dz * dz
+    
+    if (distSq <= region.radius * region.radius) {
+      const dist = Math.sqrt(distSq)
+      result.push({
+        ...region,
+        distance: dist,
+        // 1 at center, 0 at edge
+        influence: 1 - (dist / region.radius),
+      })
+    }
+  }
+  
+  return result
+}
+
+/**
+ * Check if a point is in any region
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {boolean}
+ */
+export function isInRegion(x, z) {
+  return getRegionsAt(x, z).length > 0
+}
+
+/**
+ * Get the dominant region at a point (highest influence)
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {object|null}
+ */
+export function getDominantRegion(x, z) {
+  const regions = getRegionsAt(x, z)
+  if (regions.length === 0) return null
+  
+  return regions.reduce((best, r) => 
+    r.influence > best.influence ? r : best
+  )
+}
@@ -20,27 +20,17 @@
  */
 
 import * as THREE from 'three'
-import { MeshRegistry, Category, Tag } from './MeshRegistry.js'
+import { MeshRegistry } from './MeshRegistry.js'
 import { Determine } from './determine.js'
+import { PLAYABLE_SPACE, classifyPoint, computePlayablePoints } from './WorldLayout.js'
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 const CONFIG = {
-  // Grid sampling
-  gridSpacing: 25,           // Distance between sample points (lower = more detailed)
-  verticalLayers: 5,         // Number of Y layers to sample
-  
-  // World dome (sphere boundary)
-  domeRadius: 500,           // Sky dome radius (from TerrainMaker)
-  domeMargin: 10,            // Stay this far inside the dome
-  
-  // Collision margins (extra padding around obstacles)
-  terrainMargin: 2,          // Units above terrain to consider "occupied"
-  boulderMargin: 2,          // Extra radius around boulders
-  coralMargin: 1,            // Extra radius around coral
-  ceilingMargin: 2,          // Units below water surface
+  // Grid sampling, dome and collision margins (shared with the server's NPC grid)
+  ...PLAYABLE_SPACE,
   
   // Visualization
   pointSize: 3,              // Size of debug dots
@@ -81,11 +71,8 @@ let analysisStats = null
 let debugPointCloud = null
 let isVisualized = false
 
-// World bounds (from registry)
-let worldBounds = null
-let floorY = -50
-let ceilingY = 30
-let terrainData = null
+// Map layout (from registry - see WorldLayout.js)
+let layout = null
 
 // ============================================================================
 // INITIALIZATION
@@ -117,130 +104,21 @@ function checkInit() {
   return true
 }
 
-// ============================================================================
-// DATA GATHERING
-// ============================================================================
-
-/**
- * Gather world bounds and terrain data from registry
- */
-function gatherWorldData() {
-  // Get world bounds from mapGroup
-  const mapGroup = MeshRegistry.get('mapGroup')
-  if (mapGroup?.metadata?.bounds) {
-    worldBounds = mapGroup.metadata.bounds
-  } else {
-    // Fallback defaults
-    worldBounds = {
-      minX: -500, maxX: 500,
-      minY: -50, maxY: 30,
-      minZ: -500, maxZ: 500
-    }
-  }
-  
-  // Get floor data
-  const floor = MeshRegistry.get('floor')
-  if (floor) {
-    floorY = floor.metadata?.yLevel ?? -50
-    terrainData = floor.mesh?.userData?.terrainData ?? null
-  }
-  
-  // Get ceiling (water surface)
-  const waterSurface = MeshRegistry.get('waterSurface')
-  if (waterSurface) {
-    ceilingY = waterSurface.metadata?.yLevel ?? 30
-  }
-  
-  console.log(`[SpawnFactory] World bounds: X(${worldBounds.minX} to ${worldBounds.maxX}), Y(${floorY} to ${ceilingY}), Z(${worldBounds.minZ} to ${worldBounds.maxZ})`)
-}
-
-/**
- * Gather all obstacles (boulders + coral) from registry
- * @returns {Array<{center: THREE.Vector3, radius: number, type: string}>}
- */
-function gatherObstacles() {
-  const result = []
-  
-  // Get all MAP category entities
-  const mapEntities = MeshRegistry.getByCategory(Category.MAP)
-  
-  for (const entity of mapEntities) {
-    // Check for boulders
-    if (entity.metadata?.type === 'obstacle') {
-      const pos = entity.mesh.position
-      const size = entity.metadata.size || 5
-      
-      result.push({
-        center: new THREE.Vector3(pos.x, pos.y, pos.z),
-        radius: size + CONFIG.boulderMargin,
-        type: 'boulder',
-        id: entity.id,
-      })
-    }
-  }
-  
-  // Get coral from lifeRing group
-  const lifeRing = MeshRegistry.get('lifeRing')
-  if (lifeRing?.mesh) {
-    lifeRing.mesh.traverse((child) => {
-      if (child.userData?.terrainType === 'coral') {
-        // Get world position of coral group
-        const worldPos = new THREE.Vector3()
-        child.getWorldPosition(worldPos)
-        
-        const baseSize = child.userData.baseSize || 10
-        
-        result.push({
-          center: worldPos,
-          radius: baseSize * 0.6 + CONFIG.coralMargin,  // Coral is roughly 60% of baseSize
-          type: 'coral',
-        })
-      }
-    })
-  }
-  
-  console.log(`[SpawnFactory] Found ${result.filter(o => o.type === 'boulder').length} boulders, ${result.filter(o => o.type === 'coral').length} coral`)
-  
-  return result
-}
-
 // ============================================================================
 // POINT CHECKING
 // ============================================================================
 
 /**
- * Get terrain height at world X, Z position
- * @param {number} x
- * @param {number} z
- * @returns {number} World Y of terrain surface
+ * Pick up the current map's layout from the registry
+ * @returns {boolean} False if no map has been created yet
  */
-function getTerrainHeightAt(x, z) {
-  if (!terrainData) return floorY
-  
-  const localHeight = terrainData.getHeightAtWorld(x, z)
-  if (localHeight === null) return floorY
-  
-  return floorY + localHeight
-}
-
-/**
- * Check if a point is inside any obstacle
- * @param {number} x
- * @param {number} y
- * @param {number} z
- * @returns {{inside: boolean, type: string|null}}
- */
-function checkObstacleCollision(x, y, z) {
-  const point = new THREE.Vector3(x, y, z)
-  
-  for (const obstacle of obstacles) {
-    const dist = point.distanceTo(obstacle.center)
-    if (dist < obstacle.radius) {
-      return { inside: true, type: obstacle.type }
-    }
+function gatherLayout() {
+  layout = MeshRegistry.get('mapGroup')?.metadata?.layout ?? null
+  if (!layout) {
+    console.error('[SpawnFactory] No map layout in registry - create the map first')
+    return false
   }
-  
-  return { inside: false, type: null }
+  return true
 }
 
 /**
@@ -251,34 +129,12 @@ function checkObstacleCollision(x, y, z) {
  * @returns {{playable: boolean, reason: string|null}}
  */
 function isPointPlayable(x, y, z) {
-  // Check dome boundary (sphere centered at origin)
-  const distFromCenter = Math.sqrt(x * x + y * y + z * z)
-  const maxDist = CONFIG.domeRadius - CONFIG.domeMargin
-  if (distFromCenter > maxDist) {
-    return { playable: false, reason: 'outsideDome' }
-  }
-  
-  // Check ceiling (above water)
-  if (y > ceilingY - CONFIG.ceilingMargin) {
-    return { playable: false, reason: 'aboveWater' }
-  }
-  
-  // Check terrain
-  const terrainHeight = getTerrainHeightAt(x, z)
-  if (y < terrainHeight + CONFIG.terrainMargin) {
-    return { playable: false, reason: 'insideTerrain' }
-  }
-  
-  // Check obstacles (boulders + coral)
-  const obstacleCheck = checkObstacleCollision(x, y, z)
-  if (obstacleCheck.inside) {
-    return { 
-      playable: false, 
-      reason: obstacleCheck.type === 'boulder' ? 'insideBoulder' : 'insideCoral'
-    }
+  if (!layout && !gatherLayout()) {
+    return { playable: false, reason: null }
   }
   
-  return { playable: true, reason: null }
+  const reason = classifyPoint(layout, obstacles, x, y, z, CONFIG)
+  return { playable: reason === null, reason }
 }
 
 // ============================================================================
@@ -301,68 +157,16 @@ function analyzePlayableSpace(options = {}) {
   console.log(`[SpawnFactory] Analyzing playable space (spacing: ${spacing}, layers: ${layers})...`)
   const startTime = performance.now()
   
-  // Gather world data
-  gatherWorldData()
-  
-  // Gather obstacles
-  obstacles = gatherObstacles()
-  
-  // Reset results
-  playablePoints = []
-  occupiedPoints = []
+  if (!gatherLayout()) return null
   
-  // Stats tracking
-  const stats = {
-    total: 0,
-    playable: 0,
-    occupied: {
-      terrain: 0,
-      boulder: 0,
-      coral: 0,
-      water: 0,
-      dome: 0,
-    }
-  }
-  
-  // Calculate Y levels to sample
-  const yMin = floorY + 5  // Start slightly above floor
-  const yMax = ceilingY - 5  // End slightly below surface
-  const yStep = (yMax - yMin) / (layers - 1)
-  const yLevels = []
-  for (let i = 0; i < layers; i++) {
-    yLevels.push(yMin + i * yStep)
-  }
-  
-  // Sample grid
-  for (let x = worldBounds.minX; x <= worldBounds.maxX; x += spacing) {
-    for (let z = worldBounds.minZ; z <= worldBounds.maxZ; z += spacing) {
-      for (const y of yLevels) {
-        stats.total++
-        
-        const result = isPointPlayable(x, y, z)
-        
-        if (result.playable) {
-          stats.playable++
-          playablePoints.push(new THREE.Vector3(x, y, z))
-        } else {
-          // Track why it's occupied
-          switch (result.reason) {
-            case 'insideTerrain': stats.occupied.terrain++; break
-            case 'insideBoulder': stats.occupied.boulder++; break
-            case 'insideCoral': stats.occupied.coral++; break
-            case 'aboveWater': stats.occupied.water++; break
-            case 'outsideDome': stats.occupied.dome++; break
-          }
-          
-          // Store for debug visualization (optional)
-          occupiedPoints.push({
-            point: new THREE.Vector3(x, y, z),
-            reason: result.reason,
-          })
-        }
-      }
-    }
-  }
+  const result = computePlayablePoints(layout, { spacing, layers, keepOccupied: true, config: CONFIG })
+  obstacles = result.obstacles
+  playablePoints = result.playable.map(p => new THREE.Vector3(p.x, p.y, p.z))
+  occupiedPoints = result.occupied.map(p => ({
+    point: new THREE.Vector3(p.x, p.y, p.z),
+    reason: p.reason,
+  }))
+  const stats = result.stats
   
   const elapsed = performance.now() - startTime
   
@@ -636,11 +440,10 @@ function debug() {
     console.groupEnd()
   }
   
-  if (worldBounds) {
+  if (layout) {
     console.group('World Bounds')
-    console.log('X:', worldBounds.minX, 'to', worldBounds.maxX)
-    console.log('Y:', floorY, 'to', ceilingY)
-    console.log('Z:', worldBounds.minZ, 'to', worldBounds.maxZ)
+    console.log('Seed:', layout.seed)
+    console.log('Y:', layout.floorY, 'to', layout.ceilingY)
     console.log('Dome radius:', CONFIG.domeRadius, '(margin:', CONFIG.domeMargin + ')')
     console.groupEnd()
   }
@@ -677,6 +480,7 @@ function reset() {
   occupiedPoints = []
   obstacles = []
   analysisStats = null
+  layout = null
   console.log('[SpawnFactory] Reset')
 }
 
@@ -1,8 +1,8 @@
 /**
  * Swimming.js - Movement System
  * 
- * Simple controls:
- *   WASD / Space / Shift - Move
+ * Simple controls (bindings in input.js):
+ *   WASD / Space / Shift - Move (a gamepad stick swims slower when half tilted)
  *   Q (hold) - Boost (go faster)
  */
 
@@ -92,7 +92,7 @@ export function updateSwimming(delta) {
   
   // Rotate fish to face movement
   if (direction.length() > 0) {
-    rotateToFaceMovement(player, direction, delta)
+    rotateToFaceMovement(player, direction.clone().normalize(), delta)
   }
   
   // Apply movement
@@ -124,7 +124,8 @@ function getMovementDirection() {
   direction.addScaledVector(right, input.right)
   direction.addScaledVector(up, input.up)
   
-  if (direction.length() > 0) direction.normalize()
+  // Analog input below full tilt keeps its length (slower swim)
+  if (direction.length() > 1) direction.normalize()
   return direction
 }
 
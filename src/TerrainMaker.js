@@ -11,137 +11,13 @@
  */
 
 import * as THREE from 'three'
-
-// ============================================================================
-// SEEDED RANDOM
-// ============================================================================
-
-function createRNG(seed) {
-  return function() {
-    let t = seed += 0x6D2B79F5
-    t = Math.imul(t ^ t >>> 15, t | 1)
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61)
-    return ((t ^ t >>> 14) >>> 0) / 4294967296
-  }
-}
-
-function range(rng, min, max) {
-  return min + rng() * (max - min)
-}
-
-// ============================================================================
-// PERLIN NOISE
-// ============================================================================
-
-/**
- * Seeded Perlin noise implementation
- */
-class PerlinNoise {
-  constructor(seed = 0) {
-    this.seed = seed
-    this.permutation = this.generatePermutation(seed)
-  }
-  
-  generatePermutation(seed) {
-    const rng = createRNG(seed)
-    const p = []
-    for (let i = 0; i < 256; i++) p[i] = i
-    
-    // Fisher-Yates shuffle with seeded RNG
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1))
-      ;[p[i], p[j]] = [p[j], p[i]]
-    }
-    
-    // Duplicate for overflow
-    return [...p, ...p]
-  }
-  
-  fade(t) {
-    return t * t * t * (t * (t * 6 - 15) + 10)
-  }
-  
-  lerp(a, b, t) {
-    return a + t * (b - a)
-  }
-  
-  grad(hash, x, y) {
-    const h = hash & 3
-    const u = h < 2 ? x : y
-    const v = h < 2 ? y : x
-    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v)
-  }
-  
-  noise2D(x, y) {
-    const p = this.permutation
-    
-    const xi = Math.floor(x) & 255
-    const yi = Math.floor(y) & 255
-    
-    const xf = x - Math.floor(x)
-    const yf = y - Math.floor(y)
-    
-    const u = this.fade(xf)
-    const v = this.fade(yf)
-    
-    const aa = p[p[xi] + yi]
-    const ab = p[p[xi] + yi + 1]
-    const ba = p[p[xi + 1] + yi]
-    const bb = p[p[xi + 1] + yi + 1]
-    
-    const x1 = this.lerp(this.grad(aa, xf, yf), this.grad(ba, xf - 1, yf), u)
-    const x2 = this.lerp(this.grad(ab, xf, yf - 1), this.grad(bb, xf - 1, yf - 1), u)
-    
-    return this.lerp(x1, x2, v)
-  }
-  
-  /**
-   * Fractal Brownian Motion - layered noise for natural terrain
-   * @param {number} x 
-   * @param {number} y 
-   * @param {number} octaves - Number of noise layers
-   * @param {number} persistence - Amplitude multiplier per octave
-   * @param {number} lacunarity - Frequency multiplier per octave
-   * @returns {number} Value between -1 and 1
-   */
-  fbm(x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0) {
-    let total = 0
-    let amplitude = 1
-    let frequency = 1
-    let maxValue = 0
-    
-    for (let i = 0; i < octaves; i++) {
-      total += this.noise2D(x * frequency, y * frequency) * amplitude
-      maxValue += amplitude
-      amplitude *= persistence
-      frequency *= lacunarity
-    }
-    
-    return total / maxValue
-  }
-  
-  /**
-   * Ridged noise - creates sharp ridges
-   */
-  ridged(x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0) {
-    let total = 0
-    let amplitude = 1
-    let frequency = 1
-    let maxValue = 0
-    
-    for (let i = 0; i < octaves; i++) {
-      let n = this.noise2D(x * frequency, y * frequency)
-      n = 1 - Math.abs(n)  // Create ridges
-      n = n * n            // Sharpen
-      total += n * amplitude
-      maxValue += amplitude
-      amplitude *= persistence
-      frequency *= lacunarity
-    }
-    
-    return total / maxValue
-  }
-}
+import {
+  TERRAIN_SHAPE,
+  PerlinNoise,
+  sampleTerrainHeight,
+  computeTerrainHeights,
+  createTerrainData,
+} from './WorldLayout.js'
 
 // ============================================================================
 // CONFIGURATION
@@ -187,30 +63,8 @@ export const TerrainConfig = {
     },
   },
   
-  // Terrain generation defaults
-  terrain: {
-    // Base terrain
-    baseScale: 0.004,         // Slightly larger features
-    baseHeight: 25,           // More height variation (was 15)
-    
-    // Large features (trenches, plateaus)
-    featureScale: 0.0015,     // Bigger, broader features
-    featureHeight: 45,        // Much taller plateaus (was 25)
-    
-    // Ridges
-    ridgeScale: 0.006,        // Wider ridges
-    ridgeHeight: 18,          // Taller ridges (was 8)
-    ridgeWeight: 0.5,         // More prominent (was 0.3)
-    
-    // Detail
-    detailScale: 0.02,        // Fine detail frequency
-    detailHeight: 3,          // Slightly more detail (was 2)
-    
-    // Trenches
-    trenchScale: 0.0025,      // Wider trenches
-    trenchDepth: 40,          // Much deeper (was 20)
-    trenchThreshold: 0.5,     // More trenches (was 0.6)
-  },
+  // Terrain generation defaults (shared with the server via WorldLayout)
+  terrain: TERRAIN_SHAPE,
 }
 
 // ============================================================================
@@ -272,73 +126,16 @@ export function createSandFloor(options = {}) {
   // Merge terrain config with overrides
   const t = { ...TerrainConfig.terrain, ...terrain }
   
-  const perlin = new PerlinNoise(seed)
   const geometry = new THREE.PlaneGeometry(size, size, segments, segments)
-  
   const vertices = geometry.attributes.position.array
-  const halfSize = size / 2
-  
-  // Store heights for color calculation
-  const heights = []
   
-  // First pass: calculate all heights
-  for (let i = 0; i < vertices.length; i += 3) {
-    const x = vertices[i]
-    const y = vertices[i + 1]
-    
-    const nx = (x + halfSize) / size
-    const ny = (y + halfSize) / size
-    
-    let height = 0
-    
-    // 1. Base terrain - rolling hills/valleys (FBM)
-    const baseNoise = perlin.fbm(
-      nx / t.baseScale * 0.01, 
-      ny / t.baseScale * 0.01, 
-      4, 0.5, 2.0
-    )
-    height += baseNoise * t.baseHeight
-    
-    // 2. Large features - broad plateaus and depressions
-    const featureNoise = perlin.fbm(
-      nx / t.featureScale * 0.01, 
-      ny / t.featureScale * 0.01, 
-      2, 0.5, 2.0
-    )
-    height += featureNoise * t.featureHeight
-    
-    // 3. Ridges - sharp underwater ridges
-    const ridgeNoise = perlin.ridged(
-      nx / t.ridgeScale * 0.01, 
-      ny / t.ridgeScale * 0.01, 
-      3, 0.5, 2.0
-    )
-    height += ridgeNoise * t.ridgeHeight * t.ridgeWeight
-    
-    // 4. Trenches - deep cuts in the terrain
-    const trenchNoise = perlin.fbm(
-      nx / t.trenchScale * 0.01 + 100,
-      ny / t.trenchScale * 0.01 + 100, 
-      2, 0.5, 2.0
-    )
-    if (trenchNoise > t.trenchThreshold) {
-      const trenchFactor = (trenchNoise - t.trenchThreshold) / (1 - t.trenchThreshold)
-      height -= trenchFactor * trenchFactor * t.trenchDepth
-    }
-    
-    // 5. Fine detail - small bumps and texture
-    const detailNoise = perlin.fbm(
-      nx / t.detailScale * 0.01, 
-      ny / t.detailScale * 0.01, 
-      2, 0.5, 2.0
-    )
-    height += detailNoise * t.detailHeight
-    
-    vertices[i + 2] = height
-    heights.push(height)
+  // Heights come from WorldLayout so the server sees the same floor
+  const heights = computeTerrainHeights({ size, segments, seed, terrain: t })
+  for (let i = 0; i < heights.length; i++) {
+    vertices[i * 3 + 2] = heights[i]
   }
   
-  // Second pass: apply vertex colors based on elevation
+  // Apply vertex colors based on elevation
   const colors = new Float32Array(heights.length * 3)
   const colorStops = TerrainConfig.sand.elevationColors
   
@@ -370,104 +167,7 @@ export function createSandFloor(options = {}) {
   floor.userData.seed = seed
   
   // Store terrain data for later use (collision, spawning, etc.)
-  floor.userData.terrainData = {
-    size,
-    segments,
-    halfSize,
-    heights: heights,  // 1D array of heights at each vertex
-    gridSize: segments + 1,  // Number of vertices per row/column
-    
-    /**
-     * Get height at grid coordinates (integer indices)
-     * @param {number} ix - Grid X index (0 to segments)
-     * @param {number} iz - Grid Z index (0 to segments)
-     * @returns {number|null} Height or null if out of bounds
-     */
-    getHeightAtGrid(ix, iz) {
-      const gs = this.gridSize
-      if (ix < 0 || ix >= gs || iz < 0 || iz >= gs) return null
-      return this.heights[iz * gs + ix]
-    },
-    
-    /**
-     * Get interpolated height at world position
-     * @param {number} worldX - World X coordinate
-     * @param {number} worldZ - World Z coordinate
-     * @returns {number|null} Interpolated height or null if out of bounds
-     */
-    getHeightAtWorld(worldX, worldZ) {
-      // Convert world coords to grid coords
-      // Note: floor mesh is rotated -90 degrees on X, so original X->X, original Y->Z
-      const gx = ((worldX + this.halfSize) / this.size) * (this.gridSize - 1)
-      const gz = ((worldZ + this.halfSize) / this.size) * (this.gridSize - 1)
-      
-      // Get integer grid positions
-      const ix = Math.floor(gx)
-      const iz = Math.floor(gz)
-      
-      // Get fractional part for interpolation
-      const fx = gx - ix
-      const fz = gz - iz
-      
-      // Get heights at four corners (bilinear interpolation)
-      const h00 = this.getHeightAtGrid(ix, iz)
-      const h10 = this.getHeightAtGrid(ix + 1, iz)
-      const h01 = this.getHeightAtGrid(ix, iz + 1)
-      const h11 = this.getHeightAtGrid(ix + 1, iz + 1)
-      
-      if (h00 === null || h10 === null || h01 === null || h11 === null) {
-        return null  // Out of bounds
-      }
-      
-      // Bilinear interpolation
-      const h0 = h00 + (h10 - h00) * fx
-      const h1 = h01 + (h11 - h01) * fx
-      return h0 + (h1 - h0) * fz
-    },
-    
-    /**
-     * Get all terrain points as an array of {x, y, z} objects
-     * Note: Y is the height (up), matching Three.js world space after rotation
-     * @returns {Array<{x: number, y: number, z: number}>}
-     */
-    getAllPoints() {
-      const points = []
-      const gs = this.gridSize
-      const step = this.size / (gs - 1)
-      
-      for (let iz = 0; iz < gs; iz++) {
-        for (let ix = 0; ix < gs; ix++) {
-          points.push({
-            x: ix * step - this.halfSize,
-            y: this.heights[iz * gs + ix],
-            z: iz * step - this.halfSize
-          })
-        }
-      }
-      return points
-    },
-    
-    /**
-     * Get terrain vertices as a flat Float32Array (x, y, z, x, y, z, ...)
-     * Ready for use in physics, instancing, etc.
-     * @returns {Float32Array}
-     */
-    getVerticesArray() {
-      const gs = this.gridSize
-      const step = this.size / (gs - 1)
-      const arr = new Float32Array(gs * gs * 3)
-      
-      for (let iz = 0; iz < gs; iz++) {
-        for (let ix = 0; ix < gs; ix++) {
-          const idx = (iz * gs + ix) * 3
-          arr[idx] = ix * step - this.halfSize
-          arr[idx + 1] = this.heights[iz * gs + ix]
-          arr[idx + 2] = iz * step - this.halfSize
-        }
-      }
-      return arr
-    }
-  }
+  floor.userData.terrainData = createTerrainData({ size, segments, heights })
   
   return floor
 }
@@ -487,31 +187,8 @@ export function getTerrainHeight(x, z, size = 1000, seed = 0, terrain = {}) {
   const perlin = new PerlinNoise(seed)
   const halfSize = size / 2
   
-  const nx = (x + halfSize) / size
-  const ny = (z + halfSize) / size
-  
-  let height = 0
-  
   // Same calculations as createSandFloor
-  const baseNoise = perlin.fbm(nx / t.baseScale * 0.01, ny / t.baseScale * 0.01, 4, 0.5, 2.0)
-  height += baseNoise * t.baseHeight
-  
-  const featureNoise = perlin.fbm(nx / t.featureScale * 0.01, ny / t.featureScale * 0.01, 2, 0.5, 2.0)
-  height += featureNoise * t.featureHeight
-  
-  const ridgeNoise = perlin.ridged(nx / t.ridgeScale * 0.01, ny / t.ridgeScale * 0.01, 3, 0.5, 2.0)
-  height += ridgeNoise * t.ridgeHeight * t.ridgeWeight
-  
-  const trenchNoise = perlin.fbm(nx / t.trenchScale * 0.01 + 100, ny / t.trenchScale * 0.01 + 100, 2, 0.5, 2.0)
-  if (trenchNoise > t.trenchThreshold) {
-    const trenchFactor = (trenchNoise - t.trenchThreshold) / (1 - t.trenchThreshold)
-    height -= trenchFactor * trenchFactor * t.trenchDepth
-  }
-  
-  const detailNoise = perlin.fbm(nx / t.detailScale * 0.01, ny / t.detailScale * 0.01, 2, 0.5, 2.0)
-  height += detailNoise * t.detailHeight
-  
-  return height
+  return sampleTerrainHeight(perlin, (x + halfSize) / size, (z + halfSize) / size, t)
 }
 
 // ============================================================================
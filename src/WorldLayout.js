@@ -0,0 +1,925 @@
+/**
+ * WorldLayout.js - Scene-free map layout
+ *
+ * Everything a map seed decides that isn't a mesh: the Perlin heightfield,
+ * where boulders, kelp and coral sit, and which grid points are open water.
+ * map.js and SpawnFactory build the visible world from this; the server
+ * builds NPC navigation from it without a scene.
+ *
+ * Usage:
+ *   import { generateMapLayout, computePlayablePoints } from './WorldLayout.js'
+ *
+ *   const layout = generateMapLayout(seed)
+ *   const { playable } = computePlayablePoints(layout)
+ */
+
+import { previewScale } from './Kelp.js'
+
+// ============================================================================
+// WORLD DIMENSIONS
+// ============================================================================
+
+export const WORLD = {
+  size: 1000,          // Floor is size x size, centered on the origin
+  segments: 200,       // Heightfield resolution
+  floorY: -50,         // Base floor level
+  waterLevel: 30,      // Water surface (ceiling)
+  domeRadius: 500,     // Sky dome radius
+}
+
+// ============================================================================
+// TERRAIN SHAPE
+// ============================================================================
+
+export const TERRAIN_SHAPE = {
+  // Base terrain
+  baseScale: 0.004,         // Slightly larger features
+  baseHeight: 25,           // More height variation (was 15)
+  
+  // Large features (trenches, plateaus)
+  featureScale: 0.0015,     // Bigger, broader features
+  featureHeight: 45,        // Much taller plateaus (was 25)
+  
+  // Ridges
+  ridgeScale: 0.006,        // Wider ridges
+  ridgeHeight: 18,          // Taller ridges (was 8)
+  ridgeWeight: 0.5,         // More prominent (was 0.3)
+  
+  // Detail
+  detailScale: 0.02,        // Fine detail frequency
+  detailHeight: 3,          // Slightly more detail (was 2)
+  
+  // Trenches
+  trenchScale: 0.0025,      // Wider trenches
+  trenchDepth: 40,          // Much deeper (was 20)
+  trenchThreshold: 0.5,     // More trenches (was 0.6)
+}
+
+// =============================================================================
+// POLAR COORDINATE MAP LAYOUT
+// =============================================================================
+// The map uses concentric rings emanating from center (0,0)
+// 
+// Player = 2 units tall
+//
+// SIZE GUIDE:    1 = basketball    |  5 = car        |  70 = skyscraper
+//                2 = person        |  15 = house     |  100 = mountain
+//                4 = large rock    |  35 = building  |
+//
+// RING LAYOUT:
+//   CENTER (r < 150)      -> Titan & Colossal boulders (rocky core)
+//   MIDDLE (150 < r < 350) -> Large & Medium boulders (transition)
+//   OUTER  (r > 350)       -> Small boulders + Kelp + Coral (living reef)
+// =============================================================================
+
+const BOULDER_RINGS = [
+  // Inner ring - massive boulders dominate the center
+  {
+    name: 'titan',
+    innerRadius: 0,
+    outerRadius: 120,
+    count: 3,
+    minSize: 70,
+    maxSize: 100,
+    buriedFactor: 0.50,
+    scaleVariation: 0.5,
+  },
+  {
+    name: 'colossal',
+    innerRadius: 50,
+    outerRadius: 180,
+    count: 6,
+    minSize: 35,
+    maxSize: 60,
+    buriedFactor: 0.45,
+    scaleVariation: 0.4,
+  },
+  // Middle ring - transitional rocky area
+  {
+    name: 'large',
+    innerRadius: 120,
+    outerRadius: 320,
+    count: 15,
+    minSize: 15,
+    maxSize: 30,
+    buriedFactor: 0.40,
+    scaleVariation: 0.35,
+  },
+  {
+    name: 'medium',
+    innerRadius: 200,
+    outerRadius: 400,
+    count: 35,
+    minSize: 5,
+    maxSize: 12,
+    buriedFactor: 0.35,
+    scaleVariation: 0.3,
+  },
+  // Outer ring - scattered small rocks among life
+  {
+    name: 'small',
+    innerRadius: 320,
+    outerRadius: 480,
+    count: 50,
+    minSize: 1.5,
+    maxSize: 4,
+    buriedFactor: 0.30,
+    scaleVariation: 0.25,
+  },
+]
+
+// =============================================================================
+// OUTER RING LIFE CONFIG - Kelp & Coral in the outer zone
+// =============================================================================
+
+// ╔═══════════════════════════════════════════════════════════════════════════╗
+// ║  EASY KELP SETTINGS - EDIT THESE TO TUNE PERFORMANCE/DENSITY              ║
+// ╚═══════════════════════════════════════════════════════════════════════════╝
+
+const KELP_SETTINGS = {
+  // Total number of kelp clusters to spawn (lower = less lag)
+  clusterCount: 20,
+  
+  // Zone boundaries (distance from center)
+  innerRadius: 150,
+  outerRadius: 480,
+  
+  // Minimum distance between clusters
+  minSpacing: 15,
+  
+  // Scale weights - higher weight = more common
+  // Comment out or set weight to 0 to disable a size tier
+  // WARNING: High scales (12+) spawn MANY plants and may cause lag!
+  scales: {
+    SEAGRASS_TINY:    { scale: 0.3,  weight: 2 },
+    SEAGRASS_SMALL:   { scale: 0.5,  weight: 2 },
+    SEAGRASS_MEDIUM:  { scale: 0.8,  weight: 2 },
+    KELP_SMALL:       { scale: 1.0,  weight: 3 },
+    KELP_MEDIUM:      { scale: 2.0,  weight: 3 },
+    KELP_LARGE:       { scale: 4.0,  weight: 2 },
+    KELP_HUGE:        { scale: 7.0,  weight: 1 },
+    KELP_COLOSSAL:    { scale: 12.0, weight: 0 },  // 0 = disabled
+    KELP_MEGA:        { scale: 18.0, weight: 0 },  // 0 = disabled
+    KELP_TITAN:       { scale: 25.0, weight: 0 },  // 0 = disabled
+    KELP_LEVIATHAN:   { scale: 35.0, weight: 0 },  // 0 = disabled
+  },
+}
+
+// Convert settings to internal format
+const LIFE_RING = {
+  innerRadius: KELP_SETTINGS.innerRadius,
+  outerRadius: KELP_SETTINGS.outerRadius,
+  
+  kelp: {
+    clusterCount: KELP_SETTINGS.clusterCount,
+    scales: Object.values(KELP_SETTINGS.scales).filter(s => s.weight > 0),
+    minSpacing: KELP_SETTINGS.minSpacing,
+  },
+  
+  // Coral reef clusters
+  coral: {
+    clusterCount: 25,
+    minSize: 8,
+    maxSize: 40,
+    minSpacing: 12,
+  },
+}
+
+// ============================================================================
+// PLAYABLE SPACE (grid sampling for spawns and NPC navigation)
+// ============================================================================
+
+export const PLAYABLE_SPACE = {
+  // Grid sampling
+  gridSpacing: 25,           // Distance between sample points (lower = more detailed)
+  verticalLayers: 5,         // Number of Y layers to sample
+  
+  // World dome (sphere boundary)
+  domeRadius: 500,           // Sky dome radius (from TerrainMaker)
+  domeMargin: 10,            // Stay this far inside the dome
+  
+  // Collision margins (extra padding around obstacles)
+  terrainMargin: 2,          // Units above terrain to consider "occupied"
+  boulderMargin: 2,          // Extra radius around boulders
+  coralMargin: 1,            // Extra radius around coral
+  ceilingMargin: 2,          // Units below water surface
+}
+
+// ============================================================================
+// SEEDED RANDOM
+// ============================================================================
+
+/**
+ * Simple seeded RNG for deterministic placement (Mulberry32)
+ * @param {number} seed
+ * @returns {function(): number} 0 (inclusive) to 1 (exclusive)
+ */
+export function createSeededRNG(seed) {
+  return function() {
+    let t = seed += 0x6D2B79F5
+    t = Math.imul(t ^ t >>> 15, t | 1)
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61)
+    return ((t ^ t >>> 14) >>> 0) / 4294967296
+  }
+}
+
+// ============================================================================
+// PERLIN NOISE
+// ============================================================================
+
+/**
+ * Seeded Perlin noise implementation
+ */
+export class PerlinNoise {
+  constructor(seed = 0) {
+    this.seed = seed
+    this.permutation = this.generatePermutation(seed)
+  }
+  
+  generatePermutation(seed) {
+    const rng = createSeededRNG(seed)
+    const p = []
+    for (let i = 0; i < 256; i++) p[i] = i
+    
+    // Fisher-Yates shuffle with seeded RNG
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1))
+      ;[p[i], p[j]] = [p[j], p[i]]
+    }
+    
+    // Duplicate for overflow
+    return [...p, ...p]
+  }
+  
+  fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10)
+  }
+  
+  lerp(a, b, t) {
+    return a + t * (b - a)
+  }
+  
+  grad(hash, x, y) {
+    const h = hash & 3
+    const u = h < 2 ? x : y
+    const v = h < 2 ? y : x
+    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v)
+  }
+  
+  noise2D(x, y) {
+    const p = this.permutation
+    
+    const xi = Math.floor(x) & 255
+    const yi = Math.floor(y) & 255
+    
+    const xf = x - Math.floor(x)
+    const yf = y - Math.floor(y)
+    
+    const u = this.fade(xf)
+    const v = this.fade(yf)
+    
+    const aa = p[p[xi] + yi]
+    const ab = p[p[xi] + yi + 1]
+    const ba = p[p[xi + 1] + yi]
+    const bb = p[p[xi + 1] + yi + 1]
+    
+    const x1 = this.lerp(this.grad(aa, xf, yf), this.grad(ba, xf - 1, yf), u)
+    const x2 = this.lerp(this.grad(ab, xf, yf - 1), this.grad(bb, xf - 1, yf - 1), u)
+    
+    return this.lerp(x1, x2, v)
+  }
+  
+  /**
+   * Fractal Brownian Motion - layered noise for natural terrain
+   * @param {number} x 
+   * @param {number} y 
+   * @param {number} octaves - Number of noise layers
+   * @param {number} persistence - Amplitude multiplier per octave
+   * @param {number} lacunarity - Frequency multiplier per octave
+   * @returns {number} Value between -1 and 1
+   */
+  fbm(x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0) {
+    let total = 0
+    let amplitude = 1
+    let frequency = 1
+    let maxValue = 0
+    
+    for (let i = 0; i < octaves; i++) {
+      total += this.noise2D(x * frequency, y * frequency) * amplitude
+      maxValue += amplitude
+      amplitude *= persistence
+      frequency *= lacunarity
+    }
+    
+    return total / maxValue
+  }
+  
+  /**
+   * Ridged noise - creates sharp ridges
+   */
+  ridged(x, y, octaves = 4, persistence = 0.5, lacunarity = 2.0) {
+    let total = 0
+    let amplitude = 1
+    let frequency = 1
+    let maxValue = 0
+    
+    for (let i = 0; i < octaves; i++) {
+      let n = this.noise2D(x * frequency, y * frequency)
+      n = 1 - Math.abs(n)  // Create ridges
+      n = n * n            // Sharpen
+      total += n * amplitude
+      maxValue += amplitude
+      amplitude *= persistence
+      frequency *= lacunarity
+    }
+    
+    return total / maxValue
+  }
+}
+
+// ============================================================================
+// TERRAIN HEIGHTS
+// ============================================================================
+
+/**
+ * Terrain height at normalized floor coordinates
+ * @param {PerlinNoise} perlin
+ * @param {number} nx - 0..1 across the floor
+ * @param {number} ny - 0..1 across the floor
+ * @param {object} t - Terrain shape (see TERRAIN_SHAPE)
+ * @returns {number} Height above floorY
+ */
+export function sampleTerrainHeight(perlin, nx, ny, t) {
+  let height = 0
+  
+  // 1. Base terrain - rolling hills/valleys (FBM)
+  const baseNoise = perlin.fbm(
+    nx / t.baseScale * 0.01,
+    ny / t.baseScale * 0.01,
+    4, 0.5, 2.0
+  )
+  height += baseNoise * t.baseHeight
+  
+  // 2. Large features - broad plateaus and depressions
+  const featureNoise = perlin.fbm(
+    nx / t.featureScale * 0.01,
+    ny / t.featureScale * 0.01,
+    2, 0.5, 2.0
+  )
+  height += featureNoise * t.featureHeight
+  
+  // 3. Ridges - sharp underwater ridges
+  const ridgeNoise = perlin.ridged(
+    nx / t.ridgeScale * 0.01,
+    ny / t.ridgeScale * 0.01,
+    3, 0.5, 2.0
+  )
+  height += ridgeNoise * t.ridgeHeight * t.ridgeWeight
+  
+  // 4. Trenches - deep cuts in the terrain
+  const trenchNoise = perlin.fbm(
+    nx / t.trenchScale * 0.01 + 100,
+    ny / t.trenchScale * 0.01 + 100,
+    2, 0.5, 2.0
+  )
+  if (trenchNoise > t.trenchThreshold) {
+    const trenchFactor = (trenchNoise - t.trenchThreshold) / (1 - t.trenchThreshold)
+    height -= trenchFactor * trenchFactor * t.trenchDepth
+  }
+  
+  // 5. Fine detail - small bumps and texture
+  const detailNoise = perlin.fbm(
+    nx / t.detailScale * 0.01,
+    ny / t.detailScale * 0.01,
+    2, 0.5, 2.0
+  )
+  height += detailNoise * t.detailHeight
+  
+  return height
+}
+
+/**
+ * Heights for every vertex of the floor plane, in PlaneGeometry vertex order
+ * (rows from +Y to -Y in plane space, which is -Z to +Z once the floor is laid flat)
+ * @param {object} options
+ * @param {number} [options.size]
+ * @param {number} [options.segments]
+ * @param {number} [options.seed=0]
+ * @param {object} [options.terrain] - Override terrain shape settings
+ * @returns {number[]}
+ */
+export function computeTerrainHeights(options = {}) {
+  const {
+    size = WORLD.size,
+    segments = WORLD.segments,
+    seed = 0,
+    terrain = {},
+  } = options
+  
+  const t = { ...TERRAIN_SHAPE, ...terrain }
+  const perlin = new PerlinNoise(seed)
+  const halfSize = size / 2
+  const step = size / segments
+  const heights = []
+  
+  for (let iy = 0; iy <= segments; iy++) {
+    // PlaneGeometry stores positions as float32 - round the same way
+    const y = Math.fround(-(iy * step - halfSize))
+    for (let ix = 0; ix <= segments; ix++) {
+      const x = Math.fround(ix * step - halfSize)
+      heights.push(sampleTerrainHeight(perlin, (x + halfSize) / size, (y + halfSize) / size, t))
+    }
+  }
+  
+  return heights
+}
+
+/**
+ * Wrap a heightfield with lookup helpers (stored as floor.userData.terrainData)
+ * @param {object} options
+ * @param {number} options.size
+ * @param {number} options.segments
+ * @param {number[]} options.heights - From computeTerrainHeights()
+ * @returns {object}
+ */
+export function createTerrainData({ size, segments, heights }) {
+  const halfSize = size / 2
+  
+  return {
+    size,
+    segments,
+    halfSize,
+    heights: heights,  // 1D array of heights at each vertex
+    gridSize: segments + 1,  // Number of vertices per row/column
+    
+    /**
+     * Get height at grid coordinates (integer indices)
+     * @param {number} ix - Grid X index (0 to segments)
+     * @param {number} iz - Grid Z index (0 to segments)
+     * @returns {number|null} Height or null if out of bounds
+     */
+    getHeightAtGrid(ix, iz) {
+      const gs = this.gridSize
+      if (ix < 0 || ix >= gs || iz < 0 || iz >= gs) return null
+      return this.heights[iz * gs + ix]
+    },
+    
+    /**
+     * Get interpolated height at world position
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {number|null} Interpolated height or null if out of bounds
+     */
+    getHeightAtWorld(worldX, worldZ) {
+      // Convert world coords to grid coords
+      // Note: floor mesh is rotated -90 degrees on X, so original X->X, original Y->Z
+      const gx = ((worldX + this.halfSize) / this.size) * (this.gridSize - 1)
+      const gz = ((worldZ + this.halfSize) / this.size) * (this.gridSize - 1)
+      
+      // Get integer grid positions
+      const ix = Math.floor(gx)
+      const iz = Math.floor(gz)
+      
+      // Get fractional part for interpolation
+      const fx = gx - ix
+      const fz = gz - iz
+      
+      // Get heights at four corners (bilinear interpolation)
+      const h00 = this.getHeightAtGrid(ix, iz)
+      const h10 = this.getHeightAtGrid(ix + 1, iz)
+      const h01 = this.getHeightAtGrid(ix, iz + 1)
+      const h11 = this.getHeightAtGrid(ix + 1, iz + 1)
+      
+      if (h00 === null || h10 === null || h01 === null || h11 === null) {
+        return null  // Out of bounds
+      }
+      
+      // Bilinear interpolation
+      const h0 = h00 + (h10 - h00) * fx
+      const h1 = h01 + (h11 - h01) * fx
+      return h0 + (h1 - h0) * fz
+    },
+    
+    /**
+     * Get all terrain points as an array of {x, y, z} objects
+     * Note: Y is the height (up), matching Three.js world space after rotation
+     * @returns {Array<{x: number, y: number, z: number}>}
+     */
+    getAllPoints() {
+      const points = []
+      const gs = this.gridSize
+      const step = this.size / (gs - 1)
+      
+      for (let iz = 0; iz < gs; iz++) {
+        for (let ix = 0; ix < gs; ix++) {
+          points.push({
+            x: ix * step - this.halfSize,
+            y: this.heights[iz * gs + ix],
+            z: iz * step - this.halfSize
+          })
+        }
+      }
+      return points
+    },
+    
+    /**
+     * Get terrain vertices as a flat Float32Array (x, y, z, x, y, z, ...)
+     * Ready for use in physics, instancing, etc.
+     * @returns {Float32Array}
+     */
+    getVerticesArray() {
+      const gs = this.gridSize
+      const step = this.size / (gs - 1)
+      const arr = new Float32Array(gs * gs * 3)
+      
+      for (let iz = 0; iz < gs; iz++) {
+        for (let ix = 0; ix < gs; ix++) {
+          const idx = (iz * gs + ix) * 3
+          arr[idx] = ix * step - this.halfSize
+          arr[idx + 1] = this.heights[iz * gs + ix]
+          arr[idx + 2] = iz * step - this.halfSize
+        }
+      }
+      return arr
+    }
+  }
+}
+
+// ============================================================================
+// MAP LAYOUT
+// ============================================================================
+
+/**
+ * Place everything the map seed decides: terrain, boulders, kelp and coral
+ *
+ * Boulder and life ring placement use their own RNG streams (seed + 9999 and
+ * seed + 7777) so they never shift when something else draws randoms.
+ *
+ * @param {number} seed - Map (world) seed
+ * @param {object} [terrainData] - Reuse an already built heightfield for this seed
+ * @returns {{
+ *   seed: number,
+ *   terrainData: object,
+ *   floorY: number,
+ *   ceilingY: number,
+ *   getHeight: function(number, number): number,
+ *   boulders: Array<{index: number, ring: object, x: number, y: number, z: number, size: number}>,
+ *   culledBoulders: number,
+ *   kelp: Array<{index: number, x: number, z: number, scale: number, radius: number}>,
+ *   coral: Array<{index: number, x: number, y: number, z: number, size: number}>,
+ * }}
+ */
+export function generateMapLayout(seed, terrainData = null) {
+  if (!terrainData) {
+    terrainData = createTerrainData({
+      size: WORLD.size,
+      segments: WORLD.segments,
+      heights: computeTerrainHeights({ size: WORLD.size, segments: WORLD.segments, seed }),
+    })
+  }
+  
+  const floorY = WORLD.floorY
+  const getHeight = (x, z) => floorY + (terrainData.getHeightAtWorld(x, z) ?? 0)
+  
+  // Boulders in polar rings (center = largest, outer = smallest)
+  const rng = createSeededRNG(seed + 9999)
+  const allBoulders = []
+  let boulderIndex = 0
+  
+  for (const ring of BOULDER_RINGS) {
+    for (let i = 0; i < ring.count; i++) {
+      // Weighted size - bias toward smaller within range
+      const sizeT = Math.pow(rng(), 1.5)
+      const size = ring.minSize + sizeT * (ring.maxSize - ring.minSize)
+      
+      // POLAR COORDINATES: random angle, random radius within ring
+      const angle = rng() * Math.PI * 2
+      const radiusRange = ring.outerRadius - ring.innerRadius
+      // Use sqrt for uniform distribution in circular area
+      const radius = ring.innerRadius + Math.sqrt(rng()) * radiusRange
+      
+      const x = Math.cos(angle) * radius
+      const z = Math.sin(angle) * radius
+      
+      allBoulders.push({
+        index: boulderIndex++,
+        ring,
+        ringIndex: i,
+        x,
+        y: getHeight(x, z) + size * (1 - ring.buriedFactor),
+        z,
+        size,
+      })
+    }
+  }
+  
+  // Cull boulders completely contained by other boulders
+  const contained = cullContainedBoulders(allBoulders)
+  const boulders = allBoulders.filter((_, i) => !contained.has(i))
+  
+  const { kelp, coral } = placeLifeRing(createSeededRNG(seed + 7777), getHeight, boulders)
+  
+  return {
+    seed,
+    terrainData,
+    floorY,
+    ceilingY: WORLD.waterLevel,
+    getHeight,
+    boulders,
+    culledBoulders: contained.size,
+    kelp,
+    coral,
+  }
+}
+
+/**
+ * Kelp then coral in the outer ring, avoiding boulders and each other
+ */
+function placeLifeRing(rng, getHeight, boulders) {
+  const config = LIFE_RING
+  
+  // Track placed items to avoid overlap
+  const placedItems = []
+  
+  // Helper: check if position conflicts with boulders or other items
+  const isValidPosition = (x, z, radius) => {
+    // Check against boulders
+    for (const boulder of boulders) {
+      const dx = x - boulder.x
+      const dz = z - boulder.z
+      const dist = Math.sqrt(dx * dx + dz * dz)
+      if (dist < boulder.size + radius + 3) {
+        return false
+      }
+    }
+    
+    // Check against already placed items
+    for (const item of placedItems) {
+      const dx = x - item.x
+      const dz = z - item.z
+      const dist = Math.sqrt(dx * dx + dz * dz)
+      if (dist < item.radius + radius + 2) {
+        return false
+      }
+    }
+    
+    return true
+  }
+  
+  // Helper: find valid position in ring
+  const findPosition = (itemRadius) => {
+    const maxAttempts = 30
+    
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const angle = rng() * Math.PI * 2
+      const radiusRange = config.outerRadius - config.innerRadius
+      const radius = config.innerRadius + Math.sqrt(rng()) * radiusRange
+      
+      const x = Math.cos(angle) * radius
+      const z = Math.sin(angle) * radius
+      
+      if (isValidPosition(x, z, itemRadius)) {
+        return { x, z }
+      }
+    }
+    
+    return null
+  }
+  
+  // Kelp clusters - build weighted scale list
+  const weightedScales = []
+  for (const { scale, weight } of config.kelp.scales) {
+    for (let w = 0; w < weight; w++) {
+      weightedScales.push(scale)
+    }
+  }
+  
+  const kelp = []
+  for (let i = 0; i < config.kelp.clusterCount; i++) {
+    const scale = weightedScales[Math.floor(rng() * weightedScales.length)]
+    const radius = previewScale(scale).radius + 2
+    
+    const pos = findPosition(radius)
+    if (!pos) continue
+    
+    placedItems.push({ x: pos.x, z: pos.z, radius })
+    kelp.push({ index: i, x: pos.x, z: pos.z, scale, radius })
+  }
+  
+  // Coral clusters
+  const coralConfig = config.coral
+  const coral = []
+  for (let i = 0; i < coralConfig.clusterCount; i++) {
+    const size = coralConfig.minSize + rng() * (coralConfig.maxSize - coralConfig.minSize)
+    const radius = size * 0.6
+    
+    const pos = findPosition(radius)
+    if (!pos) continue
+    
+    placedItems.push({ x: pos.x, z: pos.z, radius })
+    coral.push({ index: i, x: pos.x, y: getHeight(pos.x, pos.z), z: pos.z, size })
+  }
+  
+  return { kelp, coral }
+}
+
+/**
+ * Indices of boulders fully inside a larger boulder
+ * @param {Array<{x: number, y: number, z: number, size: number}>} boulders
+ * @returns {Set<number>}
+ */
+function cullContainedBoulders(boulders) {
+  const toRemove = new Set()
+  
+  for (let i = 0; i < boulders.length; i++) {
+    if (toRemove.has(i)) continue
+    
+    const a = boulders[i]
+    
+    for (let j = 0; j < boulders.length; j++) {
+      if (i === j || toRemove.has(j)) continue
+      
+      const b = boulders[j]
+      
+      const dx = a.x - b.x
+      const dy = a.y - b.y
+      const dz = a.z - b.z
+      const dist = Math.sqrt(dx * dx + dy * dy + dz * dz)
+      
+      if (a.size < b.size) {
+        if (dist + a.size < b.size) {
+          toRemove.add(i)
+          break
+        }
+      } else if (b.size < a.size) {
+        if (dist + b.size < a.size) {
+          toRemove.add(j)
+        }
+      }
+    }
+  }
+  
+  return toRemove
+}
+
+// ============================================================================
+// PLAYABLE POINTS
+// ============================================================================
+
+/**
+ * Collision spheres for a layout's boulders and coral
+ * @param {object} layout - From generateMapLayout()
+ * @param {object} [config=PLAYABLE_SPACE]
+ * @returns {Array<{x: number, y: number, z: number, radius: number, type: string}>}
+ */
+export function getLayoutObstacles(layout, config = PLAYABLE_SPACE) {
+  const result = []
+  
+  for (const boulder of layout.boulders) {
+    result.push({
+      x: boulder.x,
+      y: boulder.y,
+      z: boulder.z,
+      radius: boulder.size + config.boulderMargin,
+      type: 'boulder',
+    })
+  }
+  
+  for (const coral of layout.coral) {
+    result.push({
+      x: coral.x,
+      y: coral.y,
+      z: coral.z,
+      radius: coral.size * 0.6 + config.coralMargin,  // Coral is roughly 60% of its size
+      type: 'coral',
+    })
+  }
+  
+  return result
+}
+
+/**
+ * Why a point isn't open water, or null if it is
+ * @param {object} layout - From generateMapLayout()
+ * @param {Array} obstacles - From getLayoutObstacles()
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {object} [config=PLAYABLE_SPACE]
+ * @returns {string|null} 'outsideDome' | 'aboveWater' | 'insideTerrain' | 'insideBoulder' | 'insideCoral' | null
+ */
+export function classifyPoint(layout, obstacles, x, y, z, config = PLAYABLE_SPACE) {
+  // Check dome boundary (sphere centered at origin)
+  const distFromCenter = Math.sqrt(x * x + y * y + z * z)
+  if (distFromCenter > config.domeRadius - config.domeMargin) {
+    return 'outsideDome'
+  }
+  
+  // Check ceiling (above water)
+  if (y > layout.ceilingY - config.ceilingMargin) {
+    return 'aboveWater'
+  }
+  
+  // Check terrain
+  const localHeight = layout.terrainData.getHeightAtWorld(x, z)
+  const terrainHeight = localHeight === null ? layout.floorY : layout.floorY + localHeight
+  if (y < terrainHeight + config.terrainMargin) {
+    return 'insideTerrain'
+  }
+  
+  // Check obstacles (boulders + coral)
+  for (const obstacle of obstacles) {
+    const dx = x - obstacle.x
+    const dy = y - obstacle.y
+    const dz = z - obstacle.z
+    if (Math.sqrt(dx * dx + dy * dy + dz * dz) < obstacle.radius) {
+      return obstacle.type === 'boulder' ? 'insideBoulder' : 'insideCoral'
+    }
+  }
+  
+  return null
+}
+
+/**
+ * Sample the map on a regular grid and keep the open-water points
+ * These points are the NPC navigation grid, so client and server must agree on them.
+ *
+ * @param {object} layout - From generateMapLayout()
+ * @param {object} [options]
+ * @param {number} [options.spacing] - Grid spacing override
+ * @param {number} [options.layers] - Vertical layers override
+ * @param {boolean} [options.keepOccupied=false] - Also return rejected points (debug)
+ * @param {object} [options.config=PLAYABLE_SPACE]
+ * @returns {{
+ *   playable: Array<{x: number, y: number, z: number}>,
+ *   occupied: Array<{x: number, y: number, z: number, reason: string}>,
+ *   obstacles: Array,
+ *   stats: object,
+ * }}
+ */
+export function computePlayablePoints(layout, options = {}) {
+  const config = options.config || PLAYABLE_SPACE
+  const spacing = options.spacing || config.gridSpacing
+  const layers = options.layers || config.verticalLayers
+  const keepOccupied = options.keepOccupied || false
+  
+  const obstacles = getLayoutObstacles(layout, config)
+  const playable = []
+  const occupied = []
+  
+  // Stats tracking
+  const stats = {
+    total: 0,
+    playable: 0,
+    occupied: {
+      terrain: 0,
+      boulder: 0,
+      coral: 0,
+      water: 0,
+      dome: 0,
+    }
+  }
+  
+  // Calculate Y levels to sample
+  const yMin = layout.floorY + 5  // Start slightly above floor
+  const yMax = layout.ceilingY - 5  // End slightly below surface
+  const yStep = (yMax - yMin) / (layers - 1)
+  const yLevels = []
+  for (let i = 0; i < layers; i++) {
+    yLevels.push(yMin + i * yStep)
+  }
+  
+  const half = WORLD.size / 2
+  
+  // Sample grid
+  for (let x = -half; x <= half; x += spacing) {
+    for (let z = -half; z <= half; z += spacing) {
+      for (const y of yLevels) {
+        stats.total++
+        
+        const reason = classifyPoint(layout, obstacles, x, y, z, config)
+        
+        if (!reason) {
+          stats.playable++
+          playable.push({ x, y, z })
+          continue
+        }
+        
+        // Track why it's occupied
+        switch (reason) {
+          case 'insideTerrain': stats.occupied.terrain++; break
+          case 'insideBoulder': stats.occupied.boulder++; break
+          case 'insideCoral': stats.occupied.coral++; break
+          case 'aboveWater': stats.occupied.water++; break
+          case 'outsideDome': stats.occupied.dome++; break
+        }
+        
+        if (keepOccupied) {
+          occupied.push({ x, y, z, reason })
+        }
+      }
+    }
+  }
+  
+  return { playable, occupied, obstacles, stats }
+}
@@ -5,12 +5,20 @@
  * Works like the Selector - transitions to a full page view.
  * 
  * Features:
- * - Login / Sign up forms with validation
- * - Full profile view with tabs (Stats, Achievements, Friends, History)
+ * - Login / Sign up forms, checked by the game server (network/AccountClient.js)
+ * - Full profile view with tabs (Stats, Achievements, Friends, History),
+ *   filled from the games played while logged in
+ * - Friend requests, where each friend is playing, one-click join and whispers
  * - Smooth transitions with the main menu
  * - Social login placeholders (Google, Discord)
  */
 
+import { accountClient } from '../network/AccountClient.js'
+import { networkManager } from '../network/NetworkManager.js'
+import { PRESENCE, ROOM_ERROR_REASON } from '../shared/Protocol.js'
+import * as Achievements from './achievements.js'
+import { startWhisper } from './hud.js'
+
 // ============================================================================
 // STATE
 // ============================================================================
@@ -25,71 +33,18 @@ let currentUser = null
 // Current profile tab
 let currentProfileTab = 'stats'
 
-// Callbacks
-let onBackCallback = null
-
-// ============================================================================
-// MOCK DATA
-// ============================================================================
+// Friends tab - { friends, incoming, outgoing } from the server
+let friendsData = { friends: [], incoming: [], outgoing: [] }
 
-const MOCK_USER = {
-  id: 'user_12345',
-  username: 'OceanExplorer',
-  email: 'explorer@ocean.com',
-  avatar: '🦈',
-  level: 27,
-  xp: 4250,
-  xpToNext: 5000,
-  joinDate: '2024-03-15',
-  lastSeen: new Date().toISOString(),
-  isPremium: true,
-  
-  stats: {
-    totalPlayTime: 47.5,
-    gamesPlayed: 156,
-    creaturesEaten: 2847,
-    timesEaten: 89,
-    largestSize: 42.7,
-    longestSurvival: 45,
-    totalDistanceSwum: 12450,
-    abilitiesUsed: 1523,
-    structuresBuilt: 234,
-  },
-  
-  achievements: [
-    { id: 'first_meal', name: 'First Meal', desc: 'Eat your first creature', icon: '🍽️', unlocked: true, date: '2024-03-15' },
-    { id: 'apex_predator', name: 'Apex Predator', desc: 'Reach 10m³ volume', icon: '👑', unlocked: true, date: '2024-03-18' },
-    { id: 'speed_demon', name: 'Speed Demon', desc: 'Use boost for 60 seconds total', icon: '⚡', unlocked: true, date: '2024-03-20' },
-    { id: 'architect', name: 'Architect', desc: 'Build 100 structures', icon: '🏗️', unlocked: true, date: '2024-04-02' },
-    { id: 'survivor', name: 'Survivor', desc: 'Survive for 30 minutes', icon: '🛡️', unlocked: true, date: '2024-04-10' },
-    { id: 'social_fish', name: 'Social Fish', desc: 'Add 10 friends', icon: '🤝', unlocked: false, progress: 7, max: 10 },
-    { id: 'whale_hunter', name: 'Whale Hunter', desc: 'Eat a creature 5x your size', icon: '🐋', unlocked: false, progress: 0, max: 1 },
-    { id: 'marathon', name: 'Marathon', desc: 'Swim 100km total', icon: '🏊', unlocked: false, progress: 12.45, max: 100 },
-  ],
-  
-  unlocks: {
-    skins: ['default', 'golden', 'shadow', 'coral'],
-    trails: ['default', 'bubbles', 'rainbow'],
-    titles: ['Newcomer', 'Explorer', 'Hunter', 'Apex'],
-  },
-  
-  friends: [
-    { id: 'f1', username: 'SharkBait', avatar: '🐟', status: 'online', level: 34 },
-    { id: 'f2', username: 'DeepDiver', avatar: '🐬', status: 'online', level: 19 },
-    { id: 'f3', username: 'CoralQueen', avatar: '🐙', status: 'away', level: 42 },
-    { id: 'f4', username: 'WaveRider', avatar: '🦈', status: 'offline', level: 28 },
-    { id: 'f5', username: 'BubbleMaster', avatar: '🐡', status: 'offline', level: 15 },
-  ],
-  
-  matchHistory: [
-    { id: 'm1', date: '2024-12-01', duration: 23, size: 15.2, eaten: 34, placement: 3, server: 'Ocean Prime' },
-    { id: 'm2', date: '2024-11-30', duration: 45, size: 42.7, eaten: 89, placement: 1, server: 'Deep Blue' },
-    { id: 'm3', date: '2024-11-30', duration: 12, size: 5.1, eaten: 8, placement: 47, server: 'Coral Reef' },
-    { id: 'm4', date: '2024-11-29', duration: 31, size: 22.4, eaten: 45, placement: 7, server: 'Ocean Prime' },
-    { id: 'm5', date: '2024-11-28', duration: 18, size: 11.8, eaten: 21, placement: 12, server: 'Arctic Waters' },
-  ],
+const JOIN_ERROR_TEXT = {
+  [ROOM_ERROR_REASON.NOT_FOUND]: 'That room has closed',
+  [ROOM_ERROR_REASON.FULL]: 'That room is full',
+  [ROOM_ERROR_REASON.BAD_PASSWORD]: 'Wrong password',
 }
 
+// Callbacks
+let onBackCallback = null
+
 // ============================================================================
 // STYLES
 // ============================================================================
@@ -727,10 +682,14 @@ function generateStyles() {
       border: 3px solid rgba(0, 30, 60, 0.9);
     }
     
-    .friend-status-dot.online { background: #00ff88; }
-    .friend-status-dot.away { background: #ffaa00; }
+    .friend-status-dot.playing { background: #00ff88; }
+    .friend-status-dot.online { background: #ffaa00; }
     .friend-status-dot.offline { background: #666666; }
     
+    .friend-row.pending {
+      border-style: dashed;
+    }
+    
     .friend-info {
       flex: 1;
     }
@@ -766,12 +725,17 @@ function generateStyles() {
       transition: all 0.2s ease;
     }
     
-    .friend-action-btn:hover {
+    .friend-action-btn:hover:not(:disabled) {
       background: rgba(0, 80, 130, 0.6);
       border-color: #00d4ff;
       transform: scale(1.1);
     }
     
+    .friend-action-btn:disabled {
+      opacity: 0.3;
+      cursor: default;
+    }
+    
     .no-data-message {
       color: rgba(150, 200, 230, 0.6);
       text-align: center;
@@ -964,6 +928,18 @@ export function initAccountMenu() {
   // Attach keyboard listener
   document.addEventListener('keydown', handleKeydown)
   
+  // Saved login from an earlier visit
+  accountClient.restore().then(profile => {
+    if (!profile) return
+    isLoggedIn = true
+    currentUser = profile
+    console.log(`[AccountMenu] Logged in as ${profile.username}`)
+    if (isVisible) {
+      render()
+      refreshFriends()
+    }
+  })
+  
   console.log('[AccountMenu] Initialized')
 }
 
@@ -1063,7 +1039,7 @@ function buildAuthHTML() {
 }
 
 function buildProfileHTML() {
-  const user = currentUser || MOCK_USER
+  const user = currentUser
   const xpPercent = (user.xp / user.xpToNext) * 100
   
   return `
@@ -1160,7 +1136,7 @@ function buildProfileHTML() {
           <!-- Achievements Tab -->
           <div class="profile-tab-content ${currentProfileTab === 'achievements' ? 'active' : ''}" data-content="achievements">
             <div class="achievements-grid">
-              ${user.achievements.map(ach => `
+              ${Achievements.getAll().map(ach => `
                 <div class="achievement-card ${ach.unlocked ? '' : 'locked'}">
                   <div class="achievement-icon">${ach.icon}</div>
                   <div class="achievement-info">
@@ -1172,7 +1148,7 @@ function buildProfileHTML() {
                         <div class="achievement-progress">
                           <div class="achievement-progress-fill" style="width: ${(ach.progress / ach.max) * 100}%"></div>
                         </div>
-                        <div class="achievement-progress-text">${ach.progress} / ${ach.max}</div>
+                        <div class="achievement-progress-text">${ach.progress} / ${ach.max}${ach.unit}</div>
                       `
                     }
                   </div>
@@ -1184,29 +1160,56 @@ function buildProfileHTML() {
           <!-- Friends Tab -->
           <div class="profile-tab-content ${currentProfileTab === 'friends' ? 'active' : ''}" data-content="friends">
             <div class="friends-header">
-              <span class="friends-count">${user.friends.length} Friends</span>
+              <span class="friends-count">${friendsData.friends.length} Friends</span>
               <button class="friends-add-btn">
                 <span>+</span>
                 <span>Add Friend</span>
               </button>
             </div>
             <div class="friends-list">
-              ${user.friends.length > 0 ? user.friends.map(friend => `
-                <div class="friend-row">
+              ${friendsData.incoming.map(request => `
+                <div class="friend-row pending" data-username="${escapeHtml(request.username)}">
+                  <div class="friend-avatar">${request.avatar}</div>
+                  <div class="friend-info">
+                    <div class="friend-name">${escapeHtml(request.username)}</div>
+                    <div class="friend-level">Level ${request.level} - wants to be friends</div>
+                  </div>
+                  <div class="friend-actions">
+                    <button class="friend-action-btn" data-action="accept" title="Accept">✓</button>
+                    <button class="friend-action-btn" data-action="remove" title="Decline">✕</button>
+                  </div>
+                </div>
+              `).join('')}
+              ${friendsData.friends.map(friend => `
+                <div class="friend-row" data-username="${escapeHtml(friend.username)}">
                   <div class="friend-avatar">
                     ${friend.avatar}
                     <div class="friend-status-dot ${friend.status}"></div>
                   </div>
                   <div class="friend-info">
-                    <div class="friend-name">${friend.username}</div>
-                    <div class="friend-level">Level ${friend.level}</div>
+                    <div class="friend-name">${escapeHtml(friend.username)}</div>
+                    <div class="friend-level">Level ${friend.level} - ${escapeHtml(getPresenceText(friend))}</div>
                   </div>
                   <div class="friend-actions">
-                    <button class="friend-action-btn" title="Message">💬</button>
-                    <button class="friend-action-btn" title="Invite">🎮</button>
+                    <button class="friend-action-btn" data-action="whisper" title="Whisper" ${friend.status === PRESENCE.OFFLINE ? 'disabled' : ''}>💬</button>
+                    <button class="friend-action-btn" data-action="join" title="Join" ${friend.status === PRESENCE.OFFLINE || friend.roomId === networkManager.getRoomId() ? 'disabled' : ''}>🎮</button>
+                    <button class="friend-action-btn" data-action="remove" title="Remove">✕</button>
                   </div>
                 </div>
-              `).join('') : '<p class="no-data-message">No friends yet. Click "Add Friend" to get started!</p>'}
+              `).join('')}
+              ${friendsData.outgoing.map(request => `
+                <div class="friend-row pending" data-username="${escapeHtml(request.username)}">
+                  <div class="friend-avatar">${request.avatar}</div>
+                  <div class="friend-info">
+                    <div class="friend-name">${escapeHtml(request.username)}</div>
+                    <div class="friend-level">Level ${request.level} - request sent</div>
+                  </div>
+                  <div class="friend-actions">
+                    <button class="friend-action-btn" data-action="remove" title="Cancel request">✕</button>
+                  </div>
+                </div>
+              `).join('')}
+              ${friendsData.friends.length + friendsData.incoming.length + friendsData.outgoing.length === 0 ? '<p class="no-data-message">No friends yet. Click "Add Friend" to get started!</p>' : ''}
             </div>
           </div>
           
@@ -1218,7 +1221,7 @@ function buildProfileHTML() {
                 return `
                   <div class="history-row">
                     <div class="history-date">${match.date}</div>
-                    <div class="history-server">${match.server}</div>
+                    <div class="history-server">${escapeHtml(match.server)}</div>
                     <div class="history-stat">
                       <div class="history-stat-value">${match.duration}m</div>
                       <div class="history-stat-label">Duration</div>
@@ -1329,6 +1332,11 @@ function attachProfileListeners() {
       tabContents.forEach(content => {
         content.classList.toggle('active', content.dataset.content === currentProfileTab)
       })
+      
+      // Presence goes stale quickly
+      if (currentProfileTab === 'friends') {
+        refreshFriends()
+      }
     })
   })
   
@@ -1349,23 +1357,17 @@ function attachProfileListeners() {
   accountRoot.querySelector('.friends-add-btn')?.addEventListener('click', () => {
     const username = prompt('Enter username to add as friend:')
     if (username && username.trim()) {
-      alert(`Friend request sent to "${username.trim()}"!`)
+      handleAddFriend(username.trim())
     }
   })
   
   // Friend action buttons
-  accountRoot.querySelectorAll('.friend-action-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const action = btn.title
-      const friendRow = btn.closest('.friend-row')
-      const friendName = friendRow.querySelector('.friend-name').textContent
-      
-      if (action === 'Message') {
-        alert(`Opening chat with ${friendName}...\n\nMessaging feature coming soon!`)
-      } else if (action === 'Invite') {
-        alert(`Game invite sent to ${friendName}!`)
-      }
-    })
+  accountRoot.querySelector('.friends-list')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('.friend-action-btn')
+    if (!btn || btn.disabled) return
+    
+    const username = btn.closest('.friend-row').dataset.username
+    handleFriendAction(btn.dataset.action, username)
   })
 }
 
@@ -1373,29 +1375,37 @@ function attachProfileListeners() {
 // AUTH HANDLERS
 // ============================================================================
 
-function handleLogin() {
-  const email = document.getElementById('login-email')?.value
+async function handleLogin() {
+  const login = document.getElementById('login-email')?.value
   const password = document.getElementById('login-password')?.value
+  const remember = document.getElementById('login-remember')?.checked || false
   
-  if (!email || !password) return
+  if (!login || !password) return
   
   const submitBtn = accountRoot.querySelector('#login-form .auth-submit')
   const originalText = submitBtn.textContent
   submitBtn.textContent = 'Logging in...'
   submitBtn.disabled = true
   
-  // Simulate API call
-  setTimeout(() => {
-    isLoggedIn = true
-    currentUser = { ...MOCK_USER, email }
-    currentProfileTab = 'stats'
-    
-    console.log('[AccountMenu] Login successful')
-    render()
-  }, 1000)
+  try {
+    currentUser = await accountClient.login(login, password, remember)
+  } catch (err) {
+    console.warn(`[AccountMenu] Login failed: ${err.message}`)
+    alert(err.status ? err.message : 'Could not reach the game server.')
+    submitBtn.textContent = originalText
+    submitBtn.disabled = false
+    return
+  }
+  
+  isLoggedIn = true
+  currentProfileTab = 'stats'
+  
+  console.log('[AccountMenu] Login successful')
+  render()
+  refreshFriends()
 }
 
-function handleSignup() {
+async function handleSignup() {
   const username = document.getElementById('signup-username')?.value
   const email = document.getElementById('signup-email')?.value
   const password = document.getElementById('signup-password')?.value
@@ -1409,47 +1419,161 @@ function handleSignup() {
   }
   
   const submitBtn = accountRoot.querySelector('#signup-form .auth-submit')
+  const originalText = submitBtn.textContent
   submitBtn.textContent = 'Creating account...'
   submitBtn.disabled = true
   
-  // Simulate API call
-  setTimeout(() => {
-    isLoggedIn = true
-    currentUser = {
-      ...MOCK_USER,
-      username,
-      email,
-      level: 1,
-      xp: 0,
-      stats: {
-        totalPlayTime: 0,
-        gamesPlayed: 0,
-        creaturesEaten: 0,
-        timesEaten: 0,
-        largestSize: 0,
-        longestSurvival: 0,
-        totalDistanceSwum: 0,
-        abilitiesUsed: 0,
-        structuresBuilt: 0,
-      },
-      achievements: MOCK_USER.achievements.map(a => ({ ...a, unlocked: false, progress: 0 })),
-      friends: [],
-      matchHistory: [],
-    }
-    currentProfileTab = 'stats'
-    
-    console.log('[AccountMenu] Signup successful')
-    render()
-  }, 1500)
+  try {
+    currentUser = await accountClient.signup(username, email, password)
+  } catch (err) {
+    console.warn(`[AccountMenu] Signup failed: ${err.message}`)
+    alert(err.status ? err.message : 'Could not reach the game server.')
+    submitBtn.textContent = originalText
+    submitBtn.disabled = false
+    return
+  }
+  
+  isLoggedIn = true
+  currentProfileTab = 'stats'
+  
+  console.log('[AccountMenu] Signup successful')
+  render()
+}
+
+/**
+ * Reload the profile - stats change with every game played
+ */
+async function refreshProfile() {
+  try {
+    currentUser = await accountClient.refresh()
+  } catch (err) {
+    if (err.status === 401) {
+      // Login expired on the server
+      logout()
+    } else {
+      console.warn(`[AccountMenu] Couldn't refresh profile: ${err.message}`)
+      return
+    }
+  }
+  
+  if (isVisible) render()
+}
+
+// ============================================================================
+// FRIENDS
+// ============================================================================
+
+/**
+ * Reload friends and where they are
+ */
+async function refreshFriends() {
+  try {
+    friendsData = await accountClient.getFriends()
+  } catch (err) {
+    console.warn(`[AccountMenu] Couldn't load friends: ${err.message}`)
+    return
+  }
+  
+  if (isVisible && isLoggedIn) render()
+}
+
+async function handleAddFriend(username) {
+  try {
+    friendsData = await accountClient.requestFriend(username)
+  } catch (err) {
+    alert(err.status ? err.message : 'Could not reach the game server.')
+    return
+  }
+  
+  // Asking someone who already asked us makes it mutual straight away
+  const key = username.toLowerCase()
+  const accepted = friendsData.friends.some(friend => friend.username.toLowerCase() === key)
+  alert(accepted ? `You and ${username} are now friends!` : `Friend request sent to "${username}"!`)
+  render()
+}
+
+async function handleFriendAction(action, username) {
+  const friend = friendsData.friends.find(entry => entry.username === username)
+  
+  switch (action) {
+    case 'whisper':
+      if (!startWhisper(username)) {
+        alert(`Whisper from the chat once you're in the game:\n\n/w ${username} your message`)
+      }
+      return
+      
+    case 'join':
+      if (friend) joinFriend(friend)
+      return
+      
+    case 'accept':
+      return updateFriends(accountClient.acceptFriend(username))
+      
+    case 'remove':
+      if (friend && !confirm(`Remove ${username} from your friends?`)) return
+      return updateFriends(accountClient.removeFriend(username))
+  }
+}
+
+async function updateFriends(request) {
+  try {
+    friendsData = await request
+  } catch (err) {
+    alert(err.status ? err.message : 'Could not reach the game server.')
+    return
+  }
+  render()
+}
+
+/**
+ * Move to the friend's room - straight away if connected, otherwise on the next dive
+ */
+async function joinFriend(friend) {
+  let password = null
+  if (friend.locked) {
+    password = prompt(`${friend.roomName} has a password:`)
+    if (password === null) return
+  }
+  
+  try {
+    const { queued } = await networkManager.switchRoom(friend.roomId, password)
+    alert(queued ? `You'll join ${friend.username} in ${friend.roomName} when you dive in` : `Joined ${friend.username} in ${friend.roomName}`)
+  } catch (err) {
+    alert(JOIN_ERROR_TEXT[err.reason] || `Could not join ${friend.username}: ${err.message}`)
+    return
+  }
+  
+  refreshFriends()
+}
+
+function getPresenceText(friend) {
+  switch (friend.status) {
+    case PRESENCE.PLAYING:
+      return `Playing in ${friend.roomName}`
+    case PRESENCE.ONLINE:
+      return `Online in ${friend.roomName}`
+    default:
+      return 'Offline'
+  }
 }
 
 function logout() {
+  accountClient.logout()
   isLoggedIn = false
   currentUser = null
+  friendsData = { friends: [], incoming: [], outgoing: [] }
   currentProfileTab = 'stats'
   console.log('[AccountMenu] Logged out')
 }
 
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
 // ============================================================================
 // NAVIGATION
 // ============================================================================
@@ -1478,6 +1602,11 @@ export function show() {
   accountRoot.classList.add('visible')
   isVisible = true
   console.log('[AccountMenu] Shown')
+  
+  if (isLoggedIn) {
+    refreshProfile()
+    refreshFriends()
+  }
 }
 
 /**
@@ -0,0 +1,309 @@
+/**
+ * achievements.js - Achievements driven by gameplay events
+ *
+ * Every achievement is one line in ACHIEVEMENTS: the stat it watches and
+ * the value that unlocks it. Stats are counted from game events:
+ *
+ *   meals, playersEaten, biggestPrey, peakVolume   Feeding.onEat (our own meals)
+ *   deaths                                         Feeding.onPlayerEaten, recordDeath()
+ *   abilitiesUsed                                  ExtraControls.onAbilityActivate
+ *   sprintTime                                     update() while the sprinter is active
+ *   prismsPlaced                                   stacker.onPrismPlaced
+ *   distanceSwum, longestLife                      update() - our creature's movement
+ *
+ * Progress is saved in localStorage, and on the player's account while
+ * logged in (merged with what the account already has). An unlock pops a
+ * HUD toast.
+ *
+ * USAGE:
+ *   import * as Achievements from './achievements.js'
+ *
+ *   Achievements.init()          // once, after Feeding.init()
+ *   Achievements.update(delta)   // each frame while playing
+ *   Achievements.getAll()        // list with progress, for the profile page
+ */
+
+import { Feeding } from './Feeding.js'
+import { onAbilityActivate, isExtraActive, getActiveAbilityName } from './ExtraControls.js'
+import { onPrismPlaced } from './stacker.js'
+import { getPlayer } from './player.js'
+import { notifyEvent } from './hud.js'
+import { accountClient } from '../network/AccountClient.js'
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+// How each stat combines: 'sum' counts up, 'max' keeps the best value
+const STATS = {
+  meals: 'sum',           // NPCs and players we ate
+  playersEaten: 'sum',
+  deaths: 'sum',
+  abilitiesUsed: 'sum',
+  sprintTime: 'sum',      // Seconds
+  prismsPlaced: 'sum',
+  distanceSwum: 'sum',    // World units (m)
+  peakVolume: 'max',      // m^3
+  biggestPrey: 'max',     // m^3
+  longestLife: 'max',     // Seconds
+}
+
+// `per` and `unit` only change how progress is shown (e.g. metres as km)
+export const ACHIEVEMENTS = [
+  { id: 'first_meal', name: 'First Meal', desc: 'Eat your first creature', icon: '🍽️', stat: 'meals', goal: 1 },
+  { id: 'big_appetite', name: 'Big Appetite', desc: 'Eat 500 creatures', icon: '🦐', stat: 'meals', goal: 500 },
+  { id: 'first_blood', name: 'First Blood', desc: 'Eat another player', icon: '🦈', stat: 'playersEaten', goal: 1 },
+  { id: 'apex_predator', name: 'Apex Predator', desc: 'Reach 10m³ volume', icon: '👑', stat: 'peakVolume', goal: 10 },
+  { id: 'whale_hunter', name: 'Whale Hunter', desc: 'Eat a creature of 50m³ or more', icon: '🐋', stat: 'biggestPrey', goal: 50 },
+  { id: 'speed_demon', name: 'Speed Demon', desc: 'Sprint for 60 seconds total', icon: '⚡', stat: 'sprintTime', goal: 60, unit: 's' },
+  { id: 'tinkerer', name: 'Tinkerer', desc: 'Use your ability 100 times', icon: '🔧', stat: 'abilitiesUsed', goal: 100 },
+  { id: 'architect', name: 'Architect', desc: 'Build 100 structures', icon: '🏗️', stat: 'prismsPlaced', goal: 100 },
+  { id: 'survivor', name: 'Survivor', desc: 'Survive for 30 minutes', icon: '🛡️', stat: 'longestLife', goal: 30 * 60, per: 60, unit: 'min' },
+  { id: 'marathon', name: 'Marathon', desc: 'Swim 100km total', icon: '🏊', stat: 'distanceSwum', goal: 100000, per: 1000, unit: 'km' },
+]
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  storageKey: 'ocean.achievements',
+  saveInterval: 10,      // Seconds between saves while stats change
+  syncInterval: 60,      // Seconds between account syncs while stats change
+  maxSwimStep: 20,       // Longer moves in one frame are teleports (respawn, map change)
+}
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+let initialized = false
+let stats = {}          // stat -> value
+let unlocked = {}       // achievement id -> unlock time (ms)
+
+let alive = false       // Playing since the last death (a death is only counted once)
+let currentLife = 0     // Seconds alive since the last death
+let lastPosition = null
+let dirty = false       // Changed since the last local save
+let unsynced = false    // Changed since the last account sync
+let saveTimer = 0
+let syncTimer = 0
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+export function init() {
+  if (initialized) return
+  initialized = true
+  
+  load()
+  
+  Feeding.onEat(handleMeal)
+  Feeding.onPlayerEaten(() => recordDeath())
+  onAbilityActivate(() => add('abilitiesUsed', 1))
+  onPrismPlaced(() => add('prismsPlaced', 1))
+  
+  // Progress follows the account - merge in what it earned elsewhere
+  accountClient.onProfile(profile => {
+    if (profile?.achievementProgress) {
+      merge(profile.achievementProgress)
+    }
+  })
+  
+  console.log(`[Achievements] Initialized (${Object.keys(unlocked).length}/${ACHIEVEMENTS.length} unlocked)`)
+}
+
+/**
+ * Time-based stats - call each frame while our creature is playing
+ * @param {number} delta - Seconds
+ */
+export function update(delta) {
+  if (!initialized) return
+  
+  alive = true
+  currentLife += delta
+  best('longestLife', currentLife)
+  
+  if (isExtraActive() && getActiveAbilityName() === 'sprinter') {
+    add('sprintTime', delta)
+  }
+  
+  const player = getPlayer()
+  if (player) {
+    if (lastPosition) {
+      const step = player.position.distanceTo(lastPosition)
+      if (step > 0 && step <= CONFIG.maxSwimStep) {
+        add('distanceSwum', step)
+      }
+      lastPosition.copy(player.position)
+    } else {
+      lastPosition = player.position.clone()
+    }
+  }
+  
+  saveTimer += delta
+  if (dirty && saveTimer >= CONFIG.saveInterval) {
+    save()
+  }
+  
+  syncTimer += delta
+  if (unsynced && syncTimer >= CONFIG.syncInterval) {
+    sync()
+  }
+}
+
+/**
+ * Our creature died (eaten locally or told by the server) - a new life starts
+ * Both can report the same death, so only the first counts
+ */
+export function recordDeath() {
+  if (!alive) return
+  alive = false
+  
+  add('deaths', 1)
+  currentLife = 0
+  lastPosition = null
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+function handleMeal(meal) {
+  // Feeding reports every player meal it sees - only count our own
+  if (meal.type === 'player' && !meal.predatorIsLocal) return
+  
+  add('meals', 1)
+  if (meal.type === 'player') {
+    add('playersEaten', 1)
+  }
+  
+  best('biggestPrey', meal.preyVolume || 0)
+  best('peakVolume', meal.playerVolumeAfter || meal.predatorVolumeAfter || 0)
+}
+
+// ============================================================================
+// STATS
+// ============================================================================
+
+function add(stat, amount) {
+  stats[stat] = (stats[stat] || 0) + amount
+  changed(stat)
+}
+
+function best(stat, value) {
+  if (value <= (stats[stat] || 0)) return
+  stats[stat] = value
+  changed(stat)
+}
+
+function changed(stat) {
+  dirty = true
+  unsynced = true
+  
+  for (const achievement of ACHIEVEMENTS) {
+    if (achievement.stat !== stat || unlocked[achievement.id]) continue
+    if (stats[stat] < achievement.goal) continue
+    
+    unlocked[achievement.id] = Date.now()
+    notifyEvent(`${achievement.icon} Achievement unlocked: ${achievement.name}`)
+    console.log(`[Achievements] Unlocked ${achievement.id}`)
+    
+    // Worth keeping straight away
+    save()
+    sync()
+  }
+}
+
+/**
+ * Take in progress saved elsewhere (the account) - best of both
+ * @param {{stats: Object, unlocked: Object}} progress
+ */
+function merge(progress) {
+  for (const [stat, value] of Object.entries(progress.stats || {})) {
+    if (STATS[stat] && typeof value === 'number' && value > (stats[stat] || 0)) {
+      stats[stat] = value
+    }
+  }
+  for (const [id, time] of Object.entries(progress.unlocked || {})) {
+    if (typeof time === 'number' && (!unlocked[id] || time < unlocked[id])) {
+      unlocked[id] = time
+    }
+  }
+  
+  // Stats from the account may complete achievements it hadn't unlocked yet
+  for (const achievement of ACHIEVEMENTS) {
+    if (!unlocked[achievement.id] && (stats[achievement.stat] || 0) >= achievement.goal) {
+      unlocked[achievement.id] = Date.now()
+    }
+  }
+  
+  save()
+  unsynced = true
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+function load() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIG.storageKey) || 'null')
+    if (saved) {
+      stats = saved.stats || {}
+      unlocked = saved.unlocked || {}
+    }
+  } catch (err) {
+    console.warn(`[Achievements] Ignoring unreadable saved progress: ${err.message}`)
+  }
+}
+
+function save() {
+  dirty = false
+  saveTimer = 0
+  localStorage.setItem(CONFIG.storageKey, JSON.stringify({ stats, unlocked }))
+}
+
+function sync() {
+  unsynced = false
+  syncTimer = 0
+  if (!accountClient.isLoggedIn()) return
+  
+  accountClient.saveAchievements({ stats, unlocked }).catch(err => {
+    console.warn(`[Achievements] Couldn't save to account: ${err.message}`)
+    unsynced = true
+  })
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Every achievement with its progress, in display units
+ * @returns {Array<{id, name, desc, icon, unlocked, date, progress, max, unit}>}
+ */
+export function getAll() {
+  return ACHIEVEMENTS.map(achievement => {
+    const per = achievement.per || 1
+    const value = Math.min(stats[achievement.stat] || 0, achievement.goal)
+    const time = unlocked[achievement.id]
+    
+    return {
+      id: achievement.id,
+      name: achievement.name,
+      desc: achievement.desc,
+      icon: achievement.icon,
+      unlocked: !!time,
+      date: time ? new Date(time).toISOString().slice(0, 10) : null,
+      progress: Math.floor((value / per) * 10) / 10,
+      max: achievement.goal / per,
+      unit: achievement.unit || '',
+    }
+  })
+}
+
+export function getStats() {
+  return { ...stats }
+}
@@ -1,16 +1,36 @@
 import * as THREE from 'three'
 import { getPlayer, getFishParts } from './player.js'
+import * as Settings from './settings.js'
 
 // Create camera
 export const camera = new THREE.PerspectiveCamera(
-  75,
+  Settings.get('fov'),
   window.innerWidth / window.innerHeight,
   0.1,
-  1000
+  Settings.get('renderDistance')
 )
 
-// Mouse sensitivity
-const sensitivity = 0.002
+// Mouse sensitivity (at the default 50 of the sensitivity setting)
+const baseSensitivity = 0.002
+let sensitivity = baseSensitivity
+let invertY = false
+
+applySettings(Settings.getAll())
+Settings.onChange(applySettings)
+
+/**
+ * FOV, render distance and mouse look from the player's settings
+ */
+function applySettings(settings) {
+  sensitivity = baseSensitivity * (settings.mouseSensitivity / 50)
+  invertY = settings.invertY
+  
+  if (camera.fov !== settings.fov || camera.far !== settings.renderDistance) {
+    camera.fov = settings.fov
+    camera.far = settings.renderDistance
+    camera.updateProjectionMatrix()
+  }
+}
 
 // Rotation values
 let yaw = 0
@@ -23,6 +43,7 @@ let cameraMode = 'first-person'
 let orbitDistance = 0
 const minOrbitDistance = 3
 const maxOrbitDistance = 50
+const spectatorFollowDistance = 10
 
 export function initCameraControls(domElement) {
   // Click to lock pointer
@@ -39,11 +60,7 @@ export function initCameraControls(domElement) {
   document.addEventListener('mousemove', (e) => {
     if (!isLocked) return
     
-    yaw -= e.movementX * sensitivity
-    pitch -= e.movementY * sensitivity
-    
-    // Clamp pitch to avoid flipping
-    pitch = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, pitch))
+    addLookInput(e.movementX, e.movementY)
   })
   
   // Scroll to zoom - works in both modes
@@ -60,6 +77,19 @@ export function initCameraControls(domElement) {
   })
 }
 
+/**
+ * Turn the view - mouse movement, or a gamepad stick scaled to the same units
+ * @param {number} dx - Pixels of mouse movement (right = positive)
+ * @param {number} dy - Pixels of mouse movement (down = positive)
+ */
+export function addLookInput(dx, dy) {
+  yaw -= dx * sensitivity
+  pitch -= dy * sensitivity * (invertY ? -1 : 1)
+  
+  // Clamp pitch to avoid flipping
+  pitch = Math.max(-Math.PI / 2 + 0.1, Math.min(Math.PI / 2 - 0.1, pitch))
+}
+
 export function updateCamera() {
   const player = getPlayer()
   if (!player) return
@@ -102,6 +132,30 @@ export function updateCamera() {
   }
 }
 
+/**
+ * Spectator camera - no local player to follow
+ * @param {THREE.Vector3} freePosition - Free-fly position (used when target is null)
+ * @param {THREE.Object3D|null} target - Followed player's mesh
+ */
+export function updateSpectatorCamera(freePosition, target) {
+  if (target) {
+    // Orbit the followed player - zooming in never goes first-person,
+    // the spectator has no body to look out of
+    const distance = Math.max(orbitDistance, spectatorFollowDistance)
+    camera.position.set(
+      target.position.x + Math.sin(yaw) * Math.cos(-pitch) * distance,
+      target.position.y + Math.sin(-pitch) * distance,
+      target.position.z + Math.cos(yaw) * Math.cos(-pitch) * distance
+    )
+    camera.lookAt(target.position)
+  } else {
+    camera.rotation.order = 'YXZ'
+    camera.rotation.y = yaw
+    camera.rotation.x = pitch
+    camera.position.copy(freePosition)
+  }
+}
+
 export function getYaw() {
   return yaw
 }
@@ -584,6 +584,8 @@ function createDisguiseMimic(player, color, terrainType) {
       rng() * Math.PI * 2
     )
     
+    mesh.castShadow = true  // Joins the player mesh, not the scene - main.js castShadows() won't see it
+    mesh.receiveShadow = true
     mesh.userData.isDisguiseMimic = true
     disguiseMimicGroup.add(mesh)
   }
@@ -1877,6 +1879,8 @@ function createRemoteDisguiseMimic(playerMesh, color, terrainType, seed) {
       rng() * Math.PI * 2
     )
     
+    mesh.castShadow = true  // Joins the player mesh, not the scene - main.js castShadows() won't see it
+    mesh.receiveShadow = true
     mesh.userData.isDisguiseMimic = true
     mimicGroup.add(mesh)
   }
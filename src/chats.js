@@ -39,7 +39,8 @@ export const MESSAGE_TYPES = {
   EVENT: 'event',         // Game events (eating, abilities, etc.)
   REMOTE: 'remote',       // Other players (multiplayer)
   SERVER: 'server',       // Server messages (multiplayer)
-  EMOJI: 'emoji'          // Emoji quick-chat messages
+  EMOJI: 'emoji',         // Emoji quick-chat messages
+  WHISPER: 'whisper'      // Private messages to and from friends (/w name text)
 }
 
 // Message history storage
@@ -497,6 +498,25 @@ export function addWheelMovement(dx, dy) {
   }
 }
 
+/**
+ * Point the wheel in a direction (gamepad stick)
+ * @param {number} x - Stick X (-1 to 1)
+ * @param {number} y - Stick Y (-1 to 1, down = positive)
+ */
+export function setWheelDirection(x, y) {
+  rawMovement.x = x * TETHER_MAX_RADIUS
+  rawMovement.y = y * TETHER_MAX_RADIUS
+  
+  notifyEmojiWheelListeners('movement', getClampedMovement())
+  
+  // Centred stick keeps the last highlight, so it can be released before sending
+  const newIndex = getSegmentFromPosition(rawMovement.x, rawMovement.y)
+  if (newIndex !== -1 && newIndex !== currentHighlightedIndex) {
+    currentHighlightedIndex = newIndex
+    notifyEmojiWheelListeners('hover', newIndex)
+  }
+}
+
 /**
  * Calculate which segment index based on position/direction relative to center
  * @param {number} dx - X position/direction from center
@@ -857,6 +877,10 @@ export function emojiMessage(emoji, sender = null, senderId = null) {
   return addMessage(emoji, MESSAGE_TYPES.EMOJI, { sender, senderId })
 }
 
+export function whisperMessage(text, sender = null) {
+  return addMessage(text, MESSAGE_TYPES.WHISPER, { sender })
+}
+
 // ============================================================================
 // CONFIGURATION ACCESS
 // ============================================================================
@@ -1,7 +1,8 @@
 /**
  * controls.js - Input handling
  * 
- * Controls:
+ * Keys are bound to actions in input.js (rebindable in Settings > Controls),
+ * gamepads are read each frame. Default controls:
  *   WASD        - Swim
  *   Space       - Up
  *   Shift       - Down
@@ -39,6 +40,7 @@ import {
   getCreatureShortName,
 } from './Encyclopedia.js'
 import { regenerateMap } from './map.js'
+import { addLookInput } from './camera.js'
 import { networkManager } from '../network/NetworkManager.js'
 import { 
   toggleTerrainWireframe,
@@ -82,23 +84,29 @@ import { Determine } from './determine.js'
 import { activateCapacity, deactivateCapacity, hasCapacity } from './hud.js'
 import * as Chat from './chats.js'
 import { togglePlayerScalePanel, updatePlayerScalePanel } from '../network/PlayerScaleDebugPanel.js'
+import { togglePopulationPanel } from './PopulationDebugPanel.js'
+import {
+  ACTION,
+  GAMEPAD_BUTTON,
+  getActionForKey,
+  getActionForButton,
+  pollGamepad,
+} from './input.js'
 
 // ============================================================================
 // STATE
 // ============================================================================
 
-const keys = {
-  w: false,
-  a: false,
-  s: false,
-  d: false,
-  space: false,
-  shift: false,
-  q: false,
-}
+// Actions held on the keyboard and gamepad (see input.js)
+const heldActions = new Set()
+const gamepadActions = new Set()
+
+// Ability held by its key or gamepad trigger
+let abilityHeld = false
 
-// Track shift state for V key combo
-let shiftHeld = false
+// Latest gamepad reading (null without one)
+let gamepad = null
+const GAMEPAD_LOOK_SPEED = 900  // Mouse pixels per second at full stick tilt
 
 // ============================================================================
 // HELPERS
@@ -181,7 +189,7 @@ function showNotification(message, color = '#00ff88') {
  * 3. Reset and re-analyze SpawnFactory
  * 4. Clear old fish (before Determine reset for safety)
  * 5. Reset Determine RNG with derived npcSeed
- * 6. Spawn new fish (all clients in sync)
+ * 6. Spawn new fish (single-player only - in multiplayer the server sends them)
  * 
  * @param {number|null} masterSeed - The master seed (null = generate random for singleplayer)
  */
@@ -225,12 +233,14 @@ export function performMapRegeneration(masterSeed) {
   FishAdder.clear()
   
   // 5. Reset Determine RNG with derived npcSeed
-  // This MUST happen immediately before spawnInitialFish for determinism
   Determine.reset(npcSeed)
   
-  // 6. Spawn new fish (uses Determine - all clients will be in sync)
-  FishAdder.spawnInitialFish()
-  console.log(`[Controls] Fish respawned: ${FishAdder.getCount()} creatures`)
+  // 6. Spawn new fish - the server runs the room's NPCs and sends a full
+  // batch after MAP_CHANGE, so only single-player simulates locally
+  if (!networkManager.isConnected()) {
+    FishAdder.spawnInitialFish(npcSeed)
+    console.log(`[Controls] Fish respawned: ${FishAdder.getCount()} creatures`)
+  }
   
   // Show notification
   showNotification(
@@ -302,251 +312,308 @@ export function initControls() {
     // Ignore if typing in input
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return
     
-    switch(e.code) {
-      // Movement keys
-      case 'KeyW': keys.w = true; break
-      case 'KeyA': keys.a = true; break
-      case 'KeyS': keys.s = true; break
-      case 'KeyD': keys.d = true; break
-      case 'Space': 
+    // Fixed keys while the emoji wheel is open: 1-9, 0 select, Escape closes
+    if (Chat.isEmojiWheelOpen()) {
+      if (e.code.startsWith('Digit')) {
         e.preventDefault()
-        keys.space = true
-        break
-      case 'ShiftLeft':
-      case 'ShiftRight': 
-        keys.shift = true
-        shiftHeld = true
-        break
-      
-      // Q = Extra ability (hold)
-      case 'KeyQ':
-        if (!keys.q) {
-          const capacityMode = getActiveCapacityMode()
-          
-          // For 'hold' mode, require capacity to activate
-          // For other modes, ability manages its own capacity
-          if (capacityMode === 'hold' && !hasCapacity()) {
-            break  // No capacity for hold-type ability
-          }
-          
-          keys.q = true
-          
-          // Only activate capacity drain for 'hold' mode abilities
-          if (capacityMode === 'hold') {
-            activateCapacity()
-          }
-          
-          activateExtra()
-          
-          // Only boost speed when sprinter ability is active
-          if (getActiveAbilityName() === 'sprinter') {
-            setBoosting(true)
-          }
-        }
-        break
-      
-      // E = Emoji wheel
-      case 'KeyE':
+        Chat.selectEmojiByKey(e.key)
+        return
+      }
+      if (e.code === 'Escape') {
         e.preventDefault()
-        if (!Chat.isEmojiWheelOpen()) {
-          // Set start position for direction detection
-          Chat.setWheelMouseStart(mouseX, mouseY)
-        }
-        Chat.toggleEmojiWheel()
-        break
-      
-      // Number keys 0-9 = Select emoji (when wheel open)
-      case 'Digit1': case 'Digit2': case 'Digit3': case 'Digit4': case 'Digit5':
-      case 'Digit6': case 'Digit7': case 'Digit8': case 'Digit9': case 'Digit0':
-        if (Chat.isEmojiWheelOpen()) {
-          e.preventDefault()
-          Chat.selectEmojiByKey(e.key)
-        }
-        break
-      
-      // Escape = Close emoji wheel (among other things)
-      case 'Escape':
-        if (Chat.isEmojiWheelOpen()) {
-          e.preventDefault()
-          Chat.closeEmojiWheel()
-        }
-        break
-      
-      // M = New Map (synced in multiplayer)
-      case 'KeyM':
-        // In multiplayer: request map change from server (syncs to all players)
-        if (networkManager && networkManager.isConnected()) {
-          networkManager.requestMapChange()
-          showNotification('Requesting new map...', '#ffff00')
-        } else {
-          // Singleplayer: regenerate locally with random seed
-          performMapRegeneration(null)
-        }
-        break
-      
-      // R = Decrease scale (DEBUG - visual only, affects effective volume)
-      case 'KeyR':
-        const scaleDownResult = decreasePlayerScale()
-        if (scaleDownResult) {
-          rebuildPlayerPhysics()
-          updatePlayerScalePanel()  // Update debug panel
-          showNotification(
-            `Scale: ${scaleDownResult.scalePercent.toFixed(0)}% | Vol: ${scaleDownResult.volume.toFixed(2)} m^3`,
-            '#ff8888'
-          )
-        }
-        break
-      
-      // T = Increase scale (DEBUG - visual only, affects effective volume)
-      case 'KeyT':
-        const scaleUpResult = increasePlayerScale()
-        if (scaleUpResult) {
-          rebuildPlayerPhysics()
-          updatePlayerScalePanel()  // Update debug panel
-          showNotification(
-            `Scale: ${scaleUpResult.scalePercent.toFixed(0)}% | Vol: ${scaleUpResult.volume.toFixed(2)} m^3`,
-            '#88ff88'
-          )
-        }
-        break
-      
-      // G = Mutate creature (Generate new random of same type)
-      case 'KeyG':
-        const result = regeneratePlayerCreature()
-        if (result) {
-          rebuildPlayerPhysics()
-          const size = result.traits?.length?.toFixed(1) || '?'
-          const shortName = getCreatureShortName(result.creatureType, result.creatureClass)
-          showNotification(
-            `${shortName} | ${size}m | ${seedToString(result.seed)}`,
-            '#00ff88'
-          )
-        }
-        break
-      
-      // N = Next species
-      case 'KeyN':
-        const next = cyclePlayerClass()
-        if (next) {
+        Chat.closeEmojiWheel()
+        return
+      }
+    }
+    
+    const action = getActionForKey(e.code)
+    if (!action) return
+    
+    // Bound keys don't scroll the page etc. - browser shortcuts still work
+    if (!e.ctrlKey && !e.metaKey) e.preventDefault()
+    
+    heldActions.add(action)
+    handleActionDown(action, e.shiftKey)
+  })
+  
+  window.addEventListener('keyup', (e) => {
+    const action = getActionForKey(e.code)
+    if (!action) return
+    
+    heldActions.delete(action)
+    if (action === ACTION.ABILITY) {
+      releaseAbility()
+    }
+  })
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * An action's key or gamepad button was pressed
+ * @param {string} action - ACTION (see input.js)
+ * @param {boolean} [shift] - Shift held (Shift+V shows occupied spawn points)
+ */
+function handleActionDown(action, shift = false) {
+  switch (action) {
+    // Extra ability (hold)
+    case ACTION.ABILITY:
+      pressAbility()
+      break
+    
+    // Emoji wheel
+    case ACTION.EMOJI_WHEEL:
+      if (!Chat.isEmojiWheelOpen()) {
+        // Set start position for direction detection
+        Chat.setWheelMouseStart(mouseX, mouseY)
+      }
+      Chat.toggleEmojiWheel()
+      break
+    
+    // New Map (synced in multiplayer)
+    case ACTION.NEW_MAP:
+      // In multiplayer: request map change from server (syncs to all players)
+      if (networkManager && networkManager.isConnected()) {
+        networkManager.requestMapChange()
+        showNotification('Requesting new map...', '#ffff00')
+      } else {
+        // Singleplayer: regenerate locally with random seed
+        performMapRegeneration(null)
+      }
+      break
+    
+    // Decrease scale (DEBUG - visual only, affects effective volume)
+    case ACTION.SCALE_DOWN:
+      const scaleDownResult = decreasePlayerScale()
+      if (scaleDownResult) {
+        rebuildPlayerPhysics()
+        updatePlayerScalePanel()  // Update debug panel
+        showNotification(
+          `Scale: ${scaleDownResult.scalePercent.toFixed(0)}% | Vol: ${scaleDownResult.volume.toFixed(2)} m^3`,
+          '#ff8888'
+        )
+      }
+      break
+    
+    // Increase scale (DEBUG - visual only, affects effective volume)
+    case ACTION.SCALE_UP:
+      const scaleUpResult = increasePlayerScale()
+      if (scaleUpResult) {
+        rebuildPlayerPhysics()
+        updatePlayerScalePanel()  // Update debug panel
+        showNotification(
+          `Scale: ${scaleUpResult.scalePercent.toFixed(0)}% | Vol: ${scaleUpResult.volume.toFixed(2)} m^3`,
+          '#88ff88'
+        )
+      }
+      break
+    
+    // Mutate creature (Generate new random of same type)
+    case ACTION.MUTATE:
+      const result = regeneratePlayerCreature()
+      if (result) {
+        rebuildPlayerPhysics()
+        const size = result.traits?.length?.toFixed(1) || '?'
+        const shortName = getCreatureShortName(result.creatureType, result.creatureClass)
+        showNotification(
+          `${shortName} | ${size}m | ${seedToString(result.seed)}`,
+          '#00ff88'
+        )
+      }
+      break
+    
+    // Next species
+    case ACTION.NEXT_SPECIES:
+      const next = cyclePlayerClass()
+      if (next) {
+        rebuildPlayerPhysics()
+        const displayName = getCreatureDisplayName(next.creatureType, next.creatureClass)
+        const index = getCurrentIndex()
+        const total = getCreatureCatalog().length
+        showNotification(`${displayName} [${index + 1}/${total}]`, '#ffaa00')
+      }
+      break
+    
+    // Previous species
+    case ACTION.PREV_SPECIES:
+      const prev = cyclePreviousClass()
+      if (prev) {
+        rebuildPlayerPhysics()
+        const displayName = getCreatureDisplayName(prev.creatureType, prev.creatureClass)
+        const index = getCurrentIndex()
+        const total = getCreatureCatalog().length
+        showNotification(`${displayName} [${index + 1}/${total}]`, '#ffaa00')
+      }
+      break
+    
+    // Cycle variant (e.g., Yellowfin Tuna -> Bluefin Tuna)
+    case ACTION.CYCLE_VARIANT:
+      const variantResult = cycleVariant()
+      if (variantResult.hasVariants) {
+        // Variant changes colors, need to rebuild physics
+        if (variantResult.regenerated) {
           rebuildPlayerPhysics()
-          const displayName = getCreatureDisplayName(next.creatureType, next.creatureClass)
-          const index = getCurrentIndex()
-          const total = getCreatureCatalog().length
-          showNotification(`${displayName} [${index + 1}/${total}]`, '#ffaa00')
         }
-        break
+        showNotification(
+          `${variantResult.displayName} [${variantResult.variantIndex + 1}/${variantResult.variantCount}]`,
+          '#88ddff'
+        )
+      } else {
+        showNotification(
+          `${variantResult.variantName} (no variants)`,
+          '#888888'
+        )
+      }
+      break
+    
+    // Toggle wireframes + volume labels + player scale panel
+    case ACTION.DEBUG_OVERLAYS:
+      const wireframeOn = toggleWireframe()
+      toggleTerrainWireframe()
+      toggleStaticColliderWireframe()
+      toggleRemotePlayerWireframe()
+      FishAdder.toggleLabels()
+      togglePlayerScalePanel()  // Toggle the player scale debug panel
+      showNotification(
+        `Debug overlays: ${wireframeOn ? 'ON' : 'OFF'}`,
+        wireframeOn ? '#00ff00' : '#ff6600'
+      )
+      break
+    
+    // Toggle spawn visualization + fish path ribbons
+    // With Shift = Show occupied points too (debug mode)
+    case ACTION.DEBUG_VIZ:
+      const showOccupied = shift
+      const vizOn = SpawnFactory.toggleVisualization({ showOccupied })
       
-      // B = Previous species
-      case 'KeyB':
-        const prev = cyclePreviousClass()
-        if (prev) {
-          rebuildPlayerPhysics()
-          const displayName = getCreatureDisplayName(prev.creatureType, prev.creatureClass)
-          const index = getCurrentIndex()
-          const total = getCreatureCatalog().length
-          showNotification(`${displayName} [${index + 1}/${total}]`, '#ffaa00')
-        }
-        break
+      // Also toggle path ribbons with spawn viz
+      FishAdder.setPathRibbonsVisible(vizOn)
       
-      // Z = Cycle variant (e.g., Yellowfin Tuna -> Bluefin Tuna)
-      case 'KeyZ':
-        const variantResult = cycleVariant()
-        if (variantResult.hasVariants) {
-          // Variant changes colors, need to rebuild physics
-          if (variantResult.regenerated) {
-            rebuildPlayerPhysics()
-          }
+      if (vizOn) {
+        const stats = SpawnFactory.stats
+        if (stats) {
           showNotification(
-            `${variantResult.displayName} [${variantResult.variantIndex + 1}/${variantResult.variantCount}]`,
-            '#88ddff'
+            `Debug viz ON | ${stats.playable} grid points + fish paths${showOccupied ? ' +occupied' : ''}`,
+            '#ff88ff'
           )
         } else {
-          showNotification(
-            `${variantResult.variantName} (no variants)`,
-            '#888888'
-          )
+          showNotification('Debug visualization ON (grid + paths)', '#ff88ff')
         }
-        break
-      
-      // P = Toggle wireframes + volume labels + player scale panel
-      case 'KeyP':
-        const wireframeOn = toggleWireframe()
-        toggleTerrainWireframe()
-        toggleStaticColliderWireframe()
-        toggleRemotePlayerWireframe()
-        FishAdder.toggleLabels()
-        togglePlayerScalePanel()  // Toggle the player scale debug panel
-        showNotification(
-          `Debug overlays: ${wireframeOn ? 'ON' : 'OFF'}`,
-          wireframeOn ? '#00ff00' : '#ff6600'
-        )
-        break
-      
-      // V = Toggle spawn visualization + fish path ribbons
-      // Shift+V = Show occupied points too (debug mode)
-      case 'KeyV':
-        const showOccupied = shiftHeld
-        const vizOn = SpawnFactory.toggleVisualization({ showOccupied })
-        
-        // Also toggle path ribbons with spawn viz
-        FishAdder.setPathRibbonsVisible(vizOn)
-        
-        if (vizOn) {
-          const stats = SpawnFactory.stats
-          if (stats) {
-            showNotification(
-              `Debug viz ON | ${stats.playable} grid points + fish paths${showOccupied ? ' +occupied' : ''}`,
-              '#ff88ff'
-            )
-          } else {
-            showNotification('Debug visualization ON (grid + paths)', '#ff88ff')
-          }
-        } else {
-          showNotification('Debug visualization OFF', '#888888')
-        }
-        break
-      
-      // F = Debug
-      case 'KeyF':
-        debugPhysics()
-        debugSwimming()
-        debugExtra()
-        debugPlayerScale()
-        SpawnFactory.debug()
-        FishAdder.debugVolumes()
-        break
+      } else {
+        showNotification('Debug visualization OFF', '#888888')
+      }
+      break
+    
+    // Debug
+    case ACTION.DEBUG_INFO:
+      debugPhysics()
+      debugSwimming()
+      debugExtra()
+      debugPlayerScale()
+      SpawnFactory.debug()
+      FishAdder.debugVolumes()
+      break
+    
+    // NPC population per species over time
+    case ACTION.DEBUG_POPULATION:
+      const populationOn = togglePopulationPanel()
+      showNotification(
+        `Population chart: ${populationOn ? 'ON' : 'OFF'}`,
+        populationOn ? '#00ff00' : '#ff6600'
+      )
+      break
+  }
+}
+
+function pressAbility() {
+  if (abilityHeld) return
+  
+  const capacityMode = getActiveCapacityMode()
+  
+  // For 'hold' mode, require capacity to activate
+  // For other modes, ability manages its own capacity
+  if (capacityMode === 'hold' && !hasCapacity()) {
+    return  // No capacity for hold-type ability
+  }
+  
+  abilityHeld = true
+  
+  // Only activate capacity drain for 'hold' mode abilities
+  if (capacityMode === 'hold') {
+    activateCapacity()
+  }
+  
+  activateExtra()
+  
+  // Only boost speed when sprinter ability is active
+  if (getActiveAbilityName() === 'sprinter') {
+    setBoosting(true)
+  }
+}
+
+function releaseAbility() {
+  abilityHeld = false
+  
+  // Only deactivate capacity for 'hold' mode abilities
+  if (getActiveCapacityMode() === 'hold') {
+    deactivateCapacity()
+  }
+  
+  deactivateExtra()
+  // Only stop boosting if sprinter ability was active
+  if (getActiveAbilityName() === 'sprinter') {
+    setBoosting(false)
+  }
+}
+
+// ============================================================================
+// GAMEPAD
+// ============================================================================
+
+/**
+ * Buttons fire the same actions as their keys; the right stick looks
+ * around, or points at an emoji while the wheel is open
+ */
+function updateGamepad(delta) {
+  gamepad = pollGamepad()
+  gamepadActions.clear()
+  if (!gamepad) return
+  
+  for (const button of gamepad.held) {
+    const action = getActionForButton(button)
+    if (action) gamepadActions.add(action)
+  }
+  
+  for (const button of gamepad.pressed) {
+    if (Chat.isEmojiWheelOpen() && button === GAMEPAD_BUTTON.A) {
+      Chat.selectHighlightedEmoji()
+    } else if (Chat.isEmojiWheelOpen() && button === GAMEPAD_BUTTON.B) {
+      Chat.closeEmojiWheel()
+    } else if (getActionForButton(button)) {
+      handleActionDown(getActionForButton(button))
     }
-  })
+  }
   
-  window.addEventListener('keyup', (e) => {
-    switch(e.code) {
-      case 'KeyW': keys.w = false; break
-      case 'KeyA': keys.a = false; break
-      case 'KeyS': keys.s = false; break
-      case 'KeyD': keys.d = false; break
-      case 'Space': keys.space = false; break
-      case 'ShiftLeft':
-      case 'ShiftRight': 
-        keys.shift = false
-        shiftHeld = false
-        break
-      case 'KeyQ':
-        keys.q = false
-        
-        // Only deactivate capacity for 'hold' mode abilities
-        const capacityModeUp = getActiveCapacityMode()
-        if (capacityModeUp === 'hold') {
-          deactivateCapacity()
-        }
-        
-        deactivateExtra()
-        // Only stop boosting if sprinter ability was active
-        if (getActiveAbilityName() === 'sprinter') {
-          setBoosting(false)
-        }
-        break
+  for (const button of gamepad.released) {
+    if (getActionForButton(button) === ACTION.ABILITY) {
+      releaseAbility()
     }
-  })
+  }
+  
+  const { x, y } = gamepad.look
+  if (x === 0 && y === 0) return
+  
+  if (Chat.isEmojiWheelOpen()) {
+    Chat.setWheelDirection(x, y)
+  } else {
+    addLookInput(x * GAMEPAD_LOOK_SPEED * delta, y * GAMEPAD_LOOK_SPEED * delta)
+  }
+}
+
+function isActionHeld(action) {
+  return heldActions.has(action) || gamepadActions.has(action)
 }
 
 // ============================================================================
@@ -554,22 +621,20 @@ export function initControls() {
 // ============================================================================
 
 export function updateMovement(delta) {
-  // Auto-deactivate ability if capacity runs out while Q is held (only for 'hold' mode)
+  updateGamepad(delta)
+  
+  // Auto-deactivate ability if capacity runs out while it's held (only for 'hold' mode)
   const capacityMode = getActiveCapacityMode()
-  if (keys.q && capacityMode === 'hold' && !hasCapacity()) {
-    keys.q = false
-    deactivateCapacity()
-    deactivateExtra()
-    if (getActiveAbilityName() === 'sprinter') {
-      setBoosting(false)
-    }
+  if (abilityHeld && capacityMode === 'hold' && !hasCapacity()) {
+    releaseAbility()
   }
-
-  const forward = (keys.w ? 1 : 0) - (keys.s ? 1 : 0)
-  const right = (keys.d ? 1 : 0) - (keys.a ? 1 : 0)
-  const up = (keys.space ? 1 : 0) - (keys.shift ? 1 : 0)
+  
+  const move = gamepad ? gamepad.move : { x: 0, y: 0 }
+  const forward = (isActionHeld(ACTION.SWIM_FORWARD) ? 1 : 0) - (isActionHeld(ACTION.SWIM_BACK) ? 1 : 0) - move.y
+  const right = (isActionHeld(ACTION.SWIM_RIGHT) ? 1 : 0) - (isActionHeld(ACTION.SWIM_LEFT) ? 1 : 0) + move.x
+  const up = (isActionHeld(ACTION.SWIM_UP) ? 1 : 0) - (isActionHeld(ACTION.SWIM_DOWN) ? 1 : 0)
   
   setSwimInput(forward, right, up)
   updateSwimming(delta)
   updateExtra(delta)
-}
\ No newline at end of file
+}
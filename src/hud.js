@@ -9,14 +9,25 @@ import { getSlotInfo } from './stacker.js'
 import * as Chat from './chats.js'
 // Import network manager for remote player detection on radar
 import { networkManager } from '../network/NetworkManager.js'
+import * as Settings from './settings.js'
+import { NETWORK_CONFIG, MESSAGE_LIMITS, GAME_MODE, GAME_MODE_NAMES, GAME_MODE_RULES, ROUND_STATE, WHISPER_ERROR } from '../shared/Protocol.js'
 
 let stats
+let settingsSubscribed = false
 
 // DOM Elements
 let minimapContainer = null
 let minimapCanvas = null
 let minimapCtx = null
 let infoPanel = null
+let leaderboardPanel = null
+let leaderboardList = null
+let leaderboardSort = 'v'         // 'v' (size), 'k' (kills), 'st' (survival)
+let lastLeaderboardEntries = null // Last entries rendered (skip redraw if unchanged)
+let reconnectOverlay = null
+let modePanel = null
+let lastRoomInfo = null           // Last ROOM_INFO rendered (skip redraw if unchanged)
+let reconnectStatus = null
 let chatPanel = null
 let chatMessages = null
 let chatInput = null
@@ -31,6 +42,12 @@ let proximityBubbleTimeout = null
 const PROXIMITY_BUBBLE_DURATION = 4000 // How long bubble stays visible (ms)
 const PROXIMITY_BUBBLE_FADE = 300 // Fade out duration (ms)
 
+const WHISPER_ERROR_TEXT = {
+  [WHISPER_ERROR.NOT_LOGGED_IN]: () => 'Log in on the Account page before diving in to whisper',
+  [WHISPER_ERROR.NOT_FRIEND]: (name) => `${name} isn't on your friends list`,
+  [WHISPER_ERROR.OFFLINE]: (name) => `${name} is offline`,
+}
+
 // Remote player bubble tracking (for multiplayer chat)
 const remotePlayerBubbles = new Map() // Map of playerId -> { element, timeout }
 
@@ -87,10 +104,46 @@ export function initHUD() {
   createFPSCounter()
   createMinimap()
   createInfoPanel()
+  createLeaderboardPanel()
+  createModePanel()
+  createReconnectOverlay()
   createChatPanel()
   createCursorRing()
   createCapacityBar()
   createEmojiWheel()
+  applyPanelSettings()
+}
+
+/**
+ * Spectator HUD - room-wide panels only (no minimap, capacity or cursor,
+ * there's no local creature). Chat is read-only: the server ignores
+ * spectator messages, so the input is hidden
+ */
+export function initSpectatorHUD() {
+  createStyles()
+  createFPSCounter()
+  createLeaderboardPanel()
+  createModePanel()
+  createReconnectOverlay()
+  createChatPanel()
+  
+  document.getElementById('chat-input-container').style.display = 'none'
+  applyPanelSettings()
+}
+
+/**
+ * FPS counter, minimap and chat follow the Gameplay settings
+ */
+function applyPanelSettings() {
+  if (!settingsSubscribed) {
+    settingsSubscribed = true
+    Settings.onChange(applyPanelSettings)
+  }
+  
+  const settings = Settings.getAll()
+  if (stats) stats.dom.style.display = settings.showFPS ? '' : 'none'
+  if (minimapContainer) minimapContainer.style.display = settings.showMinimap ? '' : 'none'
+  if (chatPanel) chatPanel.style.display = settings.showChat ? '' : 'none'
 }
 
 function createStyles() {
@@ -302,6 +355,70 @@ function createStyles() {
       margin: 6px 0;
     }
     
+    /* Leaderboard Panel - Right, below Info */
+    #leaderboard-panel {
+      right: 10px;
+      top: 200px;
+      width: 200px;
+      min-height: 80px;
+    }
+    
+    #leaderboard-panel .leaderboard-tabs {
+      display: flex;
+      border-bottom: 1px solid rgba(0, 255, 200, 0.2);
+    }
+    
+    #leaderboard-panel .leaderboard-tab {
+      flex: 1;
+      padding: 3px 0;
+      text-align: center;
+      font-size: 10px;
+      text-transform: uppercase;
+      color: rgba(0, 255, 200, 0.5);
+      cursor: pointer;
+      user-select: none;
+    }
+    
+    #leaderboard-panel .leaderboard-tab.active {
+      color: #00ffc8;
+      background: rgba(0, 255, 200, 0.1);
+    }
+    
+    #leaderboard-list {
+      padding: 6px 8px;
+    }
+    
+    #leaderboard-list .leaderboard-row {
+      display: flex;
+      gap: 6px;
+      margin-bottom: 3px;
+    }
+    
+    #leaderboard-list .leaderboard-row.local {
+      color: #ffff66;
+    }
+    
+    #leaderboard-list .leaderboard-rank {
+      width: 18px;
+      color: rgba(0, 255, 200, 0.6);
+    }
+    
+    #leaderboard-list .leaderboard-name {
+      flex: 1;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    
+    #leaderboard-list .leaderboard-value {
+      font-weight: bold;
+    }
+    
+    #leaderboard-list .leaderboard-empty {
+      color: rgba(0, 255, 200, 0.5);
+      font-style: italic;
+    }
+    
     /* Chat Panel - Upper Left */
     #chat-panel {
       left: 10px;
@@ -388,6 +505,10 @@ function createStyles() {
       color: #ffcc00;
     }
     
+    .chat-message.whisper {
+      color: #ff99ff;
+    }
+    
     .chat-message .timestamp {
       color: rgba(0, 255, 200, 0.4);
       font-size: 0.82em;
@@ -560,6 +681,80 @@ function createStyles() {
       opacity: 0;
     }
     
+    /* Reconnect Overlay - shown while NetworkManager retries a dropped socket */
+    #reconnect-overlay {
+      position: fixed;
+      top: 35%;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 12px 24px;
+      background: rgba(0, 20, 30, 0.85);
+      border: 1px solid rgba(0, 255, 200, 0.4);
+      border-radius: 6px;
+      color: #00ffc8;
+      font-family: 'Consolas', 'Monaco', monospace;
+      text-align: center;
+      pointer-events: none;
+      z-index: 2000;
+      display: none;
+    }
+    
+    #reconnect-overlay .reconnect-title {
+      font-size: 16px;
+      font-weight: bold;
+    }
+    
+    #reconnect-overlay .reconnect-status {
+      margin-top: 4px;
+      font-size: 11px;
+      color: rgba(0, 255, 200, 0.6);
+    }
+    
+    /* Game Mode Panel - Top center, hidden in free-for-all rooms */
+    #mode-panel {
+      left: 50%;
+      top: 10px;
+      transform: translateX(-50%);
+      width: 220px;
+      min-height: 0;
+      display: none;
+    }
+    
+    #mode-panel .hud-title {
+      cursor: default;
+    }
+    
+    #mode-panel .mode-timer {
+      font-size: 12px;
+      font-weight: bold;
+      letter-spacing: 0;
+    }
+    
+    #mode-panel .mode-status {
+      padding: 4px 8px;
+      color: rgba(0, 255, 200, 0.7);
+    }
+    
+    #mode-panel .mode-scores {
+      padding: 0 8px 6px;
+    }
+    
+    #mode-panel .mode-row {
+      display: flex;
+      justify-content: space-between;
+      gap: 6px;
+    }
+    
+    #mode-panel .mode-row.local {
+      color: #ffff66;
+    }
+    
+    #mode-panel .mode-row-name {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    
     ${Chat.EMOJI_WHEEL_CSS}
   `
   document.head.appendChild(style)
@@ -873,6 +1068,188 @@ function createInfoPanel() {
   makeFontResizable(infoPanel)
 }
 
+function createLeaderboardPanel() {
+  leaderboardPanel = document.createElement('div')
+  leaderboardPanel.id = 'leaderboard-panel'
+  leaderboardPanel.className = 'hud-panel'
+  
+  leaderboardPanel.innerHTML = `
+    <div class="hud-title"><span>Leaderboard</span><span class="hud-title-controls"><span class="font-btn font-decrease">-</span><span class="font-btn font-increase">+</span><span class="collapse-btn">v</span><span class="grip">::</span></span></div>
+    <div class="hud-collapsible">
+      <div class="leaderboard-tabs">
+        <span class="leaderboard-tab active" data-sort="v">Size</span>
+        <span class="leaderboard-tab" data-sort="k">Kills</span>
+        <span class="leaderboard-tab" data-sort="st">Time</span>
+      </div>
+      <div id="leaderboard-list"><div class="leaderboard-empty">Offline</div></div>
+    </div>
+  `
+  
+  document.body.appendChild(leaderboardPanel)
+  leaderboardList = leaderboardPanel.querySelector('#leaderboard-list')
+  
+  leaderboardPanel.querySelectorAll('.leaderboard-tab').forEach(tab => {
+    tab.addEventListener('click', (e) => {
+      e.stopPropagation()
+      leaderboardPanel.querySelectorAll('.leaderboard-tab').forEach(t => t.classList.remove('active'))
+      tab.classList.add('active')
+      leaderboardSort = tab.dataset.sort
+      lastLeaderboardEntries = null  // Force redraw with new sort
+    })
+  })
+  
+  // Make draggable, resizable, collapsible, and font-resizable
+  makeDraggable(leaderboardPanel)
+  makeResizable(leaderboardPanel, null, 'bottom-left')
+  makeCollapsible(leaderboardPanel)
+  makeFontResizable(leaderboardPanel)
+}
+
+function formatSurvivalTime(seconds) {
+  const m = Math.floor(seconds / 60)
+  const s = seconds % 60
+  return `${m}:${s.toString().padStart(2, '0')}`
+}
+
+function updateLeaderboardPanel() {
+  if (!leaderboardList) return
+  
+  const entries = networkManager.getLeaderboard()
+  if (entries === lastLeaderboardEntries) return
+  lastLeaderboardEntries = entries
+  
+  if (!networkManager.isConnected() || entries.length === 0) {
+    leaderboardList.innerHTML = `<div class="leaderboard-empty">${networkManager.isConnected() ? 'No players yet' : 'Offline'}</div>`
+    return
+  }
+  
+  const localId = networkManager.getPlayerId()
+  const sorted = entries
+    .slice()
+    .sort((a, b) => b[leaderboardSort] - a[leaderboardSort])
+    .slice(0, NETWORK_CONFIG.leaderboardSize)
+  
+  leaderboardList.innerHTML = ''
+  sorted.forEach((entry, i) => {
+    const row = document.createElement('div')
+    row.className = 'leaderboard-row' + (entry.id === localId ? ' local' : '')
+    
+    const value = leaderboardSort === 'v' ? entry.v.toFixed(1) + ' m3'
+      : leaderboardSort === 'k' ? String(entry.k)
+      : formatSurvivalTime(entry.st)
+    
+    const rank = document.createElement('span')
+    rank.className = 'leaderboard-rank'
+    rank.textContent = `${i + 1}.`
+    
+    const name = document.createElement('span')
+    name.className = 'leaderboard-name'
+    name.textContent = entry.name || `Player ${entry.id}`
+    
+    const val = document.createElement('span')
+    val.className = 'leaderboard-value'
+    val.textContent = value
+    
+    row.append(rank, name, val)
+    leaderboardList.appendChild(row)
+  })
+}
+
+function createModePanel() {
+  modePanel = document.createElement('div')
+  modePanel.id = 'mode-panel'
+  modePanel.className = 'hud-panel'
+  
+  modePanel.innerHTML = `
+    <div class="hud-title"><span class="mode-name">---</span><span class="mode-timer"></span></div>
+    <div class="mode-status"></div>
+    <div class="mode-scores"></div>
+  `
+  
+  document.body.appendChild(modePanel)
+}
+
+/**
+ * Round timer, status and scores from the latest ROOM_INFO
+ */
+function updateModePanel() {
+  if (!modePanel) return
+  
+  const info = networkManager.getRoomInfo()
+  if (!info || info.mode === GAME_MODE.FREE_FOR_ALL) {
+    modePanel.style.display = 'none'
+    return
+  }
+  modePanel.style.display = 'block'
+  
+  // Counted down every frame, the rest only changes with a new ROOM_INFO
+  const remaining = networkManager.getRoundRemaining()
+  modePanel.querySelector('.mode-timer').textContent = remaining === null ? '' : formatSurvivalTime(Math.ceil(remaining / 1000))
+  
+  if (info === lastRoomInfo) return
+  lastRoomInfo = info
+  
+  modePanel.querySelector('.mode-name').textContent = GAME_MODE_NAMES[info.mode] || info.mode
+  
+  const localId = networkManager.getPlayerId()
+  const localTeam = networkManager.getTeam()
+  const status = modePanel.querySelector('.mode-status')
+  
+  if (info.state === ROUND_STATE.WAITING) {
+    status.textContent = `Waiting for ${GAME_MODE_RULES.minPlayers} players`
+  } else if (info.state === ROUND_STATE.INTERMISSION) {
+    status.textContent = info.winner ? `${info.winner.name} won round ${info.round}!` : `Round ${info.round} over`
+  } else if (networkManager.isEliminated()) {
+    status.textContent = `You're out - watching round ${info.round}`
+  } else if (localTeam !== null) {
+    status.textContent = `Round ${info.round} - team ${GAME_MODE_RULES.teams[localTeam]?.name}`
+  } else {
+    status.textContent = `Round ${info.round}`
+  }
+  
+  const scores = modePanel.querySelector('.mode-scores')
+  scores.innerHTML = ''
+  for (const entry of info.scores || []) {
+    const isTeam = entry.team !== undefined
+    
+    const row = document.createElement('div')
+    row.className = 'mode-row' + ((isTeam ? entry.team === localTeam : entry.id === localId) ? ' local' : '')
+    if (isTeam) row.style.color = GAME_MODE_RULES.teams[entry.team]?.color || ''
+    
+    const name = document.createElement('span')
+    name.className = 'mode-row-name'
+    name.textContent = entry.name || `Player ${entry.id}`
+    
+    const score = document.createElement('span')
+    score.textContent = entry.score.toFixed(1) + ' m3'
+    
+    row.append(name, score)
+    scores.appendChild(row)
+  }
+}
+
+function createReconnectOverlay() {
+  reconnectOverlay = document.createElement('div')
+  reconnectOverlay.id = 'reconnect-overlay'
+  reconnectOverlay.innerHTML = `
+    <div class="reconnect-title">Reconnecting…</div>
+    <div class="reconnect-status"></div>
+  `
+  document.body.appendChild(reconnectOverlay)
+  reconnectStatus = reconnectOverlay.querySelector('.reconnect-status')
+}
+
+function updateReconnectOverlay() {
+  if (!reconnectOverlay) return
+  
+  const reconnecting = networkManager.isReconnecting()
+  reconnectOverlay.style.display = reconnecting ? 'block' : 'none'
+  if (!reconnecting) return
+  
+  const attempt = networkManager.getReconnectAttempt()
+  reconnectStatus.textContent = attempt > 0 ? `Attempt ${attempt} - your creature is safe` : 'Your creature is safe'
+}
+
 function createChatPanel() {
   chatPanel = document.createElement('div')
   chatPanel.id = 'chat-panel'
@@ -889,7 +1266,7 @@ function createChatPanel() {
     <div class="hud-collapsible">
       <div id="chat-messages"></div>
       <div id="chat-input-container">
-        <input type="text" id="chat-input" placeholder="Press Enter to chat..." />
+        <input type="text" id="chat-input" placeholder="Press Enter to chat, /w name to whisper..." maxlength="${MESSAGE_LIMITS.chatMaxLength}" />
       </div>
     </div>
   `
@@ -946,12 +1323,35 @@ function createChatPanel() {
         showRemotePlayerBubble(data.senderId, data.text)
       }
     })
+    
+    networkManager.onWhisper(({ from, to, text, error }) => {
+      if (error) {
+        Chat.systemMessage(escapeHtml(WHISPER_ERROR_TEXT[error]?.(to) || `Couldn't whisper to ${to}`))
+      } else if (from) {
+        Chat.whisperMessage(`From ${escapeHtml(from)}: ${escapeHtml(text)}`, from)
+      } else {
+        Chat.whisperMessage(`To ${escapeHtml(to)}: ${escapeHtml(text)}`)
+      }
+    })
   }
   
   // Chat input handling
   chatInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && chatInput.value.trim()) {
       const message = chatInput.value.trim()
+      
+      // /w name text - private, shown once the server confirms delivery
+      const whisper = message.match(/^\/(?:w|whisper)\s+(\S+)\s+(.+)$/i)
+      if (whisper) {
+        if (!networkManager?.sendWhisper(whisper[1], whisper[2])) {
+          Chat.systemMessage('Whispers need a connection to the server')
+        }
+        chatInput.value = ''
+        chatInput.blur()
+        e.stopPropagation()
+        return
+      }
+      
       addChatMessage(message, 'player')
       
       // Send over network if connected (include proximity setting)
@@ -1446,6 +1846,19 @@ export function getCapacityConfig() {
  * @param {string} text - Message text
  * @param {string} type - Message type ('player', 'system', 'event')
  */
+/**
+ * Open the chat input with a whisper to a friend started
+ * @param {string} username
+ * @returns {boolean} False if there's no chat yet (not in the game)
+ */
+export function startWhisper(username) {
+  if (!chatInput) return false
+  
+  chatInput.value = `/w ${username} `
+  chatInput.focus()
+  return true
+}
+
 export function addChatMessage(text, type = 'player') {
   // Add message using the core chat module
   // The UI rendering is handled by the message listener set up in initChatPanel()
@@ -1457,6 +1870,17 @@ export function addChatMessage(text, type = 'player') {
  * Called by the Chat module's message listener
  * @param {object} message - Message object from chats.js
  */
+/**
+ * Chat lines are rendered as HTML - player-typed text goes through this first
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
 function renderChatMessage(message) {
   if (!chatMessages) return
   
@@ -2002,12 +2426,23 @@ export function updateHUD(delta) {
   stats.update()
   updateMinimap()
   updateInfoPanel()
+  updateLeaderboardPanel()
+  updateModePanel()
+  updateReconnectOverlay()
   updateCursorRing()
   updateCapacityBar(delta)
   updateProximityBubble()
   updateRemotePlayerBubbles()
 }
 
+export function updateSpectatorHUD() {
+  stats.update()
+  updateLeaderboardPanel()
+  updateModePanel()
+  updateReconnectOverlay()
+  updateRemotePlayerBubbles()
+}
+
 // Export for external use (e.g., feeding events)
 export function notifyEvent(message) {
   Chat.eventMessage(message)
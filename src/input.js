@@ -0,0 +1,386 @@
+/**
+ * input.js - Actions, key bindings and gamepad
+ *
+ * controls.js works in actions (ACTION.SWIM_FORWARD, ACTION.ABILITY...)
+ * rather than keys. Each action has up to two keys, which the player can
+ * rebind from Settings > Controls; bindings are saved in localStorage.
+ * Keys are stored as KeyboardEvent.code (the physical key), and shown with
+ * the player's keyboard layout where the browser tells us it.
+ *
+ * Not rebindable: Enter (chat), Escape (close menus) and 0-9 (emoji wheel).
+ *
+ * Gamepads (standard mapping) are polled each frame:
+ *   Left stick   Swim (analog)
+ *   Right stick  Look / point at an emoji while the wheel is open
+ *   RB / LB      Swim up / down
+ *   RT (hold)    Ability
+ *   Y            Emoji wheel (A sends, B closes)
+ *
+ * USAGE:
+ *   import * as Input from './input.js'
+ *
+ *   Input.getActionForKey(e.code)           // ACTION or null
+ *   Input.setBinding(action, slot, code)    // Takes the key from any other action
+ *   Input.findConflict(code, action)        // Action already using that key
+ *   const pad = Input.pollGamepad()         // Each frame - null without a gamepad
+ */
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+export const ACTION = {
+  SWIM_FORWARD: 'swimForward',
+  SWIM_BACK: 'swimBack',
+  SWIM_LEFT: 'swimLeft',
+  SWIM_RIGHT: 'swimRight',
+  SWIM_UP: 'swimUp',
+  SWIM_DOWN: 'swimDown',
+  ABILITY: 'ability',
+  EMOJI_WHEEL: 'emojiWheel',
+  NEXT_SPECIES: 'nextSpecies',
+  PREV_SPECIES: 'prevSpecies',
+  CYCLE_VARIANT: 'cycleVariant',
+  MUTATE: 'mutate',
+  SCALE_DOWN: 'scaleDown',
+  SCALE_UP: 'scaleUp',
+  NEW_MAP: 'newMap',
+  DEBUG_OVERLAYS: 'debugOverlays',
+  DEBUG_VIZ: 'debugViz',
+  DEBUG_INFO: 'debugInfo',
+  DEBUG_POPULATION: 'debugPopulation',
+}
+
+// Standard gamepad button indices
+export const GAMEPAD_BUTTON = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+}
+
+// In Settings > Controls order. `button` is the gamepad button (fixed)
+export const ACTIONS = [
+  { id: ACTION.SWIM_FORWARD, label: 'Swim forward', group: 'Movement', keys: ['KeyW'] },
+  { id: ACTION.SWIM_BACK, label: 'Swim back', group: 'Movement', keys: ['KeyS'] },
+  { id: ACTION.SWIM_LEFT, label: 'Swim left', group: 'Movement', keys: ['KeyA'] },
+  { id: ACTION.SWIM_RIGHT, label: 'Swim right', group: 'Movement', keys: ['KeyD'] },
+  { id: ACTION.SWIM_UP, label: 'Swim up', group: 'Movement', keys: ['Space'], button: GAMEPAD_BUTTON.RB },
+  { id: ACTION.SWIM_DOWN, label: 'Swim down', group: 'Movement', keys: ['ShiftLeft', 'ShiftRight'], button: GAMEPAD_BUTTON.LB },
+  { id: ACTION.ABILITY, label: 'Ability (hold)', group: 'Abilities', keys: ['KeyQ'], button: GAMEPAD_BUTTON.RT },
+  { id: ACTION.EMOJI_WHEEL, label: 'Emoji wheel', group: 'Abilities', keys: ['KeyE'], button: GAMEPAD_BUTTON.Y },
+  { id: ACTION.NEXT_SPECIES, label: 'Next species', group: 'Creature', keys: ['KeyN'] },
+  { id: ACTION.PREV_SPECIES, label: 'Previous species', group: 'Creature', keys: ['KeyB'] },
+  { id: ACTION.CYCLE_VARIANT, label: 'Cycle variant', group: 'Creature', keys: ['KeyZ'] },
+  { id: ACTION.MUTATE, label: 'Mutate', group: 'Creature', keys: ['KeyG'] },
+  { id: ACTION.SCALE_DOWN, label: 'Decrease size', group: 'Creature', keys: ['KeyR'] },
+  { id: ACTION.SCALE_UP, label: 'Increase size', group: 'Creature', keys: ['KeyT'] },
+  { id: ACTION.NEW_MAP, label: 'New map', group: 'Other', keys: ['KeyM'] },
+  { id: ACTION.DEBUG_OVERLAYS, label: 'Debug wireframes', group: 'Other', keys: ['KeyP'] },
+  { id: ACTION.DEBUG_VIZ, label: 'Spawn visualization', group: 'Other', keys: ['KeyV'] },
+  { id: ACTION.DEBUG_INFO, label: 'Debug info', group: 'Other', keys: ['KeyF'] },
+  { id: ACTION.DEBUG_POPULATION, label: 'Population chart', group: 'Other', keys: ['KeyO'] },
+]
+
+export const SLOTS_PER_ACTION = 2
+
+// Keys with a fixed meaning elsewhere (chat, menus, emoji wheel)
+export const RESERVED_KEYS = [
+  'Enter', 'NumpadEnter', 'Escape',
+  'Digit0', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9',
+]
+
+const CONFIG = {
+  storageKey: 'ocean.keyBindings',
+  stickDeadzone: 0.15,     // Stick travel ignored around the centre
+  triggerThreshold: 0.5,   // How far an analog trigger counts as pressed
+}
+
+// Names for keys whose code doesn't read well
+const KEY_NAMES = {
+  Space: 'Space',
+  ShiftLeft: 'Left Shift',
+  ShiftRight: 'Right Shift',
+  ControlLeft: 'Left Ctrl',
+  ControlRight: 'Right Ctrl',
+  AltLeft: 'Left Alt',
+  AltRight: 'Right Alt',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  CapsLock: 'Caps Lock',
+  Backquote: '`',
+}
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const actionsById = new Map(ACTIONS.map(action => [action.id, action]))
+let bindings = {}            // action id -> [code|null, code|null]
+let keyToAction = new Map()  // code -> action id
+let layoutMap = null         // Keyboard layout labels, if the browser offers them
+const onChangeCallbacks = []
+
+// Gamepad buttons held last poll (for pressed/released edges)
+let previousButtons = []
+
+load()
+loadKeyboardLayout()
+
+// ============================================================================
+// KEY BINDINGS
+// ============================================================================
+
+/**
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string|null} ACTION bound to the key
+ */
+export function getActionForKey(code) {
+  return keyToAction.get(code) || null
+}
+
+/**
+ * @param {string} action - ACTION
+ * @returns {Array<string|null>} Key code per slot (null = unbound)
+ */
+export function getBindings(action) {
+  return [...bindings[action]]
+}
+
+/**
+ * @param {string} code
+ * @param {string} [action] - Action being rebound (its own keys don't conflict)
+ * @returns {string|null} Another ACTION already using the key
+ */
+export function findConflict(code, action = null) {
+  const owner = keyToAction.get(code)
+  return owner && owner !== action ? owner : null
+}
+
+export function isReservedKey(code) {
+  return RESERVED_KEYS.includes(code)
+}
+
+/**
+ * Bind a key to an action slot. A key has one action - if another action
+ * had it, that slot becomes unbound (check findConflict() first to ask)
+ * @param {string} action - ACTION
+ * @param {number} slot - 0 (primary) or 1 (secondary)
+ * @param {string|null} code - KeyboardEvent.code, or null to unbind
+ * @returns {boolean} False for an unknown action/slot or a reserved key
+ */
+export function setBinding(action, slot, code) {
+  if (!bindings[action] || slot < 0 || slot >= SLOTS_PER_ACTION) return false
+  if (code !== null && isReservedKey(code)) return false
+  
+  if (code !== null) {
+    for (const keys of Object.values(bindings)) {
+      const index = keys.indexOf(code)
+      if (index !== -1) keys[index] = null
+    }
+  }
+  bindings[action][slot] = code
+  
+  rebuildKeyMap()
+  save()
+  notify()
+  return true
+}
+
+export function resetBindings() {
+  bindings = getDefaultBindings()
+  rebuildKeyMap()
+  save()
+  notify()
+}
+
+/**
+ * Register callback for binding changes
+ * @returns {Function} Unsubscribe
+ */
+export function onBindingsChange(callback) {
+  onChangeCallbacks.push(callback)
+  return () => {
+    const index = onChangeCallbacks.indexOf(callback)
+    if (index > -1) onChangeCallbacks.splice(index, 1)
+  }
+}
+
+function notify() {
+  for (const callback of onChangeCallbacks) {
+    callback()
+  }
+}
+
+function getDefaultBindings() {
+  const defaults = {}
+  for (const action of ACTIONS) {
+    defaults[action.id] = Array.from({ length: SLOTS_PER_ACTION }, (_, slot) => action.keys[slot] || null)
+  }
+  return defaults
+}
+
+function rebuildKeyMap() {
+  keyToAction = new Map()
+  for (const action of ACTIONS) {
+    for (const code of bindings[action.id]) {
+      if (code) keyToAction.set(code, action.id)
+    }
+  }
+}
+
+// ============================================================================
+// LABELS
+// ============================================================================
+
+export function getActionLabel(action) {
+  return actionsById.get(action)?.label || action
+}
+
+/**
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string} What's printed on the key, e.g. 'W' ('Z' on AZERTY)
+ */
+export function getKeyLabel(code) {
+  if (!code) return '—'
+  if (KEY_NAMES[code]) return KEY_NAMES[code]
+  
+  const printed = layoutMap?.get(code)
+  if (printed && printed.trim()) return printed.toUpperCase()
+  
+  return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ')
+}
+
+/**
+ * @param {string} action - ACTION
+ * @returns {string} Bound keys, e.g. 'Left Shift / Right Shift' (or '—')
+ */
+export function getActionKeyLabel(action) {
+  const keys = bindings[action].filter(Boolean)
+  return keys.length > 0 ? keys.map(getKeyLabel).join(' / ') : '—'
+}
+
+function loadKeyboardLayout() {
+  if (typeof navigator === 'undefined' || !navigator.keyboard?.getLayoutMap) return
+  
+  navigator.keyboard.getLayoutMap()
+    .then(map => {
+      layoutMap = map
+      notify()  // Labels changed
+    })
+    .catch(err => console.warn(`[Input] Keyboard layout unavailable: ${err.message}`))
+}
+
+// ============================================================================
+// GAMEPAD
+// ============================================================================
+
+/**
+ * @param {number} button - GAMEPAD_BUTTON index
+ * @returns {string|null} ACTION on that button
+ */
+export function getActionForButton(button) {
+  return ACTIONS.find(action => action.button === button)?.id || null
+}
+
+/**
+ * Read the first connected gamepad - call once per frame
+ * @returns {Object|null} null without a gamepad, else:
+ *   move: {x, y}    Left stick after the deadzone (-1..1, y down = positive)
+ *   look: {x, y}    Right stick after the deadzone
+ *   held: Set       Buttons held
+ *   pressed: []     Buttons pressed since the last poll
+ *   released: []    Buttons released since the last poll
+ */
+export function pollGamepad() {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return null
+  
+  const gamepad = Array.from(navigator.getGamepads()).find(pad => pad && pad.connected)
+  if (!gamepad) {
+    previousButtons = []
+    return null
+  }
+  
+  const held = new Set()
+  gamepad.buttons.forEach((button, index) => {
+    if (button.pressed || button.value >= CONFIG.triggerThreshold) held.add(index)
+  })
+  
+  const pressed = [...held].filter(index => !previousButtons.includes(index))
+  const released = previousButtons.filter(index => !held.has(index))
+  previousButtons = [...held]
+  
+  return {
+    move: applyDeadzone(gamepad.axes[0] || 0, gamepad.axes[1] || 0),
+    look: applyDeadzone(gamepad.axes[2] || 0, gamepad.axes[3] || 0),
+    held,
+    pressed,
+    released,
+  }
+}
+
+/**
+ * Radial deadzone, rescaled so the stick still reaches 1 at full tilt
+ */
+function applyDeadzone(x, y) {
+  const magnitude = Math.hypot(x, y)
+  if (magnitude < CONFIG.stickDeadzone) return { x: 0, y: 0 }
+  
+  const scaled = Math.min(1, (magnitude - CONFIG.stickDeadzone) / (1 - CONFIG.stickDeadzone))
+  return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled }
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+function load() {
+  bindings = getDefaultBindings()
+  
+  let saved = null
+  try {
+    saved = JSON.parse(localStorage.getItem(CONFIG.storageKey) || 'null')
+  } catch (err) {
+    console.warn(`[Input] Ignoring unreadable saved key bindings: ${err.message}`)
+  }
+  
+  if (saved) {
+    // Saved actions first, then defaults for actions added since - a
+    // default key the player already uses elsewhere stays unbound
+    const used = new Set()
+    for (const action of ACTIONS) {
+      if (!Array.isArray(saved[action.id])) continue
+      bindings[action.id] = bindings[action.id].map((_, slot) => {
+        const code = saved[action.id][slot]
+        if (typeof code !== 'string' || isReservedKey(code) || used.has(code)) return null
+        used.add(code)
+        return code
+      })
+    }
+    for (const action of ACTIONS) {
+      if (Array.isArray(saved[action.id])) continue
+      bindings[action.id] = bindings[action.id].map(code => {
+        if (!code || used.has(code)) return null
+        used.add(code)
+        return code
+      })
+    }
+    console.log('[Input] Loaded key bindings')
+  }
+  
+  rebuildKeyMap()
+}
+
+function save() {
+  try {
+    localStorage.setItem(CONFIG.storageKey, JSON.stringify(bindings))
+  } catch (err) {
+    console.warn(`[Input] Couldn't save key bindings: ${err.message}`)
+  }
+}
@@ -1,11 +1,13 @@
 import * as THREE from 'three'
 import { clock } from './clock.js'
-import { networkManager } from '../network/NetworkManager.js'
-import { createMap } from './map.js'
-import { initPlayer, getPlayer, getPlayerCapsuleParams, getNaturalCapsuleParams, getCreatureParts } from './player.js'
+import { networkManager, DEFAULT_SERVER_URL } from '../network/NetworkManager.js'
+import { ReplayPlayer } from '../network/ReplayPlayer.js'
+import { createMap, rebuildKelp } from './map.js'
+import { KelpConfig } from './Kelp.js'
+import { initPlayer, getPlayer, getPlayerCapsuleParams, getNaturalCapsuleParams, getCreatureParts, getCurrentType, getCurrentClass } from './player.js'
 import { camera, initCameraControls, updateCamera } from './camera.js'
-import { initControls, updateMovement, syncTerrainWithSeed } from './controls.js'
-import { initHUD, updateHUD, notifyEvent } from './hud.js'
+import { initControls, updateMovement, syncTerrainWithSeed, performMapRegeneration } from './controls.js'
+import { initHUD, updateHUD, initSpectatorHUD, updateSpectatorHUD, notifyEvent } from './hud.js'
 import { MeshRegistry } from './MeshRegistry.js'
 import { PlayerRegistry } from './PlayerRegistry.js'
 import { buildTerrainMesh, debugTerrainMesh } from './TerrainMesher.js'
@@ -29,10 +31,15 @@ import { FishAdder } from './FishAdder.js'
 import { Feeding } from './Feeding.js'
 import { Determine } from './determine.js'
 import { initTrail, setActiveAbility } from './ExtraControls.js'
+import { resyncPrisms, restorePrisms, clearAllPrisms } from './stacker.js'
+import * as Achievements from './achievements.js'
+import * as Settings from './settings.js'
 
 // Import menu
-import { initMenu, showMenu, onSpawnRequested, isMenuActive, getPlayerSelection } from './menu.js'
+import { initMenu, showMenu, onSpawnRequested, onSpectateRequested, onReplayRequested, isMenuActive, getPlayerSelection } from './menu.js'
 import { initEatenMenu, showEatenMenu, onRespawnRequested, isEatenMenuActive } from './eatenmenu.js'
+import * as Spectator from './spectator.js'
+import * as ReplayBar from './replaybar.js'
 
 // Scene setup
 const scene = new THREE.Scene()
@@ -43,7 +50,8 @@ export { scene }
 // Renderer setup
 const renderer = new THREE.WebGLRenderer({ antialias: true })
 renderer.setSize(window.innerWidth, window.innerHeight)
-renderer.setPixelRatio(window.devicePixelRatio)
+renderer.setPixelRatio(Math.min(window.devicePixelRatio, Settings.getQualityPreset().maxPixelRatio))
+renderer.shadowMap.type = THREE.PCFSoftShadowMap
 document.body.appendChild(renderer.domElement)
 
 // Underwater fog
@@ -57,6 +65,15 @@ const sunLight = new THREE.DirectionalLight(0x00ffcc, 1.0)
 sunLight.position.set(0, 100, 0)
 scene.add(sunLight)
 
+// Sun shadows cover the whole map (only rendered with the shadows setting on)
+sunLight.shadow.camera.left = -500
+sunLight.shadow.camera.right = 500
+sunLight.shadow.camera.top = 500
+sunLight.shadow.camera.bottom = -500
+sunLight.shadow.camera.near = 1
+sunLight.shadow.camera.far = 200
+sunLight.shadow.bias = -0.001
+
 const hemisphereLight = new THREE.HemisphereLight(0x00ced1, 0x000033, 0.8)
 scene.add(hemisphereLight)
 
@@ -65,6 +82,7 @@ sandLight.position.set(0, 50, 0)
 scene.add(sandLight)
 
 // Initialize game
+KelpConfig.density = Settings.getQualityPreset().kelpDensity
 const map = createMap(scene)
 scene.add(map)
 
@@ -78,6 +96,15 @@ PlayerRegistry.init(scene)
 // Initialize FishAdder (uses SpawnFactory grid)
 // NOTE: Don't spawn fish here - wait for network to provide npcSeed for deterministic spawning
 FishAdder.init(scene)
+FishAdder.setConfig('targetPopulation', Settings.getQualityPreset().npcPopulation)
+
+// Meshes get their shadow flags as they join the scene (shadows on or off)
+castShadows(scene)
+scene.addEventListener('childadded', ({ child }) => castShadows(child))
+
+// Graphics settings apply live from here on
+applyShadows(Settings.get('shadows'))
+Settings.onChange(applyGraphicsSettings)
 
 // Build unified terrain collision mesh (after map is created)
 const terrainMeshData = buildTerrainMesh(scene)
@@ -91,6 +118,9 @@ let playerBodyCreated = false
 let listenersRegistered = false  // Prevent duplicate event listener registration
 let playerSpawnTime = 0  // Track when player spawned for survival time calculation
 
+// Our volume may differ from the server ledger by this share before it's corrected (codec rounding stays well under)
+const SERVER_VOLUME_TOLERANCE = 0.01
+
 // Initialize physics (async)
 initPhysics().then((success) => {
   if (success) {
@@ -174,47 +204,76 @@ onRespawnRequested(({ type, stats }) => {
     
     console.log('[Main] Returned to main menu')
   } else {
-    // ========================================================================
-    // QUICK RESPAWN
-    // ========================================================================
     // Player wants to immediately respawn with same creature/ability
-    console.log('[Main] Quick respawn...')
-    
-    // Reset volumes and feeding stats
-    if (localId) {
-      PlayerRegistry.resetVolumes(localId, true)  // true = reset all stats
-    }
-    
-    // Get new spawn point
-    const spawnPoint = SpawnFactory.getRandomPlayablePoint()
-    
-    if (player && spawnPoint) {
-      // Teleport to new spawn point
-      player.position.copy(spawnPoint)
-      
-      // Make sure player is visible
-      player.visible = true
-      
-      console.log(`[Main] Respawned at (${spawnPoint.x.toFixed(1)}, ${spawnPoint.y.toFixed(1)}, ${spawnPoint.z.toFixed(1)})`)
-    }
-    
-    // Reset spawn time for survival tracking
-    playerSpawnTime = performance.now() / 1000
-    
-    // Physics body will be rebuilt automatically via volumeChange event
-    // since resetVolumes calls _updateCapsuleAndScale which emits volumeChange
+    quickRespawn()
+  }
+})
+
+/**
+ * Respawn at a random point with the same creature/ability
+ * From the eaten menu, or when a last fish standing round we sat out ends
+ */
+function quickRespawn() {
+  console.log('[Main] Quick respawn...')
+  
+  const localId = PlayerRegistry.getLocalId()
+  const player = getPlayer()
+  
+  // Reset volumes and feeding stats
+  if (localId) {
+    PlayerRegistry.resetVolumes(localId, true)  // true = reset all stats
+  }
+  
+  // Get new spawn point
+  const spawnPoint = SpawnFactory.getRandomPlayablePoint()
+  
+  if (player && spawnPoint) {
+    // Teleport to new spawn point
+    player.position.copy(spawnPoint)
     
-    // Notify server about respawn
-    if (networkManager.isConnected()) {
-      const pos = player?.position || spawnPoint
-      networkManager.sendPlayerRespawn(pos)
-      console.log('[Main] Sent PLAYER_RESPAWN to server')
-    }
+    // Make sure player is visible
+    player.visible = true
     
-    notifyEvent('Respawned!')
-    console.log('[Main] Quick respawn complete')
+    console.log(`[Main] Respawned at (${spawnPoint.x.toFixed(1)}, ${spawnPoint.y.toFixed(1)}, ${spawnPoint.z.toFixed(1)})`)
   }
-})
+  
+  // Reset spawn time for survival tracking
+  playerSpawnTime = performance.now() / 1000
+  
+  // Physics body will be rebuilt automatically via volumeChange event
+  // since resetVolumes calls _updateCapsuleAndScale which emits volumeChange
+  
+  // Notify server about respawn
+  if (networkManager.isConnected()) {
+    const pos = player?.position || spawnPoint
+    networkManager.sendPlayerRespawn(pos)
+    console.log('[Main] Sent PLAYER_RESPAWN to server')
+  }
+  
+  notifyEvent('Respawned!')
+  console.log('[Main] Quick respawn complete')
+}
+
+/**
+ * Out of a last fish standing round (eaten, or joined mid-round) - hide our
+ * creature and watch through the spectator camera until the round ends
+ */
+function sitOutRound() {
+  console.log('[Main] Out of the round - spectating')
+  
+  const player = getPlayer()
+  if (player) {
+    player.visible = false
+  }
+  
+  const localId = PlayerRegistry.getLocalId()
+  if (localId) {
+    PlayerRegistry.resetVolumes(localId)
+  }
+  
+  Spectator.start(player ? player.position.clone() : new THREE.Vector3(0, 30, 0))
+  notifyEvent("You're out - watching until the round ends")
+}
 
 // Handle spawn request from menu
 onSpawnRequested(async () => {
@@ -282,6 +341,7 @@ onSpawnRequested(async () => {
   
   // Initialize feeding system (after player and FishAdder)
   Feeding.init(FishAdder)
+  Achievements.init()
   
   // Track spawn time for survival time calculation
   playerSpawnTime = performance.now() / 1000
@@ -322,8 +382,10 @@ onSpawnRequested(async () => {
         
         // Get volume from PlayerRegistry (most accurate source)
         let worldVolume = 0
+        let species = null   // { type, class } for the diet check
         if (isLocal) {
           worldVolume = PlayerRegistry.getEffectiveVolume(localId)
+          species = { type: getCurrentType(), class: getCurrentClass() }
           console.log(`[Main] Local player volume from registry: ${worldVolume}`)
         } else {
           // For remote players, get from RemotePlayerManager via networkManager
@@ -331,6 +393,7 @@ onSpawnRequested(async () => {
           if (remotePlayers) {
             const remotePlayer = remotePlayers.getPlayer(creature.id)
             worldVolume = remotePlayer?.worldVolume || 0
+            species = remotePlayer?.creatureData || null
             console.log(`[Main] Remote player ${creature.id} volume: ${worldVolume}`)
           } else {
             console.log('[Main] No remote players manager available')
@@ -341,8 +404,10 @@ onSpawnRequested(async () => {
           id: playerId,
           mesh: creature.mesh,
           worldVolume,
+          creature: species,
           isLocal,
           isRemote: creature.isRemote || false,
+          team: isLocal ? networkManager.getTeam() : networkManager.getTeam(creature.id),  // Team mode - teammates can't eat each other
         }
       }
       
@@ -409,7 +474,7 @@ onSpawnRequested(async () => {
   // MULTIPLAYER: Connect to server
   // ========================================================================
   try {
-    await networkManager.connect('ws://localhost:9001', scene)
+    await networkManager.connect(DEFAULT_SERVER_URL, scene)
     
     // Tell server about our creature
     const currentCreature = PlayerRegistry.getLocal()
@@ -423,15 +488,6 @@ onSpawnRequested(async () => {
     console.log('[Main] Connected to multiplayer server!')
     notifyEvent('Connected to server!')
     
-    // Register NPC death handler (when another player eats an NPC)
-    networkManager.onNPCDeath((npcId, eatenBy) => {
-      // Only process if it wasn't us who ate it (we already removed it locally)
-      if (eatenBy !== networkManager.getPlayerId()) {
-        console.log(`[Main] Remote player ${eatenBy} ate NPC ${npcId}`)
-        FishAdder.removeFish(npcId, false)  // false = don't respawn
-      }
-    })
-    
     // Register handler for when we are eaten by another player (via network)
     networkManager.onLocalPlayerEaten((data) => {
       console.log('[Main] ========================================')
@@ -439,6 +495,14 @@ onSpawnRequested(async () => {
       console.log('[Main] Predator:', data.predatorName, '(', data.predatorId, ')')
       console.log('[Main] ========================================')
       
+      // Out of a last fish standing round - already watching (see onRoomInfo)
+      if (networkManager.isEliminated()) {
+        notifyEvent(`Eaten by ${data.predatorName || 'Unknown Predator'}`)
+        return
+      }
+      
+      Achievements.recordDeath()
+      
       // Calculate survival time
       const survivalTime = (performance.now() / 1000) - playerSpawnTime
       
@@ -466,35 +530,119 @@ onSpawnRequested(async () => {
       PlayerRegistry.resetVolumes(PlayerRegistry.getLocalId())
     })
     
-    // NOTE: Map change handling (terrain + fish respawn) is done in controls.js
-    // via performMapRegeneration() - no need for a handler here
+    // Register handler for when the server refuses one of our eats
+    networkManager.onEatRejected(({ preyId, npcId, reason }) => {
+      if (npcId !== undefined) {
+        // NPC meals are frequent and mostly lost races - take the growth back quietly
+        console.warn(`[Main] Server rejected our eat on NPC ${npcId}: ${reason}`)
+        Feeding.revertNPCMeal(npcId)
+        return
+      }
+      
+      console.warn(`[Main] Server rejected our eat on player ${preyId}: ${reason}`)
+      if (Feeding.revertPlayerMeal(preyId)) {
+        notifyEvent('Bite missed!')
+      }
+    })
     
-    // Sync terrain with server's worldSeed before spawning NPCs
-    // This ensures all clients have identical terrain and grid points
-    const serverWorldSeed = networkManager.getWorldSeed()
-    if (serverWorldSeed !== null) {
-      console.log(`[Main] Syncing terrain with server worldSeed: 0x${serverWorldSeed.toString(16).toUpperCase()}`)
-      syncTerrainWithSeed(serverWorldSeed)
-    }
+    // Register handler for game mode updates (see server/src/GameMode.js)
+    networkManager.onRoomInfo((info, event) => {
+      if (event === 'round_start') {
+        notifyEvent(`Round ${info.round} started!`)
+      } else if (event === 'round_end') {
+        notifyEvent(info.winner ? `${info.winner.name} wins round ${info.round}!` : `Round ${info.round} over`)
+        
+        // The server reset every volume - the next round starts small too
+        const localId = PlayerRegistry.getLocalId()
+        if (localId) {
+          PlayerRegistry.resetVolumes(localId)
+        }
+      }
+      
+      // Last fish standing: watch while we're out, swim again when the round ends
+      const eliminated = networkManager.isEliminated()
+      if (eliminated && !Spectator.isActive()) {
+        sitOutRound()
+      } else if (!eliminated && Spectator.isActive()) {
+        Spectator.stop()
+        quickRespawn()
+      }
+    })
     
-    // Spawn NPCs now that terrain is synced and Determine was initialized by NetworkManager
-    console.log('[Main] Spawning NPCs with server npcSeed...')
-    FishAdder.spawnInitialFish()
+    // Register handler for session resume after a dropped connection
+    // (the HUD shows a "reconnecting" overlay while attempts are running)
+    // NPCs need nothing here - the server follows WELCOME with a full batch
+    networkManager.onReconnected(({ resumed, prisms }) => {
+      if (!resumed) {
+        // The server's NPCs stop updating - simulate our own from here on
+        FishAdder.spawnInitialFish()
+        notifyEvent('Connection lost - playing offline')
+        return
+      }
+      
+      resyncPrisms(prisms)
+      
+      notifyEvent('Reconnected!')
+    })
     
-    // Start NPC snapshot broadcast if we're the host
-    // (Must happen AFTER NPCs are spawned so there's something to snapshot)
-    if (networkManager.isNPCHost()) {
-      networkManager.startSnapshotBroadcast()
-    }
+    // Register handler for a logged-in run the server saved with this room
+    // The server ledger has the last word on our volume - once our predicted
+    // meals have settled, drift beyond codec rounding snaps back to it
+    networkManager.onServerVolume((volume) => {
+      const localId = PlayerRegistry.getLocalId()
+      if (!localId || Feeding.hasPendingMeals()) return
+      
+      const local = PlayerRegistry.getVolumes(localId)?.world
+      if (local !== undefined && Math.abs(local - volume) > volume * SERVER_VOLUME_TOLERANCE) {
+        console.log(`[Main] Volume ${local.toFixed(2)} -> ${volume.toFixed(2)} m^3 (server ledger)`)
+        PlayerRegistry.setWorldVolume(localId, volume)
+      }
+    })
     
-    // Handle late joiner: remove NPCs that were already eaten
-    const deadNpcIds = networkManager.getDeadNpcIds()
-    if (deadNpcIds && deadNpcIds.length > 0) {
-      console.log(`[Main] Late joiner: removing ${deadNpcIds.length} already-eaten NPCs`)
-      for (const npcId of deadNpcIds) {
-        FishAdder.removeFish(npcId, false)
+    networkManager.onPlayerRestored(({ volume, prisms }) => {
+      const localId = PlayerRegistry.getLocalId()
+      if (localId) {
+        PlayerRegistry.setWorldVolume(localId, volume)
       }
-    }
+      restorePrisms(prisms)
+      
+      notifyEvent('Welcome back - your saved fish is here')
+    })
+    
+    // Register handler for moving to another room from the Servers panel
+    // NetworkManager already swapped room state and re-sent JOIN_GAME
+    networkManager.onRoomChanged(({ roomName }) => {
+      console.log(`[Main] Moved to room ${roomName} - rebuilding world`)
+      
+      // Our prisms belonged to the old room
+      clearAllPrisms()
+      
+      // Clear old fish before reseeding - the new room's arrive in a full batch
+      FishAdder.clear()
+      Determine.reset(networkManager.getNPCSeed())
+      syncWorldWithRoom()
+      
+      // New room, fresh life - same creature
+      const localId = PlayerRegistry.getLocalId()
+      if (localId) {
+        PlayerRegistry.resetVolumes(localId, true)
+      }
+      const player = getPlayer()
+      const spawnPoint = SpawnFactory.getRandomPlayablePoint()
+      if (player && spawnPoint) {
+        player.position.copy(spawnPoint)
+        player.visible = true
+      }
+      playerSpawnTime = performance.now() / 1000
+      
+      notifyEvent(`Joined ${roomName}`)
+    })
+    
+    // NOTE: Map change handling (terrain + fish respawn) is done in controls.js
+    // via performMapRegeneration() - no need for a handler here
+    
+    // Determine was initialized by NetworkManager from the WELCOME npcSeed
+    syncWorldWithRoom()
     
   } catch (err) {
     console.warn('[Main] Multiplayer connection failed:', err.message)
@@ -506,10 +654,138 @@ onSpawnRequested(async () => {
     console.log(`[Main] Single-player NPC seed: 0x${(localNpcSeed >>> 0).toString(16).toUpperCase()}`)
     
     // Spawn NPCs with local seed
-    FishAdder.spawnInitialFish()
+    FishAdder.spawnInitialFish(localNpcSeed)
+  }
+})
+
+// Handle spectate request from menu
+// No local creature: the room's players and NPCs all come from the server
+onSpectateRequested(async () => {
+  try {
+    await networkManager.connect(DEFAULT_SERVER_URL, scene, { spectate: true })
+  } catch (err) {
+    console.warn('[Main] Spectator connection failed:', err.message)
+    showMenu()
+    return
+  }
+  
+  initSpectatorHUD()
+  notifyEvent(`Spectating ${networkManager.getRoomName()}`)
+  
+  // controls.js only registers this for players
+  networkManager.onMapChange((masterSeed) => {
+    performMapRegeneration(masterSeed)
+  })
+  
+  networkManager.onRoomChanged(({ roomName }) => {
+    console.log(`[Main] Spectator moved to room ${roomName} - rebuilding world`)
+    FishAdder.clear()
+    Determine.reset(networkManager.getNPCSeed())
+    syncWorldWithRoom()
+    notifyEvent(`Spectating ${roomName}`)
+  })
+  
+  networkManager.onDisconnected(() => {
+    notifyEvent('Disconnected from server')
+  })
+  
+  syncWorldWithRoom()
+  
+  Spectator.start(SpawnFactory.getRandomPlayablePoint() || new THREE.Vector3(0, 30, 0))
+})
+
+// Handle replay request from menu
+// A recorded room played back through the spectator camera - no server needed
+onReplayRequested(async (file) => {
+  let replay
+  try {
+    replay = ReplayPlayer.parse(await file.text())
+  } catch (err) {
+    console.warn(`[Main] Could not load replay ${file.name}:`, err.message)
+    alert(`Could not load ${file.name}\n\n${err.message}`)
+    showMenu()
+    return
   }
+  
+  initSpectatorHUD()
+  
+  // Start of playback and every backwards seek
+  networkManager.onReplayReset(({ worldChanged }) => {
+    FishAdder.clear()
+    if (worldChanged) {
+      syncWorldWithRoom()
+    }
+  })
+  
+  networkManager.onMapChange((masterSeed) => {
+    performMapRegeneration(masterSeed)
+  })
+  
+  const player = new ReplayPlayer(replay)
+  networkManager.startReplay(player, scene)
+  ReplayBar.show(player)
+  notifyEvent(`Replay of ${networkManager.getRoomName()}`)
+  
+  Spectator.start(SpawnFactory.getRandomPlayablePoint() || new THREE.Vector3(0, 30, 0))
 })
 
+// ============================================================================
+// GRAPHICS SETTINGS (settings.js)
+// ============================================================================
+
+function applyGraphicsSettings(settings, changed) {
+  if (changed.includes('graphicsQuality')) {
+    const quality = Settings.getQualityPreset()
+    
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.maxPixelRatio))
+    applyShadows(settings.shadows)
+    FishAdder.setPopulation(quality.npcPopulation)
+    
+    if (KelpConfig.density !== quality.kelpDensity) {
+      KelpConfig.density = quality.kelpDensity
+      rebuildKelp()
+      castShadows(scene)  // The new kelp went into the map group - no childadded on the scene
+    }
+    
+    console.log(`[Main] Graphics quality: ${quality.label}`)
+  } else if (changed.includes('shadows')) {
+    applyShadows(settings.shadows)
+  }
+}
+
+function applyShadows(enabled) {
+  const mapSize = Settings.getQualityPreset().shadowMapSize
+  if (sunLight.shadow.mapSize.x !== mapSize) {
+    sunLight.shadow.mapSize.set(mapSize, mapSize)
+    // Recreated at the new size on the next render
+    sunLight.shadow.map?.dispose()
+    sunLight.shadow.map = null
+  }
+  
+  if (renderer.shadowMap.enabled === enabled) return
+  renderer.shadowMap.enabled = enabled
+  sunLight.castShadow = enabled
+  
+  // Materials compile with or without shadow support
+  scene.traverse(object => {
+    if (!object.material) return
+    const materials = Array.isArray(object.material) ? object.material : [object.material]
+    materials.forEach(material => { material.needsUpdate = true })
+  })
+}
+
+/**
+ * Every mesh casts and receives shadows (bar the sky and water surface)
+ * @param {THREE.Object3D} root - Flagged with everything under it
+ */
+function castShadows(root) {
+  root.traverse(object => {
+    if (!object.isMesh || object.userData.noShadow) return
+    object.castShadow = true
+    object.receiveShadow = true
+  })
+}
+
 // Resize handler
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight
@@ -518,13 +794,34 @@ window.addEventListener('resize', () => {
 })
 
 // Game loop
+/**
+ * Build terrain for the room we're in
+ * Used on first connect and after switching rooms. NPCs come from the
+ * server's simulation in the full batch that follows WELCOME.
+ */
+function syncWorldWithRoom() {
+  // Sync terrain with server's worldSeed
+  // This ensures all clients have identical terrain and grid points
+  const serverWorldSeed = networkManager.getWorldSeed()
+  if (serverWorldSeed !== null) {
+    console.log(`[Main] Syncing terrain with server worldSeed: 0x${serverWorldSeed.toString(16).toUpperCase()}`)
+    syncTerrainWithSeed(serverWorldSeed)
+  }
+}
+
 function animate() {
   requestAnimationFrame(animate)
   
   const delta = clock.getDelta()
   
-  // Only run game logic if player has spawned and no menu is active
-  if (playerSpawned && !isMenuActive() && !isEatenMenuActive()) {
+  // Spectator camera - spectator connections, replays, and players sitting out a round
+  if (Spectator.isActive()) {
+    networkManager.update(delta)
+    Spectator.update(delta)
+    ReplayBar.update()
+    updateSpectatorHUD()
+  } else if (playerSpawned && !isMenuActive() && !isEatenMenuActive()) {
+    // Only run game logic if player has spawned and no menu is active
     // Ensure player physics body exists (handles race condition where player spawns before physics ready)
     if (!playerBodyCreated && isPhysicsReady() && getPlayer()) {
       createPlayerBody()
@@ -543,6 +840,7 @@ function animate() {
     
     // Update feeding system (player eating NPCs)
     Feeding.update(delta)
+    Achievements.update(delta)
     
     // Sync local player position to PlayerRegistry
     const localPlayer = PlayerRegistry.getLocal()
@@ -633,7 +931,7 @@ console.log(`
     Space             - Up
     Shift             - Down
     Q (hold)          - Extra (boost by default)
-
+  
   OTHER:
     Mouse / Scroll    - Look / Zoom
     R / T             - Scale down / up (debug)
@@ -6,146 +6,23 @@ import {
 } from './TerrainMaker.js'
 import { createBoulder, BoulderType } from './Boulders.js'
 import { createCoral } from './Corals.js'
-import { createKelpCluster, previewScale } from './Kelp.js'
+import { createKelpCluster } from './Kelp.js'
 import { MeshRegistry, Category, Tag } from './MeshRegistry.js'
+import { WORLD, generateMapLayout } from './WorldLayout.js'
 
 // Default map seed (can be overridden for multiplayer sync)
 const DEFAULT_SEED = 12345
 
 let currentMapGroup = null
+let currentLifeGroup = null
+let currentLayout = null
 let currentScene = null
 let currentSeed = DEFAULT_SEED
 
 // =============================================================================
-// POLAR COORDINATE MAP LAYOUT
-// =============================================================================
-// The map uses concentric rings emanating from center (0,0)
-// 
-// Player = 2 units tall
-//
-// SIZE GUIDE:    1 = basketball    |  5 = car        |  70 = skyscraper
-//                2 = person        |  15 = house     |  100 = mountain
-//                4 = large rock    |  35 = building  |
-//
-// RING LAYOUT:
-//   CENTER (r < 150)      â†’ Titan & Colossal boulders (rocky core)
-//   MIDDLE (150 < r < 350) â†’ Large & Medium boulders (transition)
-//   OUTER  (r > 350)       â†’ Small boulders + Kelp + Coral (living reef)
-// =============================================================================
-
-const BOULDER_RINGS = [
-  // Inner ring - massive boulders dominate the center
-  {
-    name: 'titan',
-    innerRadius: 0,
-    outerRadius: 120,
-    count: 3,
-    minSize: 70,
-    maxSize: 100,
-    buriedFactor: 0.50,
-    scaleVariation: 0.5,
-  },
-  {
-    name: 'colossal',
-    innerRadius: 50,
-    outerRadius: 180,
-    count: 6,
-    minSize: 35,
-    maxSize: 60,
-    buriedFactor: 0.45,
-    scaleVariation: 0.4,
-  },
-  // Middle ring - transitional rocky area
-  {
-    name: 'large',
-    innerRadius: 120,
-    outerRadius: 320,
-    count: 15,
-    minSize: 15,
-    maxSize: 30,
-    buriedFactor: 0.40,
-    scaleVariation: 0.35,
-  },
-  {
-    name: 'medium',
-    innerRadius: 200,
-    outerRadius: 400,
-    count: 35,
-    minSize: 5,
-    maxSize: 12,
-    buriedFactor: 0.35,
-    scaleVariation: 0.3,
-  },
-  // Outer ring - scattered small rocks among life
-  {
-    name: 'small',
-    innerRadius: 320,
-    outerRadius: 480,
-    count: 50,
-    minSize: 1.5,
-    maxSize: 4,
-    buriedFactor: 0.30,
-    scaleVariation: 0.25,
-  },
-]
-
-// =============================================================================
-// OUTER RING LIFE CONFIG - Kelp & Coral in the outer zone
-// =============================================================================
-
-// ╔═══════════════════════════════════════════════════════════════════════════╗
-// ║  EASY KELP SETTINGS - EDIT THESE TO TUNE PERFORMANCE/DENSITY              ║
-// ╚═══════════════════════════════════════════════════════════════════════════╝
-
-const KELP_SETTINGS = {
-  // Total number of kelp clusters to spawn (lower = less lag)
-  clusterCount: 20,
-  
-  // Zone boundaries (distance from center)
-  innerRadius: 150,
-  outerRadius: 480,
-  
-  // Minimum distance between clusters
-  minSpacing: 15,
-  
-  // Scale weights - higher weight = more common
-  // Comment out or set weight to 0 to disable a size tier
-  // WARNING: High scales (12+) spawn MANY plants and may cause lag!
-  scales: {
-    SEAGRASS_TINY:    { scale: 0.3,  weight: 2 },
-    SEAGRASS_SMALL:   { scale: 0.5,  weight: 2 },
-    SEAGRASS_MEDIUM:  { scale: 0.8,  weight: 2 },
-    KELP_SMALL:       { scale: 1.0,  weight: 3 },
-    KELP_MEDIUM:      { scale: 2.0,  weight: 3 },
-    KELP_LARGE:       { scale: 4.0,  weight: 2 },
-    KELP_HUGE:        { scale: 7.0,  weight: 1 },
-    KELP_COLOSSAL:    { scale: 12.0, weight: 0 },  // 0 = disabled
-    KELP_MEGA:        { scale: 18.0, weight: 0 },  // 0 = disabled
-    KELP_TITAN:       { scale: 25.0, weight: 0 },  // 0 = disabled
-    KELP_LEVIATHAN:   { scale: 35.0, weight: 0 },  // 0 = disabled
-  },
-}
-
-// Convert settings to internal format
-const LIFE_RING = {
-  innerRadius: KELP_SETTINGS.innerRadius,
-  outerRadius: KELP_SETTINGS.outerRadius,
-  
-  kelp: {
-    clusterCount: KELP_SETTINGS.clusterCount,
-    scales: Object.values(KELP_SETTINGS.scales).filter(s => s.weight > 0),
-    minSpacing: KELP_SETTINGS.minSpacing,
-  },
-  
-  // Coral reef clusters
-  coral: {
-    clusterCount: 25,
-    minSize: 8,
-    maxSize: 40,
-    minSpacing: 12,
-  },
-}
-
+// Layout (boulder rings, kelp & coral placement, terrain heights) lives in
+// WorldLayout.js so the server can compute the same map without a scene.
+// This file turns a layout into meshes and registry entries.
 // =============================================================================
 
 export function createMap(scene, seed = DEFAULT_SEED) {
@@ -154,14 +31,15 @@ export function createMap(scene, seed = DEFAULT_SEED) {
   
   const group = new THREE.Group()
   
-  const mapSize = 1000
-  const floorY = -50  // Base floor level
+  const mapSize = WORLD.size
+  const floorY = WORLD.floorY  // Base floor level
 
   // Sky dome
   const sky = createSkyDome({
-    radius: 500,
-    waterLevel: 30
+    radius: WORLD.domeRadius,
+    waterLevel: WORLD.waterLevel
   })
+  sky.userData.noShadow = true  // Would block the sun
   group.add(sky)
 
   MeshRegistry.register('sky', {
@@ -174,7 +52,7 @@ export function createMap(scene, seed = DEFAULT_SEED) {
   // Ocean floor (sand) with Perlin terrain
   const floor = createSandFloor({
     size: mapSize,
-    segments: 200,
+    segments: WORLD.segments,
     seed: seed,
   })
   floor.position.y = floorY
@@ -192,112 +70,42 @@ export function createMap(scene, seed = DEFAULT_SEED) {
     }
   }, true)
 
-  // Get terrain data for height lookups
-  const terrainData = floor.userData.terrainData
-  const getHeight = (x, z) => {
-    const terrainY = terrainData.getHeightAtWorld(x, z) ?? 0
-    return floorY + terrainY
-  }
+  // Everything the seed decides about placement (shared with the server)
+  const layout = generateMapLayout(seed, floor.userData.terrainData)
 
   // ==========================================================================
-  // SPAWN BOULDERS IN POLAR RINGS (center = largest, outer = smallest)
+  // BOULDERS IN POLAR RINGS (center = largest, outer = smallest)
   // ==========================================================================
-  const rng = createSeededRNG(seed + 9999)
-  let boulderIndex = 0
-  const allBoulders = []
-  
-  for (const ring of BOULDER_RINGS) {
-    for (let i = 0; i < ring.count; i++) {
-      // Weighted size - bias toward smaller within range
-      const sizeT = Math.pow(rng(), 1.5)
-      const size = ring.minSize + sizeT * (ring.maxSize - ring.minSize)
-      
-      const rock = createBoulder({
-        size: size,
-        type: BoulderType.RANDOM,
-        seed: seed + boulderIndex * 3000,
-        scaleVariation: ring.scaleVariation,
-      })
-      
-      // POLAR COORDINATES: random angle, random radius within ring
-      const angle = rng() * Math.PI * 2
-      const radiusRange = ring.outerRadius - ring.innerRadius
-      // Use sqrt for uniform distribution in circular area
-      const radius = ring.innerRadius + Math.sqrt(rng()) * radiusRange
-      
-      const x = Math.cos(angle) * radius
-      const z = Math.sin(angle) * radius
-      
-      // Get terrain height at this position
-      const terrainY = terrainData.getHeightAtWorld(x, z) ?? 0
-      
-      rock.position.set(
-        x,
-        floorY + terrainY + size * (1 - ring.buriedFactor),
-        z
-      )
-      
-      const registryId = `rock_${ring.name}_${i}`
-      
-      allBoulders.push({
-        mesh: rock,
-        size: size,
-        registryId: registryId,
-        category: ring.name,
-        x: x,
-        y: rock.position.y,
-        z: z,
-      })
-      
-      boulderIndex++
-    }
-  }
-  
-  // Cull boulders completely contained by other boulders
-  const containedIndices = cullContainedBoulders(allBoulders)
-  let culledCount = 0
-  
-  // Add surviving boulders to scene and registry
-  const survivingBoulders = []
-  for (let i = 0; i < allBoulders.length; i++) {
-    const boulder = allBoulders[i]
-    
-    if (containedIndices.has(i)) {
-      boulder.mesh.geometry.dispose()
-      boulder.mesh.material.dispose()
-      culledCount++
-      continue
-    }
-    
-    group.add(boulder.mesh)
+  for (const boulder of layout.boulders) {
+    const rock = createBoulder({
+      size: boulder.size,
+      type: BoulderType.RANDOM,
+      seed: seed + boulder.index * 3000,
+      scaleVariation: boulder.ring.scaleVariation,
+    })
+    rock.position.set(boulder.x, boulder.y, boulder.z)
+    group.add(rock)
     
-    MeshRegistry.register(boulder.registryId, {
-      mesh: boulder.mesh,
+    MeshRegistry.register(`rock_${boulder.ring.name}_${boulder.ringIndex}`, {
+      mesh: rock,
       category: Category.MAP,
       tags: [Tag.STATIC, Tag.COLLIDABLE],
       metadata: { 
         type: 'obstacle',
-        boulderCategory: boulder.category,
+        boulderCategory: boulder.ring.name,
         size: boulder.size,
       }
     })
-    
-    survivingBoulders.push(boulder)
   }
   
-  if (culledCount > 0) {
-    console.log(`Culled ${culledCount} contained boulders`)
+  if (layout.culledBoulders > 0) {
+    console.log(`Culled ${layout.culledBoulders} contained boulders`)
   }
 
   // ==========================================================================
-  // SPAWN LIFE RING (Kelp & Coral in outer zone)
+  // LIFE RING (Kelp & Coral in outer zone)
   // ==========================================================================
-  const lifeGroup = spawnLifeRing({
-    rng: createSeededRNG(seed + 7777),
-    getHeight,
-    survivingBoulders,
-    seed,
-  })
+  const lifeGroup = buildLifeRing(layout, seed)
   group.add(lifeGroup)
   
   MeshRegistry.register('lifeRing', {
@@ -312,7 +120,8 @@ export function createMap(scene, seed = DEFAULT_SEED) {
     size: mapSize,
     opacity: 0.5
   })
-  surface.position.y = 30
+  surface.position.y = WORLD.waterLevel
+  surface.userData.noShadow = true
   group.add(surface)
 
   MeshRegistry.register('waterSurface', {
@@ -322,7 +131,7 @@ export function createMap(scene, seed = DEFAULT_SEED) {
     metadata: {
       type: 'boundary',
       boundaryType: 'ceiling',
-      yLevel: 30
+      yLevel: WORLD.waterLevel
     }
   }, true)
 
@@ -334,6 +143,7 @@ export function createMap(scene, seed = DEFAULT_SEED) {
     metadata: {
       type: 'container',
       seed: seed,
+      layout,
       bounds: {
         minX: -500, maxX: 500,
         minY: -50, maxY: 30,
@@ -343,169 +153,78 @@ export function createMap(scene, seed = DEFAULT_SEED) {
   }, true)
 
   currentMapGroup = group
+  currentLifeGroup = lifeGroup
+  currentLayout = layout
   return group
 }
 
 // =============================================================================
-// LIFE RING SPAWNING - Kelp & Coral in outer zone
+// LIFE RING - Kelp & Coral meshes at their layout positions
 // =============================================================================
 
-function spawnLifeRing({ rng, getHeight, survivingBoulders, seed }) {
+function buildLifeRing(layout, seed) {
   const group = new THREE.Group()
-  const config = LIFE_RING
-  
-  // Track placed items to avoid overlap
-  const placedItems = []
   
-  // Helper: check if position conflicts with boulders or other items
-  const isValidPosition = (x, z, radius) => {
-    // Check against boulders
-    for (const boulder of survivingBoulders) {
-      const dx = x - boulder.x
-      const dz = z - boulder.z
-      const dist = Math.sqrt(dx * dx + dz * dz)
-      if (dist < boulder.size + radius + 3) {
-        return false
-      }
-    }
-    
-    // Check against already placed items
-    for (const item of placedItems) {
-      const dx = x - item.x
-      const dz = z - item.z
-      const dist = Math.sqrt(dx * dx + dz * dz)
-      if (dist < item.radius + radius + 2) {
-        return false
-      }
-    }
-    
-    return true
-  }
+  addKelp(group, layout, seed)
   
-  // Helper: find valid position in ring
-  const findPosition = (minSpacing, itemRadius) => {
-    const maxAttempts = 30
-    
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const angle = rng() * Math.PI * 2
-      const radiusRange = config.outerRadius - config.innerRadius
-      const radius = config.innerRadius + Math.sqrt(rng()) * radiusRange
-      
-      const x = Math.cos(angle) * radius
-      const z = Math.sin(angle) * radius
-      
-      if (isValidPosition(x, z, itemRadius)) {
-        return { x, z }
-      }
-    }
+  for (const coralSpot of layout.coral) {
+    const coral = createCoral({
+      size: coralSpot.size,
+      seed: seed + coralSpot.index * 4444,
+    })
     
-    return null
+    coral.position.set(coralSpot.x, coralSpot.y, coralSpot.z)
+    coral.userData.ringType = 'coral'
+    group.add(coral)
   }
   
-  // -------------------------------------------------------------------------
-  // SPAWN KELP CLUSTERS
-  // -------------------------------------------------------------------------
-  const kelpConfig = config.kelp
-  
-  // Build weighted scale list
-  const weightedScales = []
-  for (const { scale, weight } of kelpConfig.scales) {
-    for (let w = 0; w < weight; w++) {
-      weightedScales.push(scale)
-    }
-  }
+  console.log(`Life ring: ${layout.kelp.length} kelp clusters, ${layout.coral.length} coral clusters`)
   
-  let kelpCount = 0
-  for (let i = 0; i < kelpConfig.clusterCount; i++) {
-    // Pick random scale
-    const scale = weightedScales[Math.floor(rng() * weightedScales.length)]
-    const scaled = previewScale(scale)
-    const clusterRadius = scaled.radius + 2
-    
-    const pos = findPosition(kelpConfig.minSpacing, clusterRadius)
-    if (!pos) continue
-    
+  group.userData.terrainType = 'lifeRing'
+  return group
+}
+
+function addKelp(group, layout, seed) {
+  for (const kelp of layout.kelp) {
     const cluster = createKelpCluster({
-      scale,
-      seed: seed + i * 5555,
-      getTerrainHeight: (lx, lz) => getHeight(pos.x + lx, pos.z + lz),
+      scale: kelp.scale,
+      seed: seed + kelp.index * 5555,
+      getTerrainHeight: (lx, lz) => layout.getHeight(kelp.x + lx, kelp.z + lz),
     })
     
-    cluster.position.set(pos.x, 0, pos.z)
+    cluster.position.set(kelp.x, 0, kelp.z)
     cluster.userData.ringType = 'kelp'
-    
-    placedItems.push({ x: pos.x, z: pos.z, radius: clusterRadius })
     group.add(cluster)
-    kelpCount++
   }
+}
+
+/**
+ * Rebuild the kelp clusters in place (after KelpConfig.density changes)
+ * Kelp has no collider, so the terrain mesh and physics don't need rebuilding
+ */
+export function rebuildKelp() {
+  if (!currentLifeGroup) return
   
-  // -------------------------------------------------------------------------
-  // SPAWN CORAL CLUSTERS
-  // -------------------------------------------------------------------------
-  const coralConfig = config.coral
-  
-  let coralCount = 0
-  for (let i = 0; i < coralConfig.clusterCount; i++) {
-    const size = coralConfig.minSize + rng() * (coralConfig.maxSize - coralConfig.minSize)
-    const coralRadius = size * 0.6
-    
-    const pos = findPosition(coralConfig.minSpacing, coralRadius)
-    if (!pos) continue
-    
-    const y = getHeight(pos.x, pos.z)
-    
-    const coral = createCoral({
-      size,
-      seed: seed + i * 4444,
-    })
-    
-    coral.position.set(pos.x, y, pos.z)
-    coral.userData.ringType = 'coral'
-    
-    placedItems.push({ x: pos.x, z: pos.z, radius: coralRadius })
-    group.add(coral)
-    coralCount++
+  const oldClusters = currentLifeGroup.children.filter(child => child.userData.ringType === 'kelp')
+  for (const cluster of oldClusters) {
+    currentLifeGroup.remove(cluster)
+    disposeObject(cluster)
   }
   
-  console.log(`Life ring: ${kelpCount} kelp clusters, ${coralCount} coral clusters`)
-  
-  group.userData.terrainType = 'lifeRing'
-  return group
+  addKelp(currentLifeGroup, currentLayout, currentSeed)
 }
 
-// =============================================================================
-// BOULDER CULLING - Remove boulders fully inside others
-// =============================================================================
-
-function cullContainedBoulders(boulders) {
-  const toRemove = new Set()
-  
-  for (let i = 0; i < boulders.length; i++) {
-    if (toRemove.has(i)) continue
-    
-    const a = boulders[i]
-    
-    for (let j = 0; j < boulders.length; j++) {
-      if (i === j || toRemove.has(j)) continue
-      
-      const b = boulders[j]
-      
-      const dist = a.mesh.position.distanceTo(b.mesh.position)
-      
-      if (a.size < b.size) {
-        if (dist + a.size < b.size) {
-          toRemove.add(i)
-          break
-        }
-      } else if (b.size < a.size) {
-        if (dist + b.size < a.size) {
-          toRemove.add(j)
-        }
+function disposeObject(object) {
+  object.traverse(child => {
+    if (child.geometry) child.geometry.dispose()
+    if (child.material) {
+      if (Array.isArray(child.material)) {
+        child.material.forEach(m => m.dispose())
+      } else {
+        child.material.dispose()
       }
     }
-  }
-  
-  return toRemove
+  })
 }
 
 // =============================================================================
@@ -522,16 +241,7 @@ export function regenerateMap(providedSeed = null) {
   currentScene.remove(currentMapGroup)
   
   // Dispose old geometries and materials
-  currentMapGroup.traverse(child => {
-    if (child.geometry) child.geometry.dispose()
-    if (child.material) {
-      if (Array.isArray(child.material)) {
-        child.material.forEach(m => m.dispose())
-      } else {
-        child.material.dispose()
-      }
-    }
-  })
+  disposeObject(currentMapGroup)
   
   // Unregister old map meshes
   MeshRegistry.unregister('sky')
@@ -566,13 +276,3 @@ export function regenerateMap(providedSeed = null) {
 export function getCurrentSeed() {
   return currentSeed
 }
-
-// Simple seeded RNG for deterministic placement
-function createSeededRNG(seed) {
-  return function() {
-    let t = seed += 0x6D2B79F5
-    t = Math.imul(t ^ t >>> 15, t | 1)
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61)
-    return ((t ^ t >>> 14) >>> 0) / 4294967296
-  }
-}
\ No newline at end of file
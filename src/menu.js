@@ -22,6 +22,9 @@ let nicknameInput = null
 let active = false
 let spawnRequested = false
 let spawnCallbacks = []
+let spectateCallbacks = []
+let replayCallbacks = []
+let replayFileInput = null
 let mainContentVisible = true  // Track if main menu content is visible
 
 // ============================================================================
@@ -1158,6 +1161,26 @@ export function initMenu() {
   selectorBtn.addEventListener('click', showSelector)
   buttons.appendChild(selectorBtn)
 
+  const spectateBtn = document.createElement('button')
+  spectateBtn.className = 'menu-btn'
+  spectateBtn.textContent = '👁 Spectate'
+  spectateBtn.addEventListener('click', handleSpectate)
+  buttons.appendChild(spectateBtn)
+
+  // Replay files come from the server's REPLAY_DIR
+  replayFileInput = document.createElement('input')
+  replayFileInput.type = 'file'
+  replayFileInput.accept = '.jsonl'
+  replayFileInput.style.display = 'none'
+  replayFileInput.addEventListener('change', handleReplayFile)
+  buttons.appendChild(replayFileInput)
+
+  const replayBtn = document.createElement('button')
+  replayBtn.className = 'menu-btn'
+  replayBtn.textContent = '🎞 Replay'
+  replayBtn.addEventListener('click', () => replayFileInput.click())
+  buttons.appendChild(replayBtn)
+
   const accountBtn = document.createElement('button')
   accountBtn.className = 'menu-btn'
   accountBtn.textContent = '🪪 Account'
@@ -1213,6 +1236,35 @@ function handleSpawn() {
 
   console.log('[Menu] Spawn requested - starting transition')
   spawnRequested = true
+
+  leaveMenu(spawnCallbacks, 'Spawn')
+}
+
+function handleSpectate() {
+  if (!active) return
+
+  console.log('[Menu] Spectate requested - starting transition')
+
+  leaveMenu(spectateCallbacks, 'Spectate')
+}
+
+function handleReplayFile() {
+  const file = replayFileInput.files[0]
+  replayFileInput.value = ''  // Picking the same file again still fires change
+  if (!file || !active) return
+
+  console.log(`[Menu] Replay requested: ${file.name} - starting transition`)
+
+  leaveMenu(replayCallbacks, 'Replay', file)
+}
+
+/**
+ * Fade out the menu and run the callbacks while the screen is covered
+ * @param {Function[]} callbacks
+ * @param {string} label - For error logs
+ * @param {*} arg - Passed to each callback
+ */
+function leaveMenu(callbacks, label, arg) {
   active = false
 
   transitionOverlay.classList.add('fade-in')
@@ -1220,11 +1272,11 @@ function handleSpawn() {
   setTimeout(() => {
     hideMenu()
 
-    spawnCallbacks.forEach(cb => {
+    callbacks.forEach(cb => {
       try {
-        cb()
+        cb(arg)
       } catch (err) {
-        console.error('[Menu] Spawn callback error:', err)
+        console.error(`[Menu] ${label} callback error:`, err)
       }
     })
 
@@ -1410,6 +1462,44 @@ export function onSpawnRequested(callback) {
   }
 }
 
+/**
+ * Called when the player chooses to watch instead of play
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe
+ */
+export function onSpectateRequested(callback) {
+  if (typeof callback !== 'function') {
+    console.warn('[Menu] onSpectateRequested expects a function')
+    return () => {}
+  }
+
+  spectateCallbacks.push(callback)
+
+  return () => {
+    const idx = spectateCallbacks.indexOf(callback)
+    if (idx !== -1) spectateCallbacks.splice(idx, 1)
+  }
+}
+
+/**
+ * Called with the replay File the player picked
+ * @param {Function} callback - (file) => {}
+ * @returns {Function} Unsubscribe
+ */
+export function onReplayRequested(callback) {
+  if (typeof callback !== 'function') {
+    console.warn('[Menu] onReplayRequested expects a function')
+    return () => {}
+  }
+
+  replayCallbacks.push(callback)
+
+  return () => {
+    const idx = replayCallbacks.indexOf(callback)
+    if (idx !== -1) replayCallbacks.splice(idx, 1)
+  }
+}
+
 /**
  * Get the player's creature and ability selection from the selector
  * @returns {{ creature: object, ability: object }}
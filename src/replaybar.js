@@ -0,0 +1,233 @@
+/**
+ * replaybar.js - Playback controls for replays (see network/ReplayPlayer.js)
+ *
+ * A bar along the bottom of the screen: play/pause, a seek track with a
+ * marker per player kill, and playback speed. The camera is the spectator
+ * one (spectator.js).
+ *
+ * CONTROLS:
+ *   K        - Play / pause
+ *   J / L    - Back / forward 5 seconds
+ *   - / =    - Slower / faster
+ *   Click a kill marker to jump to just before it
+ *
+ * USAGE:
+ *   import * as ReplayBar from './replaybar.js'
+ *
+ *   ReplayBar.show(player)   // after networkManager.startReplay(player, scene)
+ *   ReplayBar.update()       // each frame
+ */
+
+import { REPLAY_SPEEDS } from '../network/ReplayPlayer.js'
+
+let bar = null
+let playButton = null
+let track = null
+let trackFill = null
+let markers = null
+let timeLabel = null
+let speedLabel = null
+let player = null
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  skipStep: 5000,        // J / L jump (ms)
+  killLeadIn: 3000,      // Kill markers seek this long before the kill (ms)
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Show the bar for a replay
+ * @param {ReplayPlayer} replayPlayer
+ */
+export function show(replayPlayer) {
+  player = replayPlayer
+  
+  if (!bar) createBar()
+  bar.style.display = 'flex'
+  
+  renderMarkers()
+  window.addEventListener('keydown', onKeyDown)
+}
+
+export function hide() {
+  if (!bar) return
+  
+  bar.style.display = 'none'
+  player = null
+  window.removeEventListener('keydown', onKeyDown)
+}
+
+export function update() {
+  if (!player) return
+  
+  const duration = player.getDuration()
+  const time = player.getTime()
+  
+  trackFill.style.width = duration > 0 ? `${(time / duration) * 100}%` : '0%'
+  timeLabel.textContent = `${formatTime(time)} / ${formatTime(duration)}`
+  playButton.textContent = player.isPaused() ? '▶' : '❚❚'
+  speedLabel.textContent = `${player.getSpeed()}x`
+}
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+function onKeyDown(e) {
+  switch (e.code) {
+    case 'KeyK':
+      player.togglePause()
+      break
+    case 'KeyJ':
+      player.seek(player.getTime() - CONFIG.skipStep)
+      break
+    case 'KeyL':
+      player.seek(player.getTime() + CONFIG.skipStep)
+      break
+    case 'Minus':
+      stepSpeed(-1)
+      break
+    case 'Equal':
+      stepSpeed(1)
+      break
+  }
+}
+
+function stepSpeed(direction) {
+  const index = REPLAY_SPEEDS.indexOf(player.getSpeed())
+  const next = Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, index + direction))
+  player.setSpeed(REPLAY_SPEEDS[next])
+}
+
+// ============================================================================
+// DOM
+// ============================================================================
+
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+function createBar() {
+  const style = document.createElement('style')
+  style.textContent = `
+    #replay-bar {
+      position: absolute;
+      left: 50%;
+      bottom: 10px;
+      transform: translateX(-50%);
+      width: 600px;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 6px 10px;
+      min-height: 0;
+    }
+    #replay-bar button {
+      background: transparent;
+      border: 1px solid rgba(0, 255, 200, 0.4);
+      color: #00ffc8;
+      font-family: inherit;
+      cursor: pointer;
+      min-width: 32px;
+    }
+    #replay-bar .replay-track {
+      position: relative;
+      flex: 1;
+      height: 8px;
+      background: rgba(0, 255, 200, 0.15);
+      border-radius: 4px;
+      cursor: pointer;
+    }
+    #replay-bar .replay-fill {
+      height: 100%;
+      background: rgba(0, 255, 200, 0.6);
+      border-radius: 4px;
+      pointer-events: none;
+    }
+    #replay-bar .replay-kill {
+      position: absolute;
+      top: -4px;
+      width: 4px;
+      height: 16px;
+      margin-left: -2px;
+      background: #ff5050;
+      cursor: pointer;
+    }
+    #replay-bar .replay-time {
+      white-space: nowrap;
+    }
+  `
+  document.head.appendChild(style)
+  
+  bar = document.createElement('div')
+  bar.id = 'replay-bar'
+  bar.className = 'hud-panel'
+  bar.innerHTML = `
+    <button class="replay-play" title="Play / pause (K)">▶</button>
+    <div class="replay-track">
+      <div class="replay-fill"></div>
+      <div class="replay-markers"></div>
+    </div>
+    <span class="replay-time">0:00 / 0:00</span>
+    <button class="replay-speed" title="Speed (- / =)">1x</button>
+  `
+  document.body.appendChild(bar)
+  
+  playButton = bar.querySelector('.replay-play')
+  track = bar.querySelector('.replay-track')
+  trackFill = bar.querySelector('.replay-fill')
+  markers = bar.querySelector('.replay-markers')
+  timeLabel = bar.querySelector('.replay-time')
+  speedLabel = bar.querySelector('.replay-speed')
+  
+  playButton.addEventListener('click', () => player?.togglePause())
+  
+  // Speed button cycles through the speeds
+  speedLabel.addEventListener('click', () => {
+    if (!player) return
+    const index = REPLAY_SPEEDS.indexOf(player.getSpeed())
+    player.setSpeed(REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length])
+  })
+  
+  track.addEventListener('click', (e) => {
+    if (!player) return
+    
+    const kill = e.target.closest('.replay-kill')
+    if (kill) {
+      player.seek(Number(kill.dataset.time) - CONFIG.killLeadIn)
+      return
+    }
+    
+    const rect = track.getBoundingClientRect()
+    player.seek(((e.clientX - rect.left) / rect.width) * player.getDuration())
+  })
+}
+
+function renderMarkers() {
+  markers.innerHTML = ''
+  
+  const duration = player.getDuration()
+  if (duration <= 0) return
+  
+  for (const kill of player.getKills()) {
+    const marker = document.createElement('div')
+    marker.className = 'replay-kill'
+    marker.dataset.time = kill.time
+    marker.style.left = `${(kill.time / duration) * 100}%`
+    
+    const volumes = kill.preyVolume !== undefined
+      ? ` (${kill.predatorVolume.toFixed(1)} vs ${kill.preyVolume.toFixed(1)} m³)`
+      : ''
+    marker.title = `${formatTime(kill.time)} - player ${kill.eatenBy} ate player ${kill.playerId}${volumes}`
+    
+    markers.appendChild(marker)
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * settings.js - Player settings, saved in localStorage
+ *
+ * The Settings panel (utilitymenu.js) changes them with set(); each change is
+ * saved and handed to the systems that use it, so it shows straight away:
+ *
+ *   graphicsQuality      main.js     pixel ratio, shadow map size, NPC population, kelp density
+ *   shadows              main.js     renderer shadow map and sun shadows
+ *   fov, renderDistance  camera.js   field of view, far plane
+ *   mouseSensitivity     camera.js
+ *   invertY              camera.js
+ *   showFPS/Minimap/Chat hud.js      panel visibility
+ *   *Volume              getVolume() - for sounds to read when they play
+ *
+ * Particles and post processing are saved too, for the effects that will read them.
+ *
+ * USAGE:
+ *   import * as Settings from './settings.js'
+ *
+ *   Settings.get('fov')
+ *   Settings.set('fov', 90)                            // saves and applies
+ *   Settings.onChange((settings, changed) => ...)      // changed = keys that changed
+ *   Settings.getQualityPreset()                        // QUALITY_PRESETS entry in use
+ */
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+export const DEFAULT_SETTINGS = {
+  // Graphics
+  graphicsQuality: 'high',
+  shadows: true,
+  particles: true,
+  postProcessing: true,
+  fov: 75,                // Degrees
+  renderDistance: 1000,   // Camera far plane (m)
+  
+  // Audio (percent)
+  masterVolume: 80,
+  musicVolume: 60,
+  sfxVolume: 100,
+  ambientVolume: 70,
+  
+  // Gameplay
+  mouseSensitivity: 50,   // 50 = the original look speed
+  invertY: false,
+  showFPS: true,
+  showMinimap: true,
+  showChat: true,
+}
+
+// Numeric settings are clamped to these (the panel's sliders use them too)
+export const SETTING_RANGES = {
+  fov: { min: 60, max: 120, step: 1 },
+  renderDistance: { min: 200, max: 1000, step: 50 },
+  masterVolume: { min: 0, max: 100, step: 1 },
+  musicVolume: { min: 0, max: 100, step: 1 },
+  sfxVolume: { min: 0, max: 100, step: 1 },
+  ambientVolume: { min: 0, max: 100, step: 1 },
+  mouseSensitivity: { min: 10, max: 100, step: 1 },
+}
+
+// What each Graphics Quality option sets
+export const QUALITY_PRESETS = {
+  low:    { label: 'Low',    maxPixelRatio: 0.75, shadowMapSize: 512,  npcPopulation: 25, kelpDensity: 0.4 },
+  medium: { label: 'Medium', maxPixelRatio: 1,    shadowMapSize: 1024, npcPopulation: 40, kelpDensity: 0.7 },
+  high:   { label: 'High',   maxPixelRatio: 1.5,  shadowMapSize: 2048, npcPopulation: 50, kelpDensity: 1.0 },
+  ultra:  { label: 'Ultra',  maxPixelRatio: 2,    shadowMapSize: 4096, npcPopulation: 80, kelpDensity: 1.3 },
+}
+
+const CONFIG = {
+  storageKey: 'ocean.settings',
+}
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const settings = { ...DEFAULT_SETTINGS }
+const onChangeCallbacks = []
+
+load()
+
+// ============================================================================
+// ACCESS
+// ============================================================================
+
+export function get(key) {
+  return settings[key]
+}
+
+export function getAll() {
+  return { ...settings }
+}
+
+/**
+ * Change one setting - saved and applied straight away
+ * @param {string} key - DEFAULT_SETTINGS key
+ * @param {*} value - Same type as the default (numbers are clamped)
+ * @returns {boolean} False if the key or value was rejected
+ */
+export function set(key, value) {
+  const clean = sanitize(key, value)
+  if (clean === undefined) {
+    console.warn(`[Settings] Ignoring ${key} = ${value}`)
+    return false
+  }
+  if (settings[key] === clean) return true
+  
+  settings[key] = clean
+  save()
+  notify([key])
+  return true
+}
+
+/**
+ * Back to DEFAULT_SETTINGS
+ */
+export function reset() {
+  const changed = Object.keys(DEFAULT_SETTINGS).filter(key => settings[key] !== DEFAULT_SETTINGS[key])
+  Object.assign(settings, DEFAULT_SETTINGS)
+  save()
+  
+  if (changed.length > 0) notify(changed)
+}
+
+/**
+ * @returns {Object} QUALITY_PRESETS entry for the current graphics quality
+ */
+export function getQualityPreset() {
+  return QUALITY_PRESETS[settings.graphicsQuality]
+}
+
+/**
+ * Volume for a sound channel, master volume included
+ * @param {string} channel - 'music', 'sfx' or 'ambient'
+ * @returns {number} 0-1
+ */
+export function getVolume(channel) {
+  return (settings.masterVolume / 100) * ((settings[`${channel}Volume`] ?? 100) / 100)
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Register callback for setting changes
+ * Not called for the values loaded at boot - read getAll() once when starting up
+ * @param {Function} callback - Called with (settings, changedKeys)
+ * @returns {Function} Unsubscribe
+ */
+export function onChange(callback) {
+  onChangeCallbacks.push(callback)
+  return () => {
+    const index = onChangeCallbacks.indexOf(callback)
+    if (index > -1) onChangeCallbacks.splice(index, 1)
+  }
+}
+
+function notify(changed) {
+  const snapshot = getAll()
+  for (const callback of onChangeCallbacks) {
+    try {
+      callback(snapshot, changed)
+    } catch (err) {
+      console.error('[Settings] Error in change callback:', err)
+    }
+  }
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * @returns {*} The value to store, or undefined if it doesn't fit the setting
+ */
+function sanitize(key, value) {
+  if (!(key in DEFAULT_SETTINGS)) return undefined
+  if (typeof value !== typeof DEFAULT_SETTINGS[key]) return undefined
+  
+  if (key === 'graphicsQuality') {
+    return QUALITY_PRESETS[value] ? value : undefined
+  }
+  
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return undefined
+    const range = SETTING_RANGES[key]
+    return range ? Math.min(range.max, Math.max(range.min, value)) : value
+  }
+  
+  return value
+}
+
+function load() {
+  let saved
+  try {
+    saved = JSON.parse(localStorage.getItem(CONFIG.storageKey) || 'null')
+  } catch (err) {
+    console.warn(`[Settings] Ignoring unreadable saved settings: ${err.message}`)
+    return
+  }
+  if (!saved) return
+  
+  // Keys from older versions are dropped, new ones keep their default
+  for (const [key, value] of Object.entries(saved)) {
+    const clean = sanitize(key, value)
+    if (clean !== undefined) settings[key] = clean
+  }
+  
+  console.log(`[Settings] Loaded (${settings.graphicsQuality} quality)`)
+}
+
+function save() {
+  try {
+    localStorage.setItem(CONFIG.storageKey, JSON.stringify(settings))
+  } catch (err) {
+    console.warn(`[Settings] Couldn't save settings: ${err.message}`)
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * spectator.js - Watch a room without playing
+ *
+ * A spectator connection (connect({ spectate: true })) gets every room
+ * broadcast but has no creature; replay playback works the same way. The
+ * camera either flies freely or orbits one of the room's players.
+ *
+ * CONTROLS:
+ *   WASD / Space / Shift  - Fly (free camera)
+ *   Tab / ]               - Follow next player
+ *   [                     - Follow previous player
+ *   F                     - Back to free camera
+ *   Mouse / Scroll        - Look / Zoom
+ *
+ * USAGE:
+ *   import * as Spectator from './spectator.js'
+ *
+ *   Spectator.start(startPosition)   // after connecting as a spectator
+ *   Spectator.update(delta)          // each frame while spectating
+ */
+
+import * as THREE from 'three'
+import { camera, getYaw, getPitch, updateSpectatorCamera } from './camera.js'
+import { networkManager } from '../network/NetworkManager.js'
+
+let active = false
+let panel = null
+let playerList = null
+let statusLine = null
+let lastListKey = null           // Player IDs + names rendered (skip redraw if unchanged)
+let followedId = null            // Remote player ID, null = free camera
+
+const freePosition = new THREE.Vector3()
+const keys = { forward: false, backward: false, left: false, right: false, up: false, down: false }
+
+// Scratch vectors for movement
+const _forward = new THREE.Vector3()
+const _right = new THREE.Vector3()
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  flySpeed: 25,         // Units per second
+  fastMultiplier: 3,    // While Q is held
+}
+
+const KEY_BINDINGS = {
+  KeyW: 'forward',
+  KeyS: 'backward',
+  KeyA: 'left',
+  KeyD: 'right',
+  Space: 'up',
+  ShiftLeft: 'down',
+  ShiftRight: 'down',
+}
+
+let fast = false
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Begin spectating - free camera at startPosition
+ * @param {THREE.Vector3} startPosition
+ */
+export function start(startPosition) {
+  if (active) return
+  
+  active = true
+  followedId = null
+  freePosition.copy(startPosition)
+  
+  if (!panel) createPanel()
+  panel.style.display = 'block'
+  lastListKey = null
+  
+  window.addEventListener('keydown', onKeyDown)
+  window.addEventListener('keyup', onKeyUp)
+  
+  console.log('[Spectator] Started')
+}
+
+/**
+ * Stop spectating and drop the connection (or replay)
+ * The HUD and controls are built once per page, so playing afterwards
+ * starts from a fresh page rather than tearing the spectator HUD down
+ */
+export function leave() {
+  stop()
+  networkManager.disconnect()
+  window.location.reload()
+}
+
+/**
+ * Stop spectating but stay connected (a player rejoining after sitting out a round)
+ */
+export function stop() {
+  if (!active) return
+  
+  active = false
+  followedId = null
+  for (const key in keys) keys[key] = false
+  
+  window.removeEventListener('keydown', onKeyDown)
+  window.removeEventListener('keyup', onKeyUp)
+  
+  if (panel) panel.style.display = 'none'
+  
+  console.log('[Spectator] Stopped')
+}
+
+export function isActive() {
+  return active
+}
+
+// ============================================================================
+// UPDATE
+// ============================================================================
+
+export function update(delta) {
+  if (!active) return
+  
+  const target = getFollowedMesh()
+  
+  if (followedId !== null && !target) {
+    // Followed player left - keep flying from where the camera is
+    console.log(`[Spectator] Player ${followedId} left - free camera`)
+    freePosition.copy(camera.position)
+    followedId = null
+  }
+  
+  if (!target) {
+    moveFreeCamera(delta)
+  }
+  
+  updateSpectatorCamera(freePosition, target)
+  updatePanel()
+}
+
+function moveFreeCamera(delta) {
+  const yaw = getYaw()
+  const pitch = getPitch()
+  
+  // Camera looks down -Z rotated by yaw, tilted by pitch
+  _forward.set(-Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch))
+  _right.set(Math.cos(yaw), 0, -Math.sin(yaw))
+  
+  const step = CONFIG.flySpeed * (fast ? CONFIG.fastMultiplier : 1) * delta
+  
+  if (keys.forward) freePosition.addScaledVector(_forward, step)
+  if (keys.backward) freePosition.addScaledVector(_forward, -step)
+  if (keys.right) freePosition.addScaledVector(_right, step)
+  if (keys.left) freePosition.addScaledVector(_right, -step)
+  if (keys.up) freePosition.y += step
+  if (keys.down) freePosition.y -= step
+}
+
+// ============================================================================
+// FOLLOW
+// ============================================================================
+
+function getFollowedMesh() {
+  if (followedId === null) return null
+  return networkManager.getRemotePlayers()?.getPlayer(followedId)?.mesh || null
+}
+
+/**
+ * Follow a remote player, or null for the free camera
+ * @param {number|null} playerId
+ */
+export function follow(playerId) {
+  if (playerId === null) {
+    if (followedId !== null) {
+      // Free camera picks up where the orbit camera was
+      freePosition.copy(camera.position)
+    }
+    followedId = null
+    return
+  }
+  
+  if (!networkManager.getRemotePlayers()?.getPlayer(playerId)) return
+  
+  followedId = playerId
+  console.log(`[Spectator] Following player ${playerId}`)
+}
+
+/**
+ * Step through the room's players in ID order
+ * @param {number} direction - 1 = next, -1 = previous
+ */
+function cycleFollow(direction) {
+  const players = networkManager.getRemotePlayers()
+  if (!players || players.getCount() === 0) return
+  
+  const ids = [...players.getAllPlayers().keys()].sort((a, b) => a - b)
+  const index = ids.indexOf(followedId)
+  
+  const next = index === -1
+    ? (direction > 0 ? 0 : ids.length - 1)
+    : (index + direction + ids.length) % ids.length
+  
+  follow(ids[next])
+}
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+function onKeyDown(e) {
+  if (KEY_BINDINGS[e.code]) {
+    keys[KEY_BINDINGS[e.code]] = true
+    return
+  }
+  
+  switch (e.code) {
+    case 'Tab':
+      e.preventDefault()
+      cycleFollow(e.shiftKey ? -1 : 1)
+      break
+    case 'BracketRight':
+      cycleFollow(1)
+      break
+    case 'BracketLeft':
+      cycleFollow(-1)
+      break
+    case 'KeyF':
+      follow(null)
+      break
+    case 'KeyQ':
+      fast = true
+      break
+  }
+}
+
+function onKeyUp(e) {
+  if (KEY_BINDINGS[e.code]) {
+    keys[KEY_BINDINGS[e.code]] = false
+    return
+  }
+  
+  if (e.code === 'KeyQ') fast = false
+}
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+function createPanel() {
+  const style = document.createElement('style')
+  style.textContent = `
+    #spectator-panel {
+      right: 10px;
+      top: 10px;
+      width: 200px;
+      padding-bottom: 6px;
+    }
+    #spectator-panel .spectator-status {
+      padding: 4px 8px;
+      opacity: 0.7;
+    }
+    #spectator-panel .spectator-row {
+      padding: 2px 8px;
+      cursor: pointer;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    #spectator-panel .spectator-row:hover {
+      background: rgba(0, 255, 200, 0.15);
+    }
+    #spectator-panel .spectator-row.followed {
+      color: #ffffff;
+      background: rgba(0, 255, 200, 0.25);
+    }
+    #spectator-panel .spectator-leave {
+      display: block;
+      margin: 6px 8px 0;
+      width: calc(100% - 16px);
+      background: transparent;
+      border: 1px solid rgba(0, 255, 200, 0.4);
+      color: #00ffc8;
+      font-family: inherit;
+      cursor: pointer;
+    }
+  `
+  document.head.appendChild(style)
+  
+  panel = document.createElement('div')
+  panel.id = 'spectator-panel'
+  panel.className = 'hud-panel'
+  panel.innerHTML = `
+    <div class="hud-title"><span>Spectating</span></div>
+    <div class="spectator-status"></div>
+    <div class="spectator-list"></div>
+    <button class="spectator-leave">Leave</button>
+  `
+  document.body.appendChild(panel)
+  
+  statusLine = panel.querySelector('.spectator-status')
+  playerList = panel.querySelector('.spectator-list')
+  
+  playerList.addEventListener('click', (e) => {
+    const row = e.target.closest('.spectator-row')
+    if (!row) return
+    follow(row.dataset.id === '' ? null : Number(row.dataset.id))
+  })
+  
+  panel.querySelector('.spectator-leave').addEventListener('click', leave)
+}
+
+function updatePanel() {
+  const mode = followedId === null ? 'free camera' : 'following'
+  statusLine.textContent = networkManager.isReplaying() ? `Replay: ${networkManager.getRoomName()} - ${mode}`
+    : networkManager.isConnected() ? `${networkManager.getRoomName()} - ${mode}`
+    : 'Disconnected'
+  
+  const players = networkManager.getRemotePlayers()?.getAllPlayers() || new Map()
+  const entries = [...players].sort((a, b) => a[0] - b[0])
+  
+  const listKey = `${followedId}|` + entries.map(([id, player]) => `${id}:${player.name}`).join(',')
+  if (listKey === lastListKey) return
+  lastListKey = listKey
+  
+  playerList.innerHTML = ''
+  
+  const freeRow = document.createElement('div')
+  freeRow.className = 'spectator-row' + (followedId === null ? ' followed' : '')
+  freeRow.dataset.id = ''
+  freeRow.textContent = 'Free camera (F)'
+  playerList.appendChild(freeRow)
+  
+  for (const [id, player] of entries) {
+    const row = document.createElement('div')
+    row.className = 'spectator-row' + (id === followedId ? ' followed' : '')
+    row.dataset.id = id
+    row.textContent = player.name || `Player ${id}`
+    playerList.appendChild(row)
+  }
+}
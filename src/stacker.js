@@ -323,6 +323,9 @@ let sampledEmissive = null    // Emissive color sampled from surface
 let placedPrisms = []
 let prismIdCounter = 0
 
+// Callbacks for external systems (achievements)
+const onPrismPlacedCallbacks = []
+
 // ============================================================================
 // COLOR EXTRACTION (borrowed from camper.js)
 // ============================================================================
@@ -912,8 +915,8 @@ function finalizePrism() {
   
   console.log(`[Stacker] Placed prism: ${length.toFixed(2)} units, color #${finalColor.getHexString()} (${placedPrisms.length}/${CONFIG.maxPrisms})${physicsBody ? ' [SOLID]' : ' [NO PHYSICS]'}`)
   
-  // Broadcast to network
-  networkManager.sendPrismPlace({
+  // Broadcast to network (kept on the mesh so it can be resent after a reconnect)
+  finalPrism.userData.networkData = {
     prismId: prismId,
     position: { x: startPoint.x, y: startPoint.y, z: startPoint.z },
     quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
@@ -923,7 +926,12 @@ function finalizePrism() {
     roughness: finalRoughness,
     metalness: finalMetalness,
     emissive: finalEmissive ? finalEmissive.getHex() : null,
-  })
+  }
+  networkManager.sendPrismPlace(finalPrism.userData.networkData)
+  
+  for (const callback of onPrismPlacedCallbacks) {
+    callback(finalPrism)
+  }
   
   return finalPrism
 }
@@ -1035,24 +1043,11 @@ export function initRemotePrismNetwork() {
 }
 
 /**
- * Create a prism placed by a remote player
+ * Prism mesh from PRISM_PLACE data (remote prisms, and our own restored ones)
+ * @param {Object} data - { position, quaternion, length, radius, color, roughness, metalness, emissive }
+ * @returns {THREE.Mesh}
  */
-function createRemotePrism(playerId, data) {
-  if (!sceneRef) {
-    console.warn('[Stacker] Cannot create remote prism - no scene reference')
-    return
-  }
-  
-  // Get or create player's prism map
-  if (!remotePrisms.has(playerId)) {
-    remotePrisms.set(playerId, new Map())
-  }
-  const playerPrisms = remotePrisms.get(playerId)
-  
-  // Create unique ID for this remote prism (prefixed to avoid conflicts)
-  const remotePrismId = `remote-${playerId}-${data.prismId}`
-  
-  // Create the prism geometry
+function createPrismMeshFromData(data) {
   const geometry = createPentagonalPrismGeometry(data.radius || 0.5, data.length || 1)
   
   // Create material with synced properties
@@ -1074,12 +1069,32 @@ function createRemotePrism(playerId, data) {
   const material = new THREE.MeshStandardMaterial(materialProps)
   const prism = new THREE.Mesh(geometry, material)
   
-  // Set position
   prism.position.set(data.position.x, data.position.y, data.position.z)
-  
-  // Set rotation from quaternion
   prism.quaternion.set(data.quaternion.x, data.quaternion.y, data.quaternion.z, data.quaternion.w)
   
+  return prism
+}
+
+/**
+ * Create a prism placed by a remote player
+ */
+function createRemotePrism(playerId, data) {
+  if (!sceneRef) {
+    console.warn('[Stacker] Cannot create remote prism - no scene reference')
+    return
+  }
+  
+  // Get or create player's prism map
+  if (!remotePrisms.has(playerId)) {
+    remotePrisms.set(playerId, new Map())
+  }
+  const playerPrisms = remotePrisms.get(playerId)
+  
+  // Create unique ID for this remote prism (prefixed to avoid conflicts)
+  const remotePrismId = `remote-${playerId}-${data.prismId}`
+  
+  const prism = createPrismMeshFromData(data)
+  
   // Store metadata
   prism.userData.prismId = remotePrismId
   prism.userData.originalPrismId = data.prismId
@@ -1433,6 +1448,86 @@ export default {
 // DEBUG / UTILITIES
 // ============================================================================
 
+/**
+ * Reconcile our prisms with what the server remembers after a session resume
+ * Prisms that despawned while we were offline are removed remotely, and any
+ * placement the server never received is sent again
+ * 
+ * @param {string[]} serverPrismIds - Prism IDs the server holds for us
+ */
+export function resyncPrisms(serverPrismIds) {
+  const localIds = new Set(placedPrisms.map(prism => prism.userData.prismId))
+  const serverIds = new Set(serverPrismIds)
+  
+  for (const prismId of serverIds) {
+    if (!localIds.has(prismId)) {
+      networkManager.sendPrismRemove(prismId)
+    }
+  }
+  
+  for (const prism of placedPrisms) {
+    if (!serverIds.has(prism.userData.prismId) && prism.userData.networkData) {
+      networkManager.sendPrismPlace(prism.userData.networkData)
+    }
+  }
+}
+
+/**
+ * Adopt prisms the server saved for our account in this room (PLAYER_RESTORED)
+ * Each takes a ready slot and drains like a freshly placed prism - any that
+ * don't fit are removed on the server so everyone agrees
+ * @param {Object[]} prisms - PRISM_PLACE data
+ */
+export function restorePrisms(prisms) {
+  if (!sceneRef) return
+  
+  let restored = 0
+  for (const { id, ...data } of prisms) {
+    const prism = createPrismMeshFromData(data)
+    
+    if (!useSlot(prism)) {
+      prism.geometry.dispose()
+      prism.material.dispose()
+      networkManager.sendPrismRemove(data.prismId)
+      continue
+    }
+    
+    prism.userData.prismId = data.prismId
+    prism.userData.spawnTime = performance.now()
+    prism.userData.networkData = data
+    sceneRef.add(prism)
+    placedPrisms.push(prism)
+    restored++
+    
+    // New placements must not reuse a restored ID
+    const match = /^stacker-prism-(\d+)$/.exec(data.prismId)
+    if (match) {
+      prismIdCounter = Math.max(prismIdCounter, parseInt(match[1]))
+    }
+    
+    const colliderResult = isPhysicsReady()
+      ? createStaticCollider(data.prismId, prism, { friction: 0.6, restitution: 0.1 })
+      : null
+    
+    MeshRegistry.register(data.prismId, {
+      mesh: prism,
+      body: colliderResult?.collider || null,
+      category: Category.DECOR,
+      tags: [Tag.COLLIDABLE, Tag.STATIC],
+      metadata: {
+        type: 'pentagonal-prism',
+        length: data.length,
+        color: data.color,
+        roughness: data.roughness,
+        metalness: data.metalness,
+        hasPhysics: !!colliderResult,
+      }
+    })
+  }
+  
+  console.log(`[Stacker] Restored ${restored} of ${prisms.length} saved prisms`)
+}
+
 export function clearAllPrisms() {
   for (const prism of placedPrisms) {
     const prismId = prism.userData.prismId
@@ -1457,6 +1552,27 @@ export function clearAllPrisms() {
   console.log('[Stacker] Cleared all prisms (including physics)')
 }
 
+/**
+ * Register callback for when the local player places a prism
+ * @param {function} callback - Called with the prism mesh
+ */
+export function onPrismPlaced(callback) {
+  if (typeof callback === 'function') {
+    onPrismPlacedCallbacks.push(callback)
+  }
+}
+
+/**
+ * Remove prism placed callback
+ * @param {function} callback
+ */
+export function offPrismPlaced(callback) {
+  const index = onPrismPlacedCallbacks.indexOf(callback)
+  if (index > -1) {
+    onPrismPlacedCallbacks.splice(index, 1)
+  }
+}
+
 export function debugStacker() {
   const fishScale = getFishScale()
   
@@ -3,13 +3,19 @@
  * 
  * Handles the four corner button panels:
  * - Help (How to Play) - Game objectives, controls, capabilities
- * - Servers - Server browser with ping visualization
- * - Settings - Game settings (graphics, audio, controls)
+ * - Servers - Live room browser with ping, private rooms
+ * - Settings - Game settings (graphics, audio, gameplay) stored by settings.js,
+ *              key bindings stored by input.js
  * - Donate - Support the game
  * 
  * All panels follow the underwater theme established in menu.js
  */
 
+import { networkManager } from '../network/NetworkManager.js'
+import { ROOM_RULES, ROOM_ERROR_REASON, GAME_MODE, GAME_MODE_NAMES } from '../shared/Protocol.js'
+import * as Settings from './settings.js'
+import * as Input from './input.js'
+
 // ============================================================================
 // STATE
 // ============================================================================
@@ -19,51 +25,61 @@ let activePanel = null
 let onCloseCallback = null
 
 // ============================================================================
-// MOCK DATA
+// STATIC DATA
 // ============================================================================
 
-// Mock server data for the server browser
-const MOCK_SERVERS = [
-  { name: 'Ocean Prime', region: 'NA East', players: 47, maxPlayers: 100, ping: 24, status: 'online' },
-  { name: 'Deep Blue', region: 'NA West', players: 89, maxPlayers: 100, ping: 58, status: 'online' },
-  { name: 'Coral Reef', region: 'EU West', players: 62, maxPlayers: 100, ping: 112, status: 'online' },
-  { name: 'Mariana', region: 'EU Central', players: 31, maxPlayers: 100, ping: 98, status: 'online' },
-  { name: 'Pacific Storm', region: 'Asia', players: 78, maxPlayers: 100, ping: 185, status: 'online' },
-  { name: 'Arctic Waters', region: 'NA East', players: 12, maxPlayers: 50, ping: 35, status: 'online' },
-  { name: 'Tropical Bay', region: 'SA', players: 0, maxPlayers: 100, ping: 0, status: 'offline' },
-  { name: 'Abyss', region: 'EU West', players: 100, maxPlayers: 100, ping: 105, status: 'full' },
-]
+// Messages for ROOM_ERROR reasons (see Protocol.js ROOM_ERROR_REASON)
+const ROOM_ERROR_TEXT = {
+  [ROOM_ERROR_REASON.NOT_FOUND]: 'No room with that code',
+  [ROOM_ERROR_REASON.FULL]: 'That room is full',
+  [ROOM_ERROR_REASON.BAD_PASSWORD]: 'Wrong password',
+  [ROOM_ERROR_REASON.INVALID]: 'Invalid room details',
+  [ROOM_ERROR_REASON.LIMIT]: 'Too many private rooms open - try again later',
+}
 
-// Control mappings for help panel
+// Control mappings for help panel - `actions` show their current key bindings (input.js)
+const { ACTION } = Input
 const CONTROLS = [
   { category: 'Movement', bindings: [
-    { key: 'W A S D', action: 'Swim in direction' },
-    { key: 'Space', action: 'Swim up' },
-    { key: 'Shift', action: 'Swim down' },
+    { actions: [ACTION.SWIM_FORWARD, ACTION.SWIM_LEFT, ACTION.SWIM_BACK, ACTION.SWIM_RIGHT], separator: ' ', action: 'Swim in direction' },
+    { actions: [ACTION.SWIM_UP], action: 'Swim up' },
+    { actions: [ACTION.SWIM_DOWN], action: 'Swim down' },
     { key: 'Mouse', action: 'Look around' },
     { key: 'Scroll', action: 'Zoom in/out' },
   ]},
   { category: 'Abilities', bindings: [
-    { key: 'Q (hold)', action: 'Activate ability' },
-    { key: 'E', action: 'Open emoji wheel' },
+    { actions: [ACTION.ABILITY], suffix: ' (hold)', action: 'Activate ability' },
+    { actions: [ACTION.EMOJI_WHEEL], action: 'Open emoji wheel' },
     { key: '1-9, 0', action: 'Select emoji' },
   ]},
   { category: 'Creature', bindings: [
-    { key: 'N / B', action: 'Next / Previous species' },
-    { key: 'Z', action: 'Cycle variant' },
-    { key: 'G', action: 'Mutate (random same species)' },
-    { key: 'R / T', action: 'Decrease / Increase size' },
+    { actions: [ACTION.NEXT_SPECIES, ACTION.PREV_SPECIES], action: 'Next / Previous species' },
+    { actions: [ACTION.CYCLE_VARIANT], action: 'Cycle variant' },
+    { actions: [ACTION.MUTATE], action: 'Mutate (random same species)' },
+    { actions: [ACTION.SCALE_DOWN, ACTION.SCALE_UP], action: 'Decrease / Increase size' },
   ]},
   { category: 'Other', bindings: [
-    { key: 'M', action: 'Generate new map' },
-    { key: 'P', action: 'Toggle debug wireframes' },
-    { key: 'V', action: 'Toggle spawn visualization' },
-    { key: 'F', action: 'Debug info' },
+    { actions: [ACTION.NEW_MAP], action: 'Generate new map' },
+    { actions: [ACTION.DEBUG_OVERLAYS], action: 'Toggle debug wireframes' },
+    { actions: [ACTION.DEBUG_VIZ], action: 'Toggle spawn visualization' },
+    { actions: [ACTION.DEBUG_INFO], action: 'Debug info' },
     { key: 'Enter', action: 'Open chat' },
     { key: 'Esc', action: 'Close menus' },
   ]},
 ]
 
+const KEY_BINDING_HINT = 'Click a key to rebind it - Backspace clears it, Esc cancels'
+
+// Gamepad layout for Settings > Controls (fixed, see input.js)
+const GAMEPAD_CONTROLS = [
+  { key: 'Left stick', action: 'Swim' },
+  { key: 'Right stick', action: 'Look around / point at an emoji' },
+  { key: 'RB / LB', action: 'Swim up / down' },
+  { key: 'RT (hold)', action: 'Activate ability' },
+  { key: 'Y', action: 'Emoji wheel' },
+  { key: 'A / B', action: 'Send emoji / close wheel' },
+]
+
 // Ability descriptions
 const ABILITIES = [
   { 
@@ -605,6 +621,61 @@ function generateStyles() {
       box-shadow: 0 8px 25px rgba(0, 255, 180, 0.2);
     }
     
+    .server-row.current {
+      border-color: rgba(0, 255, 180, 0.5);
+      cursor: default;
+    }
+    
+    .server-status.current {
+      background: rgba(0, 200, 255, 0.15);
+      color: #00d4ff;
+      border: 1px solid rgba(0, 200, 255, 0.3);
+    }
+    
+    .servers-empty {
+      padding: 20px;
+      text-align: center;
+    }
+    
+    .servers-private {
+      margin-top: 20px;
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+    }
+    
+    .servers-private-title {
+      font-size: 14px;
+      font-weight: 600;
+      color: #00d4ff;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+    }
+    
+    .servers-private-row {
+      display: flex;
+      gap: 10px;
+      align-items: center;
+    }
+    
+    .servers-private-row .servers-search {
+      min-width: 0;
+    }
+    
+    .servers-create-mode option {
+      background: #002040;
+    }
+    
+    .servers-message {
+      min-height: 18px;
+      font-size: 13px;
+      color: #00ffaa;
+    }
+    
+    .servers-message.error {
+      color: #ff6666;
+    }
+    
     /* ========================================
        SETTINGS PANEL SPECIFIC
        ======================================== */
@@ -773,6 +844,43 @@ function generateStyles() {
       color: #fff;
     }
     
+    .settings-key-pair {
+      display: flex;
+      gap: 8px;
+    }
+    
+    .settings-key {
+      min-width: 90px;
+      padding: 6px 12px;
+      background: rgba(0, 40, 70, 0.6);
+      border: 1px solid rgba(0, 200, 255, 0.3);
+      border-radius: 6px;
+      color: #00d4ff;
+      font-family: 'Consolas', monospace;
+      font-size: 13px;
+      cursor: pointer;
+      transition: all 0.2s ease;
+    }
+    
+    .settings-key:hover {
+      border-color: rgba(0, 200, 255, 0.6);
+    }
+    
+    .settings-key.unbound {
+      color: rgba(255, 255, 255, 0.3);
+    }
+    
+    .settings-key.listening {
+      border-color: #ffcc00;
+      color: #ffcc00;
+    }
+    
+    .settings-key-message {
+      margin: 0 0 15px;
+      font-size: 13px;
+      color: rgba(255, 255, 255, 0.6);
+    }
+    
     .settings-footer {
       margin-top: 20px;
       padding-top: 15px;
@@ -1119,7 +1227,7 @@ export function showHelpPanel() {
               <div class="help-controls-category-title">${cat.category}</div>
               ${cat.bindings.map(bind => `
                 <div class="help-control-row">
-                  <span class="help-control-key">${bind.key}</span>
+                  <span class="help-control-key">${getControlKeyLabel(bind)}</span>
                   <span class="help-control-action">${bind.action}</span>
                 </div>
               `).join('')}
@@ -1130,7 +1238,7 @@ export function showHelpPanel() {
       
       <!-- Abilities -->
       <div class="utility-section">
-        <div class="utility-section-title">Abilities (Hold Q)</div>
+        <div class="utility-section-title">Abilities (Hold ${Input.getActionKeyLabel(ACTION.ABILITY)})</div>
         <div class="help-abilities-grid">
           ${ABILITIES.map(ability => `
             <div class="help-ability-card" style="--ability-color: ${ability.color}">
@@ -1165,6 +1273,16 @@ export function showHelpPanel() {
   showPanel(panel)
 }
 
+/**
+ * Key shown for a help panel control - bound keys for `actions` entries
+ */
+function getControlKeyLabel(bind) {
+  if (bind.key) return bind.key
+  
+  const keys = bind.actions.map(action => Input.getActionKeyLabel(action)).join(bind.separator || ' / ')
+  return escapeHtml(keys) + (bind.suffix || '')
+}
+
 // ============================================================================
 // SERVERS PANEL
 // ============================================================================
@@ -1186,80 +1304,209 @@ export function showServersPanel() {
     <div class="utility-content">
       <!-- Toolbar -->
       <div class="servers-toolbar">
-        <input type="text" class="servers-search" placeholder="Search servers..." />
+        <input type="text" class="servers-search" placeholder="Search rooms..." />
         <button class="servers-refresh-btn">
           <span>🔄</span>
           <span>Refresh</span>
         </button>
       </div>
       
-      <!-- Server List -->
+      <!-- Room List -->
       <div class="servers-list">
-        ${MOCK_SERVERS.map(server => {
-          const pingColor = getPingColor(server.ping)
-          const pingBars = getPingBars(server.ping)
-          const isFull = server.status === 'full'
-          const isOffline = server.status === 'offline'
-          
-          return `
-            <div class="server-row ${server.status}">
-              <div class="server-name">${server.name}</div>
-              <div class="server-region">${server.region}</div>
-              <div class="server-players ${isFull ? 'server-players-full' : ''}">
-                ${server.players}/${server.maxPlayers} players
-              </div>
-              <div class="server-ping" style="--ping-color: ${pingColor}">
-                <div class="server-ping-bars">
-                  ${[1, 2, 3, 4].map(i => `
-                    <div class="server-ping-bar ${i <= pingBars ? 'active' : ''}"></div>
-                  `).join('')}
-                </div>
-                <span class="server-ping-ms">${isOffline ? '---' : server.ping + 'ms'}</span>
-              </div>
-              <div class="server-status ${server.status}">${server.status}</div>
-            </div>
-          `
-        }).join('')}
+        <div class="servers-empty utility-text-muted">Loading rooms...</div>
+      </div>
+      
+      <!-- Private Rooms -->
+      <div class="servers-private">
+        <div class="servers-private-title">Private Rooms</div>
+        <div class="servers-private-row">
+          <input type="text" class="servers-search servers-code-input" placeholder="Room code" maxlength="${ROOM_RULES.codeLength}" />
+          <input type="password" class="servers-search servers-join-password" placeholder="Password" maxlength="${ROOM_RULES.passwordMaxLength}" />
+          <button class="servers-refresh-btn servers-join-btn">Join</button>
+        </div>
+        <div class="servers-private-row">
+          <input type="text" class="servers-search servers-create-name" placeholder="Room name" maxlength="${ROOM_RULES.nameMaxLength}" />
+          <input type="password" class="servers-search servers-create-password" placeholder="Password (optional)" maxlength="${ROOM_RULES.passwordMaxLength}" />
+          <select class="servers-search servers-create-mode" title="Game mode">
+            ${Object.values(GAME_MODE).map(mode => `<option value="${mode}">${GAME_MODE_NAMES[mode]}</option>`).join('')}
+          </select>
+          <button class="servers-create-btn">+ Create Private Room</button>
+        </div>
+        <div class="servers-message"></div>
       </div>
       
       <!-- Footer -->
       <div class="servers-footer">
-        <span class="utility-text-muted">${MOCK_SERVERS.filter(s => s.status === 'online').length} servers online</span>
-        <button class="servers-create-btn">+ Create Private Room</button>
+        <span class="utility-text-muted servers-summary"></span>
+        <span class="utility-text-muted servers-current"></span>
       </div>
     </div>
   `
   
+  const searchInput = panel.querySelector('.servers-search')
+  let lastList = null
+  
+  const refresh = () => {
+    renderCurrentRoom(panel)
+    networkManager.requestRoomList()
+      .then(list => {
+        lastList = list
+        renderRoomList(panel, list, searchInput.value, refresh)
+      })
+      .catch(err => {
+        console.warn('[UtilityMenu] Room list failed:', err.message)
+        lastList = null
+        panel.querySelector('.servers-list').innerHTML = `
+          <div class="servers-empty utility-text-muted">Server unreachable</div>
+        `
+        panel.querySelector('.servers-summary').textContent = '0 rooms online'
+      })
+  }
+  
   // Add close handler
   panel.querySelector('.utility-close-btn').addEventListener('click', closePanel)
   
   // Add refresh handler
   panel.querySelector('.servers-refresh-btn').addEventListener('click', () => {
-    console.log('[UtilityMenu] Refreshing servers...')
-    // TODO: Implement actual refresh
+    console.log('[UtilityMenu] Refreshing rooms...')
+    refresh()
+  })
+  
+  // Filter without refetching
+  searchInput.addEventListener('input', () => {
+    if (lastList) renderRoomList(panel, lastList, searchInput.value, refresh)
+  })
+  
+  // Join by code
+  panel.querySelector('.servers-join-btn').addEventListener('click', () => {
+    const code = panel.querySelector('.servers-code-input').value.trim().toUpperCase()
+    const password = panel.querySelector('.servers-join-password').value
+    if (!code) {
+      showServersMessage(panel, 'Enter a room code', true)
+      return
+    }
+    joinRoom(panel, code, password, refresh)
   })
   
   // Add create room handler
   panel.querySelector('.servers-create-btn').addEventListener('click', () => {
-    console.log('[UtilityMenu] Create private room clicked')
-    alert('🔒 Private Rooms\n\nComing soon!\n\nYou will be able to:\n• Create private rooms\n• Share room codes with friends\n• Set custom game rules')
+    const name = panel.querySelector('.servers-create-name').value.trim()
+    const password = panel.querySelector('.servers-create-password').value
+    const mode = panel.querySelector('.servers-create-mode').value
+    
+    if (!networkManager.isConnected()) {
+      showServersMessage(panel, 'Dive in first - private rooms are created from inside the game', true)
+      return
+    }
+    
+    console.log('[UtilityMenu] Creating private room...')
+    showServersMessage(panel, 'Creating room...')
+    
+    networkManager.createPrivateRoom(name, password, mode)
+      .then(({ roomId }) => {
+        navigator.clipboard?.writeText(roomId).catch(() => {})
+        showServersMessage(panel, `Room created! Code ${roomId} (copied) - share it${password ? ' with the password' : ''}`)
+        refresh()
+      })
+      .catch(err => showServersMessage(panel, ROOM_ERROR_TEXT[err.reason] || `Could not create room: ${err.message}`, true))
   })
   
-  // Add server row click handlers
-  panel.querySelectorAll('.server-row').forEach((row, index) => {
+  showPanel(panel)
+  refresh()
+}
+
+/**
+ * Move to a room (or remember it for the next connect when offline)
+ */
+function joinRoom(panel, roomId, password, onJoined) {
+  console.log(`[UtilityMenu] Joining room: ${roomId}`)
+  showServersMessage(panel, 'Joining...')
+  
+  networkManager.switchRoom(roomId, password || null)
+    .then(({ queued, roomName }) => {
+      showServersMessage(panel, queued ? `You'll join ${roomId} when you dive in` : `Joined ${roomName}`)
+      onJoined()
+    })
+    .catch(err => showServersMessage(panel, ROOM_ERROR_TEXT[err.reason] || `Could not join: ${err.message}`, true))
+}
+
+function renderRoomList(panel, { rooms, ping }, filter, onJoined) {
+  const listEl = panel.querySelector('.servers-list')
+  const currentId = networkManager.getRoomId()
+  const query = filter.trim().toLowerCase()
+  const visible = rooms.filter(room => !query || room.name.toLowerCase().includes(query) || room.id.toLowerCase().includes(query))
+  
+  panel.querySelector('.servers-summary').textContent = `${rooms.length} ${rooms.length === 1 ? 'room' : 'rooms'} online`
+  
+  if (visible.length === 0) {
+    listEl.innerHTML = `<div class="servers-empty utility-text-muted">${rooms.length ? 'No matching rooms' : 'No rooms yet'}</div>`
+    return
+  }
+  
+  const pingColor = getPingColor(ping)
+  const pingBars = getPingBars(ping)
+  
+  listEl.innerHTML = visible.map(room => {
+    const status = room.id === currentId ? 'current' : room.players >= room.maxPlayers ? 'full' : 'online'
+    
+    return `
+      <div class="server-row ${status}" data-room-id="${escapeHtml(room.id)}">
+        <div class="server-name">${escapeHtml(room.name)}</div>
+        <div class="server-region">${GAME_MODE_NAMES[room.mode] || GAME_MODE_NAMES[GAME_MODE.FREE_FOR_ALL]} - ${room.inGame} swimming</div>
+        <div class="server-players ${status === 'full' ? 'server-players-full' : ''}">
+          ${room.players}/${room.maxPlayers} players
+        </div>
+        <div class="server-ping" style="--ping-color: ${pingColor}">
+          <div class="server-ping-bars">
+            ${[1, 2, 3, 4].map(i => `
+              <div class="server-ping-bar ${i <= pingBars ? 'active' : ''}"></div>
+            `).join('')}
+          </div>
+          <span class="server-ping-ms">${ping}ms</span>
+        </div>
+        <div class="server-status ${status}">${status === 'current' ? 'here' : status}</div>
+      </div>
+    `
+  }).join('')
+  
+  // Add room row click handlers
+  listEl.querySelectorAll('.server-row').forEach(row => {
     row.addEventListener('click', () => {
-      const server = MOCK_SERVERS[index]
-      if (server.status === 'offline') return
-      if (server.status === 'full') {
-        alert(`Server "${server.name}" is full!\n\nTry another server.`)
+      if (row.classList.contains('current')) return
+      if (row.classList.contains('full')) {
+        showServersMessage(panel, ROOM_ERROR_TEXT[ROOM_ERROR_REASON.FULL], true)
         return
       }
-      console.log(`[UtilityMenu] Joining server: ${server.name}`)
-      alert(`🌊 Joining ${server.name}...\n\nMultiplayer coming soon!`)
+      joinRoom(panel, row.dataset.roomId, null, onJoined)
     })
   })
+}
+
+function renderCurrentRoom(panel) {
+  const el = panel.querySelector('.servers-current')
+  if (!networkManager.isConnected()) {
+    el.textContent = 'Offline'
+    return
+  }
   
-  showPanel(panel)
+  const name = networkManager.getRoomName()
+  el.textContent = networkManager.isInPrivateRoom()
+    ? `In ${name} - code ${networkManager.getRoomId()}`
+    : `In ${name}`
+}
+
+function showServersMessage(panel, text, isError = false) {
+  const el = panel.querySelector('.servers-message')
+  el.textContent = text
+  el.classList.toggle('error', isError)
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
 }
 
 function getPingColor(ping) {
@@ -1282,28 +1529,14 @@ function getPingBars(ping) {
 // SETTINGS PANEL
 // ============================================================================
 
-// Settings state (will be saved/loaded later)
-const settingsState = {
-  // Graphics
-  graphicsQuality: 'high',
-  shadows: true,
-  particles: true,
-  postProcessing: true,
-  fov: 75,
-  renderDistance: 100,
-  
-  // Audio
-  masterVolume: 80,
-  musicVolume: 60,
-  sfxVolume: 100,
-  ambientVolume: 70,
-  
-  // Gameplay
-  mouseSensitivity: 50,
-  invertY: false,
-  showFPS: true,
-  showMinimap: true,
-  showChat: true,
+// How slider values are shown
+const SETTING_UNITS = {
+  fov: '°',
+  renderDistance: 'm',
+  masterVolume: '%',
+  musicVolume: '%',
+  sfxVolume: '%',
+  ambientVolume: '%',
 }
 
 export function showSettingsPanel() {
@@ -1326,6 +1559,7 @@ export function showSettingsPanel() {
         <button class="settings-tab active" data-tab="graphics">Graphics</button>
         <button class="settings-tab" data-tab="audio">Audio</button>
         <button class="settings-tab" data-tab="gameplay">Gameplay</button>
+        <button class="settings-tab" data-tab="controls">Controls</button>
       </div>
       
       <!-- Graphics Tab -->
@@ -1338,10 +1572,10 @@ export function showSettingsPanel() {
               <span class="settings-label-text">Graphics Quality</span>
               <span class="settings-label-desc">Overall visual quality preset</span>
             </div>
-            <select class="settings-select" id="setting-graphics-quality">
+            <select class="settings-select" id="setting-graphics-quality" data-setting="graphicsQuality">
               <option value="low">Low</option>
               <option value="medium">Medium</option>
-              <option value="high" selected>High</option>
+              <option value="high">High</option>
               <option value="ultra">Ultra</option>
             </select>
           </div>
@@ -1351,7 +1585,7 @@ export function showSettingsPanel() {
               <span class="settings-label-text">Shadows</span>
               <span class="settings-label-desc">Dynamic shadow rendering</span>
             </div>
-            <div class="settings-toggle active" id="setting-shadows"></div>
+            <div class="settings-toggle" id="setting-shadows" data-setting="shadows"></div>
           </div>
           
           <div class="settings-row">
@@ -1359,7 +1593,7 @@ export function showSettingsPanel() {
               <span class="settings-label-text">Particles</span>
               <span class="settings-label-desc">Bubbles and ambient particles</span>
             </div>
-            <div class="settings-toggle active" id="setting-particles"></div>
+            <div class="settings-toggle" id="setting-particles" data-setting="particles"></div>
           </div>
           
           <div class="settings-row">
@@ -1367,7 +1601,7 @@ export function showSettingsPanel() {
               <span class="settings-label-text">Post Processing</span>
               <span class="settings-label-desc">Bloom, fog, and effects</span>
             </div>
-            <div class="settings-toggle active" id="setting-post-processing"></div>
+            <div class="settings-toggle" id="setting-post-processing" data-setting="postProcessing"></div>
           </div>
         </div>
         
@@ -1380,8 +1614,8 @@ export function showSettingsPanel() {
               <span class="settings-label-desc">Camera FOV angle</span>
             </div>
             <div class="settings-slider-container">
-              <input type="range" class="settings-slider" id="setting-fov" min="60" max="120" value="75" />
-              <span class="settings-slider-value">75°</span>
+              <input type="range" class="settings-slider" id="setting-fov" data-setting="fov" />
+              <span class="settings-slider-value"></span>
             </div>
           </div>
           
@@ -1391,8 +1625,8 @@ export function showSettingsPanel() {
               <span class="settings-label-desc">How far you can see</span>
             </div>
             <div class="settings-slider-container">
-              <input type="range" class="settings-slider" id="setting-render-distance" min="50" max="200" value="100" />
-              <span class="settings-slider-value">100</span>
+              <input type="range" class="settings-slider" id="setting-render-distance" data-setting="renderDistance" />
+              <span class="settings-slider-value"></span>
             </div>
           </div>
         </div>
@@ -1408,8 +1642,8 @@ export function showSettingsPanel() {
               <span class="settings-label-text">Master Volume</span>
             </div>
             <div class="settings-slider-container">
-              <input type="range" class="settings-slider" id="setting-master-volume" min="0" max="100" value="80" />
-              <span class="settings-slider-value">80%</span>
+              <input type="range" class="settings-slider" id="setting-master-volume" data-setting="masterVolume" />
+              <span class="settings-slider-value"></span>
             </div>
           </div>
           
@@ -1418,8 +1652,8 @@ export function showSettingsPanel() {
               <span class="settings-label-text">Music</span>
             </div>
             <div class="settings-slider-container">
-              <input type="range" class="settings-slider" id="setting-music-volume" min="0" max="100" value="60" />
-              <span class="settings-slider-value">60%</span>
+              <input type="range" class="settings-slider" id="setting-music-volume" data-setting="musicVolume" />
+              <span class="settings-slider-value"></span>
             </div>
           </div>
           
@@ -1428,8 +1662,8 @@ export function showSettingsPanel() {
               <span class="settings-label-text">Sound Effects</span>
             </div>
             <div class="settings-slider-container">
-              <input type="range" class="settings-slider" id="setting-sfx-volume" min="0" max="100" value="100" />
-              <span class="settings-slider-value">100%</span>
+              <input type="range" class="settings-slider" id="setting-sfx-volume" data-setting="sfxVolume" />
+              <span class="settings-slider-value"></span>
             </div>
           </div>
           
@@ -1439,8 +1673,8 @@ export function showSettingsPanel() {
               <span class="settings-label-desc">Ocean sounds and atmosphere</span>
             </div>
             <div class="settings-slider-container">
-              <input type="range" class="settings-slider" id="setting-ambient-volume" min="0" max="100" value="70" />
-              <span class="settings-slider-value">70%</span>
+              <input type="range" class="settings-slider" id="setting-ambient-volume" data-setting="ambientVolume" />
+              <span class="settings-slider-value"></span>
             </div>
           </div>
         </div>
@@ -1456,8 +1690,8 @@ export function showSettingsPanel() {
               <span class="settings-label-text">Mouse Sensitivity</span>
             </div>
             <div class="settings-slider-container">
-              <input type="range" class="settings-slider" id="setting-mouse-sensitivity" min="10" max="100" value="50" />
-              <span class="settings-slider-value">50</span>
+              <input type="range" class="settings-slider" id="setting-mouse-sensitivity" data-setting="mouseSensitivity" />
+              <span class="settings-slider-value"></span>
             </div>
           </div>
           
@@ -1466,7 +1700,7 @@ export function showSettingsPanel() {
               <span class="settings-label-text">Invert Y-Axis</span>
               <span class="settings-label-desc">Invert vertical mouse movement</span>
             </div>
-            <div class="settings-toggle" id="setting-invert-y"></div>
+            <div class="settings-toggle" id="setting-invert-y" data-setting="invertY"></div>
           </div>
         </div>
         
@@ -1477,29 +1711,62 @@ export function showSettingsPanel() {
             <div class="settings-label">
               <span class="settings-label-text">Show FPS Counter</span>
             </div>
-            <div class="settings-toggle active" id="setting-show-fps"></div>
+            <div class="settings-toggle" id="setting-show-fps" data-setting="showFPS"></div>
           </div>
           
           <div class="settings-row">
             <div class="settings-label">
               <span class="settings-label-text">Show Minimap</span>
             </div>
-            <div class="settings-toggle active" id="setting-show-minimap"></div>
+            <div class="settings-toggle" id="setting-show-minimap" data-setting="showMinimap"></div>
           </div>
           
           <div class="settings-row">
             <div class="settings-label">
               <span class="settings-label-text">Show Chat</span>
             </div>
-            <div class="settings-toggle active" id="setting-show-chat"></div>
+            <div class="settings-toggle" id="setting-show-chat" data-setting="showChat"></div>
           </div>
         </div>
       </div>
       
+      <!-- Controls Tab (hidden by default) -->
+      <div class="settings-tab-content" data-content="controls" style="display: none;">
+        <p class="settings-key-message">${KEY_BINDING_HINT}</p>
+        
+        ${[...new Set(Input.ACTIONS.map(action => action.group))].map(group => `
+          <div class="settings-group">
+            <div class="settings-group-title">${group}</div>
+            ${Input.ACTIONS.filter(action => action.group === group).map(action => `
+              <div class="settings-row">
+                <div class="settings-label">
+                  <span class="settings-label-text">${action.label}</span>
+                </div>
+                <div class="settings-key-pair">
+                  ${Array.from({ length: Input.SLOTS_PER_ACTION }, (_, slot) => `
+                    <button class="settings-key" data-action="${action.id}" data-slot="${slot}"></button>
+                  `).join('')}
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        `).join('')}
+        
+        <div class="settings-group">
+          <div class="settings-group-title">Gamepad</div>
+          ${GAMEPAD_CONTROLS.map(bind => `
+            <div class="help-control-row">
+              <span class="help-control-key">${bind.key}</span>
+              <span class="help-control-action">${bind.action}</span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+      
       <!-- Footer -->
       <div class="settings-footer">
         <button class="settings-btn settings-btn-reset">Reset to Default</button>
-        <button class="settings-btn settings-btn-save">Save Changes</button>
+        <button class="settings-btn settings-btn-save">Done</button>
       </div>
     </div>
   `
@@ -1526,41 +1793,132 @@ export function showSettingsPanel() {
     })
   })
   
-  // Toggle switches
+  // Every change is saved and applied straight away
   panel.querySelectorAll('.settings-toggle').forEach(toggle => {
     toggle.addEventListener('click', () => {
       toggle.classList.toggle('active')
+      Settings.set(toggle.dataset.setting, toggle.classList.contains('active'))
     })
   })
   
-  // Slider value updates
   panel.querySelectorAll('.settings-slider').forEach(slider => {
-    const valueDisplay = slider.nextElementSibling
     slider.addEventListener('input', () => {
-      let value = slider.value
-      if (slider.id === 'setting-fov') value += '°'
-      else if (slider.id.includes('volume')) value += '%'
-      valueDisplay.textContent = value
+      Settings.set(slider.dataset.setting, Number(slider.value))
+      showSliderValue(slider)
+    })
+  })
+  
+  panel.querySelectorAll('.settings-select').forEach(select => {
+    select.addEventListener('change', () => {
+      Settings.set(select.dataset.setting, select.value)
     })
   })
   
+  // Key bindings
+  panel.querySelectorAll('.settings-key').forEach(button => {
+    button.addEventListener('click', () => captureKey(panel, button))
+  })
+  
   // Reset button
   panel.querySelector('.settings-btn-reset').addEventListener('click', () => {
     console.log('[UtilityMenu] Resetting settings to default')
-    alert('Settings reset to default values!')
-    // TODO: Actually reset settings
+    Settings.reset()
+    Input.resetBindings()
+    syncSettingsControls(panel)
   })
   
-  // Save button
-  panel.querySelector('.settings-btn-save').addEventListener('click', () => {
-    console.log('[UtilityMenu] Saving settings')
-    alert('Settings saved!')
-    closePanel()
-  })
+  // Done button
+  panel.querySelector('.settings-btn-save').addEventListener('click', closePanel)
   
+  syncSettingsControls(panel)
   showPanel(panel)
 }
 
+/**
+ * Set every control in the panel to the stored settings
+ */
+function syncSettingsControls(panel) {
+  const settings = Settings.getAll()
+  
+  panel.querySelectorAll('[data-setting]').forEach(control => {
+    const key = control.dataset.setting
+    
+    if (control.classList.contains('settings-toggle')) {
+      control.classList.toggle('active', settings[key])
+    } else if (control.classList.contains('settings-slider')) {
+      const { min, max, step } = Settings.SETTING_RANGES[key]
+      Object.assign(control, { min, max, step })
+      control.value = settings[key]
+      showSliderValue(control)
+    } else {
+      control.value = settings[key]
+    }
+  })
+  
+  syncKeyControls(panel)
+}
+
+function showSliderValue(slider) {
+  slider.nextElementSibling.textContent = slider.value + (SETTING_UNITS[slider.dataset.setting] || '')
+}
+
+/**
+ * Wait for the next key press and bind it to the button's action slot
+ */
+function captureKey(panel, button) {
+  const { action } = button.dataset
+  const slot = Number(button.dataset.slot)
+  const message = panel.querySelector('.settings-key-message')
+  
+  panel.querySelectorAll('.settings-key.listening').forEach(other => other.classList.remove('listening'))
+  button.classList.add('listening')
+  button.textContent = 'Press a key...'
+  message.textContent = KEY_BINDING_HINT
+  
+  const onKey = (e) => {
+    // Ahead of the game controls and Escape-to-close
+    e.preventDefault()
+    e.stopPropagation()
+    window.removeEventListener('keydown', onKey, true)
+    
+    if (!button.classList.contains('listening') || activePanel !== 'settings') return
+    button.classList.remove('listening')
+    
+    if (e.code === 'Backspace' || e.code === 'Delete') {
+      Input.setBinding(action, slot, null)
+    } else if (Input.isReservedKey(e.code)) {
+      if (e.code !== 'Escape') {
+        message.textContent = `${Input.getKeyLabel(e.code)} can't be rebound (chat, menus and emoji keys)`
+      }
+    } else {
+      const conflict = Input.findConflict(e.code, action)
+      const declined = conflict && !confirm(
+        `${Input.getKeyLabel(e.code)} is already used for "${Input.getActionLabel(conflict)}".\n\n` +
+        `Use it for "${Input.getActionLabel(action)}" instead?`
+      )
+      if (!declined) {
+        Input.setBinding(action, slot, e.code)
+        if (conflict) {
+          message.textContent = `${Input.getKeyLabel(e.code)} moved from "${Input.getActionLabel(conflict)}"`
+        }
+      }
+    }
+    
+    syncKeyControls(panel)
+  }
+  
+  window.addEventListener('keydown', onKey, true)
+}
+
+function syncKeyControls(panel) {
+  panel.querySelectorAll('.settings-key').forEach(button => {
+    const code = Input.getBindings(button.dataset.action)[Number(button.dataset.slot)]
+    button.classList.remove('listening')
+    button.classList.toggle('unbound', !code)
+    button.textContent = Input.getKeyLabel(code)
+  })
+}
+
 // ============================================================================
 // DONATE PANEL
 // ============================================================================